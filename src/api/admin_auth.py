@@ -0,0 +1,149 @@
+"""
+API access - checks the caller's bearer token.
+
+With AUTH_ISSUER set, the traveller endpoints in app.py (``/travel-planner/...``)
+need an access token it issued, and serve each plan only to the user who
+started it. The admin endpoints (``/admin/...``) are only served to tokens
+that also carry ADMIN_ROLE:
+
+- AUTH_ISSUER: the OpenID Connect issuer the frontend signs in with; its JWKS
+  verifies the tokens (sign-in is off and the admin API disabled when empty)
+- AUTH_AUDIENCE: the ``aud`` the tokens must have (not checked when empty)
+- AUTH_ROLES_CLAIM: claim holding the user's roles; nested claims are dotted,
+  e.g. ``realm_access.roles`` for Keycloak (default ``roles``)
+- ADMIN_ROLE: the role required (default ``admin``)
+- AUTH_DEV_SECRET: verify HS256 tokens with this secret instead of the JWKS -
+  for the mock issuer (``npm run mock-issuer``) only
+"""
+import logging
+import os
+from typing import List, Optional
+
+import httpx
+import jwt
+from fastapi import HTTPException, Request, status
+
+logger = logging.getLogger(__name__)
+
+# Kept as configured: it must match the tokens' ``iss`` exactly, and some
+# issuers (e.g. Auth0) end theirs with a slash
+AUTH_ISSUER = os.getenv("AUTH_ISSUER", "")
+AUTH_AUDIENCE = os.getenv("AUTH_AUDIENCE", "")
+AUTH_ROLES_CLAIM = os.getenv("AUTH_ROLES_CLAIM", "roles")
+ADMIN_ROLE = os.getenv("ADMIN_ROLE", "admin")
+AUTH_DEV_SECRET = os.getenv("AUTH_DEV_SECRET", "")
+
+# Signing algorithms accepted from the issuer's JWKS
+JWKS_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256"]
+
+_jwks_client: Optional[jwt.PyJWKClient] = None
+
+
+def get_jwks_client() -> jwt.PyJWKClient:
+    """Client for the issuer's signing keys, found through its discovery document."""
+    global _jwks_client
+    if _jwks_client is None:
+        response = httpx.get(f"{AUTH_ISSUER.rstrip('/')}/.well-known/openid-configuration", timeout=10)
+        response.raise_for_status()
+        _jwks_client = jwt.PyJWKClient(response.json()["jwks_uri"])
+    return _jwks_client
+
+
+def roles_from_claims(claims: dict, claim: str = AUTH_ROLES_CLAIM) -> List[str]:
+    """The roles in ``claim`` (a list, or a space-separated string)."""
+    value = claims
+    for part in claim.split("."):
+        value = value.get(part) if isinstance(value, dict) else None
+    if isinstance(value, str):
+        return value.split()
+    if isinstance(value, list):
+        return [str(role) for role in value]
+    return []
+
+
+def verify_token(token: str) -> dict:
+    """Claims of a valid token from AUTH_ISSUER; raises jwt.PyJWTError otherwise."""
+    if AUTH_DEV_SECRET:
+        key, algorithms = AUTH_DEV_SECRET, ["HS256"]
+    else:
+        key, algorithms = get_jwks_client().get_signing_key_from_jwt(token).key, JWKS_ALGORITHMS
+    return jwt.decode(
+        token,
+        key,
+        algorithms=algorithms,
+        issuer=AUTH_ISSUER,
+        audience=AUTH_AUDIENCE or None,
+        options={"verify_aud": bool(AUTH_AUDIENCE)}
+    )
+
+
+def bearer_claims(request: Request, sign_in_message: str) -> dict:
+    """Claims of the request's bearer token (only the Authorization header is read).
+
+    Raises:
+        HTTPException: 401 with ``sign_in_message`` without a token, 401 for an invalid one
+    """
+    header = request.headers.get("Authorization", "")
+    if not header.startswith("Bearer "):
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail=sign_in_message,
+            headers={"WWW-Authenticate": "Bearer"}
+        )
+
+    try:
+        return verify_token(header[len("Bearer "):])
+    except (jwt.PyJWTError, httpx.HTTPError, KeyError) as ex:
+        logger.warning(f"Rejected access token for {request.url.path}: {ex}")
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="The access token is not valid",
+            headers={"WWW-Authenticate": "Bearer"}
+        )
+
+
+def current_user(request: Request) -> Optional[str]:
+    """FastAPI dependency for the traveller endpoints.
+
+    Returns:
+        The signed-in user's ``sub``, or None when sign-in is off (no AUTH_ISSUER)
+
+    Raises:
+        HTTPException: 401 for a missing or invalid token, or one without a ``sub``
+    """
+    if not AUTH_ISSUER:
+        return None
+    claims = bearer_claims(request, "Sign in to use the travel planner")
+    if not claims.get("sub"):
+        raise HTTPException(
+            status_code=status.HTTP_401_UNAUTHORIZED,
+            detail="The access token does not name a user",
+            headers={"WWW-Authenticate": "Bearer"}
+        )
+    return claims["sub"]
+
+
+def require_admin(request: Request) -> dict:
+    """FastAPI dependency for the admin endpoints.
+
+    Returns:
+        The token's claims, when they carry ADMIN_ROLE
+
+    Raises:
+        HTTPException: 503 without AUTH_ISSUER, 401 for a missing or invalid
+            token, 403 when the token lacks the role
+    """
+    if not AUTH_ISSUER:
+        raise HTTPException(
+            status_code=status.HTTP_503_SERVICE_UNAVAILABLE,
+            detail="The admin API is disabled - set AUTH_ISSUER to enable it"
+        )
+
+    claims = bearer_claims(request, "Sign in to use the admin API")
+
+    if ADMIN_ROLE not in roles_from_claims(claims):
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail=f"The admin API needs the {ADMIN_ROLE} role"
+        )
+    return claims
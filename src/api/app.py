@@ -3,26 +3,32 @@ Travel Planner API - Azure Container Apps Backend
 
 Combined API server and Durable Task Worker for the AI Travel Planner application.
 This module provides HTTP endpoints for starting orchestrations, checking status,
-and handling human-in-the-loop approval events.
+and handling human-in-the-loop approval events, plus admin endpoints for
+managing orchestration instances (see admin_auth.py for who may use them).
+With sign-in on, each travel plan is only served to the user who started it.
 
 Prerequisites:
 - Set AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT_NAME
 - Start a Durable Task Scheduler (e.g., using Docker)
 """
 
+import asyncio
 import json
 import os
 import logging
 import threading
+import time
 from contextlib import asynccontextmanager
 from datetime import datetime
-from typing import Optional
+from typing import List, Optional
 
-from fastapi import FastAPI, HTTPException, status
+from fastapi import Depends, FastAPI, HTTPException, Request, status
 from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import StreamingResponse
 from pydantic import BaseModel, Field
 from azure.identity import DefaultAzureCredential
 from durabletask.azuremanaged.client import DurableTaskSchedulerClient
+from durabletask.client import OrchestrationQuery, OrchestrationStatus
 
 # Import worker components
 from worker import (
@@ -34,6 +40,7 @@ from worker import (
     setup_worker,
 )
 from agent_framework_durabletask import DurableAIAgentWorker
+from admin_auth import current_user, require_admin
 
 # Configure logging
 logging.basicConfig(level=logging.INFO)
@@ -60,6 +67,15 @@ DTS_ENDPOINT, DTS_CLIENT_ID = parse_dts_connection_string(DTS_CONNECTION_STRING)
 logger.info(f"DTS Endpoint: {DTS_ENDPOINT}")
 logger.info(f"TaskHub: {TASKHUB_NAME}")
 
+# Status stream settings - how often the server re-reads orchestration state
+# and how long a quiet stream waits before sending a keep-alive comment
+STATUS_STREAM_POLL_SECONDS = float(os.getenv("STATUS_STREAM_POLL_SECONDS", "1"))
+STATUS_STREAM_HEARTBEAT_SECONDS = float(os.getenv("STATUS_STREAM_HEARTBEAT_SECONDS", "15"))
+
+# Steps after which the orchestration will not change any more - the same list
+# as the frontend's TERMINAL_STEPS
+TERMINAL_STEPS = {"Completed", "Rejected", "Expired", "Error", "Failed"}
+
 # Durable Task client singleton
 _dt_client: Optional[DurableTaskSchedulerClient] = None
 
@@ -173,6 +189,9 @@ class TravelRequest(BaseModel):
     budget: str = Field(default="", description="Budget range")
     travelDates: str = Field(default="", description="Travel dates (e.g., July 1-11, 2025)")
     specialRequirements: str = Field(default="", description="Special requirements")
+    locale: str = Field(default="en", description="UI language (e.g. en, es, fr) the agents should answer in")
+    notifyTeam: bool = Field(default=False, description="Post milestones to the team webhook (NOTIFICATION_WEBHOOK_URL)")
+    chooseDestination: bool = Field(default=False, description="Wait at ChoosingDestination for the user to pick a destination")
 
 
 class StartWorkflowResponse(BaseModel):
@@ -193,6 +212,45 @@ class WorkflowStatusResponse(BaseModel):
     finalPlan: Optional[str] = None
     documentUrl: Optional[str] = None
     travelPlan: Optional[dict] = None  # Contains the travel plan data for approval
+    feedback: Optional[str] = None  # Reviewer comments when the plan was rejected
+    approvalDeadline: Optional[str] = None  # UTC ISO time the plan expires while waiting for approval
+    destinations: Optional[List[dict]] = None  # Recommended destinations the user can choose from
+    choiceDeadline: Optional[str] = None  # UTC ISO time the top destination is used without a choice
+    revision: Optional[int] = None  # Number of refinements applied to travelPlan
+    refinements: Optional[List[dict]] = None  # Refinement requests so far, as {revision, message}
+    bookingId: Optional[str] = None  # Booking reference once the trip is booked
+    booking: Optional[dict] = None  # Booking details once the trip is booked (see booking_from_output)
+    stepHistory: Optional[List[dict]] = None  # Steps reached so far, as {step, startedAt} in UTC ISO time
+
+
+class ApprovalItem(BaseModel):
+    """A plan item the reviewer dropped before approving."""
+    type: str = Field(description="activity, attraction or restaurant")
+    name: str
+    day: Optional[int] = Field(default=None, description="Itinerary day of an activity")
+    index: int = Field(description="Position of the item in its day's activities, or in the attractions or restaurants")
+
+
+class ApprovalRequest(BaseModel):
+    """Approval or rejection decision from the frontend."""
+    comments: str = Field(default="", description="Reviewer comments or requested changes")
+    removedItems: List[ApprovalItem] = Field(default_factory=list, description="Items to leave out of the booking")
+    spendingCap: Optional[float] = Field(default=None, description="Most the booking may cost, in `currency`")
+    currency: Optional[str] = Field(default=None, description="Currency of spendingCap and estimatedTotal")
+    estimatedTotal: Optional[float] = Field(
+        default=None,
+        description="Reviewer's estimate of the approved trip's cost, for display only - the booking step totals the approved itinerary itself"
+    )
+
+
+class DestinationChoiceRequest(BaseModel):
+    """Destination the user picked from the recommendations."""
+    destinationName: str = Field(description="DestinationName of one of the recommended destinations")
+
+
+class RefinementRequest(BaseModel):
+    """Free-form follow-up request to revise a plan waiting for approval."""
+    message: str = Field(description="What to change, e.g. 'swap day 3 for a beach day'")
 
 
 class ApprovalResponse(BaseModel):
@@ -202,6 +260,47 @@ class ApprovalResponse(BaseModel):
     message: str
 
 
+class AgentRunsResponse(BaseModel):
+    """The agent calls behind a finished travel plan."""
+    id: str
+    agentRuns: List[dict]  # Each agent call: inputs, prompt, output and timing (see agent_run_record)
+
+
+class AdminInstanceSummary(BaseModel):
+    """An orchestration instance in the admin list."""
+    instanceId: str
+    name: Optional[str] = None
+    runtimeStatus: str  # OrchestrationStatus name, e.g. RUNNING or FAILED
+    createdAt: Optional[str] = None
+    lastUpdatedAt: Optional[str] = None
+    step: Optional[str] = None  # step of the custom status
+    userName: Optional[str] = None  # traveller from the input
+
+
+class AdminInstanceList(BaseModel):
+    """Instances matching an admin query, most recently created first."""
+    instances: List[AdminInstanceSummary]
+
+
+class AdminInstanceDetail(AdminInstanceSummary):
+    """An orchestration instance with its raw payloads."""
+    input: Optional[object] = None
+    customStatus: Optional[object] = None
+    output: Optional[object] = None
+    failureDetails: Optional[dict] = None
+
+
+class AdminApprovalEventRequest(BaseModel):
+    """ApprovalEvent raised by an admin on behalf of the traveller."""
+    approved: bool
+    comments: str = Field(default="", description="Why the admin decided for the traveller")
+
+
+class AdminActionRequest(BaseModel):
+    """Reason recorded for terminating, suspending or resuming an instance."""
+    reason: str = Field(default="", description="Shown in the logs and, for terminate, the output")
+
+
 # API Endpoints
 @app.get("/health")
 async def health_check():
@@ -220,7 +319,7 @@ async def api_health_check():
 
 
 @app.post("/travel-planner", response_model=StartWorkflowResponse)
-async def start_travel_planning(request: TravelRequest):
+async def start_travel_planning(request: TravelRequest, user: Optional[str] = Depends(current_user)):
     """
     Start a new travel planning orchestration.
     
@@ -237,7 +336,12 @@ async def start_travel_planning(request: TravelRequest):
             "durationInDays": request.durationInDays,
             "budget": request.budget,
             "travelDates": request.travelDates,
-            "specialRequirements": request.specialRequirements
+            "specialRequirements": request.specialRequirements,
+            "locale": request.locale,
+            "notifyTeam": request.notifyTeam,
+            "chooseDestination": request.chooseDestination,
+            # Signed-in user the plan belongs to (see require_owner)
+            "owner": user
         }
         
         # Schedule the orchestration (synchronous call)
@@ -262,13 +366,164 @@ async def start_travel_planning(request: TravelRequest):
         )
 
 
+def require_instance(client, instance_id: str):
+    """The instance's state, or a 404."""
+    state = client.get_orchestration_state(instance_id, fetch_payloads=True)
+    if state is None:
+        raise HTTPException(
+            status_code=status.HTTP_404_NOT_FOUND,
+            detail=f"Orchestration {instance_id} not found"
+        )
+    return state
+
+
+def require_owner(state, user: Optional[str]) -> None:
+    """403 unless `user` started the plan; without sign-in every plan is open."""
+    if user is None:
+        return
+    request = parse_payload(state.serialized_input)
+    if not isinstance(request, dict) or request.get("owner") != user:
+        raise HTTPException(
+            status_code=status.HTTP_403_FORBIDDEN,
+            detail="This travel plan belongs to another user"
+        )
+
+
+def parse_payload(payload):
+    """A serialized input, output or custom status as JSON, or as it is when it is not JSON."""
+    if not isinstance(payload, str):
+        return payload
+    try:
+        return json.loads(payload)
+    except json.JSONDecodeError:
+        return payload
+
+
+def booking_from_output(output) -> Optional[dict]:
+    """Extract the booking details from a completed orchestration's output.
+    
+    Args:
+        output: The serialized TravelPlanResult returned by the orchestration
+        
+    Returns:
+        The BookingResult with camelCase keys, or None when nothing was booked
+    """
+    if isinstance(output, str):
+        try:
+            output = json.loads(output)
+        except json.JSONDecodeError:
+            return None
+    if not isinstance(output, dict) or not output.get("BookingResult"):
+        return None
+    
+    result = output["BookingResult"]
+    itinerary = (output.get("Plan") or {}).get("Itinerary") or {}
+    return {
+        "bookingId": result.get("booking_id", ""),
+        "confirmationNumber": result.get("confirmation_number", ""),
+        "destination": result.get("destination", ""),
+        "travelDates": result.get("travel_dates") or itinerary.get("TravelDates", ""),
+        "totalCost": result.get("total_cost", ""),
+        "bookingDate": result.get("booking_date", ""),
+        "message": result.get("message", ""),
+        "nextSteps": result.get("next_steps", "")
+    }
+
+
+def final_plan_from_output(output) -> str:
+    """A finished orchestration's output as the finalPlan text.
+    
+    The agent runs are left out - they can be large and are served on demand
+    by GET /travel-planner/agent-runs/{instance_id}.
+    """
+    parsed = parse_payload(output)
+    if isinstance(parsed, dict) and "AgentRuns" in parsed:
+        return json.dumps({key: value for key, value in parsed.items() if key != "AgentRuns"})
+    return output if isinstance(output, str) else str(output)
+
+
+def build_status_response(instance_id: str, state) -> WorkflowStatusResponse:
+    """Build the frontend status payload from an orchestration state.
+    
+    Args:
+        instance_id: The orchestration instance ID
+        state: The orchestration state returned by the Durable Task client
+        
+    Returns:
+        WorkflowStatusResponse with step info merged from custom status and runtime status
+    """
+    # Parse custom status for step info
+    custom_status = state.serialized_custom_status or {}
+    # Handle case where custom_status is a string (JSON)
+    if isinstance(custom_status, str):
+        try:
+            custom_status = json.loads(custom_status)
+        except json.JSONDecodeError:
+            custom_status = {}
+    step = custom_status.get("step", "Starting")
+    message = custom_status.get("message", "Processing your travel plan...")
+    progress = custom_status.get("progress")
+    destination = custom_status.get("destination")
+    itinerary = custom_status.get("itinerary")
+    travel_plan = custom_status.get("travelPlan")
+    
+    # Handle different runtime statuses
+    runtime_status = str(state.runtime_status)
+    
+    final_plan = None
+    booking = custom_status.get("booking")
+    if "COMPLETED" in runtime_status:
+        # Rejected, expired and failed plans also complete the orchestration - keep their step.
+        # Completing while still waiting for approval means the approval timer won
+        # (runs started before the worker reported "Expired").
+        if step == "WaitingForApproval":
+            step = "Expired"
+            message = "Travel plan timed out waiting for approval."
+        elif step not in ("Rejected", "Expired", "Error"):
+            step = "Completed"
+        final_plan = final_plan_from_output(state.serialized_output)
+        if step == "Completed" and not booking:
+            booking = booking_from_output(state.serialized_output)
+        progress = 100
+    elif "FAILED" in runtime_status:
+        step = "Error"
+        message = "An error occurred during travel planning"
+    elif "TERMINATED" in runtime_status:
+        step = "Error"
+        message = "Travel planning was stopped by an administrator."
+    elif "SUSPENDED" in runtime_status:
+        # Suspended from the admin console - the plan keeps its step until resumed
+        message = "Travel planning is paused by an administrator."
+    
+    return WorkflowStatusResponse(
+        id=instance_id,
+        step=step,
+        message=message,
+        progress=progress,
+        destination=destination,
+        itinerary=itinerary,
+        finalPlan=final_plan,
+        documentUrl=custom_status.get("documentUrl"),
+        travelPlan=travel_plan,
+        feedback=custom_status.get("feedback"),
+        approvalDeadline=custom_status.get("approvalDeadline"),
+        destinations=custom_status.get("destinations"),
+        choiceDeadline=custom_status.get("choiceDeadline"),
+        revision=custom_status.get("revision"),
+        refinements=custom_status.get("refinements"),
+        bookingId=custom_status.get("booking_id") or (booking or {}).get("bookingId"),
+        booking=booking,
+        stepHistory=custom_status.get("stepHistory")
+    )
+
+
 @app.get("/travel-planner/status/{instance_id}", response_model=WorkflowStatusResponse)
-async def get_travel_status(instance_id: str):
+async def get_travel_status(instance_id: str, user: Optional[str] = Depends(current_user)):
     """
     Get the status of a travel planning orchestration.
     
     This endpoint queries the orchestration status and returns current results.
-    The frontend should poll this endpoint to check progress.
+    Clients that cannot use the status stream can poll this endpoint to check progress.
     """
     try:
         client = get_durable_task_client()
@@ -281,69 +536,263 @@ async def get_travel_status(instance_id: str):
                 status_code=status.HTTP_404_NOT_FOUND,
                 detail=f"Orchestration {instance_id} not found"
             )
+        require_owner(state, user)
         
-        # Parse custom status for step info
-        custom_status = state.serialized_custom_status or {}
-        # Handle case where custom_status is a string (JSON)
-        if isinstance(custom_status, str):
-            try:
-                custom_status = json.loads(custom_status)
-            except json.JSONDecodeError:
-                custom_status = {}
-        step = custom_status.get("step", "Starting")
-        message = custom_status.get("message", "Processing your travel plan...")
-        progress = custom_status.get("progress", 10)
-        destination = custom_status.get("destination")
-        itinerary = custom_status.get("itinerary")
-        travel_plan = custom_status.get("travelPlan")
-        
-        # Handle different runtime statuses
+        return build_status_response(instance_id, state)
+        
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to get travel status: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to get travel status: {str(e)}"
+        )
+
+
+@app.get("/travel-planner/agent-runs/{instance_id}", response_model=AgentRunsResponse)
+async def get_agent_runs(instance_id: str, user: Optional[str] = Depends(current_user)):
+    """
+    Get the agent calls behind a travel plan: each agent's inputs, prompt, output and timing.
+    
+    The orchestration returns them with its output rather than in its status,
+    which every poll and stream tick reads, so they are available once planning
+    has finished. Instances that failed or were terminated have none.
+    """
+    try:
+        client = get_durable_task_client()
+        
+        state = await asyncio.to_thread(client.get_orchestration_state, instance_id)
+        if state is None:
+            raise HTTPException(
+                status_code=status.HTTP_404_NOT_FOUND,
+                detail=f"Orchestration {instance_id} not found"
+            )
+        require_owner(state, user)
         runtime_status = str(state.runtime_status)
+        if not any(finished in runtime_status for finished in ("COMPLETED", "FAILED", "TERMINATED")):
+            raise HTTPException(
+                status_code=status.HTTP_409_CONFLICT,
+                detail=f"Orchestration {instance_id} is still running - its agent runs are available once planning has finished"
+            )
         
-        final_plan = None
-        if "COMPLETED" in runtime_status:
-            step = "Completed"
-            final_plan = state.serialized_output if isinstance(state.serialized_output, str) else str(state.serialized_output)
-            progress = 100
-        elif "FAILED" in runtime_status:
-            step = "Error"
-            message = "An error occurred during travel planning"
-        elif "SUSPENDED" in runtime_status:
-            step = "WaitingForApproval"
-            progress = 100
-        
-        return WorkflowStatusResponse(
+        output = parse_payload(state.serialized_output)
+        agent_runs = output.get("AgentRuns") if isinstance(output, dict) else None
+        return AgentRunsResponse(id=instance_id, agentRuns=agent_runs or [])
+        
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to get agent runs: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to get agent runs: {str(e)}"
+        )
+
+
+@app.get("/travel-planner/stream/{instance_id}")
+async def stream_travel_status(instance_id: str, request: Request, user: Optional[str] = Depends(current_user)):
+    """
+    Stream status updates for a travel planning orchestration as Server-Sent Events.
+    
+    The server reads the orchestration state on the client's behalf and only sends
+    a `status` event when the payload changes, with keep-alive comments in between.
+    The stream closes after a terminal step (Completed, Rejected, Expired, Error, Failed).
+    
+    Like the other plan endpoints it reads the token from the Authorization
+    header only - never the query string, which ends up in access logs - so
+    signed-in browsers, whose EventSource cannot send headers, poll instead.
+    """
+    client = get_durable_task_client()
+    
+    try:
+        state = await asyncio.to_thread(client.get_orchestration_state, instance_id)
+    except Exception as e:
+        logger.error(f"Failed to open status stream: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to open status stream: {str(e)}"
+        )
+    
+    if state is None:
+        raise HTTPException(
+            status_code=status.HTTP_404_NOT_FOUND,
+            detail=f"Orchestration {instance_id} not found"
+        )
+    require_owner(state, user)
+    
+    async def event_stream():
+        current = state
+        last_payload = None
+        last_sent = time.monotonic()
+        
+        while not await request.is_disconnected():
+            if current is None:
+                yield f"event: error\ndata: {json.dumps({'detail': f'Orchestration {instance_id} not found'})}\n\n"
+                return
+            
+            response = build_status_response(instance_id, current)
+            payload = response.model_dump_json()
+            
+            if payload != last_payload:
+                yield f"event: status\ndata: {payload}\n\n"
+                last_payload = payload
+                last_sent = time.monotonic()
+            elif time.monotonic() - last_sent >= STATUS_STREAM_HEARTBEAT_SECONDS:
+                yield ": keep-alive\n\n"
+                last_sent = time.monotonic()
+            
+            if response.step in TERMINAL_STEPS:
+                return
+            
+            await asyncio.sleep(STATUS_STREAM_POLL_SECONDS)
+            try:
+                current = await asyncio.to_thread(client.get_orchestration_state, instance_id)
+            except Exception as e:
+                logger.error(f"Status stream for {instance_id} failed: {e}")
+                yield f"event: error\ndata: {json.dumps({'detail': str(e)})}\n\n"
+                return
+    
+    return StreamingResponse(
+        event_stream(),
+        media_type="text/event-stream",
+        headers={
+            "Cache-Control": "no-cache",
+            "X-Accel-Buffering": "no"
+        }
+    )
+
+
+@app.post("/travel-planner/choose-destination/{instance_id}", response_model=ApprovalResponse)
+async def choose_destination(
+    instance_id: str,
+    request: DestinationChoiceRequest,
+    user: Optional[str] = Depends(current_user)
+):
+    """
+    Choose the destination the itinerary is built for.
+    
+    This endpoint raises a destination event to the orchestration while it
+    is at the ChoosingDestination step. Without a choice the orchestration
+    goes on with the top match once the choice deadline passes. Only the
+    destinations the orchestration offered can be chosen.
+    """
+    try:
+        client = get_durable_task_client()
+        
+        state = client.get_orchestration_state(instance_id)
+        if state is None:
+            raise HTTPException(
+                status_code=status.HTTP_404_NOT_FOUND,
+                detail=f"Orchestration {instance_id} not found"
+            )
+        require_owner(state, user)
+        custom_status = parse_payload(state.serialized_custom_status)
+        if not isinstance(custom_status, dict) or custom_status.get("step") != "ChoosingDestination":
+            raise HTTPException(
+                status_code=status.HTTP_409_CONFLICT,
+                detail=f"Orchestration {instance_id} is not waiting for a destination choice"
+            )
+        offered = [d.get("DestinationName") for d in custom_status.get("destinations") or []]
+        if request.destinationName not in offered:
+            raise HTTPException(
+                status_code=status.HTTP_400_BAD_REQUEST,
+                detail=f"{request.destinationName} is not one of the offered destinations: {', '.join(offered)}"
+            )
+        
+        client.raise_orchestration_event(
+            instance_id,
+            event_name="DestinationChosenEvent",
+            data={
+                "destinationName": request.destinationName,
+                "timestamp": datetime.utcnow().isoformat()
+            }
+        )
+        
+        logger.info(f"Destination {request.destinationName} chosen for {instance_id}")
+        
+        return ApprovalResponse(
             id=instance_id,
-            step=step,
-            message=message,
-            progress=progress,
-            destination=destination,
-            itinerary=itinerary,
-            finalPlan=final_plan,
-            documentUrl=custom_status.get("documentUrl"),
-            travelPlan=travel_plan
+            action="destination_chosen",
+            message=f"Creating your itinerary for {request.destinationName}."
         )
         
     except HTTPException:
         raise
     except Exception as e:
-        logger.error(f"Failed to get travel status: {e}")
+        logger.error(f"Failed to choose destination: {e}")
         raise HTTPException(
             status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
-            detail=f"Failed to get travel status: {str(e)}"
+            detail=f"Failed to choose destination: {str(e)}"
+        )
+
+
+@app.post("/travel-planner/refine/{instance_id}", response_model=ApprovalResponse)
+async def refine_travel_plan(
+    instance_id: str,
+    request: RefinementRequest,
+    user: Optional[str] = Depends(current_user)
+):
+    """
+    Ask for changes to a plan that is waiting for approval.
+    
+    This endpoint raises a refinement event to the orchestration, which
+    reports RefiningPlan while the agents revise the plan and returns to
+    WaitingForApproval with the revised travelPlan and a higher revision.
+    """
+    if not request.message.strip():
+        raise HTTPException(
+            status_code=status.HTTP_400_BAD_REQUEST,
+            detail="Refinement message must not be empty"
+        )
+    try:
+        client = get_durable_task_client()
+        require_owner(require_instance(client, instance_id), user)
+        
+        client.raise_orchestration_event(
+            instance_id,
+            event_name="RefinementEvent",
+            data={
+                "message": request.message.strip(),
+                "timestamp": datetime.utcnow().isoformat()
+            }
+        )
+        
+        logger.info(f"Refinement requested for {instance_id}")
+        
+        return ApprovalResponse(
+            id=instance_id,
+            action="refinement_requested",
+            message="Your plan is being revised."
+        )
+        
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to request refinement: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to request refinement: {str(e)}"
         )
 
 
 @app.post("/travel-planner/approve/{instance_id}", response_model=ApprovalResponse)
-async def approve_travel_plan(instance_id: str):
+async def approve_travel_plan(
+    instance_id: str,
+    request: Optional[ApprovalRequest] = None,
+    user: Optional[str] = Depends(current_user)
+):
     """
     Approve a travel plan.
     
     This endpoint raises an approval event to the orchestration,
     allowing it to resume from the human-in-the-loop wait state.
+    The comments, dropped items and spending cap are passed on to the booking step.
     """
+    approval = request or ApprovalRequest()
     try:
         client = get_durable_task_client()
+        require_owner(require_instance(client, instance_id), user)
         
         # Raise the approval event to the orchestration (synchronous)
         client.raise_orchestration_event(
@@ -351,6 +800,10 @@ async def approve_travel_plan(instance_id: str):
             event_name="ApprovalEvent",
             data={
                 "approved": True,
+                "comments": approval.comments,
+                "removedItems": [item.model_dump() for item in approval.removedItems],
+                "spendingCap": approval.spendingCap,
+                "currency": approval.currency,
                 "timestamp": datetime.utcnow().isoformat()
             }
         )
@@ -363,6 +816,8 @@ async def approve_travel_plan(instance_id: str):
             message="Travel plan has been approved. The workflow will continue processing."
         )
         
+    except HTTPException:
+        raise
     except Exception as e:
         logger.error(f"Failed to process approval: {e}")
         raise HTTPException(
@@ -372,14 +827,22 @@ async def approve_travel_plan(instance_id: str):
 
 
 @app.post("/travel-planner/reject/{instance_id}", response_model=ApprovalResponse)
-async def reject_travel_plan(instance_id: str):
+async def reject_travel_plan(
+    instance_id: str,
+    request: Optional[ApprovalRequest] = None,
+    user: Optional[str] = Depends(current_user)
+):
     """
     Reject a travel plan.
     
     This endpoint raises a rejection event to the orchestration.
+    The comments describe what the user wants changed and are reported
+    back through the status endpoint as `feedback`.
     """
+    comments = request.comments if request else ""
     try:
         client = get_durable_task_client()
+        require_owner(require_instance(client, instance_id), user)
         
         # Raise the approval event with rejected status (synchronous)
         client.raise_orchestration_event(
@@ -387,6 +850,7 @@ async def reject_travel_plan(instance_id: str):
             event_name="ApprovalEvent",
             data={
                 "approved": False,
+                "comments": comments,
                 "timestamp": datetime.utcnow().isoformat()
             }
         )
@@ -399,6 +863,8 @@ async def reject_travel_plan(instance_id: str):
             message="Travel plan has been rejected."
         )
         
+    except HTTPException:
+        raise
     except Exception as e:
         logger.error(f"Failed to process rejection: {e}")
         raise HTTPException(
@@ -407,6 +873,228 @@ async def reject_travel_plan(instance_id: str):
         )
 
 
+# ================== Admin Endpoints ==================
+
+ADMIN_STATUSES = {status_.name for status_ in OrchestrationStatus}
+
+# Most instances an admin list returns
+ADMIN_LIST_LIMIT = 500
+
+
+def admin_summary(state) -> dict:
+    """Fields of an orchestration state shared by the admin list and detail views."""
+    custom_status = parse_payload(state.serialized_custom_status)
+    request = parse_payload(state.serialized_input)
+    return {
+        "instanceId": state.instance_id,
+        "name": state.name,
+        "runtimeStatus": state.runtime_status.name,
+        "createdAt": state.created_at.isoformat() if state.created_at else None,
+        "lastUpdatedAt": state.last_updated_at.isoformat() if state.last_updated_at else None,
+        "step": custom_status.get("step") if isinstance(custom_status, dict) else None,
+        "userName": request.get("userName") if isinstance(request, dict) else None
+    }
+
+
+def admin_name(admin: dict) -> str:
+    """Who an admin is, for the logs."""
+    return admin.get("email") or admin.get("preferred_username") or admin.get("sub", "unknown")
+
+
+@app.get("/admin/instances", response_model=AdminInstanceList)
+async def list_instances(
+    runtime_status: Optional[str] = None,
+    limit: int = 100,
+    admin: dict = Depends(require_admin)
+):
+    """
+    List orchestration instances, optionally only those with one runtime status
+    (RUNNING, PENDING, SUSPENDED, COMPLETED, FAILED or TERMINATED).
+    """
+    statuses = None
+    if runtime_status:
+        if runtime_status.upper() not in ADMIN_STATUSES:
+            raise HTTPException(
+                status_code=status.HTTP_400_BAD_REQUEST,
+                detail=f"Unknown runtime status {runtime_status}"
+            )
+        statuses = [OrchestrationStatus[runtime_status.upper()]]
+    try:
+        client = get_durable_task_client()
+        states = await asyncio.to_thread(
+            client.get_all_orchestration_states,
+            OrchestrationQuery(
+                runtime_status=statuses,
+                max_instance_count=max(1, min(limit, ADMIN_LIST_LIMIT)),
+                fetch_inputs_and_outputs=True
+            )
+        )
+        instances = sorted(
+            (admin_summary(state) for state in states),
+            key=lambda instance: instance["createdAt"] or "",
+            reverse=True
+        )
+        return AdminInstanceList(instances=instances)
+    except Exception as e:
+        logger.error(f"Failed to list instances: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to list instances: {str(e)}"
+        )
+
+
+@app.get("/admin/instances/{instance_id}", response_model=AdminInstanceDetail)
+async def get_instance(instance_id: str, admin: dict = Depends(require_admin)):
+    """Get an instance with its raw input, custom status and output."""
+    try:
+        client = get_durable_task_client()
+        state = await asyncio.to_thread(require_instance, client, instance_id)
+        failure = state.failure_details
+        return AdminInstanceDetail(
+            **admin_summary(state),
+            input=parse_payload(state.serialized_input),
+            customStatus=parse_payload(state.serialized_custom_status),
+            output=parse_payload(state.serialized_output),
+            failureDetails={
+                "message": failure.message,
+                "errorType": failure.error_type,
+                "stackTrace": failure.stack_trace
+            } if failure else None
+        )
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to get instance {instance_id}: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to get instance: {str(e)}"
+        )
+
+
+@app.post("/admin/instances/{instance_id}/approval-event", response_model=ApprovalResponse)
+async def raise_approval_event(
+    instance_id: str,
+    request: AdminApprovalEventRequest,
+    admin: dict = Depends(require_admin)
+):
+    """
+    Approve or reject a plan on the traveller's behalf, e.g. when they cannot
+    reach the app before the approval deadline.
+    """
+    try:
+        client = get_durable_task_client()
+        await asyncio.to_thread(require_instance, client, instance_id)
+        await asyncio.to_thread(
+            client.raise_orchestration_event,
+            instance_id,
+            event_name="ApprovalEvent",
+            data={
+                "approved": request.approved,
+                "comments": request.comments,
+                "timestamp": datetime.utcnow().isoformat()
+            }
+        )
+        action = "approved" if request.approved else "rejected"
+        logger.info(f"Admin {admin_name(admin)} {action} travel plan {instance_id}: {request.comments}")
+        return ApprovalResponse(
+            id=instance_id,
+            action=action,
+            message=f"ApprovalEvent raised: the plan was {action}."
+        )
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to raise the approval event for {instance_id}: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to raise the approval event: {str(e)}"
+        )
+
+
+async def run_admin_action(instance_id: str, action: str, done: str, call, admin: dict, reason: str) -> ApprovalResponse:
+    """Run ``call(client)`` on an existing instance, logging which admin did it and why."""
+    try:
+        client = get_durable_task_client()
+        await asyncio.to_thread(require_instance, client, instance_id)
+        await asyncio.to_thread(call, client)
+        logger.info(f"Admin {admin_name(admin)} {done} orchestration {instance_id}: {reason}")
+        return ApprovalResponse(id=instance_id, action=done, message=f"Orchestration {instance_id} {done}.")
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to {action} {instance_id}: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to {action} the orchestration: {str(e)}"
+        )
+
+
+@app.post("/admin/instances/{instance_id}/terminate", response_model=ApprovalResponse)
+async def terminate_instance(
+    instance_id: str,
+    request: AdminActionRequest = AdminActionRequest(),
+    admin: dict = Depends(require_admin)
+):
+    """Stop an instance for good; the reason becomes its output."""
+    return await run_admin_action(
+        instance_id, "terminate", "terminated",
+        lambda client: client.terminate_orchestration(instance_id, output=request.reason or None),
+        admin, request.reason
+    )
+
+
+@app.post("/admin/instances/{instance_id}/suspend", response_model=ApprovalResponse)
+async def suspend_instance(
+    instance_id: str,
+    request: AdminActionRequest = AdminActionRequest(),
+    admin: dict = Depends(require_admin)
+):
+    """Pause an instance; events raised meanwhile are kept until it is resumed."""
+    return await run_admin_action(
+        instance_id, "suspend", "suspended",
+        lambda client: client.suspend_orchestration(instance_id),
+        admin, request.reason
+    )
+
+
+@app.post("/admin/instances/{instance_id}/resume", response_model=ApprovalResponse)
+async def resume_instance(
+    instance_id: str,
+    request: AdminActionRequest = AdminActionRequest(),
+    admin: dict = Depends(require_admin)
+):
+    """Continue a suspended instance."""
+    return await run_admin_action(
+        instance_id, "resume", "resumed",
+        lambda client: client.resume_orchestration(instance_id),
+        admin, request.reason
+    )
+
+
+@app.delete("/admin/instances/{instance_id}", response_model=ApprovalResponse)
+async def purge_instance(instance_id: str, admin: dict = Depends(require_admin)):
+    """Delete a finished instance and its history. Running instances must be terminated first."""
+    try:
+        client = get_durable_task_client()
+        state = await asyncio.to_thread(require_instance, client, instance_id)
+        if state.runtime_status.name not in ("COMPLETED", "FAILED", "TERMINATED"):
+            raise HTTPException(
+                status_code=status.HTTP_409_CONFLICT,
+                detail=f"Orchestration {instance_id} is {state.runtime_status.name} - terminate it before purging"
+            )
+        await asyncio.to_thread(client.purge_orchestration, instance_id)
+        logger.info(f"Admin {admin_name(admin)} purged orchestration {instance_id}")
+        return ApprovalResponse(id=instance_id, action="purged", message=f"Orchestration {instance_id} purged.")
+    except HTTPException:
+        raise
+    except Exception as e:
+        logger.error(f"Failed to purge {instance_id}: {e}")
+        raise HTTPException(
+            status_code=status.HTTP_500_INTERNAL_SERVER_ERROR,
+            detail=f"Failed to purge the orchestration: {str(e)}"
+        )
+
+
 if __name__ == "__main__":
     import uvicorn
     uvicorn.run(app, host="0.0.0.0", port=8000)
@@ -0,0 +1,181 @@
+"""
+Cost parsing for the free-text costs the agents return ("25 EUR (27 USD)",
+"$45 per person", "1.500 €", "Free").
+
+The booking step uses it to total the approved itinerary itself instead of
+trusting the figure the client sends. Costs are read like parseCost in
+src/frontend/src/utils/costs.js, and approved_total_cost works the total out
+like approvedTotal in src/frontend/src/utils/approval.js, so the total checked
+against a spending cap is the one the reviewer saw.
+"""
+import re
+from typing import Iterable, Optional
+
+from tools.currency_converter import _FALLBACK_RATES
+
+# Symbols the agents use in place of a currency code. Multi-character symbols
+# come first so "C$" is not read as "$".
+CURRENCY_SYMBOLS = [
+    ("C$", "CAD"),
+    ("A$", "AUD"),
+    ("NZ$", "NZD"),
+    ("HK$", "HKD"),
+    ("S$", "SGD"),
+    ("MX$", "MXN"),
+    ("R$", "BRL"),
+    ("$", "USD"),
+    ("€", "EUR"),
+    ("£", "GBP"),
+    ("¥", "JPY"),
+    ("₹", "INR"),
+    ("₩", "KRW"),
+    ("฿", "THB"),
+]
+
+CURRENCY_WORDS = {
+    "dollar": "USD",
+    "dollars": "USD",
+    "dólar": "USD",
+    "dólares": "USD",
+    "euro": "EUR",
+    "euros": "EUR",
+    "pound": "GBP",
+    "pounds": "GBP",
+    "libra": "GBP",
+    "libras": "GBP",
+    "livre": "GBP",
+    "livres": "GBP",
+    "yen": "JPY",
+    "yens": "JPY",
+}
+
+_SYMBOL = "|".join(re.escape(symbol) for symbol, _ in CURRENCY_SYMBOLS)
+_NUMBER = r"\d{1,3}(?:[.,\u00a0\u202f ]\d{3})+(?:[.,]\d{1,2})?(?!\d)|\d+(?:[.,]\d+)?"
+
+# Symbol or ISO code before the amount, optional "k", optional range end, and
+# a code, word or symbol after it - the same shapes as AMOUNT_PATTERN in costs.js
+_AMOUNT = re.compile(
+    rf"(?:({_SYMBOL})|\b([A-Z]{{3}})\s)?\s*({_NUMBER})(\s*k\b)?"
+    rf"(?:\s*(?:-|–|to)\s*(?:{_SYMBOL}|[A-Z]{{3}}\s)?\s*({_NUMBER})(\s*k\b)?)?"
+    rf"\s*(?:({_SYMBOL})(?!\s*\d)|([A-Z]{{3}}\b|[^\W\d_]+))?"
+)
+
+_FREE = re.compile(r"^(free|no charge|included)\b", re.IGNORECASE)
+
+
+def _to_number(digits: str, thousands: bool) -> float:
+    """Read English ("1,500.50") and European ("1.500,50", "1 500") numbers."""
+    compact = re.sub(r"[\u00a0\u202f ]", "", digits)
+    separators = re.findall(r"[.,]", compact)
+    if len(set(separators)) > 1:
+        decimal = "." if compact.rfind(".") > compact.rfind(",") else ","
+        normalized = compact.replace("," if decimal == "." else ".", "").replace(",", ".")
+    elif len(separators) > 1 or re.fullmatch(r"\d{1,3}[.,]\d{3}", compact):
+        normalized = re.sub(r"[.,]", "", compact)
+    else:
+        normalized = compact.replace(",", ".")
+    return float(normalized) * (1000 if thousands else 1)
+
+
+def _symbol_currency(symbol: Optional[str]) -> Optional[str]:
+    return next((code for s, code in CURRENCY_SYMBOLS if s == symbol), None)
+
+
+def parse_cost(text: Optional[str]) -> Optional[tuple[float, Optional[str]]]:
+    """First amount in a cost string as (amount, currency), or None.
+
+    "Free" is (0, None); ranges count as their midpoint; the currency is None
+    when the text does not name one.
+    """
+    if not text or not str(text).strip():
+        return None
+    value = str(text).strip()
+    if _FREE.match(value):
+        return 0.0, None
+
+    match = _AMOUNT.search(value)
+    if not match:
+        return None
+    symbol, prefix_code, low, low_k, high, high_k, suffix_symbol, suffix = match.groups()
+    amount = _to_number(low, bool(low_k))
+    if high:
+        amount = (amount + _to_number(high, bool(high_k or low_k))) / 2
+    suffix_code = None
+    if suffix:
+        suffix_code = suffix if suffix in _FALLBACK_RATES else CURRENCY_WORDS.get(suffix.lower())
+    currency = (
+        suffix_code
+        or _symbol_currency(suffix_symbol)
+        or _symbol_currency(symbol)
+        or (prefix_code if prefix_code in _FALLBACK_RATES else None)
+    )
+    return amount, currency
+
+
+def convert_amount(amount: float, from_currency: Optional[str], to_currency: Optional[str]) -> float:
+    """Convert through USD with the fallback rates; unknown currencies are unchanged."""
+    if not from_currency or not to_currency or from_currency == to_currency:
+        return amount
+    if from_currency not in _FALLBACK_RATES or to_currency not in _FALLBACK_RATES:
+        return amount
+    return amount * _FALLBACK_RATES[to_currency] / _FALLBACK_RATES[from_currency]
+
+
+def first_currency(costs: Iterable[str]) -> Optional[str]:
+    """Currency the costs are mostly priced in - the first one they name."""
+    for text in costs:
+        cost = parse_cost(text)
+        if cost and cost[1]:
+            return cost[1]
+    return None
+
+
+def total_cost(costs: Iterable[str], currency: str, plan_currency: Optional[str] = None) -> Optional[float]:
+    """Sum cost strings in `currency`.
+
+    Costs without a currency are taken to be in `plan_currency` (the first
+    currency named, when not given). Unpriced entries ("Varies") are skipped.
+
+    Returns:
+        The total, or None when none of the costs holds an amount
+    """
+    costs = list(costs)
+    parsed = [cost for cost in (parse_cost(text) for text in costs) if cost]
+    if not parsed:
+        return None
+    plan_currency = plan_currency or first_currency(costs) or currency
+    return sum(convert_amount(amount, c or plan_currency, currency) for amount, c in parsed)
+
+
+def approved_total_cost(
+    stated_total: Optional[str],
+    planned_costs: Iterable[str],
+    kept_costs: Iterable[str],
+    currency: str,
+    plan_currency: Optional[str] = None
+) -> Optional[float]:
+    """Cost of the trip as approved, in `currency`.
+
+    The itinerary's own total (lodging and transport included) less the
+    activities the reviewer left out; the activities kept when the itinerary
+    gives no total.
+
+    Args:
+        stated_total: The itinerary's estimated total cost
+        planned_costs: Costs of every activity in the plan shown for approval
+        kept_costs: Costs of the activities left after the reviewer's drops
+        currency: Currency to total in
+        plan_currency: Currency of costs that do not name one
+
+    Returns:
+        The total, or None when neither the itinerary nor the kept activities give one
+    """
+    planned_costs, kept_costs = list(planned_costs), list(kept_costs)
+    plan_currency = plan_currency or first_currency([*planned_costs, stated_total or ""]) or currency
+    kept = total_cost(kept_costs, currency, plan_currency)
+    stated = parse_cost(stated_total)
+    if not stated:
+        return kept
+    planned = total_cost(planned_costs, currency, plan_currency) or 0.0
+    amount, stated_currency = stated
+    return convert_amount(amount, stated_currency or plan_currency, currency) - (planned - (kept or 0.0))
@@ -15,6 +15,9 @@ class TravelRequest(BaseModel):
     budget: str = ""
     travel_dates: str = Field(alias="travelDates", default="")
     special_requirements: str = Field(alias="specialRequirements", default="")
+    locale: str = "en"
+    notify_team: bool = Field(alias="notifyTeam", default=False)
+    choose_destination: bool = Field(alias="chooseDestination", default=False)
 
     class Config:
         populate_by_name = True
@@ -124,6 +127,7 @@ class BookingResult(BaseModel):
     status: str = ""
     destination: str = ""
     total_cost: str = ""
+    travel_dates: str = ""
     confirmation_number: str = ""
     booking_date: str = ""
     message: str = ""
@@ -155,6 +159,7 @@ class TravelPlanResult(BaseModel):
     booking_result: Optional[BookingResult] = Field(alias="BookingResult", default=None)
     booking_confirmation: str = Field(alias="BookingConfirmation", default="")
     document_url: str = Field(alias="DocumentUrl", default="")
+    agent_runs: List[dict] = Field(alias="AgentRuns", default_factory=list)
 
     class Config:
         populate_by_name = True
@@ -0,0 +1,121 @@
+"""
+Team notifications - posts plan milestones to an incoming webhook.
+
+Plans started with ``notifyTeam`` report when they are ready for approval,
+being booked, booked, or failed. The webhook is configured on the worker:
+
+- NOTIFICATION_WEBHOOK_URL: where to post (notifications are off when empty)
+- NOTIFICATION_WEBHOOK_FORMAT: ``slack`` (default), ``teams`` or ``json``
+- FRONTEND_URL: base URL of the web app, for links to the plan
+"""
+import logging
+import os
+from datetime import datetime, timezone
+from typing import Optional
+
+import httpx
+
+logger = logging.getLogger(__name__)
+
+WEBHOOK_URL = os.getenv("NOTIFICATION_WEBHOOK_URL", "")
+WEBHOOK_FORMAT = os.getenv("NOTIFICATION_WEBHOOK_FORMAT", "slack")
+WEBHOOK_TIMEOUT_SECONDS = float(os.getenv("NOTIFICATION_WEBHOOK_TIMEOUT_SECONDS", "10"))
+FRONTEND_URL = os.getenv("FRONTEND_URL", "")
+
+WEBHOOK_FORMATS = {"slack", "teams", "json"}
+
+# Steps worth telling the team about, with the headline used for each
+EVENT_TITLES = {
+    "WaitingForApproval": "Travel plan ready for approval",
+    "BookingTrip": "Travel plan approved - booking the trip",
+    "Completed": "Trip booked",
+    "Error": "Travel planning failed",
+}
+
+
+def plan_url(instance_id: str, frontend_url: str = FRONTEND_URL) -> Optional[str]:
+    """Link to the plan in the web app, when FRONTEND_URL is set."""
+    if not frontend_url:
+        return None
+    return f"{frontend_url.rstrip('/')}/plan/{instance_id}"
+
+
+def build_event(
+    instance_id: str,
+    step: str,
+    message: str,
+    destination: str = "",
+    user_name: str = "",
+) -> dict:
+    """The notification for one step, in the shape of the ``json`` format."""
+    return {
+        "event": step,
+        "title": EVENT_TITLES.get(step, step),
+        "instanceId": instance_id,
+        "destination": destination,
+        "userName": user_name,
+        "message": message,
+        "planUrl": plan_url(instance_id),
+        "timestamp": datetime.now(timezone.utc).strftime("%Y-%m-%dT%H:%M:%SZ"),
+    }
+
+
+def build_payload(event: dict, fmt: str = WEBHOOK_FORMAT) -> dict:
+    """Webhook body for ``event`` in the given format.
+
+    Slack and Teams incoming webhooks take a short text message; ``json``
+    posts the event as it is, for custom receivers.
+    """
+    if fmt == "json":
+        return event
+
+    who = f" for {event['userName']}" if event.get("userName") else ""
+    where = f" to {event['destination']}" if event.get("destination") else ""
+    summary = f"{event['title']}: trip{where}{who}."
+
+    if fmt == "teams":
+        card = {
+            "@type": "MessageCard",
+            "@context": "https://schema.org/extensions",
+            "summary": summary,
+            "title": event["title"],
+            "text": f"{summary}\n\n{event['message']}",
+        }
+        if event.get("planUrl"):
+            card["potentialAction"] = [{
+                "@type": "OpenUri",
+                "name": "Open the plan",
+                "targets": [{"os": "default", "uri": event["planUrl"]}],
+            }]
+        return card
+
+    link = f"\n<{event['planUrl']}|Open the plan>" if event.get("planUrl") else ""
+    return {"text": f"*{summary}*\n{event['message']}{link}"}
+
+
+def send_webhook(
+    event: dict,
+    url: str = WEBHOOK_URL,
+    fmt: str = WEBHOOK_FORMAT,
+    timeout: float = WEBHOOK_TIMEOUT_SECONDS,
+) -> dict:
+    """Post ``event`` to the webhook.
+
+    Never raises: a notification that cannot be delivered must not fail the
+    plan. Returns ``{"status": "sent" | "skipped" | "failed", ...}``.
+    """
+    if not url:
+        return {"status": "skipped", "reason": "NOTIFICATION_WEBHOOK_URL is not set"}
+    if fmt not in WEBHOOK_FORMATS:
+        logger.warning(f"Unknown NOTIFICATION_WEBHOOK_FORMAT {fmt!r}; using slack")
+        fmt = "slack"
+
+    try:
+        response = httpx.post(url, json=build_payload(event, fmt), timeout=timeout)
+        response.raise_for_status()
+    except httpx.HTTPError as ex:
+        logger.warning(f"Could not deliver the {event.get('event')} notification for {event.get('instanceId')}: {ex}")
+        return {"status": "failed", "error": str(ex)}
+
+    logger.info(f"Sent the {event.get('event')} notification for {event.get('instanceId')}")
+    return {"status": "sent", "statusCode": response.status_code}
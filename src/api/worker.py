@@ -15,7 +15,7 @@ import os
 import logging
 import random
 from collections.abc import Generator
-from datetime import timedelta
+from datetime import datetime, timedelta, timezone
 from pathlib import Path
 from typing import Any
 
@@ -36,6 +36,8 @@ from models.travel_models import (
     TravelPlanResult,
 )
 from tools.currency_converter import convert_currency, get_exchange_rate
+from notifications import build_event, send_webhook
+from costs import approved_total_cost, first_currency
 
 # Load environment variables from project root
 env_path = Path(__file__).parent.parent / '.env'
@@ -48,6 +50,147 @@ logging.basicConfig(
 )
 logger = logging.getLogger(__name__)
 
+# How long a plan waits for the user's decision before it expires
+APPROVAL_TIMEOUT = timedelta(hours=24)
+
+# How long the user has to pick a destination before the top match is used
+DESTINATION_CHOICE_TIMEOUT = timedelta(minutes=10)
+
+# Longest raw agent response kept in an agent run when it could not be parsed
+AGENT_RAW_RESPONSE_LIMIT = 2000
+
+# Languages the UI is offered in, by locale
+LANGUAGE_NAMES = {"en": "English", "es": "Spanish", "fr": "French"}
+
+
+def language_instruction(locale: str) -> str:
+    """Prompt suffix asking an agent to answer in the user's language.
+    
+    Args:
+        locale: The TravelRequest locale, e.g. "es" or "fr-CA"
+        
+    Returns:
+        An instruction to append to the prompt, or "" for English and unknown locales
+    """
+    language = LANGUAGE_NAMES.get((locale or "en").split("-")[0].lower())
+    if not language or language == "English":
+        return ""
+    return (
+        f"\n\nWrite all descriptions, reasoning and tips in {language}. "
+        "Keep the JSON field names, times and currency codes unchanged."
+    )
+
+
+def apply_removed_items(
+    itinerary: Itinerary | None,
+    local_recs: LocalRecommendations | None,
+    removed_items: list[dict]
+) -> tuple[Itinerary | None, LocalRecommendations | None]:
+    """Drop the items the reviewer removed when approving.
+    
+    Args:
+        itinerary: The itinerary shown for approval
+        local_recs: The local recommendations shown for approval
+        removed_items: Items as {"type": "activity" | "attraction" | "restaurant", "name", "day", "index"},
+            found by position like listPlanItems in src/frontend/src/utils/approval.js:
+            "index" in the day's activities, or in the attractions or restaurants
+    
+    Returns:
+        Copies of the itinerary and recommendations without the removed items
+    """
+    if not removed_items:
+        return itinerary, local_recs
+    
+    removed_activities = {(item.get("day"), item.get("index")) for item in removed_items if item.get("type") == "activity"}
+    removed_attractions = {item.get("index") for item in removed_items if item.get("type") == "attraction"}
+    removed_restaurants = {item.get("index") for item in removed_items if item.get("type") == "restaurant"}
+    
+    if itinerary:
+        itinerary = itinerary.model_copy(update={
+            "daily_plan": [
+                day.model_copy(update={
+                    "activities": [a for i, a in enumerate(day.activities) if (day.day, i) not in removed_activities]
+                })
+                for day in itinerary.daily_plan
+            ]
+        })
+    if local_recs:
+        local_recs = local_recs.model_copy(update={
+            "attractions": [a for i, a in enumerate(local_recs.attractions) if i not in removed_attractions],
+            "restaurants": [r for i, r in enumerate(local_recs.restaurants) if i not in removed_restaurants]
+        })
+    return itinerary, local_recs
+
+
+def build_travel_plan_status(
+    itinerary: Itinerary | None,
+    local_recs: LocalRecommendations | None
+) -> dict:
+    """Build the travelPlan shown to the reviewer in the custom status.
+    
+    Args:
+        itinerary: The current itinerary
+        local_recs: The current local recommendations
+    
+    Returns:
+        The travelPlan dict for the WaitingForApproval status
+    """
+    return {
+        "dates": itinerary.travel_dates if itinerary else "TBD",
+        "cost": itinerary.estimated_total_cost if itinerary else "TBD",
+        "dailyPlan": [day.model_dump(by_alias=True) for day in itinerary.daily_plan] if itinerary else [],
+        "attractions": [a.model_dump(by_alias=True) for a in local_recs.attractions] if local_recs else [],
+        "restaurants": [r.model_dump(by_alias=True) for r in local_recs.restaurants] if local_recs else [],
+        "insiderTips": local_recs.insider_tips if local_recs else ""
+    }
+
+
+def agent_run_record(
+    agent: str,
+    step: str,
+    inputs: dict,
+    prompt: str,
+    started_at: datetime,
+    finished_at: datetime,
+    result: Any,
+    output: Any,
+    revision: int = 0
+) -> dict:
+    """Describe one agent call for the plan's "How this plan was made" panel.
+    
+    Times come from the orchestration context, so the record is the same
+    when the orchestration replays.
+    
+    Args:
+        agent: Name of the agent that was called
+        step: Orchestration step the call belongs to
+        inputs: The TravelRequest fields (and earlier choices) the prompt was built from
+        prompt: The prompt sent to the agent
+        started_at: When the call was scheduled
+        finished_at: When its response arrived
+        result: The raw agent response
+        output: The response parsed by parse_agent_response (None when it failed)
+        revision: Plan revision the call produced (0 for the first plan)
+        
+    Returns:
+        The agent run, with the raw response added when it could not be parsed
+    """
+    record = {
+        "agent": agent,
+        "step": step,
+        "revision": revision,
+        "inputs": inputs,
+        "prompt": prompt,
+        "output": output.model_dump(by_alias=True) if hasattr(output, "model_dump") else None,
+        "startedAt": started_at.strftime("%Y-%m-%dT%H:%M:%SZ"),
+        "finishedAt": finished_at.strftime("%Y-%m-%dT%H:%M:%SZ"),
+        "durationSeconds": round((finished_at - started_at).total_seconds(), 1)
+    }
+    if record["output"] is None:
+        raw_text = getattr(result, "text", result)
+        record["rawResponse"] = str(raw_text)[:AGENT_RAW_RESPONSE_LIMIT]
+    return record
+
 
 def parse_agent_response(result: Any, model_class: type) -> Any:
     """Parse agent response to extract and validate the model.
@@ -277,6 +420,23 @@ Return your response as a JSON object with this structure:
 
 # ================== Travel Planner Orchestration ==================
 
+def team_notification(
+    ctx: OrchestrationContext,
+    travel_request: TravelRequest,
+    step: str,
+    message: str,
+    destination: str = ""
+) -> Task[Any]:
+    """Schedule the notify_team activity for a plan milestone."""
+    return ctx.call_activity(notify_team, input={
+        "instance_id": ctx.instance_id,
+        "step": step,
+        "message": message,
+        "destination": destination,
+        "user_name": travel_request.user_name
+    })
+
+
 def travel_planner_orchestration(
     ctx: OrchestrationContext,
     input_data: dict
@@ -285,9 +445,12 @@ def travel_planner_orchestration(
     
     This orchestration:
     1. Gets destination recommendations from the Destination Recommender Agent
+       and goes with the top match, or - when the request asks to choose - lets
+       the user pick one (the top match when no choice arrives in time)
     2. Creates an itinerary using the Itinerary Planner Agent
     3. Gets local recommendations from the Local Recommendations Agent
-    4. Waits for human approval with timeout
+    4. Waits for human approval with timeout, revising the plan with the
+       itinerary and local agents whenever the user sends a refinement request
     5. Books the trip if approved
     
     Args:
@@ -310,10 +473,25 @@ def travel_planner_orchestration(
     
     # Parse travel request
     travel_request = TravelRequest(**input_data) if isinstance(input_data, dict) else input_data
+    # Every agent call with its inputs, output and timing, shown in the UI's
+    # "How this plan was made" panel. They grow with every refinement, so they
+    # go in the output (AgentRuns) rather than the custom status every poll reads.
+    agent_runs = []
+    # Steps reached so far with the time each started, for the UI's timeline
+    step_history = []
+    
+    def set_status(status: dict) -> None:
+        """Set the custom status, recording the start of each new step in stepHistory."""
+        if not step_history or step_history[-1]["step"] != status["step"]:
+            step_history.append({
+                "step": status["step"],
+                "startedAt": ctx.current_utc_datetime.strftime("%Y-%m-%dT%H:%M:%SZ")
+            })
+        ctx.set_custom_status({**status, "stepHistory": list(step_history)})
     
     try:
         # Set initial status
-        ctx.set_custom_status({
+        set_status({
             "step": "GettingDestinations",
             "message": "Finding perfect destinations for you..."
         })
@@ -331,8 +509,9 @@ Budget: {travel_request.budget}
 Travel Dates: {travel_request.travel_dates}
 Special Requirements: {travel_request.special_requirements}
 
-Provide detailed explanations for each recommendation highlighting why it matches the user's preferences."""
+Provide detailed explanations for each recommendation highlighting why it matches the user's preferences.{language_instruction(travel_request.locale)}"""
 
+        started_at = ctx.current_utc_datetime
         destinations_result = yield destination_agent.run(
             messages=destination_prompt,
             session=destination_session
@@ -340,20 +519,68 @@ Provide detailed explanations for each recommendation highlighting why it matche
         
         # Parse the agent response using helper
         destinations = parse_agent_response(destinations_result, DestinationRecommendations)
+        agent_runs = agent_runs + [agent_run_record(
+            "DestinationRecommenderAgent", "GettingDestinations",
+            {
+                "userName": travel_request.user_name,
+                "preferences": travel_request.preferences,
+                "durationInDays": travel_request.duration_in_days,
+                "budget": travel_request.budget,
+                "travelDates": travel_request.travel_dates,
+                "specialRequirements": travel_request.special_requirements,
+                "locale": travel_request.locale
+            },
+            destination_prompt, started_at, ctx.current_utc_datetime, destinations_result, destinations
+        )]
         
         if not destinations or not destinations.recommendations:
             logger.error(f"No destinations found. Raw result: {destinations_result}")
-            return {"error": "No destinations found"}
+            set_status({
+                "step": "Error",
+                "message": "No destinations found"
+            })
+            return {"error": "No destinations found", "AgentRuns": agent_runs}
         
-        # Get top destination
+        # Go with the top match, unless the request asked to choose: then offer
+        # all candidates and wait for the user's pick, falling back to the top match
         top_destination = destinations.recommendations[0]
-        logger.info(f"Top destination: {top_destination.destination_name}")
+        destination_options = [r.model_dump(by_alias=True) for r in destinations.recommendations]
+        if travel_request.choose_destination:
+            choice_deadline = ctx.current_utc_datetime + DESTINATION_CHOICE_TIMEOUT
+            set_status({
+                "step": "ChoosingDestination",
+                "message": "Compare the recommended destinations and pick one for your itinerary.",
+                "destination": top_destination.destination_name,
+                "destinations": destination_options,
+                "choiceDeadline": choice_deadline.strftime("%Y-%m-%dT%H:%M:%SZ")
+            })
+        
+            choice_task = ctx.wait_for_external_event("DestinationChosenEvent")
+            choice_timeout_task = ctx.create_timer(choice_deadline)
+            choice_winner = yield when_any([choice_task, choice_timeout_task])
+        
+            if choice_winner == choice_task:
+                choice = choice_task.get_result()
+                if isinstance(choice, str):
+                    import json
+                    try:
+                        choice = json.loads(choice)
+                    except Exception:
+                        choice = {}
+                chosen_name = (choice or {}).get("destinationName")
+                top_destination = next(
+                    (r for r in destinations.recommendations if r.destination_name == chosen_name),
+                    top_destination
+                )
+        
+        logger.info(f"Chosen destination: {top_destination.destination_name}")
         
         # Update status
-        ctx.set_custom_status({
+        set_status({
             "step": "CreatingItinerary",
             "message": f"Creating itinerary for {top_destination.destination_name}...",
-            "destination": top_destination.destination_name
+            "destination": top_destination.destination_name,
+            "destinations": destination_options
         })
         
         # Step 2: Create itinerary for top destination
@@ -367,8 +594,9 @@ Budget: {travel_request.budget}
 Travel Dates: {travel_request.travel_dates}
 Special Requirements: {travel_request.special_requirements}
 
-Include a mix of sightseeing, cultural activities, and relaxation time with realistic costs."""
+Include a mix of sightseeing, cultural activities, and relaxation time with realistic costs.{language_instruction(travel_request.locale)}"""
 
+        started_at = ctx.current_utc_datetime
         itinerary_result = yield itinerary_agent.run(
             messages=itinerary_prompt,
             session=itinerary_session
@@ -376,12 +604,25 @@ Include a mix of sightseeing, cultural activities, and relaxation time with real
         
         # Parse the agent response using helper
         itinerary = parse_agent_response(itinerary_result, Itinerary)
+        agent_runs = agent_runs + [agent_run_record(
+            "ItineraryPlannerAgent", "CreatingItinerary",
+            {
+                "destination": top_destination.destination_name,
+                "durationInDays": travel_request.duration_in_days,
+                "budget": travel_request.budget,
+                "travelDates": travel_request.travel_dates,
+                "specialRequirements": travel_request.special_requirements,
+                "locale": travel_request.locale
+            },
+            itinerary_prompt, started_at, ctx.current_utc_datetime, itinerary_result, itinerary
+        )]
         
         # Update status
-        ctx.set_custom_status({
+        set_status({
             "step": "GettingLocalRecommendations",
             "message": f"Getting local tips for {top_destination.destination_name}...",
-            "destination": top_destination.destination_name
+            "destination": top_destination.destination_name,
+            "destinations": destination_options
         })
         
         # Step 3: Get local recommendations
@@ -393,8 +634,9 @@ Include a mix of sightseeing, cultural activities, and relaxation time with real
 Duration of Stay: {travel_request.duration_in_days} days
 Include: Hidden gems, family-friendly options, authentic local experiences
 
-Provide authentic local attractions, restaurants, and insider tips."""
+Provide authentic local attractions, restaurants, and insider tips.{language_instruction(travel_request.locale)}"""
 
+        started_at = ctx.current_utc_datetime
         local_result = yield local_agent.run(
             messages=local_prompt,
             session=local_session
@@ -402,33 +644,119 @@ Provide authentic local attractions, restaurants, and insider tips."""
         
         # Parse the agent response using helper
         local_recs = parse_agent_response(local_result, LocalRecommendations)
+        agent_runs = agent_runs + [agent_run_record(
+            "LocalRecommendationsAgent", "GettingLocalRecommendations",
+            {
+                "destination": top_destination.destination_name,
+                "durationInDays": travel_request.duration_in_days,
+                "locale": travel_request.locale
+            },
+            local_prompt, started_at, ctx.current_utc_datetime, local_result, local_recs
+        )]
         
         logger.info("Local recommendations received")
         
-        # Update status to waiting for approval
-        ctx.set_custom_status({
+        # Update status to waiting for approval, with the deadline the UI counts down to
+        approval_deadline = ctx.current_utc_datetime + APPROVAL_TIMEOUT
+        approval_deadline_iso = approval_deadline.strftime("%Y-%m-%dT%H:%M:%SZ")
+        refinements = []
+        set_status({
             "step": "WaitingForApproval",
             "message": "Your travel plan is ready! Please review and approve.",
             "destination": top_destination.destination_name,
-            "travelPlan": {
-                "dates": itinerary.travel_dates if itinerary else "TBD",
-                "cost": itinerary.estimated_total_cost if itinerary else "TBD",
-                "dailyPlan": [day.model_dump(by_alias=True) for day in itinerary.daily_plan] if itinerary else [],
-                "attractions": [a.model_dump(by_alias=True) for a in local_recs.attractions] if local_recs else [],
-                "restaurants": [r.model_dump(by_alias=True) for r in local_recs.restaurants] if local_recs else [],
-                "insiderTips": local_recs.insider_tips if local_recs else ""
-            }
+            "destinations": destination_options,
+            "approvalDeadline": approval_deadline_iso,
+            "revision": 0,
+            "refinements": refinements,
+            "travelPlan": build_travel_plan_status(itinerary, local_recs)
         })
+        if travel_request.notify_team:
+            yield team_notification(
+                ctx, travel_request, "WaitingForApproval",
+                "The travel plan is ready for review.", top_destination.destination_name
+            )
         
         logger.info("Waiting for approval event...")
         
         # Step 4: Wait for approval event with timeout
         approval_task = ctx.wait_for_external_event("ApprovalEvent")
-        timeout_task = ctx.create_timer(ctx.current_utc_datetime + timedelta(hours=24))
+        timeout_task = ctx.create_timer(approval_deadline)
         
         logger.info("Created approval task and timeout task, yielding when_any...")
         
-        winner = yield when_any([approval_task, timeout_task])
+        # Refinement requests revise the plan in place until a decision or the deadline arrives
+        while True:
+            refinement_task = ctx.wait_for_external_event("RefinementEvent")
+            winner = yield when_any([approval_task, refinement_task, timeout_task])
+            if winner != refinement_task:
+                break
+            
+            refinement = refinement_task.get_result()
+            if isinstance(refinement, str):
+                import json
+                try:
+                    refinement = json.loads(refinement)
+                except Exception:
+                    refinement = {"message": refinement}
+            request_text = (refinement or {}).get("message", "").strip()
+            if not request_text:
+                continue
+            
+            logger.info(f"Refinement request received: {request_text}")
+            refinements = refinements + [{"revision": len(refinements) + 1, "message": request_text}]
+            set_status({
+                "step": "RefiningPlan",
+                "message": f"Revising your plan: {request_text}",
+                "destination": top_destination.destination_name,
+                "destinations": destination_options,
+                "approvalDeadline": approval_deadline_iso,
+                "revision": len(refinements) - 1,
+                "refinements": refinements,
+                "travelPlan": build_travel_plan_status(itinerary, local_recs)
+            })
+            
+            # Both agents keep their sessions, so they revise what they proposed earlier
+            refinement_inputs = {"destination": top_destination.destination_name, "request": request_text}
+            revision_prompt = f"""The traveller asked for this change: {request_text}
+
+Return the complete revised itinerary in the same format. Keep the days and activities the request does not affect unchanged."""
+            started_at = ctx.current_utc_datetime
+            itinerary_result = yield itinerary_agent.run(
+                messages=revision_prompt,
+                session=itinerary_session
+            )
+            revised_itinerary = parse_agent_response(itinerary_result, Itinerary)
+            agent_runs = agent_runs + [agent_run_record(
+                "ItineraryPlannerAgent", "RefiningPlan", refinement_inputs, revision_prompt,
+                started_at, ctx.current_utc_datetime, itinerary_result, revised_itinerary, len(refinements)
+            )]
+            itinerary = revised_itinerary or itinerary
+            
+            revision_prompt = f"""The traveller asked for this change: {request_text}
+
+Return the complete revised recommendations in the same format. Keep the attractions and restaurants the request does not affect unchanged."""
+            started_at = ctx.current_utc_datetime
+            local_result = yield local_agent.run(
+                messages=revision_prompt,
+                session=local_session
+            )
+            revised_local_recs = parse_agent_response(local_result, LocalRecommendations)
+            agent_runs = agent_runs + [agent_run_record(
+                "LocalRecommendationsAgent", "RefiningPlan", refinement_inputs, revision_prompt,
+                started_at, ctx.current_utc_datetime, local_result, revised_local_recs, len(refinements)
+            )]
+            local_recs = revised_local_recs or local_recs
+            
+            set_status({
+                "step": "WaitingForApproval",
+                "message": "Your revised travel plan is ready! Please review and approve.",
+                "destination": top_destination.destination_name,
+                "destinations": destination_options,
+                "approvalDeadline": approval_deadline_iso,
+                "revision": len(refinements),
+                "refinements": refinements,
+                "travelPlan": build_travel_plan_status(itinerary, local_recs)
+            })
         
         logger.info(f"when_any returned, winner is approval_task: {winner == approval_task}")
         
@@ -447,29 +775,85 @@ Provide authentic local attractions, restaurants, and insider tips."""
                     approval_result = {"approved": False, "comments": "Invalid approval format"}
             
             if approval_result.get("approved", False):
-                # Step 5: Book the trip
-                ctx.set_custom_status({
+                # Step 5: Book the trip, without the items the reviewer dropped
+                set_status({
                     "step": "BookingTrip",
                     "message": f"Booking your trip to {top_destination.destination_name}...",
                     "destination": top_destination.destination_name
                 })
+                if travel_request.notify_team:
+                    yield team_notification(
+                        ctx, travel_request, "BookingTrip",
+                        "The plan was approved and the trip is being booked.", top_destination.destination_name
+                    )
+                
+                planned_activity_costs = [
+                    activity.estimated_cost
+                    for day in itinerary.daily_plan
+                    for activity in day.activities
+                ] if itinerary else []
+                itinerary, local_recs = apply_removed_items(
+                    itinerary, local_recs, approval_result.get("removedItems") or []
+                )
+                activity_costs = [
+                    activity.estimated_cost
+                    for day in itinerary.daily_plan
+                    for activity in day.activities
+                ] if itinerary else []
                 
                 booking_request = {
                     "destination_name": top_destination.destination_name,
                     "estimated_cost": itinerary.estimated_total_cost if itinerary else "TBD",
                     "travel_dates": itinerary.travel_dates if itinerary else "TBD",
                     "user_name": travel_request.user_name,
-                    "approval_comments": approval_result.get("comments", "")
+                    "approval_comments": approval_result.get("comments", ""),
+                    "removed_items": approval_result.get("removedItems") or [],
+                    "spending_cap": approval_result.get("spendingCap"),
+                    "currency": approval_result.get("currency"),
+                    "planned_activity_costs": planned_activity_costs,
+                    "activity_costs": activity_costs
                 }
                 
                 booking_result = yield ctx.call_activity(book_trip, input=booking_request)
                 
-                ctx.set_custom_status({
+                if booking_result.get("status") != "confirmed":
+                    set_status({
+                        "step": "Error",
+                        "message": booking_result.get("message") or booking_result.get("error", "Booking failed."),
+                        "destination": top_destination.destination_name
+                    })
+                    if travel_request.notify_team:
+                        yield team_notification(
+                            ctx, travel_request, "Error",
+                            booking_result.get("message") or booking_result.get("error", "Booking failed."),
+                            top_destination.destination_name
+                        )
+                    return {
+                        "error": booking_result.get("message") or booking_result.get("error", "Booking failed."),
+                        "AgentRuns": agent_runs
+                    }
+                
+                set_status({
                     "step": "Completed",
                     "message": "Your trip has been booked!",
                     "destination": top_destination.destination_name,
-                    "booking_id": booking_result.get("booking_id", "N/A")
+                    "booking_id": booking_result.get("booking_id", "N/A"),
+                    "booking": {
+                        "bookingId": booking_result.get("booking_id", ""),
+                        "confirmationNumber": booking_result.get("confirmation_number", ""),
+                        "destination": booking_result.get("destination", top_destination.destination_name),
+                        "travelDates": booking_result.get("travel_dates", ""),
+                        "totalCost": booking_result.get("total_cost", ""),
+                        "bookingDate": booking_result.get("booking_date", ""),
+                        "message": booking_result.get("message", ""),
+                        "nextSteps": booking_result.get("next_steps", "")
+                    }
                 })
+                if travel_request.notify_team:
+                    yield team_notification(
+                        ctx, travel_request, "Completed",
+                        f"Booking ID: {booking_result.get('booking_id', 'N/A')}", top_destination.destination_name
+                    )
                 
                 # Build final result
                 result = TravelPlanResult(
@@ -483,16 +867,18 @@ Provide authentic local attractions, restaurants, and insider tips."""
                     ),
                     booking_result=BookingResult(**booking_result),
                     booking_confirmation=f"Booking confirmed for your trip to {top_destination.destination_name}! Confirmation ID: {booking_result.get('booking_id', 'N/A')}",
-                    document_url=f"https://example.com/booking/{ctx.instance_id}"
+                    document_url=f"https://example.com/booking/{ctx.instance_id}",
+                    agent_runs=agent_runs
                 )
                 
                 return result.model_dump(by_alias=True)
             else:
                 # Not approved
-                ctx.set_custom_status({
+                set_status({
                     "step": "Rejected",
                     "message": "Travel plan was not approved.",
-                    "destination": top_destination.destination_name
+                    "destination": top_destination.destination_name,
+                    "feedback": approval_result.get("comments", "")
                 })
                 
                 result = TravelPlanResult(
@@ -501,19 +887,27 @@ Provide authentic local attractions, restaurants, and insider tips."""
                         itinerary=itinerary,
                         local_recommendations=local_recs
                     ),
-                    booking_confirmation=f"Travel plan was not approved. Comments: {approval_result.get('comments', 'No comments provided')}"
+                    booking_confirmation=f"Travel plan was not approved. Comments: {approval_result.get('comments', 'No comments provided')}",
+                    agent_runs=agent_runs
                 )
                 return result.model_dump(by_alias=True)
         else:
-            # Timeout - escalate for review
+            # Timeout - report the plan as expired so the UI can offer to regenerate it
             logger.info("Timeout task won - travel plan timed out")
+            set_status({
+                "step": "Expired",
+                "message": "Travel plan timed out waiting for approval.",
+                "destination": top_destination.destination_name,
+                "approvalDeadline": approval_deadline_iso
+            })
             result = TravelPlanResult(
                 plan=TravelPlan(
                     destination_recommendations=destinations,
                     itinerary=itinerary,
                     local_recommendations=local_recs
                 ),
-                booking_confirmation="Travel plan timed out waiting for approval."
+                booking_confirmation="Travel plan timed out waiting for approval.",
+                agent_runs=agent_runs
             )
             return result.model_dump(by_alias=True)
             
@@ -521,20 +915,57 @@ Provide authentic local attractions, restaurants, and insider tips."""
         import traceback
         logger.error(f"Orchestration error: {ex}")
         logger.error(f"Traceback: {traceback.format_exc()}")
-        ctx.set_custom_status({
+        set_status({
             "step": "Error",
             "message": str(ex)
         })
-        return {"error": str(ex)}
+        if travel_request.notify_team:
+            yield team_notification(ctx, travel_request, "Error", str(ex))
+        return {"error": str(ex), "AgentRuns": agent_runs}
 
 
 # ================== Activity Functions ==================
 
 def book_trip(ctx: ActivityContext, request: dict) -> dict:
-    """Book the trip - simulates a booking process."""
+    """Book the trip - simulates a booking process.
+    
+    The approved total is worked out here from the plan (see costs.approved_total),
+    never taken from the client: the itinerary's total less the activities the
+    reviewer left out. When the reviewer set a spending cap, a trip over it - or
+    one whose total cannot be worked out - is declined instead of booked.
+    """
     try:
         destination = request.get("destination_name", "Unknown")
         estimated_cost = request.get("estimated_cost", "TBD")
+        travel_dates = request.get("travel_dates", "TBD")
+        spending_cap = request.get("spending_cap")
+        planned_costs = request.get("planned_activity_costs") or []
+        activity_costs = request.get("activity_costs") or []
+        plan_currency = first_currency([*planned_costs, estimated_cost])
+        currency = request.get("currency") or plan_currency or "USD"
+        
+        approved_total = approved_total_cost(estimated_cost, planned_costs, activity_costs, currency, plan_currency)
+        # The itinerary's own figure stands unless the reviewer left activities out
+        if approved_total is not None and len(activity_costs) < len(planned_costs):
+            estimated_cost = f"{approved_total:.2f} {currency}"
+        
+        if spending_cap is not None:
+            if approved_total is None:
+                logger.info(f"Declined booking to {destination}: no priced total to check cap {spending_cap}")
+                return {
+                    "status": "declined",
+                    "destination": destination,
+                    "total_cost": estimated_cost,
+                    "message": f"The approved plan has no priced total, so it cannot be checked against your spending cap of {spending_cap:.2f} {currency}."
+                }
+            if approved_total > spending_cap:
+                logger.info(f"Declined booking to {destination}: {approved_total} exceeds cap {spending_cap}")
+                return {
+                    "status": "declined",
+                    "destination": destination,
+                    "total_cost": estimated_cost,
+                    "message": f"The approved plan costs about {approved_total:.2f} {currency}, over your spending cap of {spending_cap:.2f} {currency}."
+                }
         
         # Generate booking confirmation
         booking_id = f"TRV-{random.randint(100000, 999999)}"
@@ -546,8 +977,9 @@ def book_trip(ctx: ActivityContext, request: dict) -> dict:
             "status": "confirmed",
             "destination": destination,
             "total_cost": estimated_cost,
+            "travel_dates": travel_dates,
             "confirmation_number": booking_id,
-            "booking_date": "2025-08-07",
+            "booking_date": datetime.now(timezone.utc).date().isoformat(),
             "message": f"Trip to {destination} successfully booked!",
             "next_steps": "You will receive confirmation emails shortly with detailed itinerary and vouchers."
         }
@@ -556,6 +988,15 @@ def book_trip(ctx: ActivityContext, request: dict) -> dict:
         return {"status": "failed", "error": str(ex)}
 
 
+def notify_team(ctx: ActivityContext, request: dict) -> dict:
+    """Post a plan milestone to the team webhook (see notifications.py).
+    
+    Delivery problems are logged and reported in the result, never raised, so
+    a broken webhook cannot fail the plan.
+    """
+    return send_webhook(build_event(**request))
+
+
 # ================== Worker Setup ==================
 
 def get_worker(
@@ -616,6 +1057,8 @@ def setup_worker(worker: DurableTaskSchedulerWorker) -> DurableAIAgentWorker:
     logger.debug("Registering activity functions...")
     worker.add_activity(book_trip)  # type: ignore[arg-type]
     logger.debug("✓ Registered activity: book_trip")
+    worker.add_activity(notify_team)  # type: ignore[arg-type]
+    logger.debug("✓ Registered activity: notify_team")
     
     # Register the orchestration function
     logger.debug("Registering orchestration function...")
@@ -637,6 +1080,7 @@ def create_worker() -> DurableTaskSchedulerWorker:
     # Register the orchestration and activities (agents are registered separately)
     worker.add_orchestrator(travel_planner_orchestration)  # type: ignore[arg-type]
     worker.add_activity(book_trip)  # type: ignore[arg-type]
+    worker.add_activity(notify_team)  # type: ignore[arg-type]
     
     logger.info("Worker configured with orchestration and activities")
     
@@ -1,11 +1,29 @@
 #!/bin/sh
-# Inject runtime environment variables into config.js
-API_URL=${REACT_APP_API_URL:-http://localhost:8000}
+# Inject runtime environment variables into config.js. Each REACT_APP_<KEY>
+# that is set becomes <KEY>; the app validates the values (see
+# src/services/runtimeConfig.js) and falls back to its defaults.
+CONFIG_KEYS="API_URL POLL_INTERVAL_MS APPROVAL_WARNING_MINUTES SHOW_APPROVAL_COUNTDOWN \
+ENABLE_DESTINATION_PICKER ENABLE_CHAT_REFINEMENT ENABLE_EXPORTS ENABLE_MAP ENABLE_TEAM_NOTIFICATIONS ENABLE_AGENT_DETAILS \
+BRAND_TITLE BRAND_LOGO_URL BRAND_PRIMARY_COLOR BRAND_ACCENT_COLOR \
+DEFAULT_CURRENCY AUTH_MODE AUTH_ISSUER AUTH_CLIENT_ID AUTH_SCOPE AUTH_AUDIENCE AUTH_ROLES_CLAIM ADMIN_ROLE \
+GEOCODER GEOCODER_URL"
 
-cat > /usr/share/nginx/html/config.js << EOF
-window.RUNTIME_CONFIG = {
-  API_URL: "${API_URL}"
-};
-EOF
+export REACT_APP_API_URL="${REACT_APP_API_URL:-http://localhost:8000}"
+CONFIG_FILE=/usr/share/nginx/html/config.js
 
-echo "Injected API_URL: ${API_URL}"
+{
+  echo "window.RUNTIME_CONFIG = {"
+  separator=""
+  for key in $CONFIG_KEYS; do
+    value=$(printenv "REACT_APP_${key}")
+    [ -z "$value" ] && continue
+    # Escape backslashes and double quotes for the JavaScript string
+    escaped=$(printf '%s' "$value" | sed 's/\\/\\\\/g; s/"/\\"/g')
+    printf '%s  %s: "%s"' "$separator" "$key" "$escaped"
+    separator=",
+"
+    echo "Injected ${key}: ${value}" >&2
+  done
+  echo ""
+  echo "};"
+} > "$CONFIG_FILE"
@@ -1,4 +1,6 @@
-// Runtime configuration - this file is replaced at container startup
+// Runtime configuration - this file is replaced at container startup by
+// inject-config.sh. Every key is optional; see src/services/runtimeConfig.js
+// for the defaults and accepted values.
 window.RUNTIME_CONFIG = {
   API_URL: '__API_URL__'
 };
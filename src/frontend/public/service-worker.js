@@ -0,0 +1,91 @@
+// Service worker: keeps the app shell available offline. Plans themselves are
+// stored by the app (src/services/planStorage), so only the page and its
+// assets are cached here - API calls always go to the network.
+//
+// - Pages: network first, falling back to the cached index.html
+// - /static/ (hashed build output): cache first
+// - Everything else (config.js, manifest, icons): network first, cache as fallback
+//
+// Installing precaches the shell and every bundle listed in the build's
+// asset-manifest.json, so the app also opens offline on a first visit.
+
+// Set to a hash of asset-manifest.json after `npm run build`
+// (scripts/stamp-service-worker.js). Each release is a new worker with its own cache.
+const VERSION = '__BUILD_VERSION__';
+const CACHE_PREFIX = 'travel-planner-shell-';
+const CACHE = `${CACHE_PREFIX}${VERSION}`;
+const SHELL = ['./', './index.html', './config.js', './manifest.json', './icon-192.png'];
+
+// Paths of the build's bundles and media (source maps left out)
+const buildAssets = () => fetch('./asset-manifest.json', { cache: 'no-cache' })
+  .then(response => {
+    if (!response.ok) throw new Error(`Could not load asset-manifest.json (${response.status})`);
+    return response.json();
+  })
+  .then(manifest => Object.values(manifest.files).filter(path => !path.endsWith('.map')));
+
+// addAll() refuses duplicates, e.g. ./index.html listed in both
+const uniqueUrls = (paths) => [...new Set(paths.map(path => new URL(path, self.registration.scope).href))];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    buildAssets()
+      .then(assets => caches.open(CACHE).then(cache => cache.addAll(uniqueUrls([...SHELL, ...assets]))))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the caches of older releases
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheResponse = (request, response) => {
+  if (response.ok) {
+    const copy = response.clone();
+    caches.open(CACHE).then(cache => cache.put(request, copy));
+  }
+  return response;
+};
+
+const networkFirst = (request, fallbackUrl) => fetch(request)
+  .then(response => cacheResponse(request, response))
+  .catch(() => caches.match(request).then(cached => cached || (fallbackUrl && caches.match(fallbackUrl))));
+
+const cacheFirst = (request) => caches.match(request)
+  .then(cached => cached || fetch(request).then(response => cacheResponse(request, response)));
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  // fetch/XHR and EventSource requests have no destination - that is the API
+  // (when API_URL is a same-origin path) and its status stream
+  if (request.mode !== 'navigate' && request.destination === '') return;
+
+  if (request.mode === 'navigate') {
+    // Deep links (/plan/{id}, /auth/callback) are all served by index.html
+    event.respondWith(networkFirst(request, new URL('./index.html', self.registration.scope).href));
+  } else if (url.pathname.includes('/static/')) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Notifications shown from here (services/notifications) open their plan,
+// reusing its tab when it is still open
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = event.notification.data && event.notification.data.url;
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const open = windows.find(client => client.url === url);
+    return open ? open.focus() : self.clients.openWindow(url || './');
+  }));
+});
@@ -0,0 +1,665 @@
+#!/usr/bin/env node
+// Mock Travel Planner API for offline frontend development.
+//
+// Implements the same routes as src/api/app.py and walks every new plan
+// through the orchestration steps on a timer, so the UI can be exercised
+// without the Durable Task Scheduler or Azure OpenAI.
+//
+//   npm run mock-api                      # http://localhost:8000
+//   MOCK_API_PORT=8001 npm run mock-api
+//   MOCK_STEP_MS=500 npm run mock-api     # faster step transitions
+//   MOCK_NO_STREAM=1 npm run mock-api     # no SSE route - exercises polling fallback
+//   MOCK_APPROVAL_TIMEOUT_MS=60000 npm run mock-api   # plans expire a minute after they are ready
+//   MOCK_CHOICE_TIMEOUT_MS=5000 npm run mock-api      # top destination is used after 5 s without a choice
+//   MOCK_SCENARIO=flaky npm run mock-api  # scripted run, see SCENARIOS in mock-scenarios.js
+//   MOCK_AUTH=1 npm run mock-api          # require tokens from the mock issuer (npm run mock-issuer)
+//   MOCK_AUTH=1 MOCK_ADMIN_ROLE=ops npm run mock-api   # role the /admin routes need (default admin)
+//   MOCK_WEBHOOK_URL=http://localhost:9100/webhook npm run mock-api   # team notifications (npm run webhook-receiver)
+//
+// A single plan can also use its own scenario: POST /travel-planner?scenario=error
+//
+// The /admin routes, like the API's, need MOCK_AUTH=1 and a token with the
+// admin role (Carol in the mock issuer). Suspended plans hold their status
+// updates back until they are resumed.
+//
+// Point the frontend at it with REACT_APP_API_URL=http://localhost:8000.
+
+const http = require('http');
+const crypto = require('crypto');
+const { verifyJwt } = require('./mock-jwt');
+const { isNotifiedStep, buildEvent, buildPayload, postJson } = require('./mock-webhook');
+const {
+  SCENARIOS,
+  SAMPLE_PLAN,
+  DESTINATIONS,
+  REJECTION_FEEDBACK,
+  isoSeconds,
+  startedStatus,
+  choosingStatus,
+  planningSteps,
+  rejectedStatus,
+  expiredStatus,
+  bookingStatus,
+  completedStatus,
+  flakyFailure
+} = require('./mock-scenarios');
+
+const PORT = parseInt(process.env.MOCK_API_PORT || '8000', 10);
+const STEP_MS = parseInt(process.env.MOCK_STEP_MS || '3000', 10);
+const NO_STREAM = process.env.MOCK_NO_STREAM === '1';
+const AUTH = process.env.MOCK_AUTH === '1';
+const ADMIN_ROLE = process.env.MOCK_ADMIN_ROLE || 'admin';
+const APPROVAL_TIMEOUT_MS = parseInt(process.env.MOCK_APPROVAL_TIMEOUT_MS || String(24 * 60 * 60 * 1000), 10);
+const CHOICE_TIMEOUT_MS = parseInt(process.env.MOCK_CHOICE_TIMEOUT_MS || String(10 * 60 * 1000), 10);
+const TERMINAL_STEPS = ['Completed', 'Rejected', 'Expired', 'Error', 'Failed'];
+// Plans started with notifyTeam post their milestones here, like the worker's
+// NOTIFICATION_WEBHOOK_URL / NOTIFICATION_WEBHOOK_FORMAT / FRONTEND_URL
+const WEBHOOK_URL = process.env.MOCK_WEBHOOK_URL || '';
+const WEBHOOK_FORMAT = process.env.MOCK_WEBHOOK_FORMAT || 'slack';
+const FRONTEND_URL = process.env.MOCK_FRONTEND_URL || 'http://localhost:3000';
+
+const SCENARIO = process.env.MOCK_SCENARIO || 'happy';
+
+if (!SCENARIOS[SCENARIO]) {
+  console.error(`Unknown MOCK_SCENARIO "${SCENARIO}". Use one of: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+
+// Stand-in for an entry of the worker's agent runs (see agent_run_record in
+// worker.py). Like the worker's, they stay out of the status and are served by
+// GET /travel-planner/agent-runs/{id} once planning has finished.
+const agentRun = ({ agent, step, inputs, prompt, output, revision = 0 }, startedMs, finishedMs = Date.now()) => ({
+  agent,
+  step,
+  revision,
+  inputs,
+  prompt,
+  output,
+  startedAt: isoSeconds(startedMs),
+  finishedAt: isoSeconds(finishedMs),
+  durationSeconds: Math.round((finishedMs - startedMs) / 100) / 10
+});
+
+const promptLines = (inputs) => Object.entries(inputs).map(([name, value]) => `${name}: ${value}`).join('\n');
+
+const destinationCall = (request) => {
+  const inputs = {
+    userName: request.userName || '',
+    preferences: request.preferences || '',
+    durationInDays: request.durationInDays || 3,
+    budget: request.budget || '',
+    travelDates: request.travelDates || '',
+    specialRequirements: request.specialRequirements || '',
+    locale: request.locale || 'en'
+  };
+  return {
+    agent: 'DestinationRecommenderAgent',
+    step: 'GettingDestinations',
+    inputs,
+    prompt: `Based on the following preferences, recommend 3 travel destinations:\n${promptLines(inputs)}`,
+    output: { Recommendations: DESTINATIONS }
+  };
+};
+
+const itineraryCall = (request, destination, plan) => {
+  const inputs = {
+    destination,
+    durationInDays: request.durationInDays || 3,
+    budget: request.budget || '',
+    travelDates: request.travelDates || '',
+    specialRequirements: request.specialRequirements || '',
+    locale: request.locale || 'en'
+  };
+  return {
+    agent: 'ItineraryPlannerAgent',
+    step: 'CreatingItinerary',
+    inputs,
+    prompt: `Create a detailed daily itinerary for a trip to ${destination}:\n${promptLines(inputs)}`,
+    output: {
+      DestinationName: destination,
+      TravelDates: plan.dates,
+      DailyPlan: plan.dailyPlan,
+      EstimatedTotalCost: plan.cost,
+      AdditionalNotes: ''
+    }
+  };
+};
+
+const localCall = (request, destination, plan) => {
+  const inputs = { destination, durationInDays: request.durationInDays || 3, locale: request.locale || 'en' };
+  return {
+    agent: 'LocalRecommendationsAgent',
+    step: 'GettingLocalRecommendations',
+    inputs,
+    prompt: `Provide local recommendations for ${destination}:\n${promptLines(inputs)}`,
+    output: { Attractions: plan.attractions, Restaurants: plan.restaurants, InsiderTips: plan.insiderTips }
+  };
+};
+
+// The same agents revising the plan for a refinement request
+const revisionCall = (call, message, revision) => ({
+  ...call,
+  step: 'RefiningPlan',
+  revision,
+  inputs: { destination: call.inputs.destination, request: message },
+  prompt: `The traveller asked for this change: ${message}\n\nReturn the complete revised plan in the same format.`
+});
+
+// instanceId -> { request, scenario, owner, status, listeners, requestCount, agentRuns, stepStartedMs,
+//   createdMs, updatedMs, control, heldStatuses, output }
+// `control` is null, 'SUSPENDED' or 'TERMINATED' after an admin action.
+const instances = new Map();
+
+const notifyTeam = (instance, status) => {
+  const event = buildEvent({
+    instanceId: instance.id,
+    step: status.step,
+    message: status.message,
+    destination: status.destination,
+    userName: instance.request.userName,
+    frontendUrl: FRONTEND_URL
+  });
+  postJson(WEBHOOK_URL, buildPayload(event, WEBHOOK_FORMAT))
+    .then(statusCode => console.log(`Webhook ${status.step} for ${instance.id}: ${statusCode || 'failed'}`));
+};
+
+const setStatus = (instance, status) => {
+  if (instance.control === 'TERMINATED') return;
+  if (instance.control === 'SUSPENDED') {
+    instance.heldStatuses.push(status);
+    return;
+  }
+  const previousStep = instance.status && instance.status.step;
+  // Like the worker, stepHistory records when each new step started
+  if (status.step !== previousStep) {
+    instance.stepHistory = [...instance.stepHistory, { step: status.step, startedAt: isoSeconds(Date.now()) }];
+  }
+  instance.status = { ...status, stepHistory: instance.stepHistory };
+  instance.stepStartedMs = Date.now();
+  instance.updatedMs = instance.stepStartedMs;
+  instance.listeners.forEach(listener => listener(instance.status));
+  // Like the worker, revised plans are not announced again
+  const milestone = status.step !== previousStep && isNotifiedStep(status.step) && !status.revision;
+  if (WEBHOOK_URL && instance.request.notifyTeam && milestone) {
+    notifyTeam(instance, status);
+  }
+};
+
+// Build the itinerary for `destination`, then wait for approval. Like the
+// orchestration's approval timer, the plan expires unless a decision arrives first.
+const continuePlanning = (instance, destination) => {
+  const approvalTimeout = instance.scenario === 'timeout' ? STEP_MS : APPROVAL_TIMEOUT_MS;
+  planningSteps(destination, instance.scenario).forEach((status, index) => {
+    setTimeout(() => {
+      const fields = { ...status, destinations: DESTINATIONS };
+      // The agent of the step before has answered
+      if (status.step === 'GettingLocalRecommendations') {
+        instance.agentRuns = [...instance.agentRuns, agentRun(itineraryCall(instance.request, destination, SAMPLE_PLAN), instance.stepStartedMs)];
+      } else if (status.step === 'WaitingForApproval') {
+        instance.agentRuns = [...instance.agentRuns, agentRun(localCall(instance.request, destination, SAMPLE_PLAN), instance.stepStartedMs)];
+      }
+      if (status.step !== 'WaitingForApproval') {
+        setStatus(instance, fields);
+        return;
+      }
+      const approvalDeadline = isoSeconds(Date.now() + approvalTimeout);
+      setStatus(instance, { ...fields, approvalDeadline, revision: 0, refinements: [] });
+      if (instance.scenario === 'rejection') {
+        setTimeout(() => {
+          if (instance.status.step !== 'WaitingForApproval') return;
+          setStatus(instance, rejectedStatus(destination, REJECTION_FEEDBACK));
+        }, STEP_MS);
+      }
+      setTimeout(() => {
+        if (instance.status.step !== 'WaitingForApproval') return;
+        setStatus(instance, expiredStatus(destination, approvalDeadline));
+      }, approvalTimeout);
+    }, index * STEP_MS);
+  });
+};
+
+// Stand-in for the agents' revision: the request becomes an activity on the last day
+const revisePlan = (plan, message, revision) => {
+  const dailyPlan = plan.dailyPlan.map((day, index) => (index === plan.dailyPlan.length - 1
+    ? {
+      ...day,
+      Activities: [
+        ...day.Activities.slice(0, -1),
+        { Time: '4PM', ActivityName: `Revision ${revision}: ${message}`, Description: 'Added on request', Location: 'City centre', EstimatedCost: '30 USD' }
+      ]
+    }
+    : day));
+  return { ...plan, dailyPlan, cost: `${620 - 50 * revision} USD` };
+};
+
+// Like the orchestration: only the first choice counts, and none arriving in time means the top match
+const chooseDestination = (instance, destinationName) => {
+  if (!instance.status || instance.status.step !== 'ChoosingDestination') return;
+  clearTimeout(instance.choiceTimer);
+  const chosen = DESTINATIONS.find(d => d.DestinationName === destinationName) || DESTINATIONS[0];
+  continuePlanning(instance, chosen.DestinationName);
+};
+
+const createInstance = (request, scenario, owner) => {
+  const id = crypto.randomBytes(16).toString('hex');
+  const instance = {
+    id,
+    request,
+    scenario,
+    owner,
+    status: null,
+    listeners: new Set(),
+    choiceTimer: null,
+    requestCount: 0,
+    agentRuns: [],
+    stepHistory: [],
+    stepStartedMs: 0,
+    createdMs: Date.now(),
+    updatedMs: Date.now(),
+    control: null,
+    heldStatuses: [],
+    output: null
+  };
+  instances.set(id, instance);
+
+  setStatus(instance, startedStatus());
+  setTimeout(() => {
+    instance.agentRuns = [agentRun(destinationCall(request), instance.stepStartedMs)];
+    // Like the orchestration, only requests with chooseDestination wait for a pick
+    if (!request.chooseDestination) {
+      continuePlanning(instance, DESTINATIONS[0].DestinationName);
+      return;
+    }
+    setStatus(instance, { ...choosingStatus(), choiceDeadline: isoSeconds(Date.now() + CHOICE_TIMEOUT_MS) });
+    instance.choiceTimer = setTimeout(() => chooseDestination(instance, null), CHOICE_TIMEOUT_MS);
+  }, STEP_MS);
+  return instance;
+};
+
+// Like build_status_response in app.py, stopped plans end in Error and paused ones say so
+const statusPayload = (instance) => ({
+  id: instance.id,
+  step: 'Starting',
+  message: 'Processing your travel plan...',
+  ...instance.status,
+  ...(instance.control === 'TERMINATED' && { step: 'Error', message: 'Travel planning was stopped by an administrator.' }),
+  ...(instance.control === 'SUSPENDED' && { message: 'Travel planning is paused by an administrator.' })
+});
+
+// The orchestration's runtime status. Rejected, expired and failed plans also
+// complete the orchestration.
+const runtimeStatus = (instance) => {
+  if (instance.control) return instance.control;
+  const step = instance.status && instance.status.step;
+  return TERMINAL_STEPS.includes(step) ? 'COMPLETED' : 'RUNNING';
+};
+
+const adminSummary = (instance) => ({
+  instanceId: instance.id,
+  name: 'travel_planner_orchestration',
+  runtimeStatus: runtimeStatus(instance),
+  createdAt: new Date(instance.createdMs).toISOString(),
+  lastUpdatedAt: new Date(instance.updatedMs).toISOString(),
+  step: instance.status && instance.status.step,
+  userName: instance.request.userName || null
+});
+
+const adminDetail = (instance) => ({
+  ...adminSummary(instance),
+  input: instance.request,
+  customStatus: instance.status,
+  output: instance.output,
+  failureDetails: null
+});
+
+// Tell open status streams about an admin action
+const publishControl = (instance) => {
+  instance.updatedMs = Date.now();
+  instance.listeners.forEach(listener => listener(statusPayload(instance)));
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    try {
+      resolve(data ? JSON.parse(data) : {});
+    } catch (error) {
+      resolve({});
+    }
+  });
+});
+
+const notFound = (res, id) => sendJson(res, 404, { detail: `Orchestration ${id} not found` });
+
+// The plan, when it exists and belongs to the caller; otherwise answers 404/403 and returns null
+const ownInstance = (req, res, id) => {
+  const instance = instances.get(id);
+  if (!instance) {
+    notFound(res, id);
+    return null;
+  }
+  if (AUTH && instance.owner !== req.user) {
+    sendJson(res, 403, { detail: 'This travel plan belongs to another user' });
+    return null;
+  }
+  return instance;
+};
+
+// Claims of the signed-in user's bearer token. Like the API, only the
+// Authorization header is read - a token in the URL would end up in access logs.
+const requestClaims = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? verifyJwt(header.slice(7)) : null;
+};
+
+// Fails a status request the way the plan's scenario asks for; returns true when it did
+const failStatusRequest = (req, res, instance) => {
+  if (instance.scenario === 'not-found') {
+    notFound(res, instance.id);
+    return true;
+  }
+  if (instance.scenario !== 'flaky') return false;
+  instance.requestCount += 1;
+  const failure = flakyFailure(instance.requestCount);
+  if (failure === 'dropped') {
+    req.socket.destroy();
+  } else if (failure === 'unavailable') {
+    sendJson(res, 503, { detail: 'Service temporarily unavailable' });
+  }
+  return Boolean(failure);
+};
+
+const streamStatus = (req, res, instance) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const send = (status) => {
+    res.write(`event: status\ndata: ${JSON.stringify({ ...statusPayload(instance), ...status })}\n\n`);
+    if (TERMINAL_STEPS.includes(status.step)) {
+      cleanup();
+      res.end();
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const cleanup = () => {
+    clearInterval(heartbeat);
+    instance.listeners.delete(send);
+  };
+
+  instance.listeners.add(send);
+  req.on('close', cleanup);
+  send(statusPayload(instance));
+};
+
+// Cost of the trip as approved - like book_trip in worker.py, the plan's total
+// less the activities left out (found by day and index), not the client's
+// figure. The sample plan is in USD.
+const approvedTotal = (plan, removedItems = []) => {
+  const removed = new Set(removedItems.filter(item => item.type === 'activity').map(item => `${item.day}:${item.index}`));
+  const sum = (amounts) => amounts.filter(amount => !Number.isNaN(amount)).reduce((total, amount) => total + amount, 0);
+  const activities = (plan.dailyPlan || []).flatMap(day => (day.Activities || [])
+    .map((activity, index) => ({ removed: removed.has(`${day.Day}:${index}`), amount: parseFloat(activity.EstimatedCost) })));
+  const stated = parseFloat(plan.cost);
+  const kept = activities.filter(activity => !activity.removed).map(activity => activity.amount);
+  if (Number.isNaN(stated)) return kept.some(amount => !Number.isNaN(amount)) ? sum(kept) : null;
+  return stated - sum(activities.filter(activity => activity.removed).map(activity => activity.amount));
+};
+
+// Approve a plan waiting for approval, booking it unless its total is over the
+// spending cap or cannot be worked out while a cap is set
+const approvePlan = (instance, body) => {
+  const destination = instance.status && instance.status.destination;
+  const plan = (instance.status && instance.status.travelPlan) || SAMPLE_PLAN;
+  const bookingId = `TRV-${Math.floor(100000 + Math.random() * 900000)}`;
+  const total = approvedTotal(plan, body.removedItems);
+  // The plan's own figure stands unless activities were left out
+  const leftOut = (body.removedItems || []).some(item => item.type === 'activity');
+  const totalCost = total !== null && leftOut ? `${total.toFixed(2)} USD` : plan.cost;
+  const capped = body.spendingCap != null;
+  const declined = capped && (total === null
+    ? `The approved plan has no priced total, so it cannot be checked against your spending cap of ${body.spendingCap.toFixed(2)} USD.`
+    : total > body.spendingCap && `The approved plan costs about ${total.toFixed(2)} USD, over your spending cap of ${body.spendingCap.toFixed(2)} USD.`);
+  setStatus(instance, bookingStatus(destination));
+  setTimeout(() => setStatus(instance, declined ? {
+    step: 'Error',
+    message: declined,
+    destination
+  } : completedStatus({
+    destination,
+    bookingId,
+    travelDates: plan.dates,
+    totalCost,
+    bookingDate: new Date().toISOString().slice(0, 10)
+  })), STEP_MS);
+};
+
+const rejectPlan = (instance, comments) => {
+  const destination = instance.status && instance.status.destination;
+  setStatus(instance, rejectedStatus(destination, comments || ''));
+};
+
+// Signed-in admin: answers 503/403 and returns false for anyone else. Like
+// the API, the admin routes are off without sign-in.
+const isAdmin = (req, res) => {
+  if (!AUTH) {
+    sendJson(res, 503, { detail: 'The admin API is disabled - start the mock API with MOCK_AUTH=1 to enable it' });
+    return false;
+  }
+  if (!req.roles.includes(ADMIN_ROLE)) {
+    sendJson(res, 403, { detail: `The admin API needs the ${ADMIN_ROLE} role` });
+    return false;
+  }
+  return true;
+};
+
+// Any user's plan, for an admin; otherwise answers like isAdmin or 404 and returns null
+const adminInstance = (req, res, id) => {
+  if (!isAdmin(req, res)) return null;
+  const instance = instances.get(id);
+  if (!instance) notFound(res, id);
+  return instance || null;
+};
+
+const routes = [
+  ['POST', /^\/travel-planner$/, async (req, res, query) => {
+    const scenario = query.get('scenario') || SCENARIO;
+    if (!SCENARIOS[scenario]) return sendJson(res, 400, { detail: `Unknown scenario ${scenario}` });
+    const instance = createInstance(await readBody(req), scenario, req.user);
+    sendJson(res, 200, {
+      id: instance.id,
+      status: 'scheduled',
+      message: 'Travel planning workflow has been started. Poll status endpoint for updates.'
+    });
+  }],
+  ['GET', /^\/travel-planner\/status\/([^/]+)$/, (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    if (failStatusRequest(req, res, instance)) return;
+    sendJson(res, 200, statusPayload(instance));
+  }],
+  ['GET', /^\/travel-planner\/stream\/([^/]+)$/, (req, res, id) => {
+    if (NO_STREAM) return notFound(res, id);
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    if (failStatusRequest(req, res, instance)) return;
+    streamStatus(req, res, instance);
+  }],
+  ['GET', /^\/travel-planner\/agent-runs\/([^/]+)$/, (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    const current = runtimeStatus(instance);
+    if (!['COMPLETED', 'FAILED', 'TERMINATED'].includes(current)) {
+      return sendJson(res, 409, { detail: `Orchestration ${id} is still running - its agent runs are available once planning has finished` });
+    }
+    // A terminated orchestration returned no output, so it has no agent runs
+    sendJson(res, 200, { id, agentRuns: current === 'COMPLETED' ? instance.agentRuns : [] });
+  }],
+  ['POST', /^\/travel-planner\/choose-destination\/([^/]+)$/, async (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    const body = await readBody(req);
+    if (!instance.status || instance.status.step !== 'ChoosingDestination') {
+      return sendJson(res, 409, { detail: `Orchestration ${id} is not waiting for a destination choice` });
+    }
+    if (!DESTINATIONS.some(d => d.DestinationName === body.destinationName)) {
+      return sendJson(res, 400, {
+        detail: `${body.destinationName} is not one of the offered destinations: ${DESTINATIONS.map(d => d.DestinationName).join(', ')}`
+      });
+    }
+    chooseDestination(instance, body.destinationName);
+    sendJson(res, 200, { id, action: 'destination_chosen', message: `Creating your itinerary for ${body.destinationName}.` });
+  }],
+  ['POST', /^\/travel-planner\/refine\/([^/]+)$/, async (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    const { message = '' } = await readBody(req);
+    if (!message.trim()) return sendJson(res, 400, { detail: 'Refinement message must not be empty' });
+    const waiting = instance.status;
+    if (waiting && waiting.step === 'WaitingForApproval') {
+      const refinements = [...(waiting.refinements || []), { revision: (waiting.revision || 0) + 1, message: message.trim() }];
+      setStatus(instance, { ...waiting, step: 'RefiningPlan', message: `Revising your plan: ${message.trim()}`, refinements });
+      setTimeout(() => {
+        const travelPlan = revisePlan(waiting.travelPlan, message.trim(), refinements.length);
+        const startedMs = instance.stepStartedMs;
+        const halfwayMs = startedMs + (Date.now() - startedMs) / 2;
+        instance.agentRuns = [
+          ...instance.agentRuns,
+          agentRun(revisionCall(itineraryCall(instance.request, waiting.destination, travelPlan), message.trim(), refinements.length), startedMs, halfwayMs),
+          agentRun(revisionCall(localCall(instance.request, waiting.destination, travelPlan), message.trim(), refinements.length), halfwayMs)
+        ];
+        setStatus(instance, {
+          ...waiting,
+          message: 'Your revised travel plan is ready! Please review and approve.',
+          revision: refinements.length,
+          refinements,
+          travelPlan
+        });
+      }, STEP_MS);
+    }
+    sendJson(res, 200, { id, action: 'refinement_requested', message: 'Your plan is being revised.' });
+  }],
+  ['POST', /^\/travel-planner\/approve\/([^/]+)$/, async (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    approvePlan(instance, await readBody(req));
+    sendJson(res, 200, { id, action: 'approved', message: 'Travel plan has been approved. The workflow will continue processing.' });
+  }],
+  ['POST', /^\/travel-planner\/reject\/([^/]+)$/, async (req, res, id) => {
+    const instance = ownInstance(req, res, id);
+    if (!instance) return;
+    const body = await readBody(req);
+    rejectPlan(instance, body.comments);
+    sendJson(res, 200, { id, action: 'rejected', message: 'Travel plan has been rejected.' });
+  }],
+  ['GET', /^\/admin\/instances$/, (req, res, query) => {
+    if (!isAdmin(req, res)) return;
+    const wanted = (query.get('runtime_status') || '').toUpperCase();
+    const limit = parseInt(query.get('limit') || '100', 10);
+    const matching = [...instances.values()]
+      .filter(instance => !wanted || runtimeStatus(instance) === wanted)
+      .sort((a, b) => b.createdMs - a.createdMs)
+      .slice(0, limit);
+    sendJson(res, 200, { instances: matching.map(adminSummary) });
+  }],
+  ['GET', /^\/admin\/instances\/([^/]+)$/, (req, res, id) => {
+    const instance = adminInstance(req, res, id);
+    if (instance) sendJson(res, 200, adminDetail(instance));
+  }],
+  ['POST', /^\/admin\/instances\/([^/]+)\/approval-event$/, async (req, res, id) => {
+    const instance = adminInstance(req, res, id);
+    if (!instance) return;
+    const body = await readBody(req);
+    // Like a raised event, a decision outside WaitingForApproval changes nothing
+    if (runtimeStatus(instance) === 'RUNNING' && instance.status.step === 'WaitingForApproval') {
+      if (body.approved) {
+        approvePlan(instance, {});
+      } else {
+        rejectPlan(instance, body.comments);
+      }
+    }
+    const action = body.approved ? 'approved' : 'rejected';
+    sendJson(res, 200, { id, action, message: `ApprovalEvent raised: the plan was ${action}.` });
+  }],
+  ['POST', /^\/admin\/instances\/([^/]+)\/(terminate|suspend|resume)$/, async (req, res, id, action) => {
+    const instance = adminInstance(req, res, id);
+    if (!instance) return;
+    const { reason = '' } = await readBody(req);
+    const current = runtimeStatus(instance);
+    if (action === 'terminate' && ['RUNNING', 'SUSPENDED'].includes(current)) {
+      clearTimeout(instance.choiceTimer);
+      instance.control = 'TERMINATED';
+      instance.heldStatuses = [];
+      instance.output = reason || null;
+      publishControl(instance);
+    } else if (action === 'suspend' && current === 'RUNNING') {
+      instance.control = 'SUSPENDED';
+      publishControl(instance);
+    } else if (action === 'resume' && current === 'SUSPENDED') {
+      instance.control = null;
+      const held = instance.heldStatuses;
+      instance.heldStatuses = [];
+      publishControl(instance);
+      held.forEach(status => setStatus(instance, status));
+    }
+    const done = { terminate: 'terminated', suspend: 'suspended', resume: 'resumed' }[action];
+    console.log(`Admin ${req.user} ${done} ${id}${reason ? `: ${reason}` : ''}`);
+    sendJson(res, 200, { id, action: done, message: `Orchestration ${id} ${done}.` });
+  }],
+  ['DELETE', /^\/admin\/instances\/([^/]+)$/, (req, res, id) => {
+    const instance = adminInstance(req, res, id);
+    if (!instance) return;
+    const current = runtimeStatus(instance);
+    if (!['COMPLETED', 'FAILED', 'TERMINATED'].includes(current)) {
+      return sendJson(res, 409, { detail: `Orchestration ${id} is ${current} - terminate it before purging` });
+    }
+    instances.delete(id);
+    sendJson(res, 200, { id, action: 'purged', message: `Orchestration ${id} purged.` });
+  }],
+  ['GET', /^\/health$/, (req, res) => sendJson(res, 200, { status: 'healthy', timestamp: new Date().toISOString() })]
+];
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (AUTH && !url.pathname.endsWith('/health')) {
+    const claims = requestClaims(req);
+    req.user = claims && claims.sub;
+    req.roles = (claims && claims.roles) || [];
+    if (!req.user) {
+      sendJson(res, 401, { detail: 'Sign in to use the travel planner' });
+      return;
+    }
+  }
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && url.pathname.match(pattern);
+    if (match) {
+      await handler(req, res, ...match.slice(1), url.searchParams);
+      return;
+    }
+  }
+  sendJson(res, 404, { detail: 'Not Found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock travel planner API on http://localhost:${PORT} (step every ${STEP_MS} ms${NO_STREAM ? ', no status stream' : ''})`);
+  console.log(`Scenario "${SCENARIO}": ${SCENARIOS[SCENARIO]}`);
+  if (AUTH) console.log('Requests need a token from the mock issuer (MOCK_AUTH=1)');
+  if (WEBHOOK_URL) console.log(`Team notifications go to ${WEBHOOK_URL} (${WEBHOOK_FORMAT})`);
+});
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+// Mock OpenID Connect issuer for trying sign-in locally.
+//
+// Supports the authorization code flow with PKCE (S256) that the frontend
+// uses: the sign-in page offers a few test users instead of a password.
+//
+//   npm run mock-issuer                          # http://localhost:9000
+//   MOCK_ISSUER_PORT=9001 npm run mock-issuer
+//   MOCK_ISSUER_TOKEN_TTL=120 npm run mock-issuer   # tokens expire after 2 minutes
+//
+// Configure the frontend with AUTH_MODE=oidc, AUTH_ISSUER=http://localhost:9000
+// and any AUTH_CLIENT_ID, and start the mock API with MOCK_AUTH=1 so it
+// requires these tokens. Carol has the admin role (a `roles` claim), for the
+// admin console.
+
+const http = require('http');
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('./mock-jwt');
+
+const PORT = parseInt(process.env.MOCK_ISSUER_PORT || '9000', 10);
+const ISSUER = `http://localhost:${PORT}`;
+const TOKEN_TTL_S = parseInt(process.env.MOCK_ISSUER_TOKEN_TTL || '3600', 10);
+const CODE_TTL_MS = 60 * 1000;
+
+const USERS = {
+  alice: { name: 'Alice Traveller', email: 'alice@example.com', roles: [] },
+  bob: { name: 'Bob Explorer', email: 'bob@example.com', roles: [] },
+  carol: { name: 'Carol Admin', email: 'carol@example.com', roles: ['admin'] }
+};
+
+// code -> { user, clientId, redirectUri, codeChallenge, scope, nonce, expiresAt }
+const codes = new Map();
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const redirect = (res, location) => {
+  res.writeHead(302, { Location: location });
+  res.end();
+};
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const readForm = (req) => new Promise((resolve) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => resolve(new URLSearchParams(data)));
+});
+
+const discovery = () => ({
+  issuer: ISSUER,
+  authorization_endpoint: `${ISSUER}/authorize`,
+  token_endpoint: `${ISSUER}/token`,
+  userinfo_endpoint: `${ISSUER}/userinfo`,
+  end_session_endpoint: `${ISSUER}/logout`,
+  response_types_supported: ['code'],
+  grant_types_supported: ['authorization_code'],
+  code_challenge_methods_supported: ['S256'],
+  id_token_signing_alg_values_supported: ['HS256'],
+  scopes_supported: ['openid', 'profile', 'email']
+});
+
+// Sign-in page: one button per test user, each carrying the original request on
+const authorizePage = (query) => {
+  const hidden = [...query.entries()]
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  const buttons = Object.entries(USERS)
+    .map(([id, user]) => `<button name="user" value="${id}">${escapeHtml(user.name)} (${escapeHtml(user.email)})</button>`)
+    .join('<br>');
+  return `<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>Mock sign-in</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 80px auto">
+<h1>Mock sign-in</h1><p>Continue as:</p>
+<form method="get" action="/authorize/grant">${hidden}${buttons}</form>
+</body></html>`;
+};
+
+const authorizeError = (query) => {
+  if (query.get('response_type') !== 'code') return 'response_type must be code';
+  if (!query.get('client_id')) return 'client_id is required';
+  if (!query.get('redirect_uri')) return 'redirect_uri is required';
+  if (!query.get('code_challenge') || query.get('code_challenge_method') !== 'S256') {
+    return 'PKCE with code_challenge_method=S256 is required';
+  }
+  return null;
+};
+
+const issueTokens = (grant) => {
+  const now = Math.floor(Date.now() / 1000);
+  const user = USERS[grant.user];
+  const claims = {
+    iss: ISSUER,
+    sub: grant.user,
+    aud: grant.clientId,
+    iat: now,
+    exp: now + TOKEN_TTL_S,
+    name: user.name,
+    email: user.email,
+    preferred_username: grant.user,
+    roles: user.roles
+  };
+  return {
+    token_type: 'Bearer',
+    expires_in: TOKEN_TTL_S,
+    scope: grant.scope,
+    access_token: signJwt({ ...claims, scope: grant.scope }),
+    id_token: signJwt(grant.nonce ? { ...claims, nonce: grant.nonce } : claims)
+  };
+};
+
+const routes = [
+  ['GET', '/.well-known/openid-configuration', (req, res) => sendJson(res, 200, discovery())],
+  ['GET', '/authorize', (req, res, query) => {
+    const error = authorizeError(query);
+    if (error) return sendJson(res, 400, { error: 'invalid_request', error_description: error });
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(authorizePage(query));
+  }],
+  ['GET', '/authorize/grant', (req, res, query) => {
+    const error = authorizeError(query) || (USERS[query.get('user')] ? null : 'unknown user');
+    if (error) return sendJson(res, 400, { error: 'invalid_request', error_description: error });
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      user: query.get('user'),
+      clientId: query.get('client_id'),
+      redirectUri: query.get('redirect_uri'),
+      codeChallenge: query.get('code_challenge'),
+      scope: query.get('scope') || 'openid',
+      nonce: query.get('nonce'),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+    const target = new URL(query.get('redirect_uri'));
+    target.searchParams.set('code', code);
+    if (query.get('state')) target.searchParams.set('state', query.get('state'));
+    redirect(res, target.toString());
+  }],
+  ['POST', '/token', async (req, res) => {
+    const form = await readForm(req);
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (form.get('grant_type') !== 'authorization_code') {
+      return sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+    if (!grant || grant.expiresAt < Date.now()
+      || grant.clientId !== form.get('client_id')
+      || grant.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Unknown, expired or mismatched code' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'code_verifier does not match the code_challenge' });
+    }
+    sendJson(res, 200, issueTokens(grant));
+  }],
+  ['GET', '/userinfo', (req, res) => {
+    const claims = verifyJwt((req.headers.authorization || '').replace(/^Bearer /, ''));
+    if (!claims) return sendJson(res, 401, { error: 'invalid_token' });
+    const { sub, name, email, preferred_username: username, roles } = claims;
+    sendJson(res, 200, { sub, name, email, preferred_username: username, roles });
+  }],
+  ['GET', '/logout', (req, res, query) => {
+    const target = query.get('post_logout_redirect_uri');
+    if (target) return redirect(res, target);
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('Signed out.');
+  }]
+];
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const url = new URL(req.url, ISSUER);
+  const route = routes.find(([method, path]) => req.method === method && url.pathname === path);
+  if (route) {
+    await route[2](req, res, url.searchParams);
+    return;
+  }
+  sendJson(res, 404, { error: 'not_found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock OpenID Connect issuer on ${ISSUER} (users: ${Object.keys(USERS).join(', ')})`);
+});
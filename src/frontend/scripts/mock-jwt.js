@@ -0,0 +1,32 @@
+// HS256 JSON Web Tokens shared by the mock issuer and the mock API. Both use
+// MOCK_ISSUER_SECRET, so the API can check tokens the issuer signed.
+
+const crypto = require('crypto');
+
+const SECRET = process.env.MOCK_ISSUER_SECRET || 'mock-issuer-secret';
+
+const base64Url = (input) => Buffer.from(input).toString('base64url');
+
+const signature = (data) => crypto.createHmac('sha256', SECRET).update(data).digest('base64url');
+
+const signJwt = (claims) => {
+  const data = `${base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))}.${base64Url(JSON.stringify(claims))}`;
+  return `${data}.${signature(data)}`;
+};
+
+// Claims of a valid, unexpired token, or null
+const verifyJwt = (token) => {
+  const [header, payload, signed] = String(token || '').split('.');
+  if (!header || !payload || !signed) return null;
+  const expected = Buffer.from(signature(`${header}.${payload}`));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims.exp && claims.exp * 1000 < Date.now() ? null : claims;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { signJwt, verifyJwt };
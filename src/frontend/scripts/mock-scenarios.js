@@ -0,0 +1,154 @@
+// Scripted travel plans shared by the mock API (scripts/mock-api.js) and the
+// in-memory API the component tests use (src/testing/fakeTravelPlannerApi.js):
+// the scenarios, the sample plan and destinations, and the statuses a plan
+// reports. Each of them runs the statuses on its own timers.
+
+// Scripted runs for exercising the UI's handling of each outcome
+const SCENARIOS = {
+  happy: 'every step succeeds and the plan waits for approval',
+  rejection: 'a reviewer rejects the plan a while after it is ready',
+  error: 'the orchestration fails while creating the itinerary',
+  timeout: 'the plan expires a while after it is ready',
+  'not-found': 'status requests answer 404, as if the plan was purged',
+  flaky: 'every third status request fails with a 503 or a dropped connection'
+};
+
+const SAMPLE_PLAN = {
+  dates: 'July 1-3, 2025',
+  cost: '620 USD',
+  dailyPlan: [
+    {
+      Day: 1,
+      Date: '2025-07-01',
+      Activities: [
+        { Time: '9AM', ActivityName: 'Old Town walk', Description: 'Guided tour of the old town', Location: 'Old Town', EstimatedCost: '25 USD' },
+        { Time: '1PM', ActivityName: 'Harbour lunch', Description: 'Seafood by the water', Location: 'Harbour', EstimatedCost: '40 USD' }
+      ]
+    },
+    {
+      Day: 2,
+      Date: '2025-07-02',
+      Activities: [
+        { Time: '10AM', ActivityName: 'Beach day', Description: 'Relax at the main beach', Location: 'Main Beach', EstimatedCost: 'Free' },
+        { Time: '7PM', ActivityName: 'Sunset cruise', Description: 'Boat trip along the coast', Location: 'Marina', EstimatedCost: '80 USD' }
+      ]
+    }
+  ],
+  attractions: [
+    { Name: 'Fortress', Category: 'History', Description: 'Medieval fortress', Location: 'Hilltop', VisitDuration: '2h', EstimatedCost: '15 USD', Rating: 4.6 }
+  ],
+  restaurants: [
+    { Name: 'Casa Mar', Cuisine: 'Seafood', Description: 'Local catch daily', Location: 'Harbour', PriceRange: '$$', Rating: 4.4 }
+  ],
+  insiderTips: 'Buy museum tickets online to skip the queue.'
+};
+
+const DESTINATIONS = [
+  {
+    DestinationName: 'Lisbon',
+    Description: 'Sunny hills, tiled facades and a riverside full of seafood restaurants.',
+    Reasoning: 'Walkable, great value and lively in summer.',
+    MatchScore: 92
+  },
+  {
+    DestinationName: 'Porto',
+    Description: 'Port cellars, a historic riverfront and nearby Douro valley vineyards.',
+    Reasoning: 'Smaller and calmer than Lisbon, with excellent food.',
+    MatchScore: 85
+  },
+  {
+    DestinationName: 'Seville',
+    Description: 'Moorish palaces, flamenco and orange-tree plazas.',
+    Reasoning: 'Rich history, but very hot in July.',
+    MatchScore: 71
+  }
+];
+
+const REJECTION_FEEDBACK = 'Over the travel budget - please look for cheaper hotels.';
+const ERROR_MESSAGE = 'Failed to create travel plan: the itinerary agent did not respond.';
+
+const isoSeconds = (ms) => new Date(ms).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+const startedStatus = () => ({ step: 'GettingDestinations', message: 'Finding perfect destinations for you...' });
+
+const choosingStatus = () => ({
+  step: 'ChoosingDestination',
+  message: 'Compare the recommended destinations and pick one for your itinerary.',
+  destination: DESTINATIONS[0].DestinationName,
+  destinations: DESTINATIONS
+});
+
+// Steps a new plan walks through once its destination is chosen
+const planningSteps = (destination, scenario) => (scenario === 'error' ? [
+  { step: 'CreatingItinerary', message: `Creating itinerary for ${destination}...`, destination },
+  { step: 'Error', message: ERROR_MESSAGE, destination }
+] : [
+  { step: 'CreatingItinerary', message: `Creating itinerary for ${destination}...`, destination },
+  { step: 'GettingLocalRecommendations', message: `Getting local tips for ${destination}...`, destination },
+  {
+    step: 'WaitingForApproval',
+    message: 'Your travel plan is ready! Please review and approve.',
+    destination,
+    travelPlan: SAMPLE_PLAN
+  }
+]);
+
+const rejectedStatus = (destination, feedback = '') => ({
+  step: 'Rejected',
+  message: 'Travel plan was not approved.',
+  destination,
+  feedback
+});
+
+const expiredStatus = (destination, approvalDeadline) => ({
+  step: 'Expired',
+  message: 'Travel plan timed out waiting for approval.',
+  destination,
+  approvalDeadline
+});
+
+const bookingStatus = (destination) => ({ step: 'BookingTrip', message: `Booking your trip to ${destination}...`, destination });
+
+// The booked trip, like booking_from_output in app.py
+const completedStatus = ({ destination, bookingId, travelDates, totalCost, bookingDate }) => ({
+  step: 'Completed',
+  message: 'Your trip has been booked!',
+  destination,
+  progress: 100,
+  bookingId,
+  booking: {
+    bookingId,
+    confirmationNumber: bookingId,
+    destination,
+    travelDates,
+    totalCost,
+    bookingDate,
+    message: `Trip to ${destination} successfully booked!`,
+    nextSteps: 'You will receive confirmation emails shortly with detailed itinerary and vouchers.'
+  }
+});
+
+// How the flaky scenario answers a plan's `count`th status request: every
+// third fails, alternating a 503 ('unavailable') and a dropped connection
+// ('dropped'); null for the requests that go through
+const flakyFailure = (count) => {
+  if (count % 3 !== 0) return null;
+  return count % 6 === 0 ? 'dropped' : 'unavailable';
+};
+
+module.exports = {
+  SCENARIOS,
+  SAMPLE_PLAN,
+  DESTINATIONS,
+  REJECTION_FEEDBACK,
+  ERROR_MESSAGE,
+  isoSeconds,
+  startedStatus,
+  choosingStatus,
+  planningSteps,
+  rejectedStatus,
+  expiredStatus,
+  bookingStatus,
+  completedStatus,
+  flakyFailure
+};
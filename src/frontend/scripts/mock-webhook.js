@@ -0,0 +1,73 @@
+// Team webhook payloads for the mock API - the same shapes the worker posts
+// (src/api/notifications.py), so receivers can be tried without the backend.
+
+const http = require('http');
+const https = require('https');
+
+const EVENT_TITLES = {
+  WaitingForApproval: 'Travel plan ready for approval',
+  BookingTrip: 'Travel plan approved - booking the trip',
+  Completed: 'Trip booked',
+  Error: 'Travel planning failed'
+};
+
+const isNotifiedStep = (step) => Boolean(EVENT_TITLES[step]);
+
+// The notification for one step, in the shape of the `json` format
+const buildEvent = ({ instanceId, step, message, destination = '', userName = '', frontendUrl = '' }) => ({
+  event: step,
+  title: EVENT_TITLES[step] || step,
+  instanceId,
+  destination,
+  userName,
+  message,
+  planUrl: frontendUrl ? `${frontendUrl.replace(/\/$/, '')}/plan/${instanceId}` : null,
+  timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z')
+});
+
+// Webhook body for `event` in `format` (slack, teams or json)
+const buildPayload = (event, format = 'slack') => {
+  if (format === 'json') return event;
+
+  const who = event.userName ? ` for ${event.userName}` : '';
+  const where = event.destination ? ` to ${event.destination}` : '';
+  const summary = `${event.title}: trip${where}${who}.`;
+
+  if (format === 'teams') {
+    return {
+      '@type': 'MessageCard',
+      '@context': 'https://schema.org/extensions',
+      summary,
+      title: event.title,
+      text: `${summary}\n\n${event.message}`,
+      ...(event.planUrl ? {
+        potentialAction: [{ '@type': 'OpenUri', name: 'Open the plan', targets: [{ os: 'default', uri: event.planUrl }] }]
+      } : {})
+    };
+  }
+
+  const link = event.planUrl ? `\n<${event.planUrl}|Open the plan>` : '';
+  return { text: `*${summary}*\n${event.message}${link}` };
+};
+
+// POST `body` as JSON. Resolves to the response status; never rejects.
+const postJson = (url, body) => new Promise((resolve) => {
+  const data = JSON.stringify(body);
+  const target = new URL(url);
+  const request = (target.protocol === 'https:' ? https : http).request(target, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+    timeout: 10000
+  }, (response) => {
+    response.resume();
+    resolve(response.statusCode);
+  });
+  request.on('timeout', () => request.destroy(new Error('timed out')));
+  request.on('error', (error) => {
+    console.warn(`Webhook ${url} failed: ${error.message}`);
+    resolve(null);
+  });
+  request.end(data);
+});
+
+module.exports = { isNotifiedStep, buildEvent, buildPayload, postJson };
@@ -0,0 +1,23 @@
+// Runs after `npm run build` (postbuild): stamps build/service-worker.js with
+// a hash of build/asset-manifest.json. A new release changes the hash, so
+// browsers install the new worker, which precaches the new bundles under a new
+// cache name and deletes the old caches (see public/service-worker.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const PLACEHOLDER = '__BUILD_VERSION__';
+
+const manifest = fs.readFileSync(path.join(BUILD_DIR, 'asset-manifest.json'));
+const version = crypto.createHash('sha256').update(manifest).digest('hex').slice(0, 12);
+
+const workerPath = path.join(BUILD_DIR, 'service-worker.js');
+const worker = fs.readFileSync(workerPath, 'utf8');
+if (!worker.includes(PLACEHOLDER)) {
+  console.error(`${workerPath} has no ${PLACEHOLDER} to replace`);
+  process.exit(1);
+}
+fs.writeFileSync(workerPath, worker.split(PLACEHOLDER).join(version));
+console.log(`Stamped service-worker.js with build ${version}`);
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Local stand-in for a Slack/Teams incoming webhook: prints every JSON body
+// posted to it, to check team notifications without a real channel.
+//
+//   npm run webhook-receiver                       # http://localhost:9100/webhook
+//   MOCK_WEBHOOK_PORT=9101 npm run webhook-receiver
+//
+// Point the worker (NOTIFICATION_WEBHOOK_URL) or the mock API
+// (MOCK_WEBHOOK_URL) at it.
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT || '9100', 10);
+
+let received = 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405, { Allow: 'POST' });
+    res.end();
+    return;
+  }
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    received += 1;
+    let body;
+    try {
+      body = JSON.parse(data);
+    } catch (error) {
+      console.log(`#${received} ${req.url}: not JSON: ${data}`);
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('invalid_payload');
+      return;
+    }
+    console.log(`#${received} ${new Date().toISOString()} ${req.url}`);
+    console.log(JSON.stringify(body, null, 2));
+    // Slack answers "ok"; Teams answers "1"
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver on http://localhost:${PORT}/webhook`);
+});
@@ -1,12 +1,50 @@
 // App.js
-import React from 'react';
+import React, { useState } from 'react';
 import ChatInterface from './components/ChatInterface';
+import PlanDashboard from './components/PlanDashboard';
+import { setActivePlanId, clearActivePlanId, syncPlanPath } from './services/planStorage';
+import { I18nProvider } from './i18n/I18nContext';
+import AuthGate from './components/AuthGate';
+import AdminConsole from './components/AdminConsole';
+
+// Path of the admin console; nginx serves the app for any path
+const ADMIN_PATH = '/admin';
 
 const App = () => {
+  // Bumped to remount ChatInterface, which then resumes whichever plan is active
+  const [chatKey, setChatKey] = useState(0);
+
+  // Open a plan from the dashboard
+  const openPlan = (instanceId) => {
+    setActivePlanId(instanceId);
+    syncPlanPath(instanceId);
+    setChatKey(key => key + 1);
+  };
+
+  // Leave the open plan (it stays on the dashboard) and show an empty form
+  const newPlan = () => {
+    clearActivePlanId();
+    syncPlanPath(null);
+    setChatKey(key => key + 1);
+  };
+
   return (
-    <div className="App">
-      <ChatInterface />
-    </div>
+    <I18nProvider>
+      <AuthGate>
+        <div className="App">
+          {window.location.pathname === ADMIN_PATH ? (
+            <AdminConsole />
+          ) : (
+            <div className="app-layout">
+              <PlanDashboard onOpenPlan={openPlan} onNewPlan={newPlan} />
+              <main className="app-main">
+                <ChatInterface key={chatKey} />
+              </main>
+            </div>
+          )}
+        </div>
+      </AuthGate>
+    </I18nProvider>
   );
 };
 
@@ -0,0 +1,180 @@
+import React from 'react';
+import { act, render, screen, fireEvent, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import App from './App';
+import {
+  installFakeTravelPlannerApi,
+  uninstallFakeTravelPlannerApi,
+  REVIEW_MS,
+  REJECTION_FEEDBACK,
+  ERROR_MESSAGE
+} from './testing/fakeTravelPlannerApi';
+import { loadPlan } from './services/planStorage';
+
+// Statuses reach the UI through polling with back-off, so each wait may take a
+// few orchestration steps of fake time
+const WAIT = { timeout: 60000, interval: 1000 };
+
+// Rendering on every fake second of those waits is slow on a busy machine
+jest.setTimeout(30000);
+
+const conversation = () => within(screen.getByRole('log', { name: 'Conversation' }));
+
+// Chat text containing `text` - messages are markdown, shown as source by the react-markdown mock
+const containing = (text) => (content) => content.includes(text);
+
+// Fill in and send the travel request form; returns the rendered app
+const submitRequest = () => {
+  const view = render(<App />);
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Ana' } });
+  fireEvent.change(screen.getByLabelText('Travel Preferences'), { target: { value: 'Beaches and seafood' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Plan My Trip' }));
+  return view;
+};
+
+// Leave the page and come back later: the chat stops listening once a plan
+// waits for approval, and picks the plan up again from its stored copy
+const reopenApp = (view, afterMs) => {
+  view.unmount();
+  act(() => {
+    jest.advanceTimersByTime(afterMs);
+  });
+  render(<App />);
+};
+
+// axe queues its checks on timers, which never fire on their own under fake
+// timers - run the ones due now (without moving the app's clock) until it is done
+const axeNow = async (container) => {
+  let outcome = null;
+  axe(container).then(results => { outcome = { results }; }, error => { outcome = { error }; });
+  while (!outcome) {
+    await act(async () => {
+      jest.advanceTimersByTime(0);
+    });
+  }
+  if (outcome.error) throw outcome.error;
+  return outcome.results;
+};
+
+const chooseLisbon = async () => {
+  fireEvent.click(await screen.findByRole('button', { name: 'Plan this trip to Lisbon' }, WAIT));
+};
+
+const waitForApproval = () => screen.findByRole('button', { name: 'Yes, Book My Trip!' }, WAIT);
+
+describe('App against the travel planner API', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.localStorage.clear();
+    window.history.replaceState(null, '', '/');
+    // No polling jitter, so every run takes the same path
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    // The chat logs every status, and the failure scenarios log their errors
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    uninstallFakeTravelPlannerApi();
+    jest.useRealTimers();
+  });
+
+  it('plans, approves and books a trip', async () => {
+    const api = installFakeTravelPlannerApi({ scenario: 'happy' });
+    submitRequest();
+
+    expect(await conversation().findByText(containing('is being processed'))).toHaveTextContent(api.lastPlanId());
+    expect(api.requests[0].data).toMatchObject({ userName: 'Ana', chooseDestination: true });
+
+    await chooseLisbon();
+    fireEvent.click(await waitForApproval());
+
+    expect(await screen.findByRole('heading', { name: '🎉 Your trip is booked!' }, WAIT)).toBeInTheDocument();
+    expect(screen.getAllByText('TRV-123456').length).toBeGreaterThan(0);
+    expect(api.requests.find(request => request.url === `/travel-planner/approve/${api.lastPlanId()}`).data)
+      .toMatchObject({ approved: true, removedItems: [] });
+  });
+
+  it('has no accessibility violations in the form and in the chat', async () => {
+    installFakeTravelPlannerApi({ scenario: 'happy' });
+    const { container } = render(<App />);
+    expect(await axeNow(container)).toHaveNoViolations();
+
+    fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Ana' } });
+    fireEvent.change(screen.getByLabelText('Travel Preferences'), { target: { value: 'Beaches and seafood' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Plan My Trip' }));
+    await screen.findByRole('button', { name: 'Plan this trip to Lisbon' }, WAIT);
+    expect(await axeNow(container)).toHaveNoViolations();
+
+    await chooseLisbon();
+    await waitForApproval();
+    expect(await axeNow(container)).toHaveNoViolations();
+  });
+
+  it('shows the changes a reviewer asked for when the plan is rejected', async () => {
+    installFakeTravelPlannerApi({ scenario: 'rejection' });
+    const view = submitRequest();
+    await chooseLisbon();
+    await waitForApproval();
+    reopenApp(view, REVIEW_MS);
+
+    expect(await screen.findByRole('heading', { name: 'This plan was not booked' }, WAIT)).toBeInTheDocument();
+    expect(screen.getByText(REJECTION_FEEDBACK)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Yes, Book My Trip!' })).not.toBeInTheDocument();
+
+    // The revised request carries the reviewer's changes, though none were typed in this tab
+    fireEvent.click(screen.getByRole('button', { name: 'Start a Revised Plan' }));
+    expect(screen.getByLabelText('Travel Preferences'))
+      .toHaveValue(`Beaches and seafood\n\nChanges requested on the previous plan: ${REJECTION_FEEDBACK}`);
+  });
+
+  it('reports an orchestration that fails', async () => {
+    installFakeTravelPlannerApi({ scenario: 'error' });
+    submitRequest();
+    await chooseLisbon();
+
+    expect(await conversation().findByText(containing(ERROR_MESSAGE), {}, WAIT)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Yes, Book My Trip!' })).not.toBeInTheDocument();
+  });
+
+  it('offers to regenerate a plan whose approval window closed', async () => {
+    installFakeTravelPlannerApi({ scenario: 'timeout' });
+    submitRequest();
+    await chooseLisbon();
+    await waitForApproval();
+
+    // The countdown closes the window on its own...
+    expect(await screen.findByText(containing('The approval window closed'), {}, WAIT)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Yes, Book My Trip!' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'No, I Need Changes' })).toBeDisabled();
+
+    // ...and the open tab learns the plan expired, so it can be planned again
+    expect(await screen.findByRole('heading', { name: 'This plan expired - regenerate it?' }, WAIT)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Regenerate With the Same Request' })).toBeInTheDocument();
+  });
+
+  it('stops following a plan the API does not know and forgets it', async () => {
+    const api = installFakeTravelPlannerApi({ scenario: 'not-found' });
+    submitRequest();
+
+    expect(await conversation().findByText(containing("We couldn't find travel plan"), {}, WAIT))
+      .toHaveTextContent(api.lastPlanId());
+    expect(loadPlan(api.lastPlanId())).toBeNull();
+
+    // No more status requests once the 404 arrived
+    const statusRequests = api.requests.length;
+    jest.advanceTimersByTime(60000);
+    expect(api.requests.length).toBe(statusRequests);
+  });
+
+  it('rides out failed status requests and still books the trip', async () => {
+    const api = installFakeTravelPlannerApi({ scenario: 'flaky' });
+    submitRequest();
+    await chooseLisbon();
+    fireEvent.click(await waitForApproval());
+
+    expect(await screen.findByRole('heading', { name: '🎉 Your trip is booked!' }, WAIT)).toBeInTheDocument();
+    expect(api.failedRequests).toBeGreaterThan(0);
+    expect(conversation().queryByText(containing('❌'))).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,72 @@
+// Manual mock of axios for the tests: the package is an ES module, which jest 27
+// cannot load, and tests should never reach the network anyway. Requests go to
+// the handler installed with setRequestHandler (see testing/fakeTravelPlannerApi);
+// without one they fail like a dropped connection.
+//
+// A handler receives { method, url, params, data, headers } and returns
+// { status, data }, or throws to drop the connection.
+
+let requestHandler = null;
+
+export const setRequestHandler = (handler) => {
+  requestHandler = handler;
+};
+
+const networkError = (config) => Object.assign(new Error('Network Error'), {
+  code: 'ERR_NETWORK',
+  config,
+  isAxiosError: true
+});
+
+const dispatch = async (config) => {
+  if (!requestHandler) throw networkError(config);
+  let response;
+  try {
+    response = await requestHandler(config);
+  } catch (error) {
+    throw networkError(config);
+  }
+  const { status = 200, data = null } = response || {};
+  if (status >= 400) {
+    throw Object.assign(new Error(`Request failed with status code ${status}`), {
+      code: status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+      config,
+      response: { status, data },
+      isAxiosError: true
+    });
+  }
+  return { status, data, config };
+};
+
+const create = (defaults = {}) => {
+  const requestInterceptors = [];
+
+  const send = async (config) => {
+    let merged = { ...defaults, ...config, headers: { ...defaults.headers, ...config.headers } };
+    for (const interceptor of requestInterceptors) {
+      merged = await interceptor(merged);
+    }
+    return dispatch(merged);
+  };
+
+  return {
+    defaults,
+    interceptors: {
+      request: { use: (interceptor) => requestInterceptors.push(interceptor) },
+      response: { use: () => {} }
+    },
+    request: send,
+    get: (url, config = {}) => send({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => send({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => send({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => send({ ...config, method: 'put', url, data })
+  };
+};
+
+const axios = {
+  ...create(),
+  create,
+  isAxiosError: (error) => Boolean(error && error.isAxiosError)
+};
+
+export default axios;
@@ -0,0 +1,8 @@
+import React from 'react';
+
+// Manual mock of react-markdown for the tests: it and its unified/micromark
+// dependencies are ES modules with subpath imports, which jest 27 cannot load.
+// The markdown source is shown as plain text, so tests can still find it.
+const ReactMarkdown = ({ children }) => <div className="markdown">{children}</div>;
+
+export default ReactMarkdown;
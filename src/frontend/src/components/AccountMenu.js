@@ -0,0 +1,22 @@
+import React from 'react';
+import { getUser, isAdmin, isAuthEnabled, logout } from '../services/auth';
+import { useI18n } from '../i18n/I18nContext';
+import './auth.css';
+
+// Signed-in user and a sign-out button, plus a link to the admin console for
+// admins; nothing when sign-in is disabled
+const AccountMenu = () => {
+  const { t } = useI18n();
+  const user = isAuthEnabled() ? getUser() : null;
+  if (!user) return null;
+
+  return (
+    <div className="account-menu">
+      <span className="account-name" title={user.email || undefined}>{user.name || user.email}</span>
+      {isAdmin() && <a href="/admin" className="account-admin">{t('admin.link')}</a>}
+      <button onClick={() => logout()} className="account-sign-out">{t('auth.signOut')}</button>
+    </div>
+  );
+};
+
+export default AccountMenu;
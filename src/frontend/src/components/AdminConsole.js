@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import travelPlannerClient, { ForbiddenError } from '../services/travelPlannerClient';
+import { isAdmin } from '../services/auth';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+import { useI18n } from '../i18n/I18nContext';
+import ConfirmDialog from './ConfirmDialog';
+import './admin-console.css';
+
+// Runtime statuses of an orchestration (OrchestrationStatus in durabletask)
+const RUNTIME_STATUSES = ['RUNNING', 'PENDING', 'SUSPENDED', 'COMPLETED', 'FAILED', 'TERMINATED'];
+
+// What an admin can do to an instance, and when. Approving and rejecting only
+// make sense while the plan waits for approval - the orchestration is not
+// listening for the event at any other step.
+const ACTIONS = [
+  {
+    id: 'approve',
+    available: (instance) => instance.runtimeStatus === 'RUNNING' && instance.step === 'WaitingForApproval',
+    run: (id, note) => travelPlannerClient.raiseApprovalEvent(id, true, note)
+  },
+  {
+    id: 'reject',
+    danger: true,
+    available: (instance) => instance.runtimeStatus === 'RUNNING' && instance.step === 'WaitingForApproval',
+    run: (id, note) => travelPlannerClient.raiseApprovalEvent(id, false, note)
+  },
+  {
+    id: 'suspend',
+    available: (instance) => instance.runtimeStatus === 'RUNNING',
+    run: (id, note) => travelPlannerClient.suspendInstance(id, note)
+  },
+  {
+    id: 'resume',
+    available: (instance) => instance.runtimeStatus === 'SUSPENDED',
+    run: (id, note) => travelPlannerClient.resumeInstance(id, note)
+  },
+  {
+    id: 'terminate',
+    danger: true,
+    available: (instance) => ['RUNNING', 'PENDING', 'SUSPENDED'].includes(instance.runtimeStatus),
+    run: (id, note) => travelPlannerClient.terminateInstance(id, note)
+  },
+  {
+    id: 'purge',
+    danger: true,
+    available: (instance) => ['COMPLETED', 'FAILED', 'TERMINATED'].includes(instance.runtimeStatus),
+    run: (id) => travelPlannerClient.purgeInstance(id)
+  }
+];
+
+const DATE_FORMAT = { dateStyle: 'short', timeStyle: 'medium' };
+
+const RawJson = ({ label, value, open = false }) => (
+  <details className="admin-raw" open={open}>
+    <summary>{label}</summary>
+    <pre>{value === null || value === undefined ? '—' : JSON.stringify(value, null, 2)}</pre>
+  </details>
+);
+
+// Operations console at /admin: every orchestration instance, its raw state,
+// and the actions support needs when a plan is stuck. Each action is confirmed
+// first. Only offered to users with the admin role; the API checks the role
+// again on every request.
+const AdminConsole = () => {
+  const { t, formatDate } = useI18n();
+  const [filter, setFilter] = useState('');
+  const [instances, setInstances] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [forbidden, setForbidden] = useState(!isAdmin());
+  const [selectedId, setSelectedId] = useState(null);
+  const [detail, setDetail] = useState(null);
+  const [pending, setPending] = useState(null);
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  const handleError = useCallback((caught) => {
+    if (caught instanceof ForbiddenError) {
+      setForbidden(true);
+    } else {
+      console.error('Admin request failed:', caught);
+      setError(t('admin.failed', { error: caught.message }));
+    }
+  }, [t]);
+
+  const loadInstances = useCallback(async () => {
+    setLoading(true);
+    setError('');
+    try {
+      setInstances(await travelPlannerClient.listInstances({ runtimeStatus: filter }));
+    } catch (caught) {
+      handleError(caught);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, handleError]);
+
+  const loadDetail = useCallback(async (instanceId) => {
+    try {
+      setDetail(await travelPlannerClient.getInstance(instanceId));
+    } catch (caught) {
+      setDetail(null);
+      handleError(caught);
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    if (!forbidden) loadInstances();
+  }, [forbidden, loadInstances]);
+
+  useEffect(() => {
+    setDetail(null);
+    if (selectedId && !forbidden) loadDetail(selectedId);
+  }, [selectedId, forbidden, loadDetail]);
+
+  const cancelAction = useCallback(() => setPending(null), []);
+
+  const askToRun = (action) => {
+    setNote('');
+    setNotice('');
+    setPending(action);
+  };
+
+  const runAction = async () => {
+    const action = pending;
+    setBusy(true);
+    try {
+      await action.run(selectedId, note.trim());
+      setNotice(t(`admin.done.${action.id}`, { id: selectedId }));
+      if (action.id === 'purge') {
+        setSelectedId(null);
+      } else {
+        await loadDetail(selectedId);
+      }
+      await loadInstances();
+    } catch (caught) {
+      handleError(caught);
+    } finally {
+      setBusy(false);
+      setPending(null);
+    }
+  };
+
+  if (forbidden) {
+    return (
+      <div className="admin-console">
+        <p className="admin-forbidden" role="alert">
+          {t('admin.forbidden', { role: getRuntimeConfig().auth.adminRole })}
+        </p>
+        <a href="/" className="admin-back">{t('admin.back')}</a>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-console">
+      <div className="admin-header">
+        <h1>{t('admin.title')}</h1>
+        <a href="/" className="admin-back">{t('admin.back')}</a>
+      </div>
+
+      <div className="admin-toolbar">
+        <label>
+          {t('admin.filter')}{' '}
+          <select value={filter} onChange={event => setFilter(event.target.value)}>
+            <option value="">{t('admin.allStatuses')}</option>
+            {RUNTIME_STATUSES.map(runtimeStatus => <option key={runtimeStatus} value={runtimeStatus}>{runtimeStatus}</option>)}
+          </select>
+        </label>
+        <button type="button" onClick={loadInstances} disabled={loading} className="admin-refresh">
+          {t('admin.refresh')}
+        </button>
+        {notice && <span role="status" className="admin-notice">{notice}</span>}
+      </div>
+      {error && <p className="admin-error" role="alert">{error}</p>}
+
+      <div className="admin-layout">
+        <div className="admin-table-wrapper">
+          {!loading && instances.length === 0 ? (
+            <p className="admin-empty">{t('admin.empty')}</p>
+          ) : (
+            <table className="admin-instances" aria-busy={loading}>
+              <thead>
+                <tr>
+                  <th scope="col">{t('admin.instance')}</th>
+                  <th scope="col">{t('admin.runtimeStatus')}</th>
+                  <th scope="col">{t('admin.step')}</th>
+                  <th scope="col">{t('admin.traveller')}</th>
+                  <th scope="col">{t('admin.created')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {instances.map(instance => (
+                  <tr key={instance.instanceId} className={instance.instanceId === selectedId ? 'selected' : undefined}>
+                    <th scope="row">
+                      <button type="button" onClick={() => setSelectedId(instance.instanceId)} className="admin-instance-id">
+                        {instance.instanceId}
+                      </button>
+                    </th>
+                    <td><span className={`admin-status ${instance.runtimeStatus.toLowerCase()}`}>{instance.runtimeStatus}</span></td>
+                    <td>{instance.step || '—'}</td>
+                    <td>{instance.userName || '—'}</td>
+                    <td>{instance.createdAt ? formatDate(instance.createdAt, DATE_FORMAT) : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <section className="admin-detail" aria-label={t('admin.details')}>
+          {!selectedId && <p className="admin-empty">{t('admin.select')}</p>}
+          {detail && detail.instanceId === selectedId && (
+            <>
+              <h2>{detail.instanceId}</h2>
+              <dl className="admin-fields">
+                <div><dt>{t('admin.runtimeStatus')}</dt><dd>{detail.runtimeStatus}</dd></div>
+                <div><dt>{t('admin.name')}</dt><dd>{detail.name || '—'}</dd></div>
+                <div><dt>{t('admin.created')}</dt><dd>{detail.createdAt ? formatDate(detail.createdAt, DATE_FORMAT) : '—'}</dd></div>
+                <div><dt>{t('admin.updated')}</dt><dd>{detail.lastUpdatedAt ? formatDate(detail.lastUpdatedAt, DATE_FORMAT) : '—'}</dd></div>
+              </dl>
+              <div className="admin-actions">
+                {ACTIONS.filter(action => action.available(detail)).map(action => (
+                  <button
+                    key={action.id}
+                    type="button"
+                    onClick={() => askToRun(action)}
+                    className={`admin-action${action.danger ? ' danger' : ''}`}
+                  >
+                    {t(`admin.action.${action.id}`)}
+                  </button>
+                ))}
+              </div>
+              <RawJson label={t('admin.customStatus')} value={detail.customStatus} open />
+              <RawJson label={t('admin.input')} value={detail.input} />
+              <RawJson label={t('admin.output')} value={detail.output} />
+              {detail.failureDetails && <RawJson label={t('admin.failure')} value={detail.failureDetails} open />}
+            </>
+          )}
+        </section>
+      </div>
+
+      {pending && (
+        <ConfirmDialog
+          title={t(`admin.action.${pending.id}`)}
+          message={t(`admin.confirm.${pending.id}`, { id: selectedId })}
+          confirmLabel={t(`admin.action.${pending.id}`)}
+          danger={pending.danger}
+          busy={busy}
+          onConfirm={runAction}
+          onCancel={cancelAction}
+        >
+          {pending.id !== 'purge' && (
+            <label>
+              {t(['approve', 'reject'].includes(pending.id) ? 'admin.comments' : 'admin.reason')}
+              <textarea rows={2} value={note} onChange={event => setNote(event.target.value)} />
+            </label>
+          )}
+        </ConfirmDialog>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from 'react';
+import { rankedDestinations, summarizeAgentRun, totalAgentSeconds, agentRunsReport } from '../utils/agentRuns';
+import { formatElapsed } from '../utils/stepTimeline';
+import travelPlannerClient from '../services/travelPlannerClient';
+import { useI18n } from '../i18n/I18nContext';
+import './travel-plan-view.css';
+import './agent-runs-panel.css';
+
+const TIME_FORMAT = { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+
+// Value of a prompt input as it was sent; empty ones are shown as a dash
+const inputValue = (value) => (value === '' || value === null || value === undefined ? '—' : String(value));
+
+// Destinations as the recommender ranked them, with why each one matched
+const DestinationReasoning = ({ run, chosen, t }) => (
+  <table className="agent-run-destinations">
+    <thead>
+      <tr>
+        <th scope="col">{t('agents.destination')}</th>
+        <th scope="col">{t('agents.matchScore')}</th>
+        <th scope="col">{t('agents.reasoning')}</th>
+      </tr>
+    </thead>
+    <tbody>
+      {rankedDestinations(run).map(destination => (
+        <tr key={destination.DestinationName} className={destination.DestinationName === chosen ? 'chosen' : undefined}>
+          <th scope="row">
+            {destination.DestinationName}
+            {destination.DestinationName === chosen && <span className="agent-run-chosen"> {t('agents.chosen')}</span>}
+          </th>
+          <td>{destination.MatchScore}</td>
+          <td>{destination.Reasoning}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// One agent call: what it was asked, what it answered and how long it took
+const AgentRun = ({ run, chosenDestination, t, formatDate }) => {
+  const summary = summarizeAgentRun(run);
+  const inputs = Object.entries(run.inputs || {});
+
+  return (
+    <li className={`agent-run${run.output ? '' : ' unparsed'}`}>
+      <div className="agent-run-header">
+        <span className="agent-run-name">{run.agent}</span>
+        <span className="agent-run-step">
+          {t(`timeline.${run.step}`)}
+          {run.revision > 0 && ` · ${t('agents.revision', { revision: run.revision })}`}
+        </span>
+        <span className="agent-run-time">
+          {run.startedAt && <time dateTime={run.startedAt}>{formatDate(run.startedAt, TIME_FORMAT)}</time>}
+          {run.durationSeconds !== undefined && ` · ${formatElapsed(run.durationSeconds * 1000)}`}
+        </span>
+      </div>
+
+      {summary && <p className="agent-run-summary">{t(summary.key, summary.params)}</p>}
+      {!run.output && <p className="agent-run-warning" role="note">{t('agents.unparsed')}</p>}
+      {run.output && run.output.Recommendations && (
+        <DestinationReasoning run={run} chosen={chosenDestination} t={t} />
+      )}
+
+      {inputs.length > 0 && (
+        <dl className="agent-run-inputs" aria-label={t('agents.inputs')}>
+          {inputs.map(([name, value]) => (
+            <div key={name}>
+              <dt>{name}</dt>
+              <dd>{inputValue(value)}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+      <details>
+        <summary>{t('agents.prompt')}</summary>
+        <pre>{run.prompt}</pre>
+      </details>
+      <details>
+        <summary>{run.output ? t('agents.output') : t('agents.rawResponse')}</summary>
+        <pre>{run.output ? JSON.stringify(run.output, null, 2) : run.rawResponse}</pre>
+      </details>
+    </li>
+  );
+};
+
+// Collapsible "How this plan was made": every agent call behind the plan in
+// `status`, for checking why a plan came out the way it did. The API serves the
+// calls once planning has finished, so nothing is shown before that; they are
+// fetched the first time the panel is opened.
+const AgentRunsPanel = ({ status, instanceId, client = travelPlannerClient }) => {
+  const { t, formatDate } = useI18n();
+  const [runs, setRuns] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadFailed, setLoadFailed] = useState(false);
+  const [notice, setNotice] = useState('');
+
+  // A new plan in the chat starts over
+  useEffect(() => {
+    setRuns(null);
+    setLoadFailed(false);
+    setNotice('');
+  }, [instanceId]);
+
+  if (!instanceId || !status || !status.isTerminal) return null;
+
+  const loadRuns = async () => {
+    setLoading(true);
+    setLoadFailed(false);
+    try {
+      setRuns(await client.getAgentRuns(instanceId));
+    } catch (error) {
+      console.warn(`Could not load the agent runs of ${instanceId}:`, error);
+      setLoadFailed(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = (event) => {
+    if (event.currentTarget.open && runs === null && !loading) loadRuns();
+  };
+
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(agentRunsReport(instanceId, status, runs));
+      setNotice(t('agents.copied'));
+    } catch (error) {
+      console.warn('Could not copy the agent runs:', error);
+      setNotice(t('agents.copyFailed'));
+    }
+  };
+
+  return (
+    <details className="agent-runs" onToggle={handleToggle}>
+      <summary>
+        {t('agents.title')}
+        {runs && runs.length > 0 && (
+          <span className="agent-runs-total">
+            {' '}{t('agents.total', { count: runs.length, time: formatElapsed(totalAgentSeconds(runs) * 1000) })}
+          </span>
+        )}
+      </summary>
+      {loading && <p role="status">{t('agents.loading')}</p>}
+      {loadFailed && (
+        <p className="agent-run-warning" role="alert">
+          {t('agents.loadFailed')}{' '}
+          <button type="button" onClick={loadRuns} className="export-btn">{t('agents.retry')}</button>
+        </p>
+      )}
+      {runs && runs.length === 0 && <p>{t('agents.none')}</p>}
+      {runs && runs.length > 0 && (
+        <>
+          <div className="agent-runs-toolbar">
+            <button type="button" onClick={copyReport} className="export-btn">📋 {t('agents.copy')}</button>
+            {notice && <span role="status">{notice}</span>}
+          </div>
+          <ol className="agent-run-list">
+            {runs.map((run, index) => (
+              <AgentRun
+                key={`${run.agent}-${run.step}-${run.revision}-${index}`}
+                run={run}
+                chosenDestination={status.destination}
+                t={t}
+                formatDate={formatDate}
+              />
+            ))}
+          </ol>
+        </>
+      )}
+    </details>
+  );
+};
+
+export default AgentRunsPanel;
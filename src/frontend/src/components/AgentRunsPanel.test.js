@@ -0,0 +1,56 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AgentRunsPanel from './AgentRunsPanel';
+
+const FINISHED = { step: 'Completed', destination: 'Lisbon', isTerminal: true };
+
+const RUN = {
+  agent: 'DestinationRecommenderAgent',
+  step: 'GettingDestinations',
+  revision: 0,
+  inputs: { preferences: 'Beaches and seafood' },
+  prompt: 'Based on the following preferences, recommend 3 travel destinations',
+  output: { Recommendations: [{ DestinationName: 'Lisbon', MatchScore: 92, Reasoning: 'Walkable and great value.' }] },
+  startedAt: '2025-06-01T10:00:00Z',
+  finishedAt: '2025-06-01T10:00:04Z',
+  durationSeconds: 4
+};
+
+const openPanel = () => fireEvent.click(screen.getByText('🔍 How this plan was made'));
+
+describe('AgentRunsPanel', () => {
+  it('is not shown before planning has finished', () => {
+    const client = { getAgentRuns: jest.fn() };
+    const { container } = render(
+      <AgentRunsPanel status={{ step: 'WaitingForApproval', isTerminal: false }} instanceId="plan-1" client={client} />
+    );
+    expect(container).toBeEmptyDOMElement();
+    expect(client.getAgentRuns).not.toHaveBeenCalled();
+  });
+
+  it('loads the agent calls the first time it is opened', async () => {
+    const client = { getAgentRuns: jest.fn().mockResolvedValue([RUN]) };
+    render(<AgentRunsPanel status={FINISHED} instanceId="plan-1" client={client} />);
+    expect(client.getAgentRuns).not.toHaveBeenCalled();
+
+    openPanel();
+    expect(await screen.findByText('DestinationRecommenderAgent')).toBeInTheDocument();
+    expect(screen.getByText('Walkable and great value.')).toBeInTheDocument();
+    expect(client.getAgentRuns).toHaveBeenCalledWith('plan-1');
+
+    openPanel();
+    openPanel();
+    expect(client.getAgentRuns).toHaveBeenCalledTimes(1);
+  });
+
+  it('offers to try again when the agent calls could not be loaded', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const client = { getAgentRuns: jest.fn().mockRejectedValueOnce(new Error('offline')).mockResolvedValueOnce([]) };
+    render(<AgentRunsPanel status={FINISHED} instanceId="plan-1" client={client} />);
+
+    openPanel();
+    expect(await screen.findByRole('alert')).toHaveTextContent('The agent calls could not be loaded.');
+    fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+    expect(await screen.findByText('No agent calls were recorded for this plan.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,58 @@
+import React, { useState, useEffect } from 'react';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+import { useI18n } from '../i18n/I18nContext';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+
+// "23h 12m", "42m", "under a minute", worded by `t` (English by default)
+export const formatRemaining = (ms, t = (key, params) => translate(DEFAULT_LOCALE, key, params)) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return t('countdown.underAMinute');
+  const hours = Math.floor(minutes / 60);
+  return hours > 0
+    ? t('countdown.hours', { hours, minutes: minutes % 60 })
+    : t('countdown.minutes', { minutes });
+};
+
+// Time left to approve a plan. Calls `onExpire` once the deadline passes; the
+// orchestration reports "Expired" shortly after.
+const ApprovalCountdown = ({ deadline, onExpire }) => {
+  const { t, formatDate } = useI18n();
+  // Below this much time left the countdown turns into a warning
+  const warningMs = getRuntimeConfig().approvalWarningMinutes * 60 * 1000;
+  const [now, setNow] = useState(Date.now);
+  const deadlineMs = deadline ? new Date(deadline).getTime() : NaN;
+  const remaining = deadlineMs - now;
+  const expired = remaining <= 0;
+  const warning = remaining < warningMs;
+
+  // Tick every second while warning, every half minute before that
+  useEffect(() => {
+    if (Number.isNaN(deadlineMs) || expired) return undefined;
+    const intervalId = setInterval(() => setNow(Date.now()), warning ? 1000 : 30000);
+    return () => clearInterval(intervalId);
+  }, [deadlineMs, expired, warning]);
+
+  useEffect(() => {
+    if (expired && onExpire) onExpire();
+  }, [expired, onExpire]);
+
+  if (Number.isNaN(deadlineMs)) return null;
+
+  const deadlineLabel = formatDate(deadlineMs, {
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  if (expired) {
+    return <p className="approval-countdown expired">{t('countdown.closed', { time: deadlineLabel })}</p>;
+  }
+
+  return (
+    <p className={`approval-countdown ${warning ? 'warning' : ''}`}>
+      {t(warning ? 'countdown.warning' : 'countdown.left', { remaining: formatRemaining(remaining, t), time: deadlineLabel })}
+    </p>
+  );
+};
+
+export default ApprovalCountdown;
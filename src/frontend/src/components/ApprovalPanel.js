@@ -0,0 +1,204 @@
+import React, { useEffect, useRef, useState } from 'react';
+import BudgetSummary from './BudgetSummary';
+import ApprovalCountdown from './ApprovalCountdown';
+import { detectPlanCurrency, formatMoney } from '../utils/costs';
+import { listPlanItems, applyRemovedItems, buildApprovalPayload } from '../utils/approval';
+import { useI18n } from '../i18n/I18nContext';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+import useFocusOnMount from '../hooks/useFocusOnMount';
+import './approval-panel.css';
+
+// Item types in the order they are listed; each is labelled approval.group.{type}
+const ITEM_GROUPS = ['activity', 'attraction', 'restaurant'];
+
+// Key combination shown for each shortcut; the letters are the same in every language
+const SHORTCUT_KEYS = { approve: 'A', requestChanges: 'R' };
+
+// The translated shortcuts hint, with its {approve} and {requestChanges}
+// placeholders shown as <kbd> key combinations
+const ShortcutsHint = ({ message }) => (
+  <p className="approval-shortcuts">
+    {message.split(/(\{\w+\})/).map((part, index) => {
+      const key = SHORTCUT_KEYS[part.slice(1, -1)];
+      return key
+        ? <React.Fragment key={index}><kbd>Alt</kbd>+<kbd>Shift</kbd>+<kbd>{key}</kbd></React.Fragment>
+        : part;
+    })}
+  </p>
+);
+
+// Review panel for a plan waiting for approval: cost against the budget, items
+// to leave out, a spending cap and comments for the booking step, plus the time
+// left before the plan expires. `onApprove` receives the structured approval payload.
+// Alt+Shift+A approves and Alt+Shift+R asks for changes from anywhere on the page.
+const ApprovalPanel = ({
+  plan,
+  budget,
+  currency,
+  deadline,
+  onCurrencyChange,
+  onApprove,
+  onRequestChanges,
+  disabled
+}) => {
+  const { locale, t } = useI18n();
+  const [comments, setComments] = useState('');
+  const [removedKeys, setRemovedKeys] = useState([]);
+  const [capInput, setCapInput] = useState('');
+  const [showItems, setShowItems] = useState(false);
+  const [windowClosed, setWindowClosed] = useState(false);
+
+  const viewCurrency = currency || detectPlanCurrency(plan);
+  const items = listPlanItems(plan);
+  const approvedPlan = applyRemovedItems(plan, removedKeys);
+
+  const capValue = capInput.trim() === '' ? null : Number(capInput);
+  const capInvalid = capValue !== null && (!Number.isFinite(capValue) || capValue <= 0);
+  const payload = buildApprovalPayload(plan, {
+    comments,
+    removedKeys,
+    spendingCap: capInvalid ? null : capValue,
+    currency: viewCurrency
+  });
+  const overCap = payload.spendingCap !== null && payload.estimatedTotal > payload.spendingCap;
+
+  // Nothing can be decided on once the approval window has closed
+  const decisionsDisabled = disabled || windowClosed;
+  const approveDisabled = decisionsDisabled || capInvalid || overCap;
+  const headingRef = useFocusOnMount();
+
+  // Latest handlers for the window-level shortcut listener, which is added once
+  const shortcutsRef = useRef(null);
+  shortcutsRef.current = {
+    approve: approveDisabled ? null : () => onApprove(payload),
+    requestChanges: decisionsDisabled ? null : onRequestChanges
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return;
+      // e.code, because Alt changes the typed character on some layouts
+      const action = { KeyA: 'approve', KeyR: 'requestChanges' }[e.code];
+      const handler = action && shortcutsRef.current[action];
+      if (!handler) return;
+      e.preventDefault();
+      handler();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const toggleItem = (key) => {
+    setRemovedKeys(keys => (keys.includes(key) ? keys.filter(k => k !== key) : [...keys, key]));
+  };
+
+  return (
+    <div className="approve-section approval-panel">
+      <h2 ref={headingRef} tabIndex={-1}>{t('approval.title')}</h2>
+      <p>{t('approval.text')}</p>
+      {getRuntimeConfig().showApprovalCountdown && (
+        <ApprovalCountdown deadline={deadline} onExpire={() => setWindowClosed(true)} />
+      )}
+
+      <BudgetSummary
+        plan={approvedPlan}
+        budget={budget}
+        currency={viewCurrency}
+        onCurrencyChange={onCurrencyChange}
+      />
+
+      <div className="approval-options">
+        <button
+          type="button"
+          className="approval-toggle"
+          onClick={() => setShowItems(!showItems)}
+          aria-expanded={showItems}
+        >
+          {showItems ? '▾' : '▸'} {t('approval.leaveOut')}
+          {removedKeys.length > 0 && ` ${t('approval.removed', { count: removedKeys.length })}`}
+        </button>
+
+        {showItems && ITEM_GROUPS.map(type => {
+          const groupItems = items.filter(item => item.type === type);
+          if (groupItems.length === 0) return null;
+          return (
+            <fieldset key={type} className="approval-items">
+              <legend>{t(`approval.group.${type}`)}</legend>
+              {groupItems.map(item => (
+                <label key={item.key} className={removedKeys.includes(item.key) ? 'removed' : ''}>
+                  <input
+                    type="checkbox"
+                    checked={removedKeys.includes(item.key)}
+                    disabled={decisionsDisabled}
+                    onChange={() => toggleItem(item.key)}
+                  />
+                  {item.day ? `${t('plan.day', { day: item.day })}: ` : ''}{item.name}
+                  {item.cost && <span className="approval-item-cost">{item.cost}</span>}
+                </label>
+              ))}
+            </fieldset>
+          );
+        })}
+
+        <p className="approval-total">
+          {t('approval.total', { amount: formatMoney(payload.estimatedTotal, payload.currency, locale) })}
+        </p>
+
+        <div className="form-group approval-cap">
+          <label htmlFor="spending-cap">{t('approval.cap', { currency: viewCurrency })}</label>
+          <input
+            id="spending-cap"
+            type="number"
+            min="0"
+            value={capInput}
+            onChange={(e) => setCapInput(e.target.value)}
+            disabled={decisionsDisabled}
+            placeholder={t('approval.capPlaceholder', { amount: Math.ceil(payload.estimatedTotal || 1000) })}
+            aria-invalid={capInvalid || overCap}
+            aria-describedby={capInvalid || overCap ? 'spending-cap-error' : undefined}
+          />
+          {capInvalid && <span id="spending-cap-error" className="field-error">{t('approval.capInvalid')}</span>}
+          {overCap && (
+            <span id="spending-cap-error" className="field-error">
+              {t('approval.overCap', { amount: formatMoney(payload.estimatedTotal, payload.currency, locale) })}
+            </span>
+          )}
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="approval-comments">{t('approval.comments')}</label>
+          <textarea
+            id="approval-comments"
+            value={comments}
+            onChange={(e) => setComments(e.target.value)}
+            disabled={decisionsDisabled}
+            placeholder={t('approval.commentsPlaceholder')}
+            rows={2}
+          />
+        </div>
+      </div>
+
+      <div className="approval-buttons">
+        <button
+          onClick={() => onApprove(payload)}
+          className="approve-btn"
+          disabled={approveDisabled}
+          aria-keyshortcuts="Alt+Shift+A"
+        >
+          {t('approval.approve')}
+        </button>
+        <button
+          onClick={onRequestChanges}
+          className="reject-btn"
+          disabled={decisionsDisabled}
+          aria-keyshortcuts="Alt+Shift+R"
+        >
+          {t('approval.requestChanges')}
+        </button>
+      </div>
+      <ShortcutsHint message={t('approval.shortcuts')} />
+    </div>
+  );
+};
+
+export default ApprovalPanel;
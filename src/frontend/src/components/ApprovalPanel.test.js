@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import ApprovalPanel from './ApprovalPanel';
+import { I18nProvider } from '../i18n/I18nContext';
+import { SAMPLE_VIEW_PLAN } from '../testing/fakeTravelPlannerApi';
+
+const renderPanel = (props = {}) => render(
+  <I18nProvider>
+    <ApprovalPanel
+      plan={SAMPLE_VIEW_PLAN}
+      budget="around $1000"
+      currency="USD"
+      deadline={new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString()}
+      onCurrencyChange={() => {}}
+      onApprove={() => {}}
+      onRequestChanges={() => {}}
+      disabled={false}
+      {...props}
+    />
+  </I18nProvider>
+);
+
+describe('ApprovalPanel', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('has no accessibility violations', async () => {
+    const { container } = renderPanel();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no accessibility violations with items left out and an invalid cap', async () => {
+    const { container } = renderPanel();
+    fireEvent.click(screen.getByRole('button', { name: /Leave items out/ }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /Sunset cruise/ }));
+    fireEvent.change(screen.getByLabelText(/Spending cap/), { target: { value: '-5' } });
+
+    expect(screen.getByText('Enter the cap as a positive amount.')).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('translates the shortcuts hint around the key combinations', () => {
+    window.localStorage.setItem('travel-planner:locale', 'fr');
+    renderPanel();
+
+    const hint = 'Raccourcis : Alt+Shift+A pour approuver, Alt+Shift+R pour demander des modifications';
+    expect(screen.getByText((content, element) => element.tagName === 'P' && element.textContent === hint)).toBeInTheDocument();
+    expect(screen.getAllByText('Alt', { selector: 'kbd' })).toHaveLength(2);
+    expect(screen.getAllByText('Shift', { selector: 'kbd' })).toHaveLength(2);
+    expect(screen.getByText('A', { selector: 'kbd' })).toBeInTheDocument();
+    expect(screen.getByText('R', { selector: 'kbd' })).toBeInTheDocument();
+  });
+
+  it('checks the cap against the trip total less the activities left out', () => {
+    const onApprove = jest.fn();
+    renderPanel({ onApprove });
+    // 620 USD for the whole trip, so a cap above the activities alone is still too low
+    fireEvent.change(screen.getByLabelText(/Spending cap/), { target: { value: '600' } });
+    expect(screen.getByText(/The approved trip costs about \$620\.00/)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Yes, Book My Trip!' })).toBeDisabled();
+
+    fireEvent.click(screen.getByRole('button', { name: /Leave items out/ }));
+    fireEvent.click(screen.getByRole('checkbox', { name: /Sunset cruise/ }));
+    expect(screen.getByText('Trip total to book: about $540.00')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Yes, Book My Trip!' }));
+    expect(onApprove).toHaveBeenCalledWith(expect.objectContaining({
+      removedItems: [{ type: 'activity', name: 'Sunset cruise', day: 2, index: 1 }],
+      spendingCap: 600,
+      estimatedTotal: 540
+    }));
+  });
+
+  it('approves with Alt+Shift+A', () => {
+    const onApprove = jest.fn();
+    renderPanel({ onApprove });
+    fireEvent.keyDown(window, { code: 'KeyA', altKey: true, shiftKey: true });
+    expect(onApprove).toHaveBeenCalledWith(expect.objectContaining({ removedItems: [] }));
+  });
+});
@@ -0,0 +1,75 @@
+import React, { useEffect, useState } from 'react';
+import { completeLogin, getSession, isAuthEnabled, isLoginCallback, login, subscribeToSessionExpiry } from '../services/auth';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+import { useI18n } from '../i18n/I18nContext';
+import './auth.css';
+
+const initialPhase = () => {
+  if (!isAuthEnabled()) return 'ready';
+  if (isLoginCallback()) return 'completing';
+  return getSession() ? 'ready' : 'signedOut';
+};
+
+// With sign-in enabled (AUTH_MODE=oidc) the app is only shown to signed-in
+// users. Also finishes sign-in when the issuer redirects back to /auth/callback.
+// When the session expires the app stays open (plans keep being saved for the
+// same user) under a prompt to sign in again.
+const AuthGate = ({ children }) => {
+  const { t } = useI18n();
+  const [phase, setPhase] = useState(initialPhase);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (phase !== 'completing') return;
+    completeLogin()
+      .then(() => setPhase('ready'))
+      .catch(loginError => {
+        console.error('Sign-in failed:', loginError);
+        window.history.replaceState(null, '', '/');
+        setError(loginError.message);
+        setPhase('signedOut');
+      });
+  }, [phase]);
+
+  useEffect(() => {
+    if (phase !== 'ready' || !isAuthEnabled()) return undefined;
+    return subscribeToSessionExpiry(() => setPhase('expired'));
+  }, [phase]);
+
+  const signIn = () => {
+    setError('');
+    login().catch(loginError => setError(loginError.message));
+  };
+
+  if (phase === 'ready') return children;
+
+  if (phase === 'expired') {
+    return (
+      <>
+        <div className="auth-expired" role="alert">
+          <p>{t('auth.expired')}</p>
+          {error && <p className="auth-error">{error}</p>}
+          <button onClick={signIn} className="approve-btn">{t('auth.signInAgain')}</button>
+        </div>
+        {children}
+      </>
+    );
+  }
+
+  return (
+    <div className="auth-gate">
+      {phase === 'completing' ? (
+        <p role="status">{t('auth.completing')}</p>
+      ) : (
+        <>
+          <h1>{getRuntimeConfig().branding.title || t('app.title')}</h1>
+          <p>{t('auth.required')}</p>
+          {error && <p className="auth-error" role="alert">{error}</p>}
+          <button onClick={signIn} className="approve-btn">{t('auth.signIn')}</button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AuthGate;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import AuthGate from './AuthGate';
+import { I18nProvider } from '../i18n/I18nContext';
+
+const SESSION_KEY = 'travel-planner:auth';
+
+const signIn = (expiresInMs) => {
+  window.sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+    accessToken: 'token',
+    idToken: null,
+    expiresAt: Date.now() + expiresInMs,
+    claims: { sub: 'ana', name: 'Ana' }
+  }));
+};
+
+const renderGate = () => render(
+  <I18nProvider>
+    <AuthGate>
+      <p>Trip planner</p>
+    </AuthGate>
+  </I18nProvider>
+);
+
+describe('AuthGate', () => {
+  beforeAll(() => {
+    window.RUNTIME_CONFIG = { AUTH_MODE: 'oidc', AUTH_ISSUER: 'http://localhost:9000', AUTH_CLIENT_ID: 'travel-planner' };
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.sessionStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('asks to sign in without a session', () => {
+    renderGate();
+    expect(screen.getByRole('button', { name: 'Sign In' })).toBeInTheDocument();
+    expect(screen.queryByText('Trip planner')).not.toBeInTheDocument();
+  });
+
+  it('keeps the app open under a sign-in prompt once the session expires', () => {
+    signIn(5 * 60 * 1000);
+    renderGate();
+    expect(screen.getByText('Trip planner')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+    act(() => {
+      jest.advanceTimersByTime(5 * 60 * 1000);
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Your session has expired.');
+    expect(screen.getByRole('button', { name: 'Sign In Again' })).toBeInTheDocument();
+    expect(screen.getByText('Trip planner')).toBeInTheDocument();
+  });
+
+  it('notices an expiry missed while the tab was hidden', () => {
+    signIn(5 * 60 * 1000);
+    renderGate();
+
+    // Background tabs may not run the timer: the clock moves on without it
+    jest.setSystemTime(Date.now() + 10 * 60 * 1000);
+    act(() => {
+      document.dispatchEvent(new Event('visibilitychange'));
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Your session has expired.');
+  });
+});
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { printReceipt } from '../utils/planExport';
+import useFocusOnMount from '../hooks/useFocusOnMount';
+import { useI18n } from '../i18n/I18nContext';
+import './travel-plan-view.css';
+import './booking-confirmation.css';
+
+// Confirmation screen for a booked trip. `booking` comes from the Completed
+// status (null when the backend reported none); `plan` fills in the
+// destination, dates and cost when the booking lacks them.
+const BookingConfirmation = ({ booking, plan, travellerName, onStartNewPlan }) => {
+  const { locale, t } = useI18n();
+  const [notice, setNotice] = useState('');
+  const headingRef = useFocusOnMount();
+
+  const itinerary = (plan && plan.Plan && plan.Plan.itinerary) || {};
+  const reported = booking || {};
+  const details = {
+    ...reported,
+    destination: reported.destination || itinerary.destinationName || '',
+    travelDates: reported.travelDates || itinerary.travelDates || '',
+    totalCost: reported.totalCost || itinerary.estimatedTotalCost || ''
+  };
+
+  const copyBookingId = async () => {
+    try {
+      await navigator.clipboard.writeText(details.bookingId);
+      setNotice(t('booking.copied'));
+    } catch (error) {
+      console.warn('Could not copy the booking ID:', error);
+      setNotice(t('booking.copyFailed'));
+    }
+  };
+
+  const printConfirmation = () => {
+    setNotice(printReceipt(details, { travellerName, locale, t }) ? '' : t('booking.popupsBlocked'));
+  };
+
+  const rows = [
+    [t('booking.destination'), details.destination],
+    [t('booking.travelDates'), details.travelDates],
+    [t('booking.totalCost'), details.totalCost],
+    [t('booking.confirmationNumber'), details.confirmationNumber !== details.bookingId ? details.confirmationNumber : ''],
+    [t('booking.bookedOn'), details.bookingDate]
+  ].filter(([, value]) => value);
+
+  return (
+    <div className="booking-confirmation">
+      <h2 ref={headingRef} tabIndex={-1}>{t('booking.title')}</h2>
+      <p className="booking-message">
+        {details.message || t('booking.checkEmail')}
+      </p>
+
+      {details.bookingId && (
+        <div className="booking-id">
+          <span className="booking-id-label">{t('booking.bookingId')}</span>
+          <code>{details.bookingId}</code>
+          <button onClick={copyBookingId} className="export-btn">{t('booking.copy')}</button>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <dl className="booking-details">
+          {rows.map(([label, value]) => (
+            <React.Fragment key={label}>
+              <dt>{label}</dt>
+              <dd>{value}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+
+      {details.nextSteps && (
+        <div className="booking-next-steps">
+          <h3>{t('booking.nextSteps')}</h3>
+          <p>{details.nextSteps}</p>
+        </div>
+      )}
+
+      <div className="approval-buttons">
+        <button onClick={printConfirmation} className="approve-btn">{t('booking.print')}</button>
+        {onStartNewPlan && (
+          <button onClick={onStartNewPlan} className="reject-btn">{t('booking.planAnother')}</button>
+        )}
+      </div>
+      {notice && <p className="booking-notice" role="status">{notice}</p>}
+    </div>
+  );
+};
+
+export default BookingConfirmation;
@@ -0,0 +1,85 @@
+import React from 'react';
+import {
+  SUPPORTED_CURRENCIES,
+  analyzePlanCosts,
+  compareWithBudget,
+  formatMoney
+} from '../utils/costs';
+import { useI18n } from '../i18n/I18nContext';
+import './budget-summary.css';
+
+// budget.{status} message for a comparison from compareWithBudget
+const budgetMessage = (comparison, currency, locale, t) => {
+  if (comparison.status === 'unknown') return t('budget.unknown');
+  return t(`budget.${comparison.status}`, {
+    difference: formatMoney(Math.abs(comparison.difference), currency, locale),
+    budget: formatMoney(comparison.budget, currency, locale)
+  });
+};
+
+// Cost breakdown of a plan per day and per category, compared with the user's budget
+const BudgetSummary = ({ plan, budget, currency, onCurrencyChange }) => {
+  const { locale, t } = useI18n();
+  if (!plan) return null;
+
+  const costs = analyzePlanCosts(plan, { currency });
+  const comparison = compareWithBudget(costs.total, budget, costs.currency);
+
+  return (
+    <div className={`budget-summary budget-${comparison.status}`}>
+      <div className="budget-summary-header">
+        <h3>{t('budget.estimated', { amount: formatMoney(costs.total, costs.currency, locale) })}</h3>
+        <label className="budget-currency">
+          {t('budget.showIn')}
+          <select value={costs.currency} onChange={(e) => onCurrencyChange(e.target.value)}>
+            {SUPPORTED_CURRENCIES.map(code => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <p className="budget-status">{budgetMessage(comparison, costs.currency, locale, t)}</p>
+
+      <div className="budget-breakdown">
+        <table>
+          <caption>{t('budget.perDay')}</caption>
+          <tbody>
+            {costs.days.map(day => (
+              <tr key={day.day}>
+                <td>{t('plan.day', { day: day.day })}{day.date ? ` · ${day.date}` : ''}</td>
+                <td>
+                  {formatMoney(day.total, costs.currency, locale)}
+                  {day.unpriced > 0 && <span className="budget-unpriced"> {t('budget.unpriced', { count: day.unpriced })}</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <table>
+          <caption>{t('budget.perCategory')}</caption>
+          <tbody>
+            {Object.entries(costs.categories).map(([category, summary]) => (
+              <tr key={category}>
+                <td>{t(`budget.category.${category}`)}</td>
+                <td>
+                  {formatMoney(summary.total, costs.currency, locale)}
+                  {summary.unpriced > 0 && <span className="budget-unpriced"> {t('budget.unpriced', { count: summary.unpriced })}</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {costs.statedTotal !== null && (
+        <p className="budget-note">
+          {t('budget.statedTotal', { amount: formatMoney(costs.statedTotal, costs.currency, locale) })}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default BudgetSummary;
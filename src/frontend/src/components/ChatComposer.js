@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+import './chat-composer.css';
+
+// Text input under the chat history for follow-up requests. Enter sends,
+// Shift+Enter adds a line break.
+const ChatComposer = ({ onSend, disabled, placeholder, hint }) => {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+
+  const send = () => {
+    const message = text.trim();
+    if (!message || disabled) return;
+    onSend(message);
+    setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      send();
+    }
+  };
+
+  return (
+    <div className="chat-composer">
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        rows={2}
+        disabled={disabled}
+        aria-label={t('chat.message')}
+      />
+      <button onClick={send} className="chat-send-btn" disabled={disabled || !text.trim()}>
+        {t('chat.send')}
+      </button>
+      {hint && <span className="chat-composer-hint">{hint}</span>}
+    </div>
+  );
+};
+
+export default ChatComposer;
@@ -1,32 +1,88 @@
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import '../ChatInterface.css';
 import ProgressTracker from './ProgressTracker';
+import TravelPlanView from './TravelPlanView';
+import PlanExportMenu from './PlanExportMenu';
+import ApprovalPanel from './ApprovalPanel';
+import DestinationComparison from './DestinationComparison';
+import ChatComposer from './ChatComposer';
+import PlanDiff from './PlanDiff';
+import TravelRequestForm from './TravelRequestForm';
+import BookingConfirmation from './BookingConfirmation';
+import useFocusOnMount from '../hooks/useFocusOnMount';
 import './progress-tracker.css';
-
-// Get API URL from runtime config (injected at container startup) or fallback to env/localhost
-const getApiUrl = () => {
-  if (window.RUNTIME_CONFIG && window.RUNTIME_CONFIG.API_URL && window.RUNTIME_CONFIG.API_URL !== '__API_URL__') {
-    return window.RUNTIME_CONFIG.API_URL;
-  }
-  return process.env.REACT_APP_API_URL || 'http://localhost:8000';
-};
-const API_URL = getApiUrl();
+import travelPlannerClient, {
+  InstanceNotFoundError,
+  UnauthorizedError,
+  ForbiddenError,
+  NetworkError
+} from '../services/travelPlannerClient';
+import { getUser } from '../services/auth';
+import { subscribeToStatus } from '../services/statusStream';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+import {
+  queueDecision,
+  getQueuedDecision,
+  removeQueuedDecision,
+  subscribeToReplays
+} from '../services/decisionQueue';
+import { NOTIFIED_STEPS, notifyMilestone } from '../services/notifications';
+import {
+  loadPlan,
+  savePlan,
+  removePlan,
+  getActivePlanId,
+  setActivePlanId,
+  clearActivePlanId,
+  getPlanIdFromPath,
+  syncPlanPath
+} from '../services/planStorage';
+import {
+  emptyTravelForm,
+  toTravelRequest,
+  fromTravelRequest,
+  formatLocalDateRange,
+  validateTravelForm
+} from '../utils/travelRequestForm';
+import { summarizeApproval } from '../utils/approval';
+import { diffPlans } from '../utils/planDiff';
+import { historyFromStatus, recordStep } from '../utils/stepTimeline';
+import { useI18n } from '../i18n/I18nContext';
+import LanguageSwitcher from './LanguageSwitcher';
+import AccountMenu from './AccountMenu';
+import NotificationToggle from './NotificationToggle';
+import AgentRunsPanel from './AgentRunsPanel';
 
 // Module-level tracking to prevent duplicates across re-renders
 let displayedPlanInstanceId = null;
 
+// Heading of a workflow panel; takes focus when the panel appears
+const PanelHeading = ({ id, children }) => {
+  const headingRef = useFocusOnMount();
+  return <h2 id={id} ref={headingRef} tabIndex={-1}>{children}</h2>;
+};
+
 const ChatInterface = () => {
-  // Travel request state
-  const [travelRequest, setTravelRequest] = useState({
-    userName: '',
-    preferences: '',
-    durationInDays: 7,
-    budget: '',
-    travelDates: '',
-    specialRequirements: ''
-  });
+  const { locale, t } = useI18n();
+  const { features, branding, defaultCurrency } = getRuntimeConfig();
+  // An empty form, in the deployment's currency when it sets one and with the
+  // signed-in user's name
+  const newTravelForm = () => {
+    const user = getUser();
+    return {
+      ...emptyTravelForm,
+      userName: (user && user.name) || emptyTravelForm.userName,
+      budgetCurrency: defaultCurrency || emptyTravelForm.budgetCurrency
+    };
+  };
+
+  // Travel request state - the structured form, and the TravelRequest it serializes to
+  const [travelForm, setTravelForm] = useState(newTravelForm);
+  const travelRequest = useMemo(
+    () => toTravelRequest(travelForm, { locale, chooseDestination: features.destinationPicker }),
+    [travelForm, locale, features.destinationPicker]
+  );
 
   // Chat and UI state
   const [messages, setMessages] = useState([]);
@@ -38,83 +94,185 @@ const ChatInterface = () => {
   const [planData, setPlanData] = useState(null);
   const [approvalStatus, setApprovalStatus] = useState(null);
   const [confirmationStatus, setConfirmationStatus] = useState(null);
+  // Booking details from the Completed status
+  const [booking, setBooking] = useState(null);
   const [orchestrationStatus, setOrchestrationStatus] = useState(null);
+  const [showRejectForm, setShowRejectForm] = useState(false);
+  const [rejectionFeedback, setRejectionFeedback] = useState('');
+  // Destination the user picked at the ChoosingDestination step
+  const [chosenDestination, setChosenDestination] = useState(null);
+  // Currency chosen for viewing costs; null shows them as the planner wrote them
+  const [displayCurrency, setDisplayCurrency] = useState(defaultCurrency || null);
+  // A refinement request is being applied by the agents
+  const [refining, setRefining] = useState(false);
+  // Steps seen so far with the time each was first seen, for the progress timeline
+  const [stepHistory, setStepHistory] = useState([]);
+  const [online, setOnline] = useState(navigator.onLine);
+  // Approval deadline that passed while the plan was open for review
+  const [closedDeadline, setClosedDeadline] = useState(null);
   const chatHistoryRef = useRef(null);
-  const planDisplayedRef = useRef(false);
+  // Set once approve/reject went through, so a late WaitingForApproval status
+  // (the orchestration hasn't picked up the event yet) doesn't reopen the panel
+  const decisionSentRef = useRef(false);
+  // Set while the status shown is the stored copy from the last visit, because
+  // the API could not be reached - refreshed once the browser is back online
+  const showingCachedStatusRef = useRef(false);
+  // Revision of the plan shown in the chat, and the one expected after a refinement
+  // request - older WaitingForApproval statuses are ignored until it arrives
+  const displayedRevisionRef = useRef(0);
+  const awaitedRevisionRef = useRef(0);
+  // Latest plan, for diffing against a revision from inside the status handler
+  const planRef = useRef(null);
+  // Latest translate function, for messages added by the status handler (which
+  // is created once per subscription) - a language switch applies to new messages
+  const tRef = useRef(t);
+  // Step of the last status handled, to notice milestones as they are reached
+  const lastStepRef = useRef(null);
   
-  // Auto-scroll to the bottom of chat when new messages arrive
   useEffect(() => {
-    if (chatHistoryRef.current) {
-      chatHistoryRef.current.scrollTop = chatHistoryRef.current.scrollHeight;
-    }
-  }, [messages]);
-
-  // Handle input changes for all form fields
-  const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    planRef.current = planData;
+  }, [planData]);
+  
+  useEffect(() => {
+    tRef.current = t;
+  }, [t]);
+  
+  // Resume a plan opened through a /plan/{instanceId} link, or the one that was
+  // open when the page was last left. Without stored messages (e.g. a link
+  // shared from another browser) the chat is rebuilt from the status endpoint.
+  useEffect(() => {
+    const resumeId = getPlanIdFromPath() || getActivePlanId();
+    if (!resumeId) return;
     
-    // Convert durationInDays to number if it's that field
-    if (name === 'durationInDays') {
-      setTravelRequest({
-        ...travelRequest,
-        [name]: parseInt(value, 10) || 1
-      });
+    const stored = loadPlan(resumeId);
+    if (stored) {
+      setTravelForm(stored.travelForm || fromTravelRequest(stored.travelRequest));
+      setMessages(stored.messages || []);
+      // Completed plans no longer carry travelPlan in their status - use the displayed one
+      const planMessage = (stored.messages || []).filter(msg => msg.plan).pop();
+      if (planMessage) {
+        setPlanData(planMessage.plan);
+      }
+      if (stored.planDisplayed) {
+        displayedPlanInstanceId = resumeId;
+      }
+      setStepHistory(stored.stepHistory || []);
+      decisionSentRef.current = !!stored.decisionSent;
+      displayedRevisionRef.current = stored.planRevision || 0;
+      awaitedRevisionRef.current = stored.planRevision || 0;
     } else {
-      setTravelRequest({
-        ...travelRequest,
-        [name]: value
-      });
+      setMessages([{ 
+        role: 'bot', 
+        content: tRef.current('chat.reopening', { id: resumeId })
+      }]);
     }
+    
+    setInstanceId(resumeId);
+    setFormSubmitted(true);
+    setStatusPolling(true);
+  }, []);
+
+  // Keep the open plan stored locally and reachable through its shareable URL
+  useEffect(() => {
+    if (!instanceId) return;
+    
+    savePlan(instanceId, {
+      travelForm,
+      travelRequest,
+      messages,
+      stepHistory,
+      planDisplayed: displayedPlanInstanceId === instanceId
+    });
+    setActivePlanId(instanceId);
+    syncPlanPath(instanceId);
+  }, [instanceId, travelForm, travelRequest, messages, stepHistory]);
+
+  // Track connectivity for the offline banner; a plan shown from its stored
+  // status is refreshed as soon as the connection returns
+  useEffect(() => {
+    const handleOnline = () => {
+      setOnline(true);
+      if (showingCachedStatusRef.current) {
+        showingCachedStatusRef.current = false;
+        setStatusPolling(true);
+      }
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
+  // Add a bot message unless the chat already has it (e.g. restored after a reload)
+  const addBotMessageOnce = (content) => {
+    setMessages(prevMessages => {
+      if (prevMessages.some(msg => msg.role === 'bot' && msg.content === content)) {
+        return prevMessages;
+      }
+      return [...prevMessages, { role: 'bot', content }];
+    });
   };
 
-  // Submit the travel request form
-  const submitTravelRequest = async () => {
-    if (!travelRequest.userName || !travelRequest.preferences) {
-      alert('Please fill out your name and travel preferences at minimum.');
-      return;
+  // Once the form is replaced by the chat, keyboard focus would otherwise fall
+  // back to the page; move it to the conversation instead
+  useEffect(() => {
+    if (formSubmitted && chatHistoryRef.current && document.activeElement === document.body) {
+      chatHistoryRef.current.focus();
     }
+  }, [formSubmitted]);
+
+  // Auto-scroll to the bottom of chat when new messages arrive
+  useEffect(() => {
+    if (chatHistoryRef.current) {
+      chatHistoryRef.current.scrollTop = chatHistoryRef.current.scrollHeight;
+    }
+  }, [messages]);
+
+  // Submit the travel request form - TravelRequestForm has already validated it
+  const submitTravelRequest = async (form) => {
+    const request = toTravelRequest(form, { locale, chooseDestination: features.destinationPicker });
+    const dates = formatLocalDateRange(form.startDate, form.endDate, locale) || request.travelDates;
 
     setLoading(true);
     setFormSubmitted(true);
     
     // Add user request to messages
     const requestSummary = `
-# Travel Request Submitted
-
-* **Name**: ${travelRequest.userName}
-* **Preferences**: ${travelRequest.preferences}
-* **Duration**: ${travelRequest.durationInDays} days
-* **Budget**: ${travelRequest.budget}
-* **Dates**: ${travelRequest.travelDates}
-* **Special Requirements**: ${travelRequest.specialRequirements}
+# ${t('chat.requestTitle')}
+
+* **${t('chat.requestName')}**: ${request.userName}
+* **${t('chat.requestPreferences')}**: ${request.preferences}
+* **${t('chat.requestDuration')}**: ${t('chat.days', { count: request.durationInDays })}
+* **${t('chat.requestBudget')}**: ${request.budget}
+* **${t('chat.requestDates')}**: ${dates}
+* **${t('chat.requestRequirements')}**: ${request.specialRequirements}
     `;
     
-    setMessages([...messages, { role: 'user', content: requestSummary }]);
+    setMessages(prevMessages => [...prevMessages, { role: 'user', content: requestSummary }]);
 
     try {
       // Send request to the travel planner API
-      const response = await axios.post(`${API_URL}/travel-planner`, travelRequest, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      const started = await travelPlannerClient.startPlan(request);
 
       // Store the instance ID for status checking
-      if (response.data && response.data.id) {
-        setInstanceId(response.data.id);
+      if (started && started.id) {
+        setInstanceId(started.id);
         setStatusPolling(true);
         
         // Add system message
         setMessages(prevMessages => [...prevMessages, { 
           role: 'bot', 
-          content: `Your travel plan request is being processed. ID: ${response.data.id}`
+          content: t('chat.processing', { id: started.id })
         }]);
       }
     } catch (error) {
       console.error('Error submitting travel request:', error);
       setMessages(prevMessages => [...prevMessages, { 
         role: 'bot', 
-        content: 'Error submitting your travel request. Please try again.'
+        content: t('chat.submitError')
       }]);
       setFormSubmitted(false);
     } finally {
@@ -123,8 +281,10 @@ const ChatInterface = () => {
   };
 
   // Display travel plan when ready for approval
-  const displayTravelPlanForApproval = (plan) => {
+  // With `previousPlan` the plan is shown as a revision, with what changed
+  const displayTravelPlanForApproval = (plan, previousPlan = null, refinementRequest = '') => {
     if (!plan || !plan.Plan) return;
+    const t = tRef.current;
     
     const itinerary = plan.Plan.itinerary || {};
     const attractions = plan.Plan.attractions || [];
@@ -132,23 +292,26 @@ const ChatInterface = () => {
     const insiderTips = plan.Plan.insiderTips || '';
     const documentUrl = plan.documentUrl || plan.Plan.documentUrl;
 
-    let planMessage = `# 🗺️ Your Travel Plan for ${itinerary.destinationName || 'Your Destination'}\n\n`;
+    // Locations are kept in the markdown too (the fallback rendering and exports)
+    const at = (location) => (location ? ` 📍 ${location}` : '');
+
+    let planMessage = `${t('plan.title', { destination: itinerary.destinationName || t('plan.yourDestination') })}\n\n`;
     
     if (itinerary.travelDates) {
-      planMessage += `**Dates**: ${itinerary.travelDates}\n`;
+      planMessage += `**${t('plan.dates')}**: ${itinerary.travelDates}\n`;
     }
     if (itinerary.estimatedTotalCost) {
-      planMessage += `**Estimated Cost**: ${itinerary.estimatedTotalCost}\n\n`;
+      planMessage += `**${t('plan.estimatedCost')}**: ${itinerary.estimatedTotalCost}\n\n`;
     }
 
     // Daily itinerary
     if (itinerary.dailyPlan && itinerary.dailyPlan.length > 0) {
-      planMessage += `## 📅 Daily Itinerary\n\n`;
+      planMessage += `## ${t('plan.dailyItinerary')}\n\n`;
       itinerary.dailyPlan.forEach(day => {
-        planMessage += `### Day ${day.Day}: ${day.Date || ''}\n`;
+        planMessage += `### ${t('plan.day', { day: day.Day })}: ${day.Date || ''}\n`;
         if (day.Activities) {
           day.Activities.forEach(activity => {
-            planMessage += `- **${activity.Time}** - ${activity.ActivityName}: ${activity.Description} *(${activity.EstimatedCost || 'Free'})*\n`;
+            planMessage += `- **${activity.Time}** - ${activity.ActivityName}: ${activity.Description}${at(activity.Location)} *(${activity.EstimatedCost || t('plan.free')})*\n`;
           });
         }
         planMessage += '\n';
@@ -157,178 +320,306 @@ const ChatInterface = () => {
 
     // Attractions
     if (attractions.length > 0) {
-      planMessage += `## 🎯 Top Attractions\n`;
+      planMessage += `## ${t('plan.topAttractions')}\n`;
       attractions.forEach(attr => {
-        planMessage += `- **${attr.Name}**: ${attr.Description} *(${attr.EstimatedCost || 'Varies'})*\n`;
+        planMessage += `- **${attr.Name}**: ${attr.Description}${at(attr.Location)} *(${attr.EstimatedCost || t('plan.varies')})*\n`;
       });
       planMessage += '\n';
     }
 
     // Restaurants
     if (restaurants.length > 0) {
-      planMessage += `## 🍽️ Restaurant Recommendations\n`;
+      planMessage += `## ${t('plan.restaurants')}\n`;
       restaurants.forEach(rest => {
-        planMessage += `- **${rest.Name}** (${rest.Cuisine || 'Various'}): ${rest.Description} - ${rest.PriceRange || ''}\n`;
+        planMessage += `- **${rest.Name}** (${rest.Cuisine || t('plan.various')}): ${rest.Description}${at(rest.Location)} - ${rest.PriceRange || ''}\n`;
       });
       planMessage += '\n';
     }
 
     // Insider tips
     if (insiderTips) {
-      planMessage += `## 💡 Insider Tips\n${insiderTips}\n\n`;
+      planMessage += `## ${t('plan.insiderTips')}\n${insiderTips}\n\n`;
     }
 
     // Document URL
     if (documentUrl) {
-      planMessage += `\n📄 [View Full Travel Document](${documentUrl})\n`;
+      planMessage += `\n${t('plan.document', { url: documentUrl })}\n`;
     }
 
+    const intro = previousPlan
+      ? t('chat.planRevised', { request: refinementRequest || t('chat.yourRequest') })
+      : t('chat.planReady');
+    const diff = previousPlan ? diffPlans(previousPlan, plan) : null;
+
     // Add both messages in a single setMessages call to avoid race conditions
     setMessages(prevMessages => {
       return [
         ...prevMessages,
-        { 
-          role: 'bot', 
-          content: `## Your travel plan is now ready for your review!\n\nPlease review the details below and decide if you'd like to proceed with this plan.` 
-        },
-        { role: 'bot', content: planMessage }
+        { role: 'bot', content: intro },
+        // Keep the structured plan with its markdown, which stays as the fallback rendering
+        { role: 'bot', content: planMessage, plan, ...(diff ? { diff } : {}) }
       ];
     });
   };
 
-  // Polling for status updates
+  // Subscribe to status updates (server-sent stream, or back-off polling as a fallback)
   useEffect(() => {
-    let intervalId;
+    if (!statusPolling || !instanceId) return undefined;
     
-    if (statusPolling && instanceId) {
-      intervalId = setInterval(async () => {
-        try {
-          const statusResponse = await axios.get(`${API_URL}/travel-planner/status/${instanceId}`);
-          const status = statusResponse.data;
-          
-          console.log("Status update received:", status);
-          
-          // The API returns step, message, progress directly (not nested in customStatus)
-          // Build a customStatus object from the direct response fields
-          const customStatus = {
-            step: status.step,
-            message: status.message,
-            progress: status.progress,
-            destination: status.destination,
-            itinerary: status.itinerary,
-            travelPlan: status.travelPlan,
-            documentUrl: status.documentUrl,
-            finalPlan: status.finalPlan
-          };
-          
-          // Update the orchestration status
-          setOrchestrationStatus(customStatus);
-          
-          console.log(`[DEBUG] Checking step: "${customStatus.step}" === "WaitingForApproval" ? ${customStatus.step === "WaitingForApproval"}`);
-          
-          // Check if we're at the waiting for approval step
-          if (customStatus.step === "WaitingForApproval") {
-              console.log(`[DEBUG] INSIDE WaitingForApproval block - instanceId: ${instanceId}, displayedPlanInstanceId: ${displayedPlanInstanceId}`);
-              setLoading(false);
-              setPlanReadyForApproval(true);
-              setApprovalStatus("waiting");
-              setStatusPolling(false); // Stop polling once we have the plan
-              
-              // Only display plan once per instance - use module-level tracking
-              if (customStatus.travelPlan && displayedPlanInstanceId !== instanceId) {
-                console.log(`[DEBUG] DISPLAYING PLAN - setting displayedPlanInstanceId to ${instanceId}`);
-                displayedPlanInstanceId = instanceId; // Set immediately (sync, outside React)
-                
-                const completePlan = {
-                  Plan: {
-                    itinerary: {
-                      destinationName: customStatus.destination,
-                      travelDates: customStatus.travelPlan.dates,
-                      estimatedTotalCost: customStatus.travelPlan.cost,
-                      dailyPlan: customStatus.travelPlan.dailyPlan || []
-                    },
-                    attractions: customStatus.travelPlan.attractions || [],
-                    restaurants: customStatus.travelPlan.restaurants || [],
-                    insiderTips: customStatus.travelPlan.insiderTips || "",
-                    documentUrl: customStatus.documentUrl
-                  },
-                  documentUrl: customStatus.documentUrl
-                };
-                
-                setPlanData(completePlan);
-                displayTravelPlanForApproval(completePlan);
-              } else {
-                console.log(`[DEBUG] SKIPPING - already displayed for this instance`);
-              }
-            }
-            else if (customStatus.step === "BookingTrip") {
-              setLoading(true);
-              setPlanReadyForApproval(false);
-              setApprovalStatus("processing");
-              
-              setMessages(prevMessages => {
-                const hasBookingMessage = prevMessages.some(msg => 
-                  msg.role === 'bot' && msg.content.includes("Booking your trip"));
-                
-                if (!hasBookingMessage) {
-                  return [...prevMessages, { 
-                    role: 'bot', 
-                    content: `🎯 **Booking your trip to ${customStatus.destination}...**\n\nPlease wait while we confirm your reservation details.`
-                  }];
-                }
-                return prevMessages;
-              });
-            }
-          
-          // Check if orchestration is completed (step === "Completed")
-          if (customStatus.step === 'Completed') {
-            setStatusPolling(false);
+    const handleStatus = (customStatus) => {
+      const t = tRef.current;
+      console.log("Status update received:", customStatus);
+      
+      // Update the orchestration status
+      setOrchestrationStatus(customStatus);
+      setStepHistory(prevHistory => (customStatus.stepHistory
+        ? historyFromStatus(customStatus.stepHistory)
+        : recordStep(prevHistory, customStatus.step)));
+      // A milestone reached while the tab is in the background. The first
+      // status seen (a reopened plan, the stored copy) is not news.
+      const previousStep = lastStepRef.current;
+      lastStepRef.current = customStatus.step;
+      if (previousStep && previousStep !== customStatus.step && NOTIFIED_STEPS.includes(customStatus.step)) {
+        notifyMilestone({ instanceId, title: t(`notify.${customStatus.step}`), body: customStatus.message });
+      }
+      savePlan(instanceId, {
+        lastStatus: { step: customStatus.step, destination: customStatus.destination, message: customStatus.message }
+      });
+      // Plans ready for review or booked are kept whole, so they can be read
+      // (and decided on) offline
+      if (customStatus.step === 'WaitingForApproval' || customStatus.step === 'Completed') {
+        savePlan(instanceId, { cachedStatus: customStatus });
+      }
+      
+      console.log(`[DEBUG] Checking step: "${customStatus.step}" === "WaitingForApproval" ? ${customStatus.step === "WaitingForApproval"}`);
+      
+      // Check if we're at the waiting for approval step
+      if (customStatus.step === "WaitingForApproval") {
+          if (decisionSentRef.current) return;
+          // A decision made offline is waiting to be sent (services/decisionQueue)
+          if (getQueuedDecision(instanceId)) {
             setLoading(false);
-            
-            if (approvalStatus === "processing") {
-              setConfirmationStatus("confirmed");
-              setMessages(prevMessages => [...prevMessages, { 
-                role: 'bot', 
-                content: `✅ **Your trip has been booked!**\n\nYou're all set for your adventure. Check your email for confirmation details and travel documents.`
-              }]);
-            }
+            setPlanReadyForApproval(false);
+            setApprovalStatus("queued");
+            setStatusPolling(false);
+            return;
           }
+          // A refinement was sent but the orchestration hasn't picked it up yet
+          if ((customStatus.revision || 0) < awaitedRevisionRef.current) return;
+          setRefining(false);
           
-          // Check for failure
-          if (customStatus.step === 'Error' || customStatus.step === 'Failed') {
+          console.log(`[DEBUG] INSIDE WaitingForApproval block - instanceId: ${instanceId}, displayedPlanInstanceId: ${displayedPlanInstanceId}`);
+          setLoading(false);
+          setPlanReadyForApproval(true);
+          setApprovalStatus("waiting");
+          // Stop polling once we have the plan - unless its deadline has passed,
+          // in which case "Expired" is on its way
+          if (!(new Date(customStatus.approvalDeadline).getTime() <= Date.now())) {
             setStatusPolling(false);
-            setLoading(false);
-            setMessages(prevMessages => [...prevMessages, { 
-              role: 'bot', 
-              content: '❌ An error occurred while processing your travel plan. Please try again.'
-            }]);
           }
           
-        } catch (error) {
-          console.error('Error polling status:', error);
+          if (customStatus.travelPlan) {
+            const completePlan = {
+              Plan: {
+                itinerary: {
+                  destinationName: customStatus.destination,
+                  travelDates: customStatus.travelPlan.dates,
+                  estimatedTotalCost: customStatus.travelPlan.cost,
+                  dailyPlan: customStatus.travelPlan.dailyPlan || []
+                },
+                attractions: customStatus.travelPlan.attractions || [],
+                restaurants: customStatus.travelPlan.restaurants || [],
+                insiderTips: customStatus.travelPlan.insiderTips || "",
+                documentUrl: customStatus.documentUrl
+              },
+              documentUrl: customStatus.documentUrl
+            };
+            const previousPlan = planRef.current;
+            const revision = customStatus.revision || 0;
+            setPlanData(completePlan);
+            
+            // Only display plan once per instance - use module-level tracking
+            if (displayedPlanInstanceId !== instanceId) {
+              console.log(`[DEBUG] DISPLAYING PLAN - setting displayedPlanInstanceId to ${instanceId}`);
+              displayedPlanInstanceId = instanceId; // Set immediately (sync, outside React)
+              displayedRevisionRef.current = revision;
+              displayTravelPlanForApproval(completePlan);
+            } else if (revision > displayedRevisionRef.current) {
+              // Each refinement is shown once, as a diff against the plan before it
+              displayedRevisionRef.current = revision;
+              savePlan(instanceId, { planRevision: revision });
+              const refinement = (customStatus.refinements || []).find(r => r.revision === revision);
+              displayTravelPlanForApproval(completePlan, previousPlan, refinement && refinement.message);
+            } else {
+              console.log(`[DEBUG] SKIPPING - already displayed for this instance`);
+            }
+          }
         }
-      }, 2000);
-    }
+      else if (customStatus.step === "BookingTrip") {
+          setLoading(true);
+          setPlanReadyForApproval(false);
+          setApprovalStatus("processing");
+          
+          addBotMessageOnce(t('chat.booking', { destination: customStatus.destination }));
+        }
+      
+      // The trip was booked. Decided from the status alone - this handler is
+      // created once per subscription, so component state read here would be stale.
+      if (customStatus.step === 'Completed') {
+        setStatusPolling(false);
+        setLoading(false);
+        setPlanReadyForApproval(false);
+        setApprovalStatus("booked");
+        setConfirmationStatus("confirmed");
+        setBooking(customStatus.booking);
+        addBotMessageOnce(customStatus.booking && customStatus.booking.bookingId
+          ? t('chat.bookedWithId', {
+            destination: customStatus.booking.destination || customStatus.destination || t('chat.yourDestination'),
+            bookingId: customStatus.booking.bookingId
+          })
+          : t('chat.booked'));
+      }
+      
+      // The orchestration acknowledged the rejection
+      if (customStatus.step === 'Rejected') {
+        setStatusPolling(false);
+        setLoading(false);
+        setPlanReadyForApproval(false);
+        setApprovalStatus("rejected");
+        addBotMessageOnce(t('chat.notBooked', { destination: customStatus.destination || t('chat.yourTrip') }));
+      }
+      
+      // The agents are revising the plan for a refinement request
+      if (customStatus.step === 'RefiningPlan') {
+        awaitedRevisionRef.current = Math.max(awaitedRevisionRef.current, (customStatus.revision || 0) + 1);
+        setRefining(true);
+        setPlanReadyForApproval(false);
+      }
+      
+      // Nobody approved or rejected the plan before the deadline
+      if (customStatus.step === 'Expired') {
+        setStatusPolling(false);
+        setLoading(false);
+        setPlanReadyForApproval(false);
+        setApprovalStatus("expired");
+        addBotMessageOnce(t('chat.expired', { destination: customStatus.destination || t('chat.yourTrip') }));
+      }
+      
+      // Check for failure
+      if (customStatus.step === 'Error' || customStatus.step === 'Failed') {
+        setStatusPolling(false);
+        setLoading(false);
+        addBotMessageOnce(customStatus.message
+          ? t('chat.errorWithMessage', { message: customStatus.message })
+          : t('chat.error'));
+      }
+    };
     
-    return () => {
-      if (intervalId) {
-        clearInterval(intervalId);
+    let receivedStatus = false;
+    
+    const handleError = (error) => {
+      const t = tRef.current;
+      console.error('Error polling status:', error);
+      
+      // Offline before anything arrived: show the stored copy of the plan
+      if (error instanceof NetworkError && !receivedStatus) {
+        const stored = loadPlan(instanceId);
+        if (stored && stored.cachedStatus) {
+          receivedStatus = true;
+          showingCachedStatusRef.current = true;
+          handleStatus(stored.cachedStatus);
+        }
+      }
+      
+      // An unknown instance will never show up, so stop asking for it. Without
+      // an instance the chat is no longer stored, which would bring the plan back.
+      if (error instanceof InstanceNotFoundError) {
+        removePlan(instanceId);
+        syncPlanPath(null);
+        setInstanceId(null);
+        setStatusPolling(false);
+        setLoading(false);
+        setMessages(prevMessages => [...prevMessages, { 
+          role: 'bot', 
+          content: t('chat.notFound', { id: instanceId })
+        }]);
+      }
+      // Signed in as someone who may not see this plan
+      if (error instanceof ForbiddenError) {
+        setStatusPolling(false);
+        setLoading(false);
+        addBotMessageOnce(t('chat.notYourPlan', { id: instanceId }));
+      }
+      // The client is already on its way back to sign-in
+      if (error instanceof UnauthorizedError) {
+        setStatusPolling(false);
       }
     };
+    
+    return subscribeToStatus(instanceId, {
+      onStatus: (status) => {
+        receivedStatus = true;
+        showingCachedStatusRef.current = false;
+        handleStatus(status);
+      },
+      onError: handleError
+    });
   }, [statusPolling, instanceId]);
 
-  // Start a new travel plan
-  const startNewPlan = () => {
-    displayedPlanInstanceId = null; // Reset module-level tracking for new plan
-    planDisplayedRef.current = false; // Reset the ref for new plan
-    setTravelRequest({
-      userName: '',
-      preferences: '',
-      durationInDays: 7,
-      budget: '',
-      travelDates: '',
-      specialRequirements: ''
+  // Outcome of a decision queued offline for the open plan
+  useEffect(() => {
+    if (!instanceId) return undefined;
+    
+    return subscribeToReplays((result) => {
+      if (result.instanceId !== instanceId) return;
+      const t = tRef.current;
+      let content;
+      
+      if (result.outcome === 'sent') {
+        decisionSentRef.current = true;
+        setLoading(true);
+        setApprovalStatus("processing");
+        setStatusPolling(true);
+        content = t('chat.queuedSent');
+      } else if (result.outcome === 'conflict') {
+        // The status handler takes it from wherever the orchestration is now
+        showingCachedStatusRef.current = false;
+        setApprovalStatus(null);
+        setStatusPolling(true);
+        content = t('chat.queuedConflict', { step: t(`timeline.${result.step}`) });
+      } else {
+        setApprovalStatus("waiting");
+        setPlanReadyForApproval(true);
+        content = t('chat.queuedFailed', { message: result.error });
+      }
+      setMessages(prevMessages => [...prevMessages, { role: 'bot', content }]);
     });
+  }, [instanceId]);
+
+  // The approval window closes at the deadline whether or not the countdown is
+  // shown: nothing can be decided on after it, and status is followed again
+  // until the orchestration reports "Expired"
+  const approvalDeadline = orchestrationStatus && orchestrationStatus.approvalDeadline;
+  const windowClosed = Boolean(approvalDeadline) && closedDeadline === approvalDeadline;
+  useEffect(() => {
+    const deadlineMs = approvalDeadline ? new Date(approvalDeadline).getTime() : NaN;
+    if (approvalStatus !== "waiting" || Number.isNaN(deadlineMs)) return undefined;
+    const timerId = setTimeout(() => {
+      setClosedDeadline(approvalDeadline);
+      setStatusPolling(true);
+    }, Math.max(0, deadlineMs - Date.now()));
+    return () => clearTimeout(timerId);
+  }, [approvalStatus, approvalDeadline]);
+
+  // Clear all workflow state and return to the request form
+  const resetWorkflow = (nextTravelForm) => {
+    displayedPlanInstanceId = null; // Reset module-level tracking for new plan
+    decisionSentRef.current = false;
+    showingCachedStatusRef.current = false;
+    lastStepRef.current = null;
+    clearActivePlanId();
+    syncPlanPath(null);
+    setTravelForm(nextTravelForm);
     setMessages([]);
     setInstanceId(null);
     setStatusPolling(false);
@@ -337,31 +628,110 @@ const ChatInterface = () => {
     setPlanData(null);
     setApprovalStatus(null);
     setConfirmationStatus(null);
+    setBooking(null);
     setOrchestrationStatus(null);
+    setShowRejectForm(false);
+    setRejectionFeedback('');
+    setChosenDestination(null);
+    setRefining(false);
+    setStepHistory([]);
+    displayedRevisionRef.current = 0;
+    awaitedRevisionRef.current = 0;
     setLoading(false);
   };
 
-  // Approve the travel plan
-  const approveTravelPlan = async () => {
+  // Start a new travel plan
+  const startNewPlan = () => {
+    resetWorkflow(newTravelForm());
+  };
+
+  // Start again from the rejected request, with the requested changes added to the
+  // preferences - the ones typed here, or those the status reports (after a reload,
+  // or when someone else rejected the plan)
+  const startRevisedPlan = () => {
+    const feedback = (rejectionFeedback.trim()
+      || (orchestrationStatus && orchestrationStatus.feedback) || '').trim();
+    resetWorkflow({
+      ...travelForm,
+      preferences: feedback
+        ? t('chat.changesRequested', { preferences: travelForm.preferences, feedback })
+        : travelForm.preferences
+    });
+  };
+
+  // Send the destination the itinerary should be built for
+  const chooseDestination = async (destinationName) => {
+    if (!instanceId) return;
+    
+    setChosenDestination(destinationName);
+    try {
+      await travelPlannerClient.chooseDestination(instanceId, destinationName);
+      setMessages(prevMessages => [...prevMessages, { 
+        role: 'user', 
+        content: t('chat.destinationChosen', { destination: destinationName })
+      }]);
+    } catch (error) {
+      console.error('Error choosing destination:', error);
+      setChosenDestination(null);
+      setMessages(prevMessages => [...prevMessages, { 
+        role: 'bot', 
+        content: t('chat.chooseError')
+      }]);
+    }
+  };
+
+  // Ask the agents to revise the plan waiting for approval
+  const refinePlan = async (message) => {
+    if (!instanceId) return;
+    
+    awaitedRevisionRef.current = displayedRevisionRef.current + 1;
+    setRefining(true);
+    setPlanReadyForApproval(false);
+    setShowRejectForm(false);
+    setMessages(prevMessages => [...prevMessages, { role: 'user', content: message }]);
+    
+    try {
+      await travelPlannerClient.refine(instanceId, message);
+      setStatusPolling(true);
+    } catch (error) {
+      console.error('Error refining travel plan:', error);
+      awaitedRevisionRef.current = displayedRevisionRef.current;
+      setRefining(false);
+      setPlanReadyForApproval(true);
+      setMessages(prevMessages => [...prevMessages, { 
+        role: 'bot', 
+        content: t('chat.refineError')
+      }]);
+    }
+  };
+
+  // Plan again from the same request. If it no longer validates (e.g. its dates
+  // have passed) the form is reopened for corrections instead.
+  const regeneratePlan = () => {
+    resetWorkflow(travelForm);
+    if (Object.keys(validateTravelForm(travelForm, { t })).length === 0) {
+      submitTravelRequest(travelForm);
+    }
+  };
+
+  // Approve the travel plan with the payload built by ApprovalPanel
+  const approveTravelPlan = async (approval) => {
     if (!instanceId) return;
     
+    const payload = { ...approval, comments: approval.comments || t('chat.approveComment') };
+    
     setLoading(true);
     setApprovalStatus("processing");
     setPlanReadyForApproval(false);
     
     try {
-      await axios.post(`${API_URL}/travel-planner/approve/${instanceId}`, {
-        approved: true,
-        comments: "Please proceed with booking this travel plan."
-      }, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      await travelPlannerClient.approve(instanceId, payload);
+      decisionSentRef.current = true;
+      savePlan(instanceId, { decisionSent: true });
       
       setMessages(prevMessages => [...prevMessages, { 
         role: 'user', 
-        content: '✅ **I have approved the travel plan!** Please proceed with booking.'
+        content: summarizeApproval(approval, { locale, t })
       }]);
       
       if (!statusPolling) {
@@ -369,38 +739,52 @@ const ChatInterface = () => {
       }
       
     } catch (error) {
+      // Offline: keep the approval and send it when the connection returns
+      if (error instanceof NetworkError) {
+        queueDecision(instanceId, 'approve', payload);
+        setApprovalStatus("queued");
+        setMessages(prevMessages => [
+          ...prevMessages,
+          { role: 'user', content: summarizeApproval(approval, { locale, t }) },
+          { role: 'bot', content: t('chat.approvalQueued') }
+        ]);
+        setLoading(false);
+        return;
+      }
       console.error('Error approving travel plan:', error);
       setApprovalStatus("waiting");
       setPlanReadyForApproval(true);
       setMessages(prevMessages => [...prevMessages, { 
         role: 'bot', 
-        content: '❌ Error approving your travel plan. Please try again.'
+        content: t('chat.approveError')
       }]);
       setLoading(false);
     }
   };
   
-  // Reject the travel plan
+  // Reject the travel plan, sending what the user wants changed
   const rejectTravelPlan = async () => {
     if (!instanceId) return;
     
+    const feedback = rejectionFeedback.trim();
+    const comments = feedback || t('chat.rejectComment');
+    const rejectionMessage = feedback
+      ? t('chat.rejectedWithFeedback', { feedback })
+      : t('chat.rejected');
+    
     setLoading(true);
     setApprovalStatus("processing");
     setPlanReadyForApproval(false);
+    setShowRejectForm(false);
     
     try {
-      await axios.post(`${API_URL}/travel-planner/approve/${instanceId}`, {
-        approved: false,
-        comments: "I'd like to consider other options or make changes to this plan."
-      }, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      await travelPlannerClient.reject(instanceId, comments);
+      decisionSentRef.current = true;
+      savePlan(instanceId, { decisionSent: true });
       
       setMessages(prevMessages => [...prevMessages, { 
         role: 'user', 
-        content: '❌ **I have rejected the travel plan** and would like to make some changes.'
+        content: rejectionMessage
       }]);
       
       if (!statusPolling) {
@@ -408,145 +792,216 @@ const ChatInterface = () => {
       }
       
     } catch (error) {
+      // Offline: keep the rejection and send it when the connection returns
+      if (error instanceof NetworkError) {
+        queueDecision(instanceId, 'reject', comments);
+        setApprovalStatus("queued");
+        setMessages(prevMessages => [
+          ...prevMessages,
+          { role: 'user', content: rejectionMessage },
+          { role: 'bot', content: t('chat.rejectionQueued') }
+        ]);
+        setLoading(false);
+        return;
+      }
       console.error('Error rejecting travel plan:', error);
       setApprovalStatus("waiting");
       setPlanReadyForApproval(true);
+      setShowRejectForm(true);
       setMessages(prevMessages => [...prevMessages, { 
         role: 'bot', 
-        content: '❌ Error rejecting your travel plan. Please try again.'
+        content: t('chat.rejectError')
       }]);
       setLoading(false);
     }
   };
 
+  // Take back a decision that is still waiting for a connection
+  const cancelQueuedDecision = () => {
+    if (!instanceId) return;
+    
+    removeQueuedDecision(instanceId);
+    setApprovalStatus("waiting");
+    setPlanReadyForApproval(true);
+  };
+
+  // The progress tracker sits in the chat while the orchestration is working;
+  // afterwards its timeline stays available below the chat
+  const showingProgress = statusPolling && !planReadyForApproval && (!approvalStatus || refining);
+
   return (
     <div className="page-container">
       <div className="chat-title-container">
-        <h1>Welcome to the Travel Planner Assistant</h1>
-        {formSubmitted && <button onClick={startNewPlan} className="new-plan-btn">Start New Plan</button>}
+        {branding.logoUrl && <img src={branding.logoUrl} alt="" className="brand-logo" />}
+        <h1>{branding.title || t('app.title')}</h1>
+        <LanguageSwitcher />
+        <NotificationToggle />
+        <AccountMenu />
+        {formSubmitted && <button onClick={startNewPlan} className="new-plan-btn">{t('app.newPlan')}</button>}
       </div>
       
+      {!online && (
+        <div className="offline-banner" role="status">{t('chat.offline')}</div>
+      )}
+      
       {!formSubmitted ? (
         <div className="travel-form-container">
-          <h2>Create Your Travel Plan</h2>
-          
-          <div className="form-group">
-            <label>Name</label>
-            <input
-              type="text"
-              name="userName"
-              value={travelRequest.userName}
-              onChange={handleInputChange}
-              placeholder="e.g., Nick Greenfield"
-            />
-          </div>
-          
-          <div className="form-group">
-            <label>Travel Preferences</label>
-            <textarea
-              name="preferences"
-              value={travelRequest.preferences}
-              onChange={handleInputChange}
-              placeholder="e.g., Looking for a family-friendly luxury vacation with activities for children..."
-              rows={4}
-            />
-          </div>
-          
-          <div className="form-group">
-            <label>Duration (days)</label>
-            <input
-              type="number"
-              name="durationInDays"
-              value={travelRequest.durationInDays}
-              onChange={handleInputChange}
-              min="1"
-              max="30"
-            />
-          </div>
-          
-          <div className="form-group">
-            <label>Budget</label>
-            <input
-              type="text"
-              name="budget"
-              value={travelRequest.budget}
-              onChange={handleInputChange}
-              placeholder="e.g., Luxury, around $10000 total"
-            />
-          </div>
+          <h2>{t('app.createPlan')}</h2>
           
-          <div className="form-group">
-            <label>Travel Dates</label>
-            <input
-              type="text"
-              name="travelDates"
-              value={travelRequest.travelDates}
-              onChange={handleInputChange}
-              placeholder="e.g., July 1-11, 2025"
-            />
-          </div>
-          
-          <div className="form-group">
-            <label>Special Requirements</label>
-            <textarea
-              name="specialRequirements"
-              value={travelRequest.specialRequirements}
-              onChange={handleInputChange}
-              placeholder="e.g., Need connecting rooms or a family suite. Child has peanut allergy."
-              rows={2}
-            />
-          </div>
-          
-          <button 
-            onClick={submitTravelRequest} 
-            className="submit-btn"
-            disabled={loading}
-          >
-            {loading ? 'Processing...' : 'Plan My Trip'}
-          </button>
+          <TravelRequestForm
+            form={travelForm}
+            onChange={setTravelForm}
+            onSubmit={submitTravelRequest}
+            loading={loading}
+          />
         </div>
       ) : (
         <div className="chat-container">
-          <div ref={chatHistoryRef} className="chat-history">
+          <div
+            ref={chatHistoryRef}
+            className="chat-history"
+            role="log"
+            aria-live="polite"
+            aria-label={t('chat.history')}
+            tabIndex={0}
+          >
             {messages.map((msg, index) => (
               <div key={index} className={`chat-message ${msg.role}`}>
-                <ReactMarkdown>{msg.content}</ReactMarkdown>
+                {msg.diff && <PlanDiff diff={msg.diff} />}
+                {msg.plan ? (
+                  <TravelPlanView
+                    plan={msg.plan}
+                    fallbackMarkdown={msg.content}
+                    displayCurrency={displayCurrency}
+                    showMap={features.map}
+                  />
+                ) : (
+                  <ReactMarkdown>{msg.content}</ReactMarkdown>
+                )}
               </div>
             ))}
             
-            {statusPolling && !planReadyForApproval && !approvalStatus && (
+            {showingProgress && (
               <div className="loading-container">
+                {orchestrationStatus && orchestrationStatus.destinations && !refining && (
+                  <DestinationComparison
+                    destinations={orchestrationStatus.destinations}
+                    chosen={chosenDestination || (orchestrationStatus.step !== 'ChoosingDestination' && orchestrationStatus.destination)}
+                    onChoose={features.destinationPicker && orchestrationStatus.step === 'ChoosingDestination' && !chosenDestination ? chooseDestination : null}
+                  />
+                )}
                 {orchestrationStatus ? (
-                  <ProgressTracker status={orchestrationStatus} />
+                  <ProgressTracker status={orchestrationStatus} history={stepHistory} />
                 ) : (
                   <div className="loading-message">
-                    Creating your personalized travel plan...
+                    {t('chat.creating')}
                     <br />
-                    This may take a minute or two.
+                    {t('chat.mayTakeAWhile')}
                   </div>
                 )}
               </div>
             )}
           </div>
           
-          {instanceId && planReadyForApproval && approvalStatus === "waiting" && confirmationStatus !== "confirmed" && (
+          {features.exports && planData && <PlanExportMenu plan={planData} instanceId={instanceId} />}
+          
+          {!showingProgress && orchestrationStatus && stepHistory.length > 0 && (
+            <details className="planning-timeline">
+              <summary>{t('chat.timeline')}</summary>
+              <ProgressTracker status={orchestrationStatus} history={stepHistory} />
+            </details>
+          )}
+          
+          {features.agentDetails && <AgentRunsPanel status={orchestrationStatus} instanceId={instanceId} />}
+          
+          {features.chatRefinement && instanceId && approvalStatus === "waiting" && (
+            <ChatComposer
+              onSend={refinePlan}
+              disabled={refining || !planReadyForApproval || loading || windowClosed}
+              placeholder={t('chat.refinePlaceholder')}
+              hint={refining ? t('chat.refining') : t('chat.refineHint')}
+            />
+          )}
+          
+          {instanceId && planReadyForApproval && approvalStatus === "waiting" && confirmationStatus !== "confirmed" && showRejectForm && (
             <div className="approve-section">
-              <h3>Do you approve this travel plan?</h3>
-              <p>If you approve, we'll proceed with booking your trip based on this plan.</p>
+              <PanelHeading id="reject-title">{t('chat.rejectTitle')}</PanelHeading>
+              <p id="reject-text">{t('chat.rejectText')}</p>
+              <div className="form-group rejection-feedback">
+                <textarea
+                  name="rejectionFeedback"
+                  aria-labelledby="reject-title"
+                  aria-describedby="reject-text"
+                  value={rejectionFeedback}
+                  onChange={(e) => setRejectionFeedback(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Escape' && setShowRejectForm(false)}
+                  placeholder={t('chat.rejectPlaceholder')}
+                  rows={3}
+                />
+              </div>
               <div className="approval-buttons">
                 <button 
-                  onClick={approveTravelPlan} 
-                  className="approve-btn"
-                  disabled={loading || approvalStatus === "processing"}
+                  onClick={rejectTravelPlan} 
+                  className="reject-btn"
+                  disabled={loading || windowClosed}
                 >
-                  Yes, Book My Trip!
+                  {t('chat.rejectPlan')}
                 </button>
                 <button 
-                  onClick={rejectTravelPlan} 
-                  className="reject-btn"
-                  disabled={loading || approvalStatus === "processing"}
+                  onClick={() => setShowRejectForm(false)} 
+                  className="approve-btn"
+                  disabled={loading}
                 >
-                  No, I Need Changes
+                  {t('chat.backToReview')}
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {instanceId && planReadyForApproval && approvalStatus === "waiting" && confirmationStatus !== "confirmed" && !showRejectForm && (
+            <ApprovalPanel
+              plan={planData}
+              budget={travelRequest.budget}
+              currency={displayCurrency}
+              deadline={approvalDeadline}
+              onCurrencyChange={setDisplayCurrency}
+              onApprove={approveTravelPlan}
+              onRequestChanges={() => setShowRejectForm(true)}
+              disabled={loading || approvalStatus === "processing" || windowClosed}
+            />
+          )}
+          
+          {confirmationStatus === "confirmed" && (
+            <BookingConfirmation
+              booking={booking}
+              plan={planData}
+              travellerName={travelForm.userName}
+              onStartNewPlan={startNewPlan}
+            />
+          )}
+          
+          {approvalStatus === "queued" && (
+            <div className="approve-section">
+              <PanelHeading>{t('chat.queuedTitle')}</PanelHeading>
+              <p>{t('chat.queuedText')}</p>
+              <div className="approval-buttons">
+                <button onClick={cancelQueuedDecision} className="reject-btn">
+                  {t('chat.cancelQueued')}
+                </button>
+              </div>
+            </div>
+          )}
+          
+          {approvalStatus === "expired" && (
+            <div className="approve-section">
+              <PanelHeading>{t('chat.expiredTitle')}</PanelHeading>
+              <p>{t('chat.expiredText')}</p>
+              <div className="approval-buttons">
+                <button onClick={regeneratePlan} className="approve-btn" disabled={loading}>
+                  {t('chat.regenerate')}
+                </button>
+                <button onClick={startNewPlan} className="reject-btn">
+                  {t('chat.startNew')}
                 </button>
               </div>
             </div>
@@ -554,9 +1009,18 @@ const ChatInterface = () => {
           
           {approvalStatus === "rejected" && (
             <div className="approve-section">
-              <button onClick={startNewPlan} className="new-plan-btn full-width">
-                Start a New Travel Plan
-              </button>
+              <PanelHeading>{t('chat.notBookedTitle')}</PanelHeading>
+              {orchestrationStatus && orchestrationStatus.feedback && (
+                <p>{t('chat.requestedChanges')} <em>{orchestrationStatus.feedback}</em></p>
+              )}
+              <div className="approval-buttons">
+                <button onClick={startRevisedPlan} className="approve-btn">
+                  {t('chat.startRevised')}
+                </button>
+                <button onClick={startNewPlan} className="reject-btn">
+                  {t('chat.startNew')}
+                </button>
+              </div>
             </div>
           )}
         </div>
@@ -0,0 +1,55 @@
+import React, { useEffect, useRef } from 'react';
+import { useI18n } from '../i18n/I18nContext';
+import './confirm-dialog.css';
+
+// Modal asking to confirm an action before it runs. Focus starts on Cancel, so
+// an accidental Enter does nothing; Escape and the backdrop cancel too.
+// `children` go between the message and the buttons (e.g. a reason field).
+const ConfirmDialog = ({ title, message, confirmLabel, danger = false, busy = false, onConfirm, onCancel, children }) => {
+  const { t } = useI18n();
+  const cancelRef = useRef(null);
+
+  useEffect(() => {
+    if (cancelRef.current) cancelRef.current.focus();
+  }, []);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (event.key === 'Escape' && !busy) onCancel();
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [busy, onCancel]);
+
+  return (
+    <div className="confirm-dialog-backdrop" onClick={() => !busy && onCancel()}>
+      <div
+        className="confirm-dialog"
+        role="alertdialog"
+        aria-modal="true"
+        aria-labelledby="confirm-dialog-title"
+        aria-describedby="confirm-dialog-message"
+        onClick={event => event.stopPropagation()}
+      >
+        <h2 id="confirm-dialog-title">{title}</h2>
+        <p id="confirm-dialog-message">{message}</p>
+        {children}
+        <div className="confirm-dialog-buttons">
+          <button type="button" ref={cancelRef} onClick={onCancel} disabled={busy} className="confirm-dialog-cancel">
+            {t('confirm.cancel')}
+          </button>
+          <button
+            type="button"
+            onClick={onConfirm}
+            disabled={busy}
+            className={`confirm-dialog-confirm${danger ? ' danger' : ''}`}
+          >
+            {busy ? t('confirm.working') : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConfirmDialog;
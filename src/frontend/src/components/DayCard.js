@@ -0,0 +1,137 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { parseCost, convertAmount, formatAmount, formatMoney } from '../utils/costs';
+import { placeId } from '../utils/planMap';
+import { useI18n } from '../i18n/I18nContext';
+
+// Sum the parseable activity costs of a day - per currency, or all converted
+// into `displayCurrency` when one is chosen
+const summarizeCosts = (activities, displayCurrency) => {
+  const totals = {};
+  let unpriced = 0;
+  activities.forEach(activity => {
+    const cost = parseCost(activity.EstimatedCost);
+    if (!cost) {
+      unpriced += 1;
+      return;
+    }
+    const currency = displayCurrency || cost.currency || '';
+    const amount = displayCurrency && cost.currency
+      ? convertAmount(cost.amount, cost.currency, displayCurrency)
+      : cost.amount;
+    totals[currency] = (totals[currency] || 0) + amount;
+  });
+  return { totals, unpriced };
+};
+
+// Cost as written by the agent ("Free" when it gave none), plus its conversion
+// when a display currency is chosen
+const costLabel = (text, displayCurrency, locale, t) => {
+  const original = text || t('plan.free');
+  const cost = parseCost(text);
+  if (!displayCurrency || !cost || cost.isFree || !cost.currency || cost.currency === displayCurrency) {
+    return original;
+  }
+  return `${original} ≈ ${formatMoney(convertAmount(cost.amount, cost.currency, displayCurrency), displayCurrency, locale)}`;
+};
+
+// Collapsible card for one itinerary day: activity timeline plus cost breakdown.
+// With `onSelectPlace`, activity locations link to their map marker; the card
+// opens and scrolls to the activity selected on the map.
+const DayCard = ({
+  day,
+  dayNumber = day.Day,
+  defaultOpen = false,
+  displayCurrency = null,
+  selectedPlaceId = null,
+  onSelectPlace = null
+}) => {
+  const { locale, t } = useI18n();
+  const [open, setOpen] = useState(defaultOpen);
+  const selectedRef = useRef(null);
+  const activities = day.Activities || [];
+  const selectedIndex = activities.findIndex((activity, index) => placeId('activity', index, dayNumber) === selectedPlaceId);
+
+  useEffect(() => {
+    if (selectedIndex >= 0) setOpen(true);
+  }, [selectedIndex]);
+
+  useEffect(() => {
+    if (open && selectedIndex >= 0 && selectedRef.current && selectedRef.current.scrollIntoView) {
+      selectedRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [open, selectedIndex]);
+  const { totals, unpriced } = summarizeCosts(activities, displayCurrency);
+  const totalLabel = Object.entries(totals)
+    .map(([currency, amount]) => (currency ? formatMoney(amount, currency, locale) : formatAmount(amount, currency)))
+    .join(' + ');
+
+  return (
+    <div className={`day-card ${open ? 'open' : ''}`}>
+      <button className="day-card-header" onClick={() => setOpen(!open)} aria-expanded={open}>
+        <span className="day-card-title">
+          {t('plan.day', { day: day.Day })}{day.Date ? `: ${day.Date}` : ''}
+        </span>
+        <span className="day-card-summary">
+          {t('day.activities', { count: activities.length })}
+          {totalLabel && ` · ${totalLabel}`}
+        </span>
+        <span className="day-card-toggle">{open ? '▾' : '▸'}</span>
+      </button>
+
+      {open && (
+        <div className="day-card-body">
+          <ol className="activity-timeline">
+            {activities.map((activity, index) => (
+              <li
+                key={index}
+                ref={index === selectedIndex ? selectedRef : null}
+                className={`activity${index === selectedIndex ? ' selected' : ''}`}
+              >
+                <span className="activity-time">{activity.Time}</span>
+                <div className="activity-details">
+                  <strong>{activity.ActivityName}</strong>
+                  {activity.Description && <p>{activity.Description}</p>}
+                  {activity.Location && (onSelectPlace ? (
+                    <button
+                      type="button"
+                      className="activity-location location-link"
+                      onClick={() => onSelectPlace(placeId('activity', index, dayNumber))}
+                      aria-pressed={index === selectedIndex}
+                      title={t('plan.showOnMap')}
+                    >
+                      📍 {activity.Location}
+                    </button>
+                  ) : (
+                    <span className="activity-location">📍 {activity.Location}</span>
+                  ))}
+                </div>
+                <span className="activity-cost">{costLabel(activity.EstimatedCost, displayCurrency, locale, t)}</span>
+              </li>
+            ))}
+          </ol>
+
+          {activities.length > 0 && (
+            <table className="cost-breakdown">
+              <tbody>
+                {activities.map((activity, index) => (
+                  <tr key={index}>
+                    <td>{activity.ActivityName}</td>
+                    <td>{costLabel(activity.EstimatedCost, displayCurrency, locale, t)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr>
+                  <th>{unpriced > 0 ? t('day.totalUnpriced', { count: unpriced }) : t('day.total')}</th>
+                  <th>{totalLabel || '—'}</th>
+                </tr>
+              </tfoot>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DayCard;
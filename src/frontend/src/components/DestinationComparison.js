@@ -0,0 +1,69 @@
+import React from 'react';
+import useFocusOnMount from '../hooks/useFocusOnMount';
+import { useI18n } from '../i18n/I18nContext';
+import './destination-comparison.css';
+
+const scoreColor = (score) => {
+  if (score >= 85) return '#27ae60';
+  if (score >= 70) return '#8bbf9f';
+  if (score >= 50) return '#f39c12';
+  return '#e74c3c';
+};
+
+// Side-by-side cards for the recommended destinations. With `onChoose` the user
+// can pick one (while the orchestration is at ChoosingDestination); without it
+// the cards are read-only and the `chosen` destination is highlighted.
+const DestinationComparison = ({ destinations, chosen, onChoose }) => {
+  const { t } = useI18n();
+  // Move focus here only while a choice is needed
+  const headingRef = useFocusOnMount(Boolean(onChoose));
+
+  if (!destinations || destinations.length === 0) return null;
+
+  return (
+    <div className="destination-comparison">
+      <h2 ref={headingRef} tabIndex={-1}>{t(onChoose ? 'destinations.choose' : 'destinations.recommended')}</h2>
+      {onChoose && <p className="destination-comparison-hint">{t('destinations.hint')}</p>}
+      <div className="destination-cards">
+        {destinations.map(destination => {
+          const score = Math.max(0, Math.min(100, Number(destination.MatchScore) || 0));
+          const isChosen = destination.DestinationName === chosen;
+          return (
+            <div
+              key={destination.DestinationName}
+              className={`destination-card ${isChosen ? 'chosen' : ''}`}
+            >
+              <h3>{destination.DestinationName}</h3>
+              <div className="match-score" title={t('destinations.scoreTitle', { score })}>
+                <div className="match-score-bar" aria-hidden="true">
+                  <div
+                    className="match-score-fill"
+                    style={{ width: `${score}%`, backgroundColor: scoreColor(score) }}
+                  />
+                </div>
+                <span className="match-score-value">{t('destinations.score', { score })}</span>
+              </div>
+              {destination.Description && <p className="destination-description">{destination.Description}</p>}
+              {destination.Reasoning && (
+                <p className="destination-reasoning"><strong>{t('destinations.why')}</strong> {destination.Reasoning}</p>
+              )}
+              {onChoose ? (
+                <button
+                  className="approve-btn destination-choose-btn"
+                  onClick={() => onChoose(destination.DestinationName)}
+                  aria-label={t('destinations.planTripTo', { destination: destination.DestinationName })}
+                >
+                  {t('destinations.planTrip')}
+                </button>
+              ) : isChosen && (
+                <span className="destination-chosen-label">{t('destinations.chosen')}</span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default DestinationComparison;
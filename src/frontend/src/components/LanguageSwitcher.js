@@ -0,0 +1,22 @@
+import React from 'react';
+import { SUPPORTED_LOCALES } from '../i18n';
+import { useI18n } from '../i18n/I18nContext';
+import './language-switcher.css';
+
+// Select for the UI language; the choice is remembered in this browser
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useI18n();
+
+  return (
+    <label className="language-switcher">
+      <span className="language-switcher-label">{t('language.label')}</span>
+      <select value={locale} onChange={(e) => setLocale(e.target.value)}>
+        {SUPPORTED_LOCALES.map(({ code, label }) => (
+          <option key={code} value={code} lang={code}>{label}</option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LanguageSwitcher;
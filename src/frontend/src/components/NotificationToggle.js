@@ -0,0 +1,40 @@
+import React, { useState } from 'react';
+import {
+  areNotificationsEnabled,
+  getNotificationPermission,
+  setNotificationsEnabled
+} from '../services/notifications';
+import { useI18n } from '../i18n/I18nContext';
+import './notification-toggle.css';
+
+// Header button turning milestone notifications on or off for this browser
+const NotificationToggle = () => {
+  const { t } = useI18n();
+  const [enabled, setEnabled] = useState(areNotificationsEnabled);
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const toggle = async () => {
+    const next = !enabled;
+    setEnabled(next);
+    setPermission(await setNotificationsEnabled(next));
+  };
+
+  // Blocked or unsupported notifications fall back to the tab badge
+  const hint = enabled && permission !== 'granted' && permission !== 'default'
+    ? t('notify.badgeOnly')
+    : t(enabled ? 'notify.turnOff' : 'notify.turnOn');
+
+  return (
+    <button
+      type="button"
+      className={`notification-toggle${enabled ? ' on' : ''}`}
+      onClick={toggle}
+      aria-pressed={enabled}
+      title={hint}
+    >
+      <span aria-hidden="true">{enabled ? '🔔' : '🔕'}</span> {t('notify.label')}
+    </button>
+  );
+};
+
+export default NotificationToggle;
@@ -0,0 +1,133 @@
+import React, { useEffect, useRef, useState } from 'react';
+import RatingBadge from './RatingBadge';
+import { parseAmount } from '../utils/costs';
+import { placeId } from '../utils/planMap';
+import { useI18n } from '../i18n/I18nContext';
+
+// Comparable cost: "$$$" price ranges by their number of symbols, everything else by amount
+const costRank = (value) => {
+  if (!value) return Infinity;
+  const symbols = String(value).trim().match(/^([$€£¥])\1*$/);
+  if (symbols) return symbols[0].length;
+  const cost = parseAmount(value);
+  return cost ? cost.amount : Infinity;
+};
+
+const SORTERS = {
+  rating: (a, b) => (Number(b.Rating) || 0) - (Number(a.Rating) || 0),
+  name: (a, b) => (a.Name || '').localeCompare(b.Name || ''),
+  cost: (a, b) => costRank(a.costValue) - costRank(b.costValue)
+};
+
+// Sortable, filterable list of attractions or restaurants.
+// `groupField` is the field to filter on (Category / Cuisine), labelled
+// `groupLabel` with `allGroupsLabel` for no filter; `costField` the
+// field holding the price (EstimatedCost / PriceRange). With `onSelectPlace`,
+// locations link to their map marker (`placeKind` is 'attraction' or
+// 'restaurant'), and the place selected on the map is shown and scrolled to.
+const PlaceList = ({
+  title,
+  places,
+  groupField,
+  groupLabel,
+  allGroupsLabel,
+  costField,
+  placeKind = null,
+  selectedPlaceId = null,
+  onSelectPlace = null
+}) => {
+  const { t } = useI18n();
+  const [sortBy, setSortBy] = useState('rating');
+  const [group, setGroup] = useState('');
+  const [search, setSearch] = useState('');
+  const selectedRef = useRef(null);
+  const selectedIndex = (places || []).findIndex((place, index) => placeId(placeKind, index) === selectedPlaceId);
+
+  // Filters would hide the selected place - clear them
+  useEffect(() => {
+    if (selectedIndex < 0) return;
+    setGroup('');
+    setSearch('');
+  }, [selectedIndex]);
+
+  useEffect(() => {
+    if (selectedIndex >= 0 && selectedRef.current && selectedRef.current.scrollIntoView) {
+      selectedRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [selectedIndex]);
+
+  if (!places || places.length === 0) return null;
+
+  const groups = [...new Set(places.map(place => place[groupField]).filter(Boolean))].sort();
+  const query = search.trim().toLowerCase();
+
+  const visible = places
+    .map((place, index) => ({ ...place, costValue: place[costField], placeIndex: index }))
+    .filter(place => !group || place[groupField] === group)
+    .filter(place => !query || `${place.Name} ${place.Description} ${place.Location}`.toLowerCase().includes(query))
+    .sort(SORTERS[sortBy]);
+
+  return (
+    <section className="place-list">
+      <h3>{title}</h3>
+      <div className="place-list-controls">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder={t('places.search')}
+          aria-label={t('places.searchLabel', { title })}
+        />
+        {groups.length > 1 && (
+          <select value={group} onChange={(e) => setGroup(e.target.value)} aria-label={t('places.filterBy', { group: groupLabel })}>
+            <option value="">{allGroupsLabel}</option>
+            {groups.map(g => <option key={g} value={g}>{g}</option>)}
+          </select>
+        )}
+        <select value={sortBy} onChange={(e) => setSortBy(e.target.value)} aria-label={t('places.sortBy')}>
+          {Object.keys(SORTERS).map(sorter => <option key={sorter} value={sorter}>{t(`places.sort.${sorter}`)}</option>)}
+        </select>
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="place-list-empty">{t('places.empty')}</p>
+      ) : (
+        <ul>
+          {visible.map((place, index) => (
+            <li
+              key={`${place.Name}-${index}`}
+              ref={place.placeIndex === selectedIndex ? selectedRef : null}
+              className={`place${place.placeIndex === selectedIndex ? ' selected' : ''}`}
+            >
+              <div className="place-header">
+                <strong>{place.Name}</strong>
+                <RatingBadge rating={place.Rating} />
+              </div>
+              <div className="place-meta">
+                {place[groupField] && <span className="place-tag">{place[groupField]}</span>}
+                {place.costValue && <span className="place-cost">{place.costValue}</span>}
+                {place.VisitDuration && <span>⏱ {place.VisitDuration}</span>}
+              </div>
+              {place.Description && <p>{place.Description}</p>}
+              {onSelectPlace && (place.Location || place.Name) ? (
+                <button
+                  type="button"
+                  className="place-location location-link"
+                  onClick={() => onSelectPlace(placeId(placeKind, place.placeIndex))}
+                  aria-pressed={place.placeIndex === selectedIndex}
+                  title={t('plan.showOnMap')}
+                >
+                  📍 {place.Location || t('plan.showOnMap')}
+                </button>
+              ) : (
+                place.Location && <span className="place-location">📍 {place.Location}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+};
+
+export default PlaceList;
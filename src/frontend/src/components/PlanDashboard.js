@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useRef } from 'react';
+import ProgressTracker from './ProgressTracker';
+import './plan-dashboard.css';
+import travelPlannerClient, { InstanceNotFoundError, isTerminalStep } from '../services/travelPlannerClient';
+import { listPlans, getActivePlanId, savePlan, removePlan, subscribeToPlans } from '../services/planStorage';
+import { DEFAULT_POLLING, nextPollDelay } from '../services/statusStream';
+import { useI18n } from '../i18n/I18nContext';
+
+// How often plans that are still running are refreshed
+const REFRESH_INTERVAL = 15000;
+
+// Plans whose step stays the same - most of all the ones waiting for the user -
+// are refreshed less and less often, up to every 5 minutes, like the chat's
+// polling (services/statusStream)
+const REFRESH_BACKOFF = { ...DEFAULT_POLLING, initialDelay: REFRESH_INTERVAL, maxDelay: 5 * 60 * 1000 };
+
+// Steps where the orchestration waits for the user
+const NEEDS_INPUT_STEPS = ['ChoosingDestination', 'WaitingForApproval'];
+
+// Status filters, each matching a group of orchestration steps; labelled dashboard.filter.{id}
+const FILTERS = [
+  { id: 'all', matches: () => true },
+  { id: 'active', matches: (step) => !isTerminalStep(step) && !NEEDS_INPUT_STEPS.includes(step) },
+  { id: 'approval', matches: (step) => NEEDS_INPUT_STEPS.includes(step) },
+  { id: 'booked', matches: (step) => step === 'Completed' },
+  { id: 'closed', matches: (step) => ['Rejected', 'Expired', 'Error', 'Failed'].includes(step) }
+];
+
+const planStep = (plan) => (plan.lastStatus && plan.lastStatus.step) || 'Starting';
+
+const planDestination = (plan, t) => (plan.lastStatus && plan.lastStatus.destination) || t('dashboard.destinationPending');
+
+// "just now", "5m ago", "3h ago", "2d ago"
+const formatAge = (isoDate, now, t) => {
+  if (!isoDate) return '';
+  const minutes = Math.floor((now - new Date(isoDate).getTime()) / 60000);
+  if (minutes < 1) return t('dashboard.justNow');
+  if (minutes < 60) return t('dashboard.minutesAgo', { count: minutes });
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return t('dashboard.hoursAgo', { count: hours });
+  return t('dashboard.daysAgo', { count: Math.floor(hours / 24) });
+};
+
+const PlanDashboard = ({ onOpenPlan, onNewPlan }) => {
+  const { t } = useI18n();
+  const [plans, setPlans] = useState(listPlans);
+  const [activePlanId, setActivePlanIdState] = useState(getActivePlanId);
+  const [filter, setFilter] = useState('all');
+  const [now, setNow] = useState(Date.now);
+  const refreshingRef = useRef(false);
+  // instanceId -> { attempt, dueMs }: refreshes in a row that found no new step,
+  // and when the plan is due again
+  const scheduleRef = useRef(new Map());
+  // Latest translate function, for the message stored by the shared refresh timer
+  const tRef = useRef(t);
+
+  useEffect(() => {
+    tRef.current = t;
+  }, [t]);
+
+  // Re-read the list whenever a plan is stored, in this tab or another
+  useEffect(() => subscribeToPlans(() => {
+    setPlans(listPlans());
+    setActivePlanIdState(getActivePlanId());
+  }), []);
+
+  // Keep the ages current
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  // Refresh the running plans that are due on one shared timer. The open plan
+  // is skipped - ChatInterface already follows it. Hidden tabs don't refresh at all.
+  useEffect(() => {
+    const schedule = scheduleRef.current;
+
+    const refreshPlan = async (plan) => {
+      const entry = schedule.get(plan.instanceId) || { attempt: 0 };
+      let changed = false;
+      try {
+        const status = await travelPlannerClient.getStatus(plan.instanceId);
+        changed = status.step !== planStep(plan);
+        savePlan(plan.instanceId, {
+          lastStatus: { step: status.step, destination: status.destination, message: status.message }
+        });
+      } catch (error) {
+        if (error instanceof InstanceNotFoundError) {
+          savePlan(plan.instanceId, {
+            lastStatus: { ...plan.lastStatus, step: 'Error', message: tRef.current('dashboard.gone') }
+          });
+        } else {
+          console.error(`Error refreshing plan ${plan.instanceId}:`, error);
+        }
+      }
+      const attempt = changed ? 0 : entry.attempt + 1;
+      schedule.set(plan.instanceId, { attempt, dueMs: Date.now() + nextPollDelay(attempt, REFRESH_BACKOFF) });
+    };
+
+    const refresh = async () => {
+      if (document.hidden || refreshingRef.current) return;
+      const openPlanId = getActivePlanId();
+      const now = Date.now();
+      const due = listPlans().filter(plan => {
+        const entry = schedule.get(plan.instanceId);
+        return plan.instanceId !== openPlanId && !isTerminalStep(planStep(plan)) && !(entry && entry.dueMs > now);
+      });
+      if (due.length === 0) return;
+
+      refreshingRef.current = true;
+      try {
+        await Promise.all(due.map(refreshPlan));
+      } finally {
+        refreshingRef.current = false;
+      }
+    };
+
+    refresh();
+    const intervalId = setInterval(refresh, REFRESH_INTERVAL);
+    document.addEventListener('visibilitychange', refresh);
+    return () => {
+      clearInterval(intervalId);
+      document.removeEventListener('visibilitychange', refresh);
+    };
+  }, []);
+
+  const activeFilter = FILTERS.find(f => f.id === filter) || FILTERS[0];
+  const visiblePlans = plans.filter(plan => activeFilter.matches(planStep(plan)));
+
+  return (
+    <aside className="plan-dashboard">
+      <div className="plan-dashboard-header">
+        <h2>{t('dashboard.title')}</h2>
+        <button onClick={onNewPlan} className="new-plan-btn">{t('dashboard.newPlan')}</button>
+      </div>
+
+      <div className="plan-filters" role="group" aria-label={t('dashboard.filterLabel')}>
+        {FILTERS.map(f => (
+          <button
+            key={f.id}
+            className={`plan-filter ${filter === f.id ? 'selected' : ''}`}
+            onClick={() => setFilter(f.id)}
+            aria-pressed={filter === f.id}
+          >
+            {t(`dashboard.filter.${f.id}`)} ({plans.filter(plan => f.matches(planStep(plan))).length})
+          </button>
+        ))}
+      </div>
+
+      {visiblePlans.length === 0 ? (
+        <p className="plan-dashboard-empty">
+          {plans.length === 0 ? t('dashboard.empty') : t('dashboard.noMatch')}
+        </p>
+      ) : (
+        <ul className="plan-list">
+          {visiblePlans.map(plan => (
+            <li
+              key={plan.instanceId}
+              className={`plan-card ${plan.instanceId === activePlanId ? 'open' : ''}`}
+            >
+              <button className="plan-card-open" onClick={() => onOpenPlan(plan.instanceId)}>
+                <span className="plan-card-title">
+                  <strong>{planDestination(plan, t)}</strong>
+                  <span className="plan-card-age">{formatAge(plan.createdAt, now, t)}</span>
+                </span>
+                {plan.travelRequest && plan.travelRequest.preferences && (
+                  <span className="plan-card-preferences">{plan.travelRequest.preferences}</span>
+                )}
+                <ProgressTracker status={{ step: planStep(plan) }} compact />
+              </button>
+              <button
+                className="plan-card-remove"
+                onClick={() => removePlan(plan.instanceId)}
+                title={t('dashboard.remove')}
+                aria-label={t('dashboard.removeLabel', { destination: planDestination(plan, t) })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+};
+
+export default PlanDashboard;
@@ -0,0 +1,72 @@
+import React from 'react';
+import { useI18n } from '../i18n/I18nContext';
+import './plan-diff.css';
+
+const NameList = ({ names, kind }) => names.map(name => (
+  <li key={`${kind}-${name}`} className={`diff-${kind}`}>
+    {kind === 'added' ? '+ ' : '− '}{name}
+  </li>
+));
+
+// What a refinement changed in the plan, as produced by utils/planDiff
+const PlanDiff = ({ diff }) => {
+  const { t } = useI18n();
+  if (!diff) return null;
+  if (!diff.hasChanges) {
+    return <div className="plan-diff"><p className="plan-diff-empty">{t('diff.unchanged')}</p></div>;
+  }
+
+  const recommendationGroups = [
+    ['attractions', diff.attractions],
+    ['restaurants', diff.restaurants]
+  ].filter(([, changes]) => changes.added.length > 0 || changes.removed.length > 0);
+
+  return (
+    <div className="plan-diff">
+      <h4>{t('diff.title')}</h4>
+
+      {diff.cost && (
+        <p className="plan-diff-cost">
+          {t('diff.total')} <del>{diff.cost.from || t('diff.notGiven')}</del> → <ins>{diff.cost.to || t('diff.notGiven')}</ins>
+        </p>
+      )}
+
+      {diff.days.map(day => (
+        <div key={day.day} className="plan-diff-section">
+          <h5>
+            {t('plan.day', { day: day.day })}{day.date ? ` · ${day.date}` : ''}
+            {day.status !== 'changed' && <span className={`diff-badge diff-${day.status}`}>{t(`diff.status.${day.status}`)}</span>}
+          </h5>
+          <ul>
+            <NameList names={day.added} kind="added" />
+            <NameList names={day.removed} kind="removed" />
+            {day.changed.map(activity => (
+              <li key={`changed-${activity.name}`} className="diff-changed">
+                ~ {activity.name}:{' '}
+                {activity.changes.map(change => (
+                  <span key={change.field} className="diff-field">
+                    {t(`diff.field.${change.field}`)} <del>{change.from || '—'}</del> → <ins>{change.to || '—'}</ins>
+                  </span>
+                ))}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      {recommendationGroups.map(([group, changes]) => (
+        <div key={group} className="plan-diff-section">
+          <h5>{t(`diff.${group}`)}</h5>
+          <ul>
+            <NameList names={changes.added} kind="added" />
+            <NameList names={changes.removed} kind="removed" />
+          </ul>
+        </div>
+      ))}
+
+      {diff.insiderTips && <p className="plan-diff-tips">{t('diff.insiderTips')}</p>}
+    </div>
+  );
+};
+
+export default PlanDiff;
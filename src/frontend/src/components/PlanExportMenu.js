@@ -0,0 +1,50 @@
+import React, { useState } from 'react';
+import {
+  buildICalendar,
+  buildPlanJson,
+  planFileName,
+  downloadFile,
+  printPlan
+} from '../utils/planExport';
+import { useI18n } from '../i18n/I18nContext';
+import './travel-plan-view.css';
+
+// Export buttons for a travel plan: calendar file, printable itinerary, raw JSON
+const PlanExportMenu = ({ plan, instanceId }) => {
+  const { locale, t } = useI18n();
+  const [notice, setNotice] = useState('');
+
+  if (!plan) return null;
+
+  const exportCalendar = () => {
+    const { content, events, skipped } = buildICalendar(plan, { instanceId });
+    if (events === 0) {
+      setNotice(t('export.noEvents'));
+      return;
+    }
+    downloadFile(`${planFileName(plan)}.ics`, content, 'text/calendar;charset=utf-8');
+    const saved = t('export.saved', { count: events });
+    setNotice(skipped > 0 ? `${saved} ${t('export.skipped', { count: skipped })}` : saved);
+  };
+
+  const exportPrintable = () => {
+    setNotice(printPlan(plan, { locale, t }) ? '' : t('export.popupsBlocked'));
+  };
+
+  const exportJson = () => {
+    downloadFile(`${planFileName(plan)}.json`, buildPlanJson(plan, { instanceId }), 'application/json');
+    setNotice('');
+  };
+
+  return (
+    <div className="plan-export-menu">
+      <span className="plan-export-label">{t('export.label')}</span>
+      <button onClick={exportCalendar} className="export-btn">{t('export.calendar')}</button>
+      <button onClick={exportPrintable} className="export-btn">{t('export.print')}</button>
+      <button onClick={exportJson} className="export-btn">{'{ }'} JSON</button>
+      {notice && <span className="plan-export-notice">{notice}</span>}
+    </div>
+  );
+};
+
+export default PlanExportMenu;
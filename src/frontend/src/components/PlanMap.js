@@ -0,0 +1,168 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { planPlaces, projectPlaces, dayColor } from '../utils/planMap';
+import { getGeocoder, locatePlaces } from '../services/geocoding';
+import { useI18n } from '../i18n/I18nContext';
+import './plan-map.css';
+
+const WIDTH = 640;
+const HEIGHT = 360;
+
+// `label` and `marker` are message keys for the layer's checkbox and its markers
+const LAYERS = [
+  { kind: 'attraction', label: 'map.attractions', marker: 'map.attraction', icon: '🎯' },
+  { kind: 'restaurant', label: 'map.restaurants', marker: 'map.restaurant', icon: '🍽️' }
+];
+
+const layerFor = (kind) => LAYERS.find(layer => layer.kind === kind);
+
+const markerLabel = (place, t) => (place.kind === 'activity'
+  ? t('map.activity', { day: place.day, stop: place.stop, name: place.name, location: place.location })
+  : t(layerFor(place.kind).marker, { name: place.name }));
+
+// Activate a marker from the keyboard like a button
+const handleMarkerKey = (event, select) => {
+  if (event.key === 'Enter' || event.key === ' ') {
+    event.preventDefault();
+    select();
+  }
+};
+
+// Map of a plan: each day's activities as a numbered route, attractions and
+// restaurants as layers that can be switched off. Places are located with
+// `geocoder` (the deployment's one by default). `selectedId` and `onSelect`
+// link markers to the matching list items in TravelPlanView.
+const PlanMap = ({ plan, selectedId = null, onSelect = () => {}, geocoder = null }) => {
+  const { t } = useI18n();
+  const places = useMemo(() => planPlaces(plan), [plan]);
+  const [located, setLocated] = useState(null);
+  const [layers, setLayers] = useState({ attraction: true, restaurant: true });
+  const [day, setDay] = useState('all');
+  const mapRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLocated(null);
+    locatePlaces(places, geocoder || getGeocoder()).then(result => {
+      if (!cancelled) setLocated(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [places, geocoder]);
+
+  // A place picked in the list is made visible and brought into view
+  useEffect(() => {
+    const place = places.find(entry => entry.id === selectedId);
+    if (!place) return;
+    if (place.kind === 'activity') {
+      setDay(current => (current === 'all' || Number(current) === place.day ? current : 'all'));
+    } else {
+      setLayers(current => (current[place.kind] ? current : { ...current, [place.kind]: true }));
+    }
+    if (mapRef.current && mapRef.current.scrollIntoView) {
+      mapRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+  }, [places, selectedId]);
+
+  if (places.length === 0) return null;
+
+  const days = [...new Set(places.filter(place => place.day !== null).map(place => place.day))];
+  const visible = (located || []).filter(place => (place.kind === 'activity'
+    ? day === 'all' || place.day === Number(day)
+    : layers[place.kind]));
+  const points = projectPlaces(visible, { width: WIDTH, height: HEIGHT });
+  const routes = days
+    .map(routeDay => points.filter(point => point.kind === 'activity' && point.day === routeDay))
+    .filter(stops => stops.length > 1);
+  // Activities on top of the layers, the selected marker on top of everything
+  const markers = [...points].sort((a, b) => (
+    (a.id === selectedId) - (b.id === selectedId) || (a.kind === 'activity') - (b.kind === 'activity')
+  ));
+  const unlocated = (located || []).filter(place => place.lat === null);
+  const approximate = (located || []).some(place => place.approximate);
+  const destination = (plan.Plan.itinerary && plan.Plan.itinerary.destinationName) || t('map.yourTrip');
+
+  return (
+    <section className="plan-map" ref={mapRef}>
+      <h2>{t('map.title')}</h2>
+      <div className="plan-map-controls">
+        {days.length > 1 && (
+          <select value={day} onChange={(e) => setDay(e.target.value)} aria-label={t('map.dayLabel')}>
+            <option value="all">{t('map.allDays')}</option>
+            {days.map(routeDay => <option key={routeDay} value={routeDay}>{t('plan.day', { day: routeDay })}</option>)}
+          </select>
+        )}
+        {LAYERS.filter(layer => places.some(place => place.kind === layer.kind)).map(layer => (
+          <label key={layer.kind} className="plan-map-layer">
+            <input
+              type="checkbox"
+              checked={layers[layer.kind]}
+              onChange={(e) => setLayers({ ...layers, [layer.kind]: e.target.checked })}
+            />
+            {t(layer.label)}
+          </label>
+        ))}
+      </div>
+
+      {!located ? (
+        <p className="plan-map-status">{t('map.locating')}</p>
+      ) : (
+        <svg
+          className="plan-map-canvas"
+          viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+          role="group"
+          aria-label={t('map.label', { destination })}
+        >
+          <rect className="plan-map-background" width={WIDTH} height={HEIGHT} rx="8" />
+          {routes.map(stops => (
+            <polyline
+              key={stops[0].day}
+              className="plan-map-route"
+              points={stops.map(stop => `${stop.x},${stop.y}`).join(' ')}
+              stroke={dayColor(stops[0].day)}
+            />
+          ))}
+          {markers.map(place => {
+            const selected = place.id === selectedId;
+            return (
+              <g
+                key={place.id}
+                className={`map-marker ${place.kind}${selected ? ' selected' : ''}`}
+                transform={`translate(${place.x} ${place.y})`}
+                role="button"
+                tabIndex={0}
+                aria-label={markerLabel(place, t)}
+                aria-pressed={selected}
+                onClick={() => onSelect(place.id)}
+                onKeyDown={(e) => handleMarkerKey(e, () => onSelect(place.id))}
+              >
+                <title>{markerLabel(place, t)}</title>
+                <circle r={selected ? 14 : 11} fill={place.kind === 'activity' ? dayColor(place.day) : undefined} />
+                <text dy="0.35em" textAnchor="middle">{place.kind === 'activity' ? place.stop : layerFor(place.kind).icon}</text>
+              </g>
+            );
+          })}
+        </svg>
+      )}
+
+      {days.length > 0 && (
+        <ul className="plan-map-legend" aria-label={t('map.routes')}>
+          {days.map(routeDay => (
+            <li key={routeDay}>
+              <span className="plan-map-swatch" style={{ background: dayColor(routeDay) }} aria-hidden="true" />
+              {t('plan.day', { day: routeDay })}
+            </li>
+          ))}
+        </ul>
+      )}
+      {located && approximate && (
+        <p className="plan-map-note">{t('map.approximate')}</p>
+      )}
+      {unlocated.length > 0 && (
+        <p className="plan-map-note">{t('map.notFound', { places: unlocated.map(place => place.name).join(', ') })}</p>
+      )}
+    </section>
+  );
+};
+
+export default PlanMap;
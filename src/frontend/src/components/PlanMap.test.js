@@ -0,0 +1,41 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import PlanMap from './PlanMap';
+import { I18nProvider } from '../i18n/I18nContext';
+import { createStaticGeocoder } from '../services/geocoding';
+import { SAMPLE_VIEW_PLAN } from '../testing/fakeTravelPlannerApi';
+
+const planFor = (destinationName) => ({
+  Plan: { ...SAMPLE_VIEW_PLAN.Plan, itinerary: { ...SAMPLE_VIEW_PLAN.Plan.itinerary, destinationName } }
+});
+
+const renderMap = (plan) => render(
+  <I18nProvider>
+    <PlanMap plan={plan} geocoder={createStaticGeocoder()} />
+  </I18nProvider>
+);
+
+describe('PlanMap', () => {
+  afterEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('labels the map and its markers in the chosen language', async () => {
+    window.localStorage.setItem('travel-planner:locale', 'fr');
+    renderMap(planFor('Lisbon'));
+
+    expect(await screen.findByRole('group', { name: 'Carte de Lisbon' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: '🗺️ Carte' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Jour 1, étape 1 : Old Town walk (Old Town)' })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Restaurant : Casa Mar' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Tous les jours' })).toBeInTheDocument();
+    expect(screen.getByText('Les positions sont approximatives.')).toBeInTheDocument();
+  });
+
+  it('lists places in a city the geocoder does not know as not found', async () => {
+    renderMap(planFor('Reykjavik'));
+
+    expect(await screen.findByText(/^Not found on the map: /)).toHaveTextContent('Old Town walk, Harbour lunch');
+    expect(screen.queryByRole('button', { name: /^Day 1, stop 1/ })).not.toBeInTheDocument();
+  });
+});
@@ -1,48 +1,143 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { buildTimeline, formatElapsed, timelineProgress } from '../utils/stepTimeline';
+import { DEFAULT_LOCALE } from '../i18n';
+import { useI18n } from '../i18n/I18nContext';
+
+// Bar position for each step when there is no timeline to measure it from
+const STEP_PROGRESS = {
+  GettingDestinations: 20,
+  ChoosingDestination: 35,
+  CreatingItinerary: 50,
+  GettingLocalRecommendations: 75,
+  WaitingForApproval: 100,
+  RefiningPlan: 90,
+  BookingTrip: 100,
+  Completed: 100,
+  Expired: 100,
+  Rejected: 100,
+  Error: 100,
+  Failed: 100
+};
+
+const STATE_ICONS = {
+  pending: '○',
+  active: '◐',
+  done: '●',
+  failed: '✕'
+};
+
+const TIME_FORMAT = { hour: '2-digit', minute: '2-digit', second: '2-digit' };
+
+// One row of the vertical timeline
+const TimelineStep = ({ row, t, formatDate }) => (
+  <li className={`timeline-step ${row.state}`} aria-current={row.state === 'active' ? 'step' : undefined}>
+    <span className="timeline-marker" aria-hidden="true">{STATE_ICONS[row.state]}</span>
+    <div className="timeline-body">
+      <span className="timeline-label">
+        {t(`timeline.${row.step}`)}
+        {row.visits > 1 && <span className="timeline-visits"> ×{row.visits}</span>}
+      </span>
+      <span className="timeline-times">
+        {row.startedAt && <time dateTime={row.startedAt}>{formatDate(row.startedAt, TIME_FORMAT)}</time>}
+        {row.startedAt && row.endedAt && row.endedAt !== row.startedAt && (
+          <> – <time dateTime={row.endedAt}>{formatDate(row.endedAt, TIME_FORMAT)}</time></>
+        )}
+        {row.elapsedMs !== null && <span className="timeline-elapsed">{formatElapsed(row.elapsedMs)}</span>}
+        {!row.startedAt && row.state === 'done' && <span className="timeline-untimed">{t('progress.untimed')}</span>}
+      </span>
+    </div>
+  </li>
+);
+
+// `history` is the list of `{ step, startedAt, endedAt }` entries kept by the
+// chat (see utils/stepTimeline); without it only the progress bar is shown.
+const ProgressTracker = ({ status, history, compact = false }) => {
+  const { locale, t, formatDate } = useI18n();
+  const [now, setNow] = useState(() => new Date());
+  const rows = status && history && !compact ? buildTimeline(history, status.step, now) : null;
+  const hasActiveStep = Boolean(rows && rows.some(row => row.state === 'active'));
+
+  // Tick once a second so the running step's elapsed time stays current
+  useEffect(() => {
+    if (!hasActiveStep) return undefined;
+    const timer = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(timer);
+  }, [hasActiveStep]);
 
-const ProgressTracker = ({ status }) => {
   if (!status) return null;
 
-  // Map step names to progress percentages and user-friendly messages
+  // Progress percentage and user-friendly message for a step
   const getStepInfo = (step) => {
-    switch (step) {
-      case 'GettingDestinations':
-        return { progress: 20, message: '🌍 Finding perfect destinations...' };
-      case 'CreatingItinerary':
-        return { progress: 50, message: '📅 Creating your itinerary...' };
-      case 'GettingLocalRecommendations':
-        return { progress: 75, message: '🍽️ Getting local recommendations...' };
-      case 'WaitingForApproval':
-        return { progress: 100, message: '✅ Plan ready for your approval!' };
-      case 'BookingTrip':
-        return { progress: 100, message: '🎯 Booking your trip...' };
-      case 'Completed':
-        return { progress: 100, message: '🎉 Trip booked successfully!' };
-      default:
-        return { progress: 10, message: '🚀 Starting your travel plan...' };
-    }
+    const known = STEP_PROGRESS[step] !== undefined;
+    return {
+      progress: known ? STEP_PROGRESS[step] : 10,
+      message: t(`progress.${known ? step : 'Starting'}`)
+    };
   };
 
   const stepInfo = getStepInfo(status.step);
-  const progress = status.progress || stepInfo.progress;
-  const message = status.message || stepInfo.message;
+  // Measured from the steps reached when there is a timeline
+  const progress = rows ? timelineProgress(rows) : status.progress ?? stepInfo.progress;
+  // Status messages from the orchestration are English; other locales use the catalog's
+  const message = (locale === DEFAULT_LOCALE && status.message) || stepInfo.message;
 
   // Custom styling based on the current step
   const getStepColor = () => {
     switch (status.step) {
+      case 'ChoosingDestination':
       case 'WaitingForApproval':
         return '#f39c12'; // amber
       case 'BookingTrip':
       case 'Completed':
         return '#27ae60'; // green
+      case 'Expired':
+      case 'Rejected':
+        return '#95a5a6'; // grey
+      case 'Error':
+      case 'Failed':
+        return '#e74c3c'; // red
       default:
         return '#3498db'; // blue
     }
   };
 
+  // Compact form for lists (e.g. the plan dashboard): bar plus the short step message
+  if (compact) {
+    return (
+      <div className="progress-tracker compact">
+        <div
+          className="progress-bar-container"
+          role="progressbar"
+          aria-label={t('progress.label')}
+          aria-valuemin={0}
+          aria-valuemax={100}
+          aria-valuenow={stepInfo.progress}
+          aria-valuetext={stepInfo.message}
+        >
+          <div 
+            className="progress-bar-fill" 
+            style={{ 
+              width: `${stepInfo.progress}%`,
+              backgroundColor: getStepColor()
+            }}
+          />
+        </div>
+        <p className="progress-step">{stepInfo.message}</p>
+      </div>
+    );
+  }
+
   return (
     <div className="progress-tracker">
-      <div className="progress-bar-container">
+      <div
+        className="progress-bar-container"
+        role="progressbar"
+        aria-label={t('progress.label')}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress}
+        aria-valuetext={message}
+      >
         <div 
           className="progress-bar-fill" 
           style={{ 
@@ -53,18 +148,27 @@ const ProgressTracker = ({ status }) => {
       </div>
       
       <div className="progress-details">
-        <h3>{message}</h3>
+        {/* Announced to screen readers each time the step changes */}
+        <div role="status" aria-live="polite">
+          <h2>{message}</h2>
+        </div>
         {status.destination && (
-          <p className="destination">Destination: <strong>{status.destination}</strong></p>
+          <p className="destination">{t('progress.destination')} <strong>{status.destination}</strong></p>
         )}
         {status.documentUrl && (
           <p className="document-link">
             <a href={status.documentUrl} target="_blank" rel="noopener noreferrer">
-              View Travel Plan Document
+              {t('progress.document')}
             </a>
           </p>
         )}
       </div>
+
+      {rows && (
+        <ol className="step-timeline" aria-label={t('progress.steps')}>
+          {rows.map(row => <TimelineStep key={row.step} row={row} t={t} formatDate={formatDate} />)}
+        </ol>
+      )}
     </div>
   );
 };
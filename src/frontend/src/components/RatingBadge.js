@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Star rating badge, colored by how good the rating is (agents rate 0-5)
+const RatingBadge = ({ rating }) => {
+  const value = Number(rating);
+  if (!value) return null;
+
+  const tier = value >= 4.5 ? 'excellent' : value >= 4 ? 'good' : value >= 3 ? 'fair' : 'poor';
+
+  return (
+    <span className={`rating-badge ${tier}`} title={`Rated ${value} out of 5`}>
+      ★ {value.toFixed(1)}
+    </span>
+  );
+};
+
+export default RatingBadge;
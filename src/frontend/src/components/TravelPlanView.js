@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import ReactMarkdown from 'react-markdown';
+import DayCard from './DayCard';
+import PlaceList from './PlaceList';
+import PlanMap from './PlanMap';
+import { dayNumberOf } from '../utils/planMap';
+import { useI18n } from '../i18n/I18nContext';
+import './travel-plan-view.css';
+
+// True when the plan carries enough structure to render the rich view
+export const hasStructuredPlan = (plan) => {
+  if (!plan || !plan.Plan) return false;
+  const dailyPlan = (plan.Plan.itinerary && plan.Plan.itinerary.dailyPlan) || [];
+  const hasDays = dailyPlan.some(day => Array.isArray(day.Activities) && day.Activities.length > 0);
+  const hasPlaces = [...(plan.Plan.attractions || []), ...(plan.Plan.restaurants || [])]
+    .some(place => place && place.Name);
+  return hasDays || hasPlaces;
+};
+
+// Structured travel plan: map, day cards, attraction and restaurant lists, insider tips.
+// Falls back to the markdown rendering when the plan lacks that structure.
+// A place picked on the map is highlighted in its list, and the other way round.
+const TravelPlanView = ({ plan, fallbackMarkdown, displayCurrency = null, showMap = true }) => {
+  const { t } = useI18n();
+  const [selectedPlaceId, setSelectedPlaceId] = useState(null);
+  // Picking the selected place again clears the selection
+  const selectPlace = (id) => setSelectedPlaceId(current => (current === id ? null : id));
+
+  if (!hasStructuredPlan(plan)) {
+    return <ReactMarkdown>{fallbackMarkdown || ''}</ReactMarkdown>;
+  }
+
+  const itinerary = plan.Plan.itinerary || {};
+  const dailyPlan = itinerary.dailyPlan || [];
+  const documentUrl = plan.documentUrl || plan.Plan.documentUrl;
+
+  return (
+    <div className="travel-plan-view">
+      <h1>{t('view.title', { destination: itinerary.destinationName || t('plan.yourDestination') })}</h1>
+      <div className="plan-summary">
+        {itinerary.travelDates && <span><strong>{t('plan.dates')}:</strong> {itinerary.travelDates}</span>}
+        {itinerary.estimatedTotalCost && <span><strong>{t('plan.estimatedCost')}:</strong> {itinerary.estimatedTotalCost}</span>}
+      </div>
+
+      {showMap && <PlanMap plan={plan} selectedId={selectedPlaceId} onSelect={selectPlace} />}
+
+      {dailyPlan.length > 0 && (
+        <section className="daily-plan">
+          <h2>{t('plan.dailyItinerary')}</h2>
+          {dailyPlan.map((day, index) => (
+            <DayCard
+              key={day.Day || index}
+              day={day}
+              dayNumber={dayNumberOf(day, index)}
+              defaultOpen={index === 0}
+              displayCurrency={displayCurrency}
+              selectedPlaceId={selectedPlaceId}
+              onSelectPlace={showMap ? selectPlace : null}
+            />
+          ))}
+        </section>
+      )}
+
+      <PlaceList
+        title={t('plan.topAttractions')}
+        places={plan.Plan.attractions}
+        placeKind="attraction"
+        selectedPlaceId={selectedPlaceId}
+        onSelectPlace={showMap ? selectPlace : null}
+        groupField="Category"
+        groupLabel={t('places.categories')}
+        allGroupsLabel={t('places.allCategories')}
+        costField="EstimatedCost"
+      />
+
+      <PlaceList
+        title={t('plan.restaurants')}
+        places={plan.Plan.restaurants}
+        placeKind="restaurant"
+        selectedPlaceId={selectedPlaceId}
+        onSelectPlace={showMap ? selectPlace : null}
+        groupField="Cuisine"
+        groupLabel={t('places.cuisines')}
+        allGroupsLabel={t('places.allCuisines')}
+        costField="PriceRange"
+      />
+
+      {plan.Plan.insiderTips && (
+        <section className="insider-tips">
+          <h2>{t('plan.insiderTips')}</h2>
+          <ReactMarkdown>{plan.Plan.insiderTips}</ReactMarkdown>
+        </section>
+      )}
+
+      {documentUrl && (
+        <p>
+          📄 <a href={documentUrl} target="_blank" rel="noopener noreferrer">{t('view.document')}</a>
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default TravelPlanView;
@@ -0,0 +1,33 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import TravelPlanView from './TravelPlanView';
+import { SAMPLE_VIEW_PLAN } from '../testing/fakeTravelPlannerApi';
+
+// Render the plan and wait for the map to place its markers
+const renderView = async (props) => {
+  const view = render(<TravelPlanView plan={SAMPLE_VIEW_PLAN} {...props} />);
+  await waitFor(() => expect(screen.queryByText('Locating places...')).not.toBeInTheDocument());
+  return view;
+};
+
+describe('TravelPlanView', () => {
+  it('has no accessibility violations', async () => {
+    const { container } = await renderView({ displayCurrency: 'EUR' });
+    expect(screen.getByRole('heading', { name: /Your Travel Plan for Lisbon/ })).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('has no accessibility violations with a day open and the places filtered', async () => {
+    const { container } = await renderView();
+    fireEvent.click(screen.getAllByRole('button', { name: /Day 1/ })[0]);
+    fireEvent.change(screen.getAllByRole('searchbox')[0], { target: { value: 'fort' } });
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  it('falls back to the markdown without a structured plan', async () => {
+    const { container } = render(<TravelPlanView plan={{ Plan: {} }} fallbackMarkdown="# Lisbon" />);
+    expect(screen.getByText('# Lisbon')).toBeInTheDocument();
+    expect(await axe(container)).toHaveNoViolations();
+  });
+});
@@ -0,0 +1,360 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { SUPPORTED_CURRENCIES } from '../utils/costs';
+import {
+  BUDGET_TIERS,
+  DIETARY_OPTIONS,
+  ACCESSIBILITY_OPTIONS,
+  MIN_DURATION_DAYS,
+  MAX_DURATION_DAYS,
+  emptyTravelForm,
+  durationFromDates,
+  todayIsoDate,
+  validateTravelForm
+} from '../utils/travelRequestForm';
+import { listPresets, savePreset, removePreset } from '../services/requestPresets';
+import { getRuntimeConfig } from '../services/runtimeConfig';
+import { useI18n } from '../i18n/I18nContext';
+import './travel-request-form.css';
+
+// Inline error under a field, linked to it with aria-describedby
+const FieldError = ({ name, errors }) => (
+  errors[name] ? <span id={`${name}-error`} className="field-error">{errors[name]}</span> : null
+);
+
+const errorProps = (name, errors) => (errors[name]
+  ? { 'aria-invalid': true, 'aria-describedby': `${name}-error` }
+  : {});
+
+// Travel request form with validation and presets. `form` is the structured form
+// state (see utils/travelRequestForm); `onSubmit` is only called when it is valid.
+const TravelRequestForm = ({ form, onChange, onSubmit, loading }) => {
+  const { t } = useI18n();
+  const [errors, setErrors] = useState({});
+  const [submitAttempted, setSubmitAttempted] = useState(false);
+  const [presets, setPresets] = useState(listPresets);
+  const [presetName, setPresetName] = useState('');
+  const formRef = useRef(null);
+  const focusFirstErrorRef = useRef(false);
+
+  // After a failed submit, take the user to the first field that needs fixing
+  useEffect(() => {
+    if (!focusFirstErrorRef.current) return;
+    focusFirstErrorRef.current = false;
+    const field = formRef.current && formRef.current.querySelector('[aria-invalid="true"]');
+    if (field) field.focus();
+  }, [errors]);
+
+  // Re-check as the user fixes fields, once they have tried to submit
+  const update = (changes) => {
+    const next = { ...form, ...changes };
+    onChange(next);
+    if (submitAttempted) setErrors(validateTravelForm(next, { t }));
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    update({ [name]: value });
+  };
+
+  const toggleOption = (field, option) => {
+    const selected = form[field];
+    update({
+      [field]: selected.includes(option)
+        ? selected.filter(item => item !== option)
+        : [...selected, option]
+    });
+  };
+
+  const updateChildAge = (index, age) => {
+    update({ childAges: form.childAges.map((value, i) => (i === index ? age : value)) });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const nextErrors = validateTravelForm(form, { t });
+    setErrors(nextErrors);
+    setSubmitAttempted(true);
+    if (Object.keys(nextErrors).length === 0) {
+      onSubmit(form);
+    } else {
+      focusFirstErrorRef.current = true;
+    }
+  };
+
+  const loadPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (!preset) return;
+    onChange({ ...emptyTravelForm, ...preset.form });
+    setPresetName(preset.name);
+    setErrors({});
+    setSubmitAttempted(false);
+  };
+
+  const storePreset = () => {
+    const name = presetName.trim();
+    if (name) setPresets(savePreset(name, form));
+  };
+
+  const deletePreset = () => {
+    setPresets(removePreset(presetName.trim()));
+    setPresetName('');
+  };
+
+  const datedDuration = durationFromDates(form.startDate, form.endDate);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  return (
+    <form ref={formRef} className="travel-request-form" onSubmit={handleSubmit} noValidate>
+      <div className="preset-bar">
+        <label htmlFor="preset-select">{t('form.presets')}</label>
+        <select
+          id="preset-select"
+          value=""
+          onChange={(e) => loadPreset(e.target.value)}
+          disabled={presets.length === 0}
+        >
+          <option value="">{presets.length === 0 ? t('form.noPresets') : t('form.loadPreset')}</option>
+          {presets.map(preset => (
+            <option key={preset.name} value={preset.name}>{preset.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder={t('form.presetName')}
+          aria-label={t('form.presetName')}
+        />
+        <button type="button" className="preset-btn" onClick={storePreset} disabled={!presetName.trim()}>
+          {t('form.save')}
+        </button>
+        {presets.some(p => p.name === presetName.trim()) && (
+          <button type="button" className="preset-btn" onClick={deletePreset}>{t('form.delete')}</button>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="userName">{t('form.name')}</label>
+        <input
+          id="userName"
+          type="text"
+          name="userName"
+          value={form.userName}
+          onChange={handleInputChange}
+          placeholder={t('form.namePlaceholder')}
+          {...errorProps('userName', errors)}
+        />
+        <FieldError name="userName" errors={errors} />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="preferences">{t('form.preferences')}</label>
+        <textarea
+          id="preferences"
+          name="preferences"
+          value={form.preferences}
+          onChange={handleInputChange}
+          placeholder={t('form.preferencesPlaceholder')}
+          rows={4}
+          {...errorProps('preferences', errors)}
+        />
+        <FieldError name="preferences" errors={errors} />
+      </div>
+
+      <fieldset className="form-group form-fieldset">
+        <legend>{t('form.dates')}</legend>
+        <div className="form-row">
+          <div>
+            <label htmlFor="startDate">{t('form.from')}</label>
+            <input
+              id="startDate"
+              type="date"
+              name="startDate"
+              value={form.startDate}
+              min={todayIsoDate()}
+              onChange={handleInputChange}
+              {...errorProps('startDate', errors)}
+            />
+            <FieldError name="startDate" errors={errors} />
+          </div>
+          <div>
+            <label htmlFor="endDate">{t('form.to')}</label>
+            <input
+              id="endDate"
+              type="date"
+              name="endDate"
+              value={form.endDate}
+              min={form.startDate || todayIsoDate()}
+              onChange={handleInputChange}
+              {...errorProps('endDate', errors)}
+            />
+            <FieldError name="endDate" errors={errors} />
+          </div>
+          <div>
+            <label htmlFor="durationInDays">{t('form.duration')}</label>
+            <input
+              id="durationInDays"
+              type="number"
+              name="durationInDays"
+              value={datedDuration && datedDuration > 0 ? datedDuration : form.durationInDays}
+              onChange={handleInputChange}
+              min={MIN_DURATION_DAYS}
+              max={MAX_DURATION_DAYS}
+              disabled={Boolean(form.startDate && form.endDate)}
+              {...errorProps('durationInDays', errors)}
+            />
+            <FieldError name="durationInDays" errors={errors} />
+          </div>
+        </div>
+        <span className="field-hint">{t('form.datesHint')}</span>
+      </fieldset>
+
+      <fieldset className="form-group form-fieldset">
+        <legend>{t('form.budget')}</legend>
+        <div className="form-row">
+          <div>
+            <label htmlFor="budgetAmount">{t('form.budgetAmount')}</label>
+            <input
+              id="budgetAmount"
+              type="number"
+              name="budgetAmount"
+              value={form.budgetAmount}
+              onChange={handleInputChange}
+              min="0"
+              placeholder={t('form.budgetPlaceholder')}
+              {...errorProps('budgetAmount', errors)}
+            />
+            <FieldError name="budgetAmount" errors={errors} />
+          </div>
+          <div>
+            <label htmlFor="budgetCurrency">{t('form.currency')}</label>
+            <select id="budgetCurrency" name="budgetCurrency" value={form.budgetCurrency} onChange={handleInputChange}>
+              {SUPPORTED_CURRENCIES.map(code => (
+                <option key={code} value={code}>{code}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="budgetTier">{t('form.style')}</label>
+            <select id="budgetTier" name="budgetTier" value={form.budgetTier} onChange={handleInputChange}>
+              <option value="">{t('form.anyStyle')}</option>
+              {BUDGET_TIERS.map(tier => (
+                <option key={tier.id} value={tier.id}>{t(`form.tier.${tier.id}`)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </fieldset>
+
+      <fieldset className="form-group form-fieldset">
+        <legend>{t('form.travellers')}</legend>
+        <div className="form-row">
+          <div>
+            <label htmlFor="adults">{t('form.adults')}</label>
+            <input
+              id="adults"
+              type="number"
+              name="adults"
+              value={form.adults}
+              onChange={handleInputChange}
+              min="1"
+              {...errorProps('adults', errors)}
+            />
+            <FieldError name="adults" errors={errors} />
+          </div>
+        </div>
+        <div className="child-ages">
+          {form.childAges.map((age, index) => (
+            <div key={index} className="child-age">
+              <label htmlFor={`childAges.${index}`}>{t('form.childAge', { number: index + 1 })}</label>
+              <input
+                id={`childAges.${index}`}
+                type="number"
+                value={age}
+                onChange={(e) => updateChildAge(index, e.target.value)}
+                min="0"
+                {...errorProps(`childAges.${index}`, errors)}
+              />
+              <button
+                type="button"
+                className="preset-btn"
+                onClick={() => update({ childAges: form.childAges.filter((_, i) => i !== index) })}
+                aria-label={t('form.removeChild', { number: index + 1 })}
+              >
+                ×
+              </button>
+              <FieldError name={`childAges.${index}`} errors={errors} />
+            </div>
+          ))}
+          <button type="button" className="preset-btn" onClick={() => update({ childAges: [...form.childAges, ''] })}>
+            {t('form.addChild')}
+          </button>
+        </div>
+      </fieldset>
+
+      <fieldset className="form-group form-fieldset">
+        <legend>{t('form.requirements')}</legend>
+        <span className="option-group-label">{t('form.dietary')}</span>
+        <div className="option-group">
+          {DIETARY_OPTIONS.map(option => (
+            <label key={option} className="option-chip">
+              <input
+                type="checkbox"
+                checked={form.dietary.includes(option)}
+                onChange={() => toggleOption('dietary', option)}
+              />
+              {t(`form.option.${option}`)}
+            </label>
+          ))}
+        </div>
+        <span className="option-group-label">{t('form.accessibility')}</span>
+        <div className="option-group">
+          {ACCESSIBILITY_OPTIONS.map(option => (
+            <label key={option} className="option-chip">
+              <input
+                type="checkbox"
+                checked={form.accessibility.includes(option)}
+                onChange={() => toggleOption('accessibility', option)}
+              />
+              {t(`form.option.${option}`)}
+            </label>
+          ))}
+        </div>
+        <label htmlFor="otherRequirements">{t('form.other')}</label>
+        <textarea
+          id="otherRequirements"
+          name="otherRequirements"
+          value={form.otherRequirements}
+          onChange={handleInputChange}
+          placeholder={t('form.otherPlaceholder')}
+          rows={2}
+        />
+      </fieldset>
+
+      {getRuntimeConfig().features.teamNotifications && (
+        <div className="form-group">
+          <label className="option-chip">
+            <input
+              type="checkbox"
+              checked={Boolean(form.notifyTeam)}
+              onChange={(e) => update({ notifyTeam: e.target.checked })}
+              aria-describedby="notifyTeam-hint"
+            />
+            {t('form.notifyTeam')}
+          </label>
+          <span id="notifyTeam-hint" className="field-hint">{t('form.notifyTeamHint')}</span>
+        </div>
+      )}
+
+      {hasErrors && (
+        <p className="form-error-summary" role="alert">{t('form.fixFields')}</p>
+      )}
+
+      <button type="submit" className="submit-btn" disabled={loading}>
+        {loading ? t('form.processing') : t('form.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default TravelRequestForm;
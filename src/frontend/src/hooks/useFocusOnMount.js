@@ -0,0 +1,18 @@
+import { useEffect, useRef } from 'react';
+
+// Ref for an element that takes keyboard focus when it mounts, or when `active`
+// turns true. Workflow panels put it on their heading (with tabIndex={-1}) so
+// keyboard and screen reader users land on whatever needs them next.
+const useFocusOnMount = (active = true) => {
+  const ref = useRef(null);
+
+  useEffect(() => {
+    if (active && ref.current) {
+      ref.current.focus();
+    }
+  }, [active]);
+
+  return ref;
+};
+
+export default useFocusOnMount;
@@ -0,0 +1,38 @@
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import { DEFAULT_LOCALE, detectLocale, storeLocale, translate } from './index';
+
+const I18nContext = createContext(null);
+
+// Holds the active locale for the app and keeps <html lang> in sync with it
+export const I18nProvider = ({ children }) => {
+  const [locale, setLocaleState] = useState(detectLocale);
+
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((nextLocale) => {
+    storeLocale(nextLocale);
+    setLocaleState(nextLocale);
+  }, []);
+
+  const value = useMemo(() => ({
+    locale,
+    setLocale,
+    t: (key, params) => translate(locale, key, params),
+    // Dates and times in the active locale; `date` is a Date or ISO string
+    formatDate: (date, options) => new Intl.DateTimeFormat(locale, options).format(new Date(date))
+  }), [locale, setLocale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// English without a provider, so components still render on their own
+const fallback = {
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params),
+  formatDate: (date, options) => new Intl.DateTimeFormat(DEFAULT_LOCALE, options).format(new Date(date))
+};
+
+export const useI18n = () => useContext(I18nContext) || fallback;
@@ -0,0 +1,62 @@
+// Message catalogs, locale detection and translation. Components get these
+// through useI18n (see I18nContext); plain modules can call translate directly.
+import en from './messages/en';
+import es from './messages/es';
+import fr from './messages/fr';
+
+const CATALOGS = { en, es, fr };
+
+export const DEFAULT_LOCALE = 'en';
+
+// Offered in the language switcher, each named in its own language
+export const SUPPORTED_LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' }
+];
+
+const LOCALE_KEY = 'travel-planner:locale';
+
+// Supported locale for a language tag ("fr-CA" -> "fr"), or null
+export const matchLocale = (tag) => {
+  const language = String(tag || '').toLowerCase().split(/[-_]/)[0];
+  return CATALOGS[language] ? language : null;
+};
+
+// The locale chosen in the switcher, else the first supported browser language
+export const detectLocale = () => {
+  try {
+    const stored = matchLocale(window.localStorage.getItem(LOCALE_KEY));
+    if (stored) return stored;
+  } catch (error) {
+    console.warn(`Could not read ${LOCALE_KEY} from localStorage:`, error);
+  }
+  const browserLocales = (typeof navigator !== 'undefined' && (navigator.languages || [navigator.language])) || [];
+  return browserLocales.map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+};
+
+export const storeLocale = (locale) => {
+  try {
+    window.localStorage.setItem(LOCALE_KEY, locale);
+  } catch (error) {
+    console.warn(`Could not write ${LOCALE_KEY} to localStorage:`, error);
+  }
+};
+
+const pluralForm = (message, locale, count) => {
+  const category = new Intl.PluralRules(locale).select(count);
+  return message[category] ?? message.other;
+};
+
+// Message `key` in `locale`, falling back to English and then to the key itself.
+// `{name}` placeholders are filled from `params`; messages with plural forms are
+// objects keyed by plural category ({ one, other }) and picked by `params.count`.
+export const translate = (locale, key, params = {}) => {
+  let message = (CATALOGS[locale] && CATALOGS[locale][key]) ?? en[key] ?? key;
+  if (typeof message === 'object') {
+    message = pluralForm(message, locale, Number(params.count));
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  ));
+};
@@ -0,0 +1,452 @@
+// English messages - the reference catalog. Other locales fall back to these
+// for missing keys.
+const en = {
+  'language.label': 'Language',
+
+  'app.title': 'Welcome to the Travel Planner Assistant',
+  'app.newPlan': 'Start New Plan',
+  'app.createPlan': 'Create Your Travel Plan',
+
+  // Sign-in (components/AuthGate, AccountMenu)
+  'auth.required': 'Sign in to plan and book trips.',
+  'auth.signIn': 'Sign In',
+  'auth.completing': 'Signing you in...',
+  'auth.expired': 'Your session has expired. Your plans are still saved in this browser - sign in again to keep planning and booking.',
+  'auth.signInAgain': 'Sign In Again',
+  'auth.signOut': 'Sign out',
+
+  // Travel request form
+  'form.presets': 'Presets',
+  'form.noPresets': 'No saved presets',
+  'form.loadPreset': 'Load a preset...',
+  'form.presetName': 'Preset name',
+  'form.save': 'Save',
+  'form.delete': 'Delete',
+  'form.name': 'Name',
+  'form.namePlaceholder': 'e.g., Nick Greenfield',
+  'form.preferences': 'Travel Preferences',
+  'form.preferencesPlaceholder': 'e.g., Looking for a family-friendly luxury vacation with activities for children...',
+  'form.dates': 'Travel Dates',
+  'form.from': 'From',
+  'form.to': 'To',
+  'form.duration': 'Duration (days)',
+  'form.datesHint': 'Leave the dates empty if you are flexible - the duration is used instead.',
+  'form.budget': 'Budget',
+  'form.budgetAmount': 'Total amount',
+  'form.budgetPlaceholder': 'e.g., 10000',
+  'form.currency': 'Currency',
+  'form.style': 'Style',
+  'form.anyStyle': 'Any',
+  'form.tier.budget': 'Budget',
+  'form.tier.mid-range': 'Mid-range',
+  'form.tier.luxury': 'Luxury',
+  'form.travellers': 'Travellers',
+  'form.adults': 'Adults',
+  'form.childAge': 'Child {number} age',
+  'form.removeChild': 'Remove child {number}',
+  'form.addChild': '+ Add a child',
+  'form.requirements': 'Special Requirements',
+  'form.dietary': 'Dietary',
+  'form.accessibility': 'Accessibility',
+  'form.option.Vegetarian': 'Vegetarian',
+  'form.option.Vegan': 'Vegan',
+  'form.option.Gluten-free': 'Gluten-free',
+  'form.option.Dairy-free': 'Dairy-free',
+  'form.option.Halal': 'Halal',
+  'form.option.Kosher': 'Kosher',
+  'form.option.Nut allergy': 'Nut allergy',
+  'form.option.Wheelchair access': 'Wheelchair access',
+  'form.option.Step-free rooms': 'Step-free rooms',
+  'form.option.Limited walking': 'Limited walking',
+  'form.option.Hearing assistance': 'Hearing assistance',
+  'form.option.Visual assistance': 'Visual assistance',
+  'form.other': 'Anything else',
+  'form.otherPlaceholder': 'e.g., Need connecting rooms or a family suite.',
+  'form.notifyTeam': "Post updates to my team's channel",
+  'form.notifyTeamHint': 'Posts when the plan is ready for approval, being booked, booked or failed.',
+  'form.fixFields': 'Please fix the highlighted fields.',
+  'form.processing': 'Processing...',
+  'form.submit': 'Plan My Trip',
+
+  // Validation (utils/travelRequestForm)
+  'validation.userName': 'Please tell us your name.',
+  'validation.preferences': 'Describe the kind of trip you are looking for.',
+  'validation.startDate': 'Choose a start date.',
+  'validation.startInPast': 'The trip cannot start in the past.',
+  'validation.endDate': 'Choose an end date.',
+  'validation.endBeforeStart': 'The end date must be on or after the start date.',
+  'validation.tooLong': 'Trips can be at most {max} days long.',
+  'validation.duration': 'Enter a whole number of days from {min} to {max}.',
+  'validation.budgetAmount': 'Enter the budget as a positive amount.',
+  'validation.adults': 'Enter between 1 and {max} adults.',
+  'validation.childAge': 'Enter an age from 0 to {max}.',
+
+  // Chat
+  'chat.requestTitle': 'Travel Request Submitted',
+  'chat.requestName': 'Name',
+  'chat.requestPreferences': 'Preferences',
+  'chat.requestDuration': 'Duration',
+  'chat.requestBudget': 'Budget',
+  'chat.requestDates': 'Dates',
+  'chat.requestRequirements': 'Special Requirements',
+  'chat.days': { one: '{count} day', other: '{count} days' },
+  'chat.processing': 'Your travel plan request is being processed. ID: {id}',
+  'chat.submitError': 'Error submitting your travel request. Please try again.',
+  'chat.reopening': 'Reopening travel plan {id}...',
+  'chat.creating': 'Creating your personalized travel plan...',
+  'chat.mayTakeAWhile': 'This may take a minute or two.',
+  'chat.planReady': "## Your travel plan is now ready for your review!\n\nPlease review the details below and decide if you'd like to proceed with this plan.",
+  'chat.planRevised': '## Your revised travel plan is ready!\n\nUpdated for: _{request}_',
+  'chat.yourRequest': 'your request',
+  'chat.booking': '🎯 **Booking your trip to {destination}...**\n\nPlease wait while we confirm your reservation details.',
+  'chat.booked': "✅ **Your trip has been booked!**\n\nYou're all set for your adventure. Check your email for confirmation details and travel documents.",
+  'chat.bookedWithId': '✅ **Your trip to {destination} has been booked!** Booking ID: **{bookingId}**',
+  'chat.yourDestination': 'your destination',
+  'chat.yourTrip': 'your trip',
+  'chat.notBooked': '🔄 **The plan for {destination} was not booked.**\n\nYou can start a revised plan that takes your feedback into account.',
+  'chat.expired': '⌛ **The plan for {destination} expired** before it was approved.\n\nYou can regenerate it from the same request.',
+  'chat.error': '❌ An error occurred while processing your travel plan. Please try again.',
+  'chat.errorWithMessage': '❌ An error occurred while processing your travel plan: {message}',
+  'chat.notFound': "❌ We couldn't find travel plan {id}. Please start a new plan.",
+  'chat.notYourPlan': '🔒 Travel plan {id} belongs to another account. Sign in as its owner or start a new plan.',
+  'chat.changesRequested': '{preferences}\n\nChanges requested on the previous plan: {feedback}',
+  'chat.destinationChosen': "🧭 **Let's go with {destination}!**",
+  'chat.chooseError': '❌ Error choosing the destination. Please try again.',
+  'chat.refineError': '❌ Error sending your request. Please try again.',
+  'chat.approveComment': 'Please proceed with booking this travel plan.',
+  'chat.approveError': '❌ Error approving your travel plan. Please try again.',
+  'chat.rejectComment': "I'd like to consider other options or make changes to this plan.",
+  'chat.rejectedWithFeedback': "❌ **I have rejected the travel plan.** Here's what I'd like changed:\n\n> {feedback}",
+  'chat.rejected': '❌ **I have rejected the travel plan** and would like to make some changes.',
+  'chat.rejectError': '❌ Error rejecting your travel plan. Please try again.',
+  'chat.refinePlaceholder': 'Ask for changes, e.g. "swap day 3 for a beach day" or "cheaper restaurants"',
+  'chat.refining': 'Revising your plan...',
+  'chat.refineHint': 'The plan is revised before you approve it. Enter sends, Shift+Enter adds a line.',
+  'chat.timeline': 'Planning timeline',
+  'chat.history': 'Conversation',
+  'chat.rejectTitle': 'What would you like changed?',
+  'chat.rejectText': "Tell us what didn't work for you. Your feedback is kept with this plan and carried into a revised one.",
+  'chat.rejectPlaceholder': 'e.g., Fewer museums, more beach time, and cheaper restaurants.',
+  'chat.rejectPlan': 'Reject Plan',
+  'chat.backToReview': 'Back to Review',
+  'chat.expiredTitle': 'This plan expired - regenerate it?',
+  'chat.expiredText': 'The plan was not approved in time, so nothing was booked. Prices and availability may have changed since.',
+  'chat.regenerate': 'Regenerate With the Same Request',
+  'chat.startNew': 'Start a New Travel Plan',
+  'chat.notBookedTitle': 'This plan was not booked',
+  'chat.requestedChanges': 'Requested changes:',
+  'chat.startRevised': 'Start a Revised Plan',
+  'chat.offline': 'You\'re offline. Saved plans can still be read, and approvals or rejections are sent once you\'re back online.',
+  'chat.approvalQueued': '📴 **You\'re offline.** Your approval is saved on this device and will be sent when the connection returns.',
+  'chat.rejectionQueued': '📴 **You\'re offline.** Your rejection is saved on this device and will be sent when the connection returns.',
+  'chat.queuedSent': '📶 **Back online** - your decision on this plan has been sent.',
+  'chat.queuedConflict': '⚠️ **Your offline decision was not sent:** the plan moved on while you were offline ({step}).',
+  'chat.queuedFailed': '❌ Your offline decision could not be sent: {message}. Please decide again.',
+  'chat.queuedTitle': 'Waiting for a connection',
+  'chat.queuedText': 'Your decision will be sent when you\'re back online, unless the plan has changed in the meantime.',
+  'chat.cancelQueued': 'Cancel and Decide Again',
+  'chat.message': 'Message',
+  'chat.send': 'Send',
+
+  // Plan markdown shown in the chat
+  'plan.title': '# 🗺️ Your Travel Plan for {destination}',
+  'plan.yourDestination': 'Your Destination',
+  'plan.dates': 'Dates',
+  'plan.estimatedCost': 'Estimated Cost',
+  'plan.dailyItinerary': '📅 Daily Itinerary',
+  'plan.day': 'Day {day}',
+  'plan.free': 'Free',
+  'plan.varies': 'Varies',
+  'plan.various': 'Various',
+  'plan.topAttractions': '🎯 Top Attractions',
+  'plan.restaurants': '🍽️ Restaurant Recommendations',
+  'plan.insiderTips': '💡 Insider Tips',
+  'plan.document': '📄 [View Full Travel Document]({url})',
+
+  // Plan view (components/TravelPlanView, DayCard, PlaceList)
+  'plan.showOnMap': 'Show on the map',
+  'view.title': '🗺️ Your Travel Plan for {destination}',
+  'view.document': 'View Full Travel Document',
+  'day.activities': { one: '{count} activity', other: '{count} activities' },
+  'day.total': 'Day total',
+  'day.totalUnpriced': { one: 'Day total ({count} without a price)', other: 'Day total ({count} without a price)' },
+  'places.categories': 'Categories',
+  'places.allCategories': 'All categories',
+  'places.cuisines': 'Cuisines',
+  'places.allCuisines': 'All cuisines',
+  'places.search': 'Search...',
+  'places.searchLabel': 'Search {title}',
+  'places.filterBy': 'Filter by {group}',
+  'places.sortBy': 'Sort by',
+  'places.sort.rating': 'Top rated',
+  'places.sort.name': 'Name',
+  'places.sort.cost': 'Price',
+  'places.empty': 'Nothing matches these filters.',
+
+  // Plan map (components/PlanMap)
+  'map.title': '🗺️ Map',
+  'map.dayLabel': 'Show the route for',
+  'map.allDays': 'All days',
+  'map.attractions': '🎯 Attractions',
+  'map.restaurants': '🍽️ Restaurants',
+  'map.attraction': 'Attraction: {name}',
+  'map.restaurant': 'Restaurant: {name}',
+  'map.activity': 'Day {day}, stop {stop}: {name} ({location})',
+  'map.locating': 'Locating places...',
+  'map.label': 'Map of {destination}',
+  'map.yourTrip': 'your trip',
+  'map.routes': 'Routes',
+  'map.approximate': 'Positions are approximate.',
+  'map.notFound': 'Not found on the map: {places}',
+
+  // Refinement changes (components/PlanDiff)
+  'diff.unchanged': 'The revised plan is the same as before.',
+  'diff.title': 'What changed',
+  'diff.total': 'Estimated total:',
+  'diff.notGiven': 'not given',
+  'diff.status.added': 'added',
+  'diff.status.removed': 'removed',
+  'diff.field.Time': 'time',
+  'diff.field.Description': 'description',
+  'diff.field.Location': 'location',
+  'diff.field.EstimatedCost': 'cost',
+  'diff.attractions': 'Attractions',
+  'diff.restaurants': 'Restaurants',
+  'diff.insiderTips': 'Insider tips were updated.',
+
+  // Destination choice (components/DestinationComparison)
+  'destinations.choose': 'Choose your destination',
+  'destinations.recommended': 'Recommended destinations',
+  'destinations.hint': 'Pick the destination your itinerary should be built for. If you don\'t choose, the best match is used.',
+  'destinations.scoreTitle': 'Match score {score}/100',
+  'destinations.score': '{score}% match',
+  'destinations.why': 'Why:',
+  'destinations.planTrip': 'Plan this trip',
+  'destinations.planTripTo': 'Plan this trip to {destination}',
+  'destinations.chosen': '✓ Your itinerary destination',
+
+  // Approval (components/ApprovalPanel, ApprovalCountdown, BudgetSummary, utils/approval)
+  'approval.title': 'Do you approve this travel plan?',
+  'approval.text': 'If you approve, we\'ll proceed with booking your trip based on this plan.',
+  'approval.leaveOut': 'Leave items out',
+  'approval.removed': { one: '({count} removed)', other: '({count} removed)' },
+  'approval.group.activity': 'Itinerary activities',
+  'approval.group.attraction': 'Attractions',
+  'approval.group.restaurant': 'Restaurants',
+  'approval.total': 'Trip total to book: about {amount}',
+  'approval.cap': 'Spending cap ({currency}, optional)',
+  'approval.capPlaceholder': 'e.g., {amount}',
+  'approval.capInvalid': 'Enter the cap as a positive amount.',
+  'approval.overCap': 'The approved trip costs about {amount} - leave more out or raise the cap to book.',
+  'approval.comments': 'Comments for the booking (optional)',
+  'approval.commentsPlaceholder': 'e.g., Please book a room with a sea view.',
+  'approval.approve': 'Yes, Book My Trip!',
+  'approval.requestChanges': 'No, I Need Changes',
+  'approval.shortcuts': 'Shortcuts: {approve} to approve, {requestChanges} to request changes',
+  'approval.type.activity': 'Activity',
+  'approval.type.attraction': 'Attraction',
+  'approval.type.restaurant': 'Restaurant',
+  'approval.summary.title': '✅ **I have approved the travel plan!** Please proceed with booking.',
+  'approval.summary.cost': '* **Estimated cost**: {amount}',
+  'approval.summary.cap': '* **Spending cap**: {amount}',
+  'approval.summary.leftOut': '* **Left out**: {items}',
+  'approval.summary.item': '{type}: {name}',
+  'approval.summary.itemOnDay': '{type}: {name} (day {day})',
+  'approval.summary.comments': '* **Comments**: {comments}',
+  'countdown.underAMinute': 'under a minute',
+  'countdown.hours': '{hours}h {minutes}m',
+  'countdown.minutes': '{minutes}m',
+  'countdown.left': '⏳ {remaining} left to approve (until {time}).',
+  'countdown.warning': '⚠️ Only {remaining} left to approve (until {time}). After that the plan expires and has to be regenerated.',
+  'countdown.closed': '⌛ The approval window closed at {time}.',
+  'budget.estimated': 'Estimated cost: {amount}',
+  'budget.showIn': 'Show in',
+  'budget.over': '⚠️ About {difference} over your budget of {budget}.',
+  'budget.near': 'Close to your budget - {difference} left of {budget}.',
+  'budget.under': '✅ Within your budget, with about {difference} to spare.',
+  'budget.unknown': 'Add an amount to your budget (e.g. "around $3000") to compare it with this plan.',
+  'budget.perDay': 'Per day',
+  'budget.perCategory': 'Per category',
+  'budget.unpriced': { one: '+ {count} unpriced', other: '+ {count} unpriced' },
+  'budget.category.activities': 'Itinerary activities',
+  'budget.category.attractions': 'Optional attractions',
+  'budget.category.dining': 'Dining (one meal per restaurant)',
+  'budget.statedTotal': 'The planner\'s own estimate for the trip is {amount}. Conversions use approximate fixed rates.',
+
+  // Booking confirmation (components/BookingConfirmation)
+  'booking.title': '🎉 Your trip is booked!',
+  'booking.checkEmail': 'Check your email for confirmation details and travel documents.',
+  'booking.bookingId': 'Booking ID',
+  'booking.copy': '📋 Copy',
+  'booking.copied': 'Booking ID copied.',
+  'booking.copyFailed': 'Copying is not available here - select the booking ID to copy it.',
+  'booking.popupsBlocked': 'Allow pop-ups for this site to print the receipt.',
+  'booking.destination': 'Destination',
+  'booking.travelDates': 'Travel dates',
+  'booking.totalCost': 'Total cost',
+  'booking.confirmationNumber': 'Confirmation number',
+  'booking.bookedOn': 'Booked on',
+  'booking.nextSteps': 'Next steps',
+  'booking.print': '🖨️ Print Receipt',
+  'booking.planAnother': 'Plan Another Trip',
+
+  // Plan export (components/PlanExportMenu)
+  'export.label': 'Export plan:',
+  'export.calendar': '📅 Calendar (.ics)',
+  'export.print': '🖨️ Print / PDF',
+  'export.noEvents': 'No activities with a date and time to add to a calendar.',
+  'export.saved': { one: 'Calendar saved with {count} event.', other: 'Calendar saved with {count} events.' },
+  'export.skipped': { one: '{count} activity had no usable date or time.', other: '{count} activities had no usable date or time.' },
+  'export.popupsBlocked': 'Allow pop-ups for this site to print the itinerary.',
+
+  // Printable itinerary and booking receipt (utils/planExport)
+  'print.title': 'Travel Plan - {destination}',
+  'print.heading': 'Travel Plan: {destination}',
+  'print.dates': 'Dates:',
+  'print.estimatedCost': 'Estimated cost:',
+  'print.time': 'Time',
+  'print.activity': 'Activity',
+  'print.location': 'Location',
+  'print.cost': 'Cost',
+  'print.attractions': 'Attractions',
+  'print.restaurants': 'Restaurants',
+  'print.insiderTips': 'Insider Tips',
+  'print.receipt': 'Booking Receipt',
+  'print.traveller': 'Traveller',
+
+  // Plan list (components/PlanDashboard)
+  'dashboard.title': 'Your Plans',
+  'dashboard.newPlan': 'New Plan',
+  'dashboard.filterLabel': 'Filter plans by status',
+  'dashboard.filter.all': 'All',
+  'dashboard.filter.active': 'In progress',
+  'dashboard.filter.approval': 'Needs your input',
+  'dashboard.filter.booked': 'Booked',
+  'dashboard.filter.closed': 'Not booked',
+  'dashboard.empty': 'Plans you start will show up here.',
+  'dashboard.noMatch': 'No plans match this filter.',
+  'dashboard.gone': 'This plan no longer exists on the server.',
+  'dashboard.destinationPending': 'Destination pending',
+  'dashboard.justNow': 'just now',
+  'dashboard.minutesAgo': { one: '{count}m ago', other: '{count}m ago' },
+  'dashboard.hoursAgo': { one: '{count}h ago', other: '{count}h ago' },
+  'dashboard.daysAgo': { one: '{count}d ago', other: '{count}d ago' },
+  'dashboard.remove': 'Remove from this list',
+  'dashboard.removeLabel': 'Remove plan for {destination}',
+  // Progress tracker
+  'progress.GettingDestinations': '🌍 Finding perfect destinations...',
+  'progress.ChoosingDestination': '🧭 Choose your destination',
+  'progress.CreatingItinerary': '📅 Creating your itinerary...',
+  'progress.GettingLocalRecommendations': '🍽️ Getting local recommendations...',
+  'progress.WaitingForApproval': '✅ Plan ready for your approval!',
+  'progress.RefiningPlan': '✏️ Revising your plan...',
+  'progress.BookingTrip': '🎯 Booking your trip...',
+  'progress.Completed': '🎉 Trip booked successfully!',
+  'progress.Expired': '⌛ Approval window expired',
+  'progress.Rejected': '🚫 Plan rejected',
+  'progress.Error': '⚠️ Something went wrong while planning',
+  'progress.Failed': '⚠️ Something went wrong while planning',
+  'progress.Starting': '🚀 Starting your travel plan...',
+  'progress.destination': 'Destination:',
+  'progress.document': 'View Travel Plan Document',
+  'progress.steps': 'Planning steps',
+  'progress.label': 'Planning progress',
+  'progress.untimed': 'finished before this page was opened',
+  'timeline.GettingDestinations': 'Finding destinations',
+  'timeline.ChoosingDestination': 'Choosing a destination',
+  'timeline.CreatingItinerary': 'Creating the itinerary',
+  'timeline.GettingLocalRecommendations': 'Getting local recommendations',
+  'timeline.WaitingForApproval': 'Waiting for your approval',
+  'timeline.RefiningPlan': 'Revising the plan',
+  'timeline.BookingTrip': 'Booking the trip',
+  'timeline.Completed': 'Trip booked',
+  'timeline.Rejected': 'Plan rejected',
+  'timeline.Expired': 'Approval window expired',
+  'timeline.Error': 'Planning failed',
+  'timeline.Failed': 'Planning failed',
+
+  // Browser notifications (services/notifications, components/NotificationToggle)
+  'notify.label': 'Notifications',
+  'notify.turnOn': 'Notify me when a plan needs approval or is booked',
+  'notify.turnOff': 'Stop notifications',
+  'notify.badgeOnly': 'Notifications are blocked in this browser - the tab title shows updates instead',
+  'notify.WaitingForApproval': '✅ Your travel plan is ready for approval',
+  'notify.BookingTrip': '🎯 Booking your trip',
+  'notify.Completed': '🎉 Your trip is booked',
+  'notify.Error': '⚠️ Travel planning failed',
+  'notify.Failed': '⚠️ Travel planning failed',
+
+  // How this plan was made (components/AgentRunsPanel)
+  'agents.title': '🔍 How this plan was made',
+  'agents.total': { one: '{count} agent call, {time}', other: '{count} agent calls, {time}' },
+  'agents.loading': 'Loading the agent calls...',
+  'agents.loadFailed': 'The agent calls could not be loaded.',
+  'agents.retry': 'Try again',
+  'agents.none': 'No agent calls were recorded for this plan.',
+  'agents.revision': 'revision {revision}',
+  'agents.destination': 'Destination',
+  'agents.matchScore': 'Match',
+  'agents.reasoning': 'Why it matches',
+  'agents.chosen': '(chosen)',
+  'agents.inputs': 'Inputs from your request',
+  'agents.prompt': 'Prompt',
+  'agents.output': 'Structured output',
+  'agents.rawResponse': 'Raw response',
+  'agents.unparsed': 'The response could not be read as a structured result - see the raw response below.',
+  'agents.summary.destinations': { one: 'Recommended {count} destination', other: 'Recommended {count} destinations' },
+  'agents.summary.itinerary': { one: 'Planned {count} day with {activities} activities, about {cost}', other: 'Planned {count} days with {activities} activities, about {cost}' },
+  'agents.summary.local': 'Suggested {count} attractions and {restaurants} restaurants',
+  'agents.copy': 'Copy details',
+  'agents.copied': 'Details copied - paste them into your support request.',
+  'agents.copyFailed': 'Copying is not available here.',
+
+  // Confirmation dialog (components/ConfirmDialog)
+  'confirm.cancel': 'Cancel',
+  'confirm.working': 'Working...',
+
+  // Admin console (components/AdminConsole)
+  'admin.link': 'Admin',
+  'admin.title': 'Orchestration instances',
+  'admin.back': 'Back to the planner',
+  'admin.forbidden': 'The admin console needs the {role} role. Sign in with an admin account to use it.',
+  'admin.failed': 'The request failed: {error}',
+  'admin.filter': 'Runtime status',
+  'admin.allStatuses': 'All',
+  'admin.refresh': 'Refresh',
+  'admin.empty': 'No instances match this filter.',
+  'admin.instance': 'Instance',
+  'admin.runtimeStatus': 'Runtime status',
+  'admin.step': 'Step',
+  'admin.traveller': 'Traveller',
+  'admin.created': 'Created',
+  'admin.updated': 'Last updated',
+  'admin.name': 'Orchestration',
+  'admin.details': 'Instance details',
+  'admin.select': 'Select an instance to see its raw state and actions.',
+  'admin.customStatus': 'Custom status',
+  'admin.input': 'Input',
+  'admin.output': 'Output',
+  'admin.failure': 'Failure details',
+  'admin.comments': 'Comments for the traveller (optional)',
+  'admin.reason': 'Reason, for the logs (optional)',
+  'admin.action.approve': 'Approve plan',
+  'admin.action.reject': 'Reject plan',
+  'admin.action.suspend': 'Suspend',
+  'admin.action.resume': 'Resume',
+  'admin.action.terminate': 'Terminate',
+  'admin.action.purge': 'Purge',
+  'admin.confirm.approve': 'Approve the plan of instance {id} on the traveller\'s behalf? The trip will be booked.',
+  'admin.confirm.reject': 'Reject the plan of instance {id} on the traveller\'s behalf? Planning ends and nothing is booked.',
+  'admin.confirm.suspend': 'Suspend instance {id}? It stops at its current step until it is resumed.',
+  'admin.confirm.resume': 'Resume instance {id}? It continues from where it was suspended.',
+  'admin.confirm.terminate': 'Terminate instance {id}? It stops for good and cannot be resumed.',
+  'admin.confirm.purge': 'Purge instance {id}? Its history is deleted and the traveller\'s link to the plan stops working. This cannot be undone.',
+  'admin.done.approve': 'Approved the plan of {id}.',
+  'admin.done.reject': 'Rejected the plan of {id}.',
+  'admin.done.suspend': 'Suspended {id}.',
+  'admin.done.resume': 'Resumed {id}.',
+  'admin.done.terminate': 'Terminated {id}.',
+  'admin.done.purge': 'Purged {id}.'
+};
+
+export default en;
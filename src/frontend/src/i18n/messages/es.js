@@ -0,0 +1,451 @@
+// Spanish messages (see en.js for the reference catalog)
+const es = {
+  'language.label': 'Idioma',
+
+  'app.title': 'Bienvenido al asistente de planificación de viajes',
+  'app.newPlan': 'Nuevo plan',
+  'app.createPlan': 'Crea tu plan de viaje',
+
+  // Sign-in (components/AuthGate, AccountMenu)
+  'auth.required': 'Inicia sesión para planificar y reservar viajes.',
+  'auth.signIn': 'Iniciar sesión',
+  'auth.completing': 'Iniciando sesión...',
+  'auth.expired': 'Tu sesión ha caducado. Tus planes siguen guardados en este navegador: vuelve a iniciar sesión para seguir planificando y reservando.',
+  'auth.signInAgain': 'Volver a iniciar sesión',
+  'auth.signOut': 'Cerrar sesión',
+
+  // Travel request form
+  'form.presets': 'Plantillas',
+  'form.noPresets': 'No hay plantillas guardadas',
+  'form.loadPreset': 'Cargar una plantilla...',
+  'form.presetName': 'Nombre de la plantilla',
+  'form.save': 'Guardar',
+  'form.delete': 'Eliminar',
+  'form.name': 'Nombre',
+  'form.namePlaceholder': 'p. ej., Lucía Martín',
+  'form.preferences': 'Preferencias de viaje',
+  'form.preferencesPlaceholder': 'p. ej., Buscamos unas vacaciones de lujo en familia con actividades para niños...',
+  'form.dates': 'Fechas del viaje',
+  'form.from': 'Desde',
+  'form.to': 'Hasta',
+  'form.duration': 'Duración (días)',
+  'form.datesHint': 'Deja las fechas vacías si eres flexible: se usará la duración.',
+  'form.budget': 'Presupuesto',
+  'form.budgetAmount': 'Importe total',
+  'form.budgetPlaceholder': 'p. ej., 10000',
+  'form.currency': 'Moneda',
+  'form.style': 'Estilo',
+  'form.anyStyle': 'Cualquiera',
+  'form.tier.budget': 'Económico',
+  'form.tier.mid-range': 'Gama media',
+  'form.tier.luxury': 'Lujo',
+  'form.travellers': 'Viajeros',
+  'form.adults': 'Adultos',
+  'form.childAge': 'Edad del niño {number}',
+  'form.removeChild': 'Quitar niño {number}',
+  'form.addChild': '+ Añadir un niño',
+  'form.requirements': 'Requisitos especiales',
+  'form.dietary': 'Alimentación',
+  'form.accessibility': 'Accesibilidad',
+  'form.option.Vegetarian': 'Vegetariano',
+  'form.option.Vegan': 'Vegano',
+  'form.option.Gluten-free': 'Sin gluten',
+  'form.option.Dairy-free': 'Sin lácteos',
+  'form.option.Halal': 'Halal',
+  'form.option.Kosher': 'Kosher',
+  'form.option.Nut allergy': 'Alergia a frutos secos',
+  'form.option.Wheelchair access': 'Acceso en silla de ruedas',
+  'form.option.Step-free rooms': 'Habitaciones sin escalones',
+  'form.option.Limited walking': 'Movilidad reducida',
+  'form.option.Hearing assistance': 'Asistencia auditiva',
+  'form.option.Visual assistance': 'Asistencia visual',
+  'form.other': 'Algo más',
+  'form.otherPlaceholder': 'p. ej., Necesitamos habitaciones comunicadas o una suite familiar.',
+  'form.notifyTeam': 'Publicar novedades en el canal de mi equipo',
+  'form.notifyTeamHint': 'Publica cuando el plan está listo para aprobar, se está reservando, está reservado o falla.',
+  'form.fixFields': 'Corrige los campos marcados.',
+  'form.processing': 'Procesando...',
+  'form.submit': 'Planificar mi viaje',
+
+  // Validation (utils/travelRequestForm)
+  'validation.userName': 'Indícanos tu nombre.',
+  'validation.preferences': 'Describe el tipo de viaje que buscas.',
+  'validation.startDate': 'Elige una fecha de inicio.',
+  'validation.startInPast': 'El viaje no puede empezar en el pasado.',
+  'validation.endDate': 'Elige una fecha de fin.',
+  'validation.endBeforeStart': 'La fecha de fin debe ser igual o posterior a la de inicio.',
+  'validation.tooLong': 'Los viajes pueden durar como máximo {max} días.',
+  'validation.duration': 'Introduce un número entero de días entre {min} y {max}.',
+  'validation.budgetAmount': 'Introduce el presupuesto como un importe positivo.',
+  'validation.adults': 'Introduce entre 1 y {max} adultos.',
+  'validation.childAge': 'Introduce una edad de 0 a {max}.',
+
+  // Chat
+  'chat.requestTitle': 'Solicitud de viaje enviada',
+  'chat.requestName': 'Nombre',
+  'chat.requestPreferences': 'Preferencias',
+  'chat.requestDuration': 'Duración',
+  'chat.requestBudget': 'Presupuesto',
+  'chat.requestDates': 'Fechas',
+  'chat.requestRequirements': 'Requisitos especiales',
+  'chat.days': { one: '{count} día', other: '{count} días' },
+  'chat.processing': 'Estamos procesando tu solicitud de viaje. ID: {id}',
+  'chat.submitError': 'No se pudo enviar tu solicitud de viaje. Inténtalo de nuevo.',
+  'chat.reopening': 'Reabriendo el plan de viaje {id}...',
+  'chat.creating': 'Creando tu plan de viaje personalizado...',
+  'chat.mayTakeAWhile': 'Puede tardar uno o dos minutos.',
+  'chat.planReady': '## ¡Tu plan de viaje está listo para que lo revises!\n\nRevisa los detalles y decide si quieres seguir adelante con este plan.',
+  'chat.planRevised': '## ¡Tu plan de viaje revisado está listo!\n\nActualizado según: _{request}_',
+  'chat.yourRequest': 'tu petición',
+  'chat.booking': '🎯 **Reservando tu viaje a {destination}...**\n\nEspera mientras confirmamos los detalles de tu reserva.',
+  'chat.booked': '✅ **¡Tu viaje está reservado!**\n\nTodo listo para tu aventura. Revisa tu correo para ver la confirmación y los documentos de viaje.',
+  'chat.bookedWithId': '✅ **¡Tu viaje a {destination} está reservado!** ID de reserva: **{bookingId}**',
+  'chat.yourDestination': 'tu destino',
+  'chat.yourTrip': 'tu viaje',
+  'chat.notBooked': '🔄 **El plan para {destination} no se ha reservado.**\n\nPuedes empezar un plan revisado que tenga en cuenta tus comentarios.',
+  'chat.expired': '⌛ **El plan para {destination} caducó** antes de ser aprobado.\n\nPuedes volver a generarlo con la misma solicitud.',
+  'chat.error': '❌ Se produjo un error al procesar tu plan de viaje. Inténtalo de nuevo.',
+  'chat.errorWithMessage': '❌ Se produjo un error al procesar tu plan de viaje: {message}',
+  'chat.notFound': '❌ No encontramos el plan de viaje {id}. Empieza un plan nuevo.',
+  'chat.notYourPlan': '🔒 El plan de viaje {id} pertenece a otra cuenta. Inicia sesión como su propietario o empieza un plan nuevo.',
+  'chat.changesRequested': '{preferences}\n\nCambios pedidos sobre el plan anterior: {feedback}',
+  'chat.destinationChosen': '🧭 **¡Vamos a {destination}!**',
+  'chat.chooseError': '❌ No se pudo elegir el destino. Inténtalo de nuevo.',
+  'chat.refineError': '❌ No se pudo enviar tu petición. Inténtalo de nuevo.',
+  'chat.approveComment': 'Adelante con la reserva de este plan de viaje.',
+  'chat.approveError': '❌ No se pudo aprobar tu plan de viaje. Inténtalo de nuevo.',
+  'chat.rejectComment': 'Me gustaría ver otras opciones o hacer cambios en este plan.',
+  'chat.rejectedWithFeedback': '❌ **He rechazado el plan de viaje.** Esto es lo que me gustaría cambiar:\n\n> {feedback}',
+  'chat.rejected': '❌ **He rechazado el plan de viaje** y me gustaría hacer algunos cambios.',
+  'chat.rejectError': '❌ No se pudo rechazar tu plan de viaje. Inténtalo de nuevo.',
+  'chat.refinePlaceholder': 'Pide cambios, p. ej. "cambia el día 3 por un día de playa" o "restaurantes más baratos"',
+  'chat.refining': 'Revisando tu plan...',
+  'chat.refineHint': 'El plan se revisa antes de que lo apruebes. Intro envía, Mayús+Intro añade una línea.',
+  'chat.timeline': 'Cronología de la planificación',
+  'chat.history': 'Conversación',
+  'chat.rejectTitle': '¿Qué te gustaría cambiar?',
+  'chat.rejectText': 'Cuéntanos qué no te convenció. Tus comentarios se guardan con este plan y se aplican a uno revisado.',
+  'chat.rejectPlaceholder': 'p. ej., Menos museos, más tiempo de playa y restaurantes más baratos.',
+  'chat.rejectPlan': 'Rechazar el plan',
+  'chat.backToReview': 'Volver a la revisión',
+  'chat.expiredTitle': 'Este plan ha caducado. ¿Generarlo de nuevo?',
+  'chat.expiredText': 'El plan no se aprobó a tiempo, así que no se reservó nada. Los precios y la disponibilidad pueden haber cambiado.',
+  'chat.regenerate': 'Generar de nuevo con la misma solicitud',
+  'chat.startNew': 'Empezar un plan de viaje nuevo',
+  'chat.notBookedTitle': 'Este plan no se ha reservado',
+  'chat.requestedChanges': 'Cambios pedidos:',
+  'chat.startRevised': 'Empezar un plan revisado',
+  'chat.offline': 'Estás sin conexión. Puedes seguir leyendo los planes guardados, y las aprobaciones o rechazos se enviarán al recuperar la conexión.',
+  'chat.approvalQueued': '📴 **Estás sin conexión.** Tu aprobación se ha guardado en este dispositivo y se enviará cuando vuelva la conexión.',
+  'chat.rejectionQueued': '📴 **Estás sin conexión.** Tu rechazo se ha guardado en este dispositivo y se enviará cuando vuelva la conexión.',
+  'chat.queuedSent': '📶 **Conexión recuperada**: se ha enviado tu decisión sobre este plan.',
+  'chat.queuedConflict': '⚠️ **Tu decisión sin conexión no se envió:** el plan avanzó mientras estabas sin conexión ({step}).',
+  'chat.queuedFailed': '❌ No se pudo enviar tu decisión sin conexión: {message}. Decide de nuevo.',
+  'chat.queuedTitle': 'Esperando la conexión',
+  'chat.queuedText': 'Tu decisión se enviará cuando vuelvas a tener conexión, salvo que el plan haya cambiado entretanto.',
+  'chat.cancelQueued': 'Cancelar y decidir de nuevo',
+  'chat.message': 'Mensaje',
+  'chat.send': 'Enviar',
+
+  // Plan markdown shown in the chat
+  'plan.title': '# 🗺️ Tu plan de viaje a {destination}',
+  'plan.yourDestination': 'tu destino',
+  'plan.dates': 'Fechas',
+  'plan.estimatedCost': 'Coste estimado',
+  'plan.dailyItinerary': '📅 Itinerario diario',
+  'plan.day': 'Día {day}',
+  'plan.free': 'Gratis',
+  'plan.varies': 'Variable',
+  'plan.various': 'Variada',
+  'plan.topAttractions': '🎯 Atracciones principales',
+  'plan.restaurants': '🍽️ Restaurantes recomendados',
+  'plan.insiderTips': '💡 Consejos locales',
+  'plan.document': '📄 [Ver el documento de viaje completo]({url})',
+
+  // Plan view (components/TravelPlanView, DayCard, PlaceList)
+  'plan.showOnMap': 'Ver en el mapa',
+  'view.title': '🗺️ Tu plan de viaje a {destination}',
+  'view.document': 'Ver el documento de viaje completo',
+  'day.activities': { one: '{count} actividad', other: '{count} actividades' },
+  'day.total': 'Total del día',
+  'day.totalUnpriced': { one: 'Total del día ({count} sin precio)', other: 'Total del día ({count} sin precio)' },
+  'places.categories': 'Categorías',
+  'places.allCategories': 'Todas las categorías',
+  'places.cuisines': 'Cocinas',
+  'places.allCuisines': 'Todas las cocinas',
+  'places.search': 'Buscar...',
+  'places.searchLabel': 'Buscar en {title}',
+  'places.filterBy': 'Filtrar por {group}',
+  'places.sortBy': 'Ordenar por',
+  'places.sort.rating': 'Mejor valorados',
+  'places.sort.name': 'Nombre',
+  'places.sort.cost': 'Precio',
+  'places.empty': 'Nada coincide con estos filtros.',
+
+  // Plan map (components/PlanMap)
+  'map.title': '🗺️ Mapa',
+  'map.dayLabel': 'Ruta a mostrar',
+  'map.allDays': 'Todos los días',
+  'map.attractions': '🎯 Atracciones',
+  'map.restaurants': '🍽️ Restaurantes',
+  'map.attraction': 'Atracción: {name}',
+  'map.restaurant': 'Restaurante: {name}',
+  'map.activity': 'Día {day}, parada {stop}: {name} ({location})',
+  'map.locating': 'Buscando los lugares...',
+  'map.label': 'Mapa de {destination}',
+  'map.yourTrip': 'tu viaje',
+  'map.routes': 'Rutas',
+  'map.approximate': 'Las posiciones son aproximadas.',
+  'map.notFound': 'No encontrado en el mapa: {places}',
+
+  // Refinement changes (components/PlanDiff)
+  'diff.unchanged': 'El plan revisado es igual que el anterior.',
+  'diff.title': 'Qué ha cambiado',
+  'diff.total': 'Total estimado:',
+  'diff.notGiven': 'sin indicar',
+  'diff.status.added': 'añadido',
+  'diff.status.removed': 'eliminado',
+  'diff.field.Time': 'hora',
+  'diff.field.Description': 'descripción',
+  'diff.field.Location': 'lugar',
+  'diff.field.EstimatedCost': 'coste',
+  'diff.attractions': 'Atracciones',
+  'diff.restaurants': 'Restaurantes',
+  'diff.insiderTips': 'Se han actualizado los consejos locales.',
+
+  // Destination choice (components/DestinationComparison)
+  'destinations.choose': 'Elige tu destino',
+  'destinations.recommended': 'Destinos recomendados',
+  'destinations.hint': 'Elige el destino para el que se creará tu itinerario. Si no eliges, se usa el que mejor encaja.',
+  'destinations.scoreTitle': 'Coincidencia {score}/100',
+  'destinations.score': '{score}% de coincidencia',
+  'destinations.why': 'Por qué:',
+  'destinations.planTrip': 'Planificar este viaje',
+  'destinations.planTripTo': 'Planificar este viaje a {destination}',
+  'destinations.chosen': '✓ El destino de tu itinerario',
+
+  // Approval (components/ApprovalPanel, ApprovalCountdown, BudgetSummary, utils/approval)
+  'approval.title': '¿Apruebas este plan de viaje?',
+  'approval.text': 'Si lo apruebas, reservaremos tu viaje según este plan.',
+  'approval.leaveOut': 'Quitar elementos',
+  'approval.removed': { one: '({count} quitado)', other: '({count} quitados)' },
+  'approval.group.activity': 'Actividades del itinerario',
+  'approval.group.attraction': 'Atracciones',
+  'approval.group.restaurant': 'Restaurantes',
+  'approval.total': 'Total del viaje a reservar: unos {amount}',
+  'approval.cap': 'Gasto máximo ({currency}, opcional)',
+  'approval.capPlaceholder': 'p. ej., {amount}',
+  'approval.capInvalid': 'Indica el máximo como una cantidad positiva.',
+  'approval.overCap': 'El viaje aprobado cuesta unos {amount}: quita más o sube el máximo para reservar.',
+  'approval.comments': 'Comentarios para la reserva (opcional)',
+  'approval.commentsPlaceholder': 'p. ej., Reservad una habitación con vistas al mar, por favor.',
+  'approval.approve': '¡Sí, reserva mi viaje!',
+  'approval.requestChanges': 'No, necesito cambios',
+  'approval.shortcuts': 'Atajos: {approve} para aprobar, {requestChanges} para pedir cambios',
+  'approval.type.activity': 'Actividad',
+  'approval.type.attraction': 'Atracción',
+  'approval.type.restaurant': 'Restaurante',
+  'approval.summary.title': '✅ **¡He aprobado el plan de viaje!** Podéis seguir con la reserva.',
+  'approval.summary.cost': '* **Coste estimado**: {amount}',
+  'approval.summary.cap': '* **Gasto máximo**: {amount}',
+  'approval.summary.leftOut': '* **Quitado**: {items}',
+  'approval.summary.item': '{type}: {name}',
+  'approval.summary.itemOnDay': '{type}: {name} (día {day})',
+  'approval.summary.comments': '* **Comentarios**: {comments}',
+  'countdown.underAMinute': 'menos de un minuto',
+  'countdown.hours': '{hours} h {minutes} min',
+  'countdown.minutes': '{minutes} min',
+  'countdown.left': '⏳ Quedan {remaining} para aprobar (hasta {time}).',
+  'countdown.warning': '⚠️ Solo quedan {remaining} para aprobar (hasta {time}). Después el plan caduca y habrá que generarlo de nuevo.',
+  'countdown.closed': '⌛ El plazo de aprobación terminó a las {time}.',
+  'budget.estimated': 'Coste estimado: {amount}',
+  'budget.showIn': 'Mostrar en',
+  'budget.over': '⚠️ Unos {difference} por encima de tu presupuesto de {budget}.',
+  'budget.near': 'Cerca de tu presupuesto: quedan {difference} de {budget}.',
+  'budget.under': '✅ Dentro de tu presupuesto, con unos {difference} de margen.',
+  'budget.unknown': 'Añade una cantidad a tu presupuesto (p. ej. "unos 3000 €") para compararlo con este plan.',
+  'budget.perDay': 'Por día',
+  'budget.perCategory': 'Por categoría',
+  'budget.unpriced': { one: '+ {count} sin precio', other: '+ {count} sin precio' },
+  'budget.category.activities': 'Actividades del itinerario',
+  'budget.category.attractions': 'Atracciones opcionales',
+  'budget.category.dining': 'Comidas (una por restaurante)',
+  'budget.statedTotal': 'La estimación del propio planificador para el viaje es de {amount}. Las conversiones usan tipos fijos aproximados.',
+
+  // Booking confirmation (components/BookingConfirmation)
+  'booking.title': '🎉 ¡Tu viaje está reservado!',
+  'booking.checkEmail': 'Revisa tu correo para ver la confirmación y los documentos de viaje.',
+  'booking.bookingId': 'ID de reserva',
+  'booking.copy': '📋 Copiar',
+  'booking.copied': 'ID de reserva copiado.',
+  'booking.copyFailed': 'Aquí no se puede copiar: selecciona el ID de reserva para copiarlo.',
+  'booking.popupsBlocked': 'Permite las ventanas emergentes de este sitio para imprimir el recibo.',
+  'booking.destination': 'Destino',
+  'booking.travelDates': 'Fechas del viaje',
+  'booking.totalCost': 'Coste total',
+  'booking.confirmationNumber': 'Número de confirmación',
+  'booking.bookedOn': 'Reservado el',
+  'booking.nextSteps': 'Próximos pasos',
+  'booking.print': '🖨️ Imprimir recibo',
+  'booking.planAnother': 'Planificar otro viaje',
+
+  // Plan export (components/PlanExportMenu)
+  'export.label': 'Exportar plan:',
+  'export.calendar': '📅 Calendario (.ics)',
+  'export.print': '🖨️ Imprimir / PDF',
+  'export.noEvents': 'No hay actividades con fecha y hora para añadir a un calendario.',
+  'export.saved': { one: 'Calendario guardado con {count} evento.', other: 'Calendario guardado con {count} eventos.' },
+  'export.skipped': { one: '{count} actividad no tenía fecha u hora utilizable.', other: '{count} actividades no tenían fecha u hora utilizable.' },
+  'export.popupsBlocked': 'Permite las ventanas emergentes de este sitio para imprimir el itinerario.',
+
+  // Printable itinerary and booking receipt (utils/planExport)
+  'print.title': 'Plan de viaje - {destination}',
+  'print.heading': 'Plan de viaje: {destination}',
+  'print.dates': 'Fechas:',
+  'print.estimatedCost': 'Coste estimado:',
+  'print.time': 'Hora',
+  'print.activity': 'Actividad',
+  'print.location': 'Lugar',
+  'print.cost': 'Coste',
+  'print.attractions': 'Atracciones',
+  'print.restaurants': 'Restaurantes',
+  'print.insiderTips': 'Consejos locales',
+  'print.receipt': 'Justificante de reserva',
+  'print.traveller': 'Viajero',
+
+  // Plan list (components/PlanDashboard)
+  'dashboard.title': 'Tus planes',
+  'dashboard.newPlan': 'Nuevo plan',
+  'dashboard.filterLabel': 'Filtrar planes por estado',
+  'dashboard.filter.all': 'Todos',
+  'dashboard.filter.active': 'En curso',
+  'dashboard.filter.approval': 'Requiere tu respuesta',
+  'dashboard.filter.booked': 'Reservados',
+  'dashboard.filter.closed': 'Sin reservar',
+  'dashboard.empty': 'Los planes que empieces aparecerán aquí.',
+  'dashboard.noMatch': 'Ningún plan coincide con este filtro.',
+  'dashboard.gone': 'Este plan ya no existe en el servidor.',
+  'dashboard.destinationPending': 'Destino pendiente',
+  'dashboard.justNow': 'ahora mismo',
+  'dashboard.minutesAgo': { one: 'hace {count} min', other: 'hace {count} min' },
+  'dashboard.hoursAgo': { one: 'hace {count} h', other: 'hace {count} h' },
+  'dashboard.daysAgo': { one: 'hace {count} d', other: 'hace {count} d' },
+  'dashboard.remove': 'Quitar de esta lista',
+  'dashboard.removeLabel': 'Quitar el plan de {destination}',
+  // Progress tracker
+  'progress.GettingDestinations': '🌍 Buscando destinos perfectos...',
+  'progress.ChoosingDestination': '🧭 Elige tu destino',
+  'progress.CreatingItinerary': '📅 Creando tu itinerario...',
+  'progress.GettingLocalRecommendations': '🍽️ Buscando recomendaciones locales...',
+  'progress.WaitingForApproval': '✅ ¡Plan listo para tu aprobación!',
+  'progress.RefiningPlan': '✏️ Revisando tu plan...',
+  'progress.BookingTrip': '🎯 Reservando tu viaje...',
+  'progress.Completed': '🎉 ¡Viaje reservado!',
+  'progress.Expired': '⌛ El plazo de aprobación ha caducado',
+  'progress.Rejected': '🚫 Plan rechazado',
+  'progress.Error': '⚠️ Algo salió mal durante la planificación',
+  'progress.Failed': '⚠️ Algo salió mal durante la planificación',
+  'progress.Starting': '🚀 Empezando tu plan de viaje...',
+  'progress.destination': 'Destino:',
+  'progress.document': 'Ver el documento del plan de viaje',
+  'progress.steps': 'Pasos de la planificación',
+  'progress.label': 'Progreso de la planificación',
+  'progress.untimed': 'terminado antes de abrir esta página',
+  'timeline.GettingDestinations': 'Buscando destinos',
+  'timeline.ChoosingDestination': 'Eligiendo un destino',
+  'timeline.CreatingItinerary': 'Creando el itinerario',
+  'timeline.GettingLocalRecommendations': 'Buscando recomendaciones locales',
+  'timeline.WaitingForApproval': 'Esperando tu aprobación',
+  'timeline.RefiningPlan': 'Revisando el plan',
+  'timeline.BookingTrip': 'Reservando el viaje',
+  'timeline.Completed': 'Viaje reservado',
+  'timeline.Rejected': 'Plan rechazado',
+  'timeline.Expired': 'Plazo de aprobación caducado',
+  'timeline.Error': 'La planificación falló',
+  'timeline.Failed': 'La planificación falló',
+
+  // Browser notifications (services/notifications, components/NotificationToggle)
+  'notify.label': 'Notificaciones',
+  'notify.turnOn': 'Avisarme cuando un plan necesite aprobación o esté reservado',
+  'notify.turnOff': 'Desactivar las notificaciones',
+  'notify.badgeOnly': 'Las notificaciones están bloqueadas en este navegador; el título de la pestaña muestra las novedades',
+  'notify.WaitingForApproval': '✅ Tu plan de viaje está listo para aprobar',
+  'notify.BookingTrip': '🎯 Reservando tu viaje',
+  'notify.Completed': '🎉 Tu viaje está reservado',
+  'notify.Error': '⚠️ La planificación del viaje falló',
+  'notify.Failed': '⚠️ La planificación del viaje falló',
+
+  // How this plan was made (components/AgentRunsPanel)
+  'agents.title': '🔍 Cómo se hizo este plan',
+  'agents.total': { one: '{count} llamada a agentes, {time}', other: '{count} llamadas a agentes, {time}' },
+  'agents.loading': 'Cargando las llamadas a los agentes...',
+  'agents.loadFailed': 'No se pudieron cargar las llamadas a los agentes.',
+  'agents.retry': 'Reintentar',
+  'agents.none': 'No se registraron llamadas a agentes para este plan.',
+  'agents.revision': 'revisión {revision}',
+  'agents.destination': 'Destino',
+  'agents.matchScore': 'Coincidencia',
+  'agents.reasoning': 'Por qué encaja',
+  'agents.chosen': '(elegido)',
+  'agents.inputs': 'Datos de tu solicitud',
+  'agents.prompt': 'Instrucción',
+  'agents.output': 'Resultado estructurado',
+  'agents.rawResponse': 'Respuesta sin procesar',
+  'agents.unparsed': 'La respuesta no se pudo leer como un resultado estructurado; consulta la respuesta sin procesar más abajo.',
+  'agents.summary.destinations': { one: 'Recomendó {count} destino', other: 'Recomendó {count} destinos' },
+  'agents.summary.itinerary': { one: 'Planificó {count} día con {activities} actividades, unos {cost}', other: 'Planificó {count} días con {activities} actividades, unos {cost}' },
+  'agents.summary.local': 'Sugirió {count} atracciones y {restaurants} restaurantes',
+  'agents.copy': 'Copiar detalles',
+  'agents.copied': 'Detalles copiados: pégalos en tu solicitud de soporte.',
+  'agents.copyFailed': 'No se puede copiar aquí.',
+
+  // Confirmation dialog (components/ConfirmDialog)
+  'confirm.cancel': 'Cancelar',
+  'confirm.working': 'Procesando...',
+
+  // Admin console (components/AdminConsole)
+  'admin.link': 'Administración',
+  'admin.title': 'Instancias de orquestación',
+  'admin.back': 'Volver al planificador',
+  'admin.forbidden': 'La consola de administración requiere el rol {role}. Inicia sesión con una cuenta de administrador para usarla.',
+  'admin.failed': 'La solicitud falló: {error}',
+  'admin.filter': 'Estado de ejecución',
+  'admin.allStatuses': 'Todos',
+  'admin.refresh': 'Actualizar',
+  'admin.empty': 'Ninguna instancia coincide con este filtro.',
+  'admin.instance': 'Instancia',
+  'admin.runtimeStatus': 'Estado de ejecución',
+  'admin.step': 'Paso',
+  'admin.traveller': 'Viajero',
+  'admin.created': 'Creada',
+  'admin.updated': 'Última actualización',
+  'admin.name': 'Orquestación',
+  'admin.details': 'Detalles de la instancia',
+  'admin.select': 'Selecciona una instancia para ver su estado sin procesar y sus acciones.',
+  'admin.customStatus': 'Estado personalizado',
+  'admin.input': 'Entrada',
+  'admin.output': 'Salida',
+  'admin.failure': 'Detalles del fallo',
+  'admin.comments': 'Comentarios para el viajero (opcional)',
+  'admin.reason': 'Motivo, para los registros (opcional)',
+  'admin.action.approve': 'Aprobar plan',
+  'admin.action.reject': 'Rechazar plan',
+  'admin.action.suspend': 'Suspender',
+  'admin.action.resume': 'Reanudar',
+  'admin.action.terminate': 'Terminar',
+  'admin.action.purge': 'Purgar',
+  'admin.confirm.approve': '¿Aprobar el plan de la instancia {id} en nombre del viajero? Se reservará el viaje.',
+  'admin.confirm.reject': '¿Rechazar el plan de la instancia {id} en nombre del viajero? La planificación termina y no se reserva nada.',
+  'admin.confirm.suspend': '¿Suspender la instancia {id}? Se detiene en su paso actual hasta que se reanude.',
+  'admin.confirm.resume': '¿Reanudar la instancia {id}? Continúa desde donde se suspendió.',
+  'admin.confirm.terminate': '¿Terminar la instancia {id}? Se detiene definitivamente y no se puede reanudar.',
+  'admin.confirm.purge': '¿Purgar la instancia {id}? Se borra su historial y el enlace del viajero al plan deja de funcionar. No se puede deshacer.',
+  'admin.done.approve': 'Plan de {id} aprobado.',
+  'admin.done.reject': 'Plan de {id} rechazado.',
+  'admin.done.suspend': '{id} suspendida.',
+  'admin.done.resume': '{id} reanudada.',
+  'admin.done.terminate': '{id} terminada.',
+  'admin.done.purge': '{id} purgada.'
+};
+
+export default es;
@@ -0,0 +1,451 @@
+// French messages (see en.js for the reference catalog)
+const fr = {
+  'language.label': 'Langue',
+
+  'app.title': 'Bienvenue dans l’assistant de planification de voyage',
+  'app.newPlan': 'Nouveau plan',
+  'app.createPlan': 'Créez votre plan de voyage',
+
+  // Sign-in (components/AuthGate, AccountMenu)
+  'auth.required': 'Connectez-vous pour planifier et réserver des voyages.',
+  'auth.signIn': 'Se connecter',
+  'auth.completing': 'Connexion en cours...',
+  'auth.expired': 'Votre session a expiré. Vos plans restent enregistrés dans ce navigateur : reconnectez-vous pour continuer à planifier et réserver.',
+  'auth.signInAgain': 'Se reconnecter',
+  'auth.signOut': 'Se déconnecter',
+
+  // Travel request form
+  'form.presets': 'Modèles',
+  'form.noPresets': 'Aucun modèle enregistré',
+  'form.loadPreset': 'Charger un modèle...',
+  'form.presetName': 'Nom du modèle',
+  'form.save': 'Enregistrer',
+  'form.delete': 'Supprimer',
+  'form.name': 'Nom',
+  'form.namePlaceholder': 'ex. : Camille Durand',
+  'form.preferences': 'Préférences de voyage',
+  'form.preferencesPlaceholder': 'ex. : Nous cherchons des vacances de luxe en famille avec des activités pour les enfants...',
+  'form.dates': 'Dates du voyage',
+  'form.from': 'Du',
+  'form.to': 'Au',
+  'form.duration': 'Durée (jours)',
+  'form.datesHint': 'Laissez les dates vides si vous êtes flexible : la durée est utilisée à la place.',
+  'form.budget': 'Budget',
+  'form.budgetAmount': 'Montant total',
+  'form.budgetPlaceholder': 'ex. : 10000',
+  'form.currency': 'Devise',
+  'form.style': 'Style',
+  'form.anyStyle': 'Indifférent',
+  'form.tier.budget': 'Économique',
+  'form.tier.mid-range': 'Milieu de gamme',
+  'form.tier.luxury': 'Luxe',
+  'form.travellers': 'Voyageurs',
+  'form.adults': 'Adultes',
+  'form.childAge': 'Âge de l’enfant {number}',
+  'form.removeChild': 'Retirer l’enfant {number}',
+  'form.addChild': '+ Ajouter un enfant',
+  'form.requirements': 'Besoins particuliers',
+  'form.dietary': 'Alimentation',
+  'form.accessibility': 'Accessibilité',
+  'form.option.Vegetarian': 'Végétarien',
+  'form.option.Vegan': 'Végan',
+  'form.option.Gluten-free': 'Sans gluten',
+  'form.option.Dairy-free': 'Sans lactose',
+  'form.option.Halal': 'Halal',
+  'form.option.Kosher': 'Casher',
+  'form.option.Nut allergy': 'Allergie aux fruits à coque',
+  'form.option.Wheelchair access': 'Accès en fauteuil roulant',
+  'form.option.Step-free rooms': 'Chambres de plain-pied',
+  'form.option.Limited walking': 'Marche limitée',
+  'form.option.Hearing assistance': 'Assistance auditive',
+  'form.option.Visual assistance': 'Assistance visuelle',
+  'form.other': 'Autre chose',
+  'form.otherPlaceholder': 'ex. : Chambres communicantes ou suite familiale.',
+  'form.notifyTeam': 'Publier les mises à jour dans le canal de mon équipe',
+  'form.notifyTeamHint': 'Publie quand le plan est prêt à être approuvé, en cours de réservation, réservé ou en échec.',
+  'form.fixFields': 'Veuillez corriger les champs signalés.',
+  'form.processing': 'Traitement...',
+  'form.submit': 'Planifier mon voyage',
+
+  // Validation (utils/travelRequestForm)
+  'validation.userName': 'Indiquez votre nom.',
+  'validation.preferences': 'Décrivez le type de voyage que vous recherchez.',
+  'validation.startDate': 'Choisissez une date de début.',
+  'validation.startInPast': 'Le voyage ne peut pas commencer dans le passé.',
+  'validation.endDate': 'Choisissez une date de fin.',
+  'validation.endBeforeStart': 'La date de fin doit être identique ou postérieure à la date de début.',
+  'validation.tooLong': 'Un voyage dure au plus {max} jours.',
+  'validation.duration': 'Saisissez un nombre entier de jours entre {min} et {max}.',
+  'validation.budgetAmount': 'Saisissez un budget positif.',
+  'validation.adults': 'Saisissez entre 1 et {max} adultes.',
+  'validation.childAge': 'Saisissez un âge de 0 à {max} ans.',
+
+  // Chat
+  'chat.requestTitle': 'Demande de voyage envoyée',
+  'chat.requestName': 'Nom',
+  'chat.requestPreferences': 'Préférences',
+  'chat.requestDuration': 'Durée',
+  'chat.requestBudget': 'Budget',
+  'chat.requestDates': 'Dates',
+  'chat.requestRequirements': 'Besoins particuliers',
+  'chat.days': { one: '{count} jour', other: '{count} jours' },
+  'chat.processing': 'Votre demande de voyage est en cours de traitement. ID : {id}',
+  'chat.submitError': 'Impossible d’envoyer votre demande de voyage. Veuillez réessayer.',
+  'chat.reopening': 'Réouverture du plan de voyage {id}...',
+  'chat.creating': 'Création de votre plan de voyage personnalisé...',
+  'chat.mayTakeAWhile': 'Cela peut prendre une ou deux minutes.',
+  'chat.planReady': '## Votre plan de voyage est prêt à être examiné !\n\nConsultez les détails ci-dessous et décidez si vous souhaitez poursuivre avec ce plan.',
+  'chat.planRevised': '## Votre plan de voyage révisé est prêt !\n\nMis à jour pour : _{request}_',
+  'chat.yourRequest': 'votre demande',
+  'chat.booking': '🎯 **Réservation de votre voyage à {destination}...**\n\nPatientez pendant que nous confirmons votre réservation.',
+  'chat.booked': '✅ **Votre voyage est réservé !**\n\nTout est prêt pour votre aventure. Consultez vos e-mails pour la confirmation et les documents de voyage.',
+  'chat.bookedWithId': '✅ **Votre voyage à {destination} est réservé !** Numéro de réservation : **{bookingId}**',
+  'chat.yourDestination': 'votre destination',
+  'chat.yourTrip': 'votre voyage',
+  'chat.notBooked': '🔄 **Le plan pour {destination} n’a pas été réservé.**\n\nVous pouvez lancer un plan révisé qui tient compte de vos remarques.',
+  'chat.expired': '⌛ **Le plan pour {destination} a expiré** avant d’être approuvé.\n\nVous pouvez le régénérer à partir de la même demande.',
+  'chat.error': '❌ Une erreur est survenue lors du traitement de votre plan de voyage. Veuillez réessayer.',
+  'chat.errorWithMessage': '❌ Une erreur est survenue lors du traitement de votre plan de voyage : {message}',
+  'chat.notFound': '❌ Le plan de voyage {id} est introuvable. Veuillez créer un nouveau plan.',
+  'chat.notYourPlan': '🔒 Le plan de voyage {id} appartient à un autre compte. Connectez-vous avec le compte propriétaire ou créez un nouveau plan.',
+  'chat.changesRequested': '{preferences}\n\nModifications demandées sur le plan précédent : {feedback}',
+  'chat.destinationChosen': '🧭 **Va pour {destination} !**',
+  'chat.chooseError': '❌ Impossible de choisir la destination. Veuillez réessayer.',
+  'chat.refineError': '❌ Impossible d’envoyer votre demande. Veuillez réessayer.',
+  'chat.approveComment': 'Merci de procéder à la réservation de ce plan de voyage.',
+  'chat.approveError': '❌ Impossible d’approuver votre plan de voyage. Veuillez réessayer.',
+  'chat.rejectComment': 'J’aimerais voir d’autres options ou modifier ce plan.',
+  'chat.rejectedWithFeedback': '❌ **J’ai refusé le plan de voyage.** Voici ce que j’aimerais changer :\n\n> {feedback}',
+  'chat.rejected': '❌ **J’ai refusé le plan de voyage** et j’aimerais y apporter des modifications.',
+  'chat.rejectError': '❌ Impossible de refuser votre plan de voyage. Veuillez réessayer.',
+  'chat.refinePlaceholder': 'Demandez des modifications, ex. « remplacer le jour 3 par une journée plage » ou « restaurants moins chers »',
+  'chat.refining': 'Révision de votre plan...',
+  'chat.refineHint': 'Le plan est révisé avant votre approbation. Entrée envoie, Maj+Entrée ajoute une ligne.',
+  'chat.timeline': 'Chronologie de la planification',
+  'chat.history': 'Conversation',
+  'chat.rejectTitle': 'Que souhaitez-vous changer ?',
+  'chat.rejectText': 'Dites-nous ce qui ne vous convenait pas. Vos remarques sont conservées avec ce plan et reprises dans un plan révisé.',
+  'chat.rejectPlaceholder': 'ex. : Moins de musées, plus de plage et des restaurants moins chers.',
+  'chat.rejectPlan': 'Refuser le plan',
+  'chat.backToReview': 'Retour à l’examen',
+  'chat.expiredTitle': 'Ce plan a expiré. Le régénérer ?',
+  'chat.expiredText': 'Le plan n’a pas été approuvé à temps, rien n’a donc été réservé. Les prix et les disponibilités ont pu changer depuis.',
+  'chat.regenerate': 'Régénérer avec la même demande',
+  'chat.startNew': 'Créer un nouveau plan de voyage',
+  'chat.notBookedTitle': 'Ce plan n’a pas été réservé',
+  'chat.requestedChanges': 'Modifications demandées :',
+  'chat.startRevised': 'Lancer un plan révisé',
+  'chat.offline': 'Vous êtes hors ligne. Les plans enregistrés restent consultables, et les approbations ou refus seront envoyés au retour de la connexion.',
+  'chat.approvalQueued': '📴 **Vous êtes hors ligne.** Votre approbation est enregistrée sur cet appareil et sera envoyée au retour de la connexion.',
+  'chat.rejectionQueued': '📴 **Vous êtes hors ligne.** Votre refus est enregistré sur cet appareil et sera envoyé au retour de la connexion.',
+  'chat.queuedSent': '📶 **De nouveau en ligne** : votre décision sur ce plan a été envoyée.',
+  'chat.queuedConflict': '⚠️ **Votre décision hors ligne n’a pas été envoyée :** le plan a avancé pendant que vous étiez hors ligne ({step}).',
+  'chat.queuedFailed': '❌ Impossible d’envoyer votre décision hors ligne : {message}. Veuillez décider à nouveau.',
+  'chat.queuedTitle': 'En attente de connexion',
+  'chat.queuedText': 'Votre décision sera envoyée au retour de la connexion, sauf si le plan a changé entre-temps.',
+  'chat.cancelQueued': 'Annuler et décider à nouveau',
+  'chat.message': 'Message',
+  'chat.send': 'Envoyer',
+
+  // Plan markdown shown in the chat
+  'plan.title': '# 🗺️ Votre plan de voyage pour {destination}',
+  'plan.yourDestination': 'votre destination',
+  'plan.dates': 'Dates',
+  'plan.estimatedCost': 'Coût estimé',
+  'plan.dailyItinerary': '📅 Itinéraire jour par jour',
+  'plan.day': 'Jour {day}',
+  'plan.free': 'Gratuit',
+  'plan.varies': 'Variable',
+  'plan.various': 'Variée',
+  'plan.topAttractions': '🎯 Attractions incontournables',
+  'plan.restaurants': '🍽️ Restaurants recommandés',
+  'plan.insiderTips': '💡 Conseils d’initiés',
+  'plan.document': '📄 [Voir le document de voyage complet]({url})',
+
+  // Plan view (components/TravelPlanView, DayCard, PlaceList)
+  'plan.showOnMap': 'Voir sur la carte',
+  'view.title': '🗺️ Votre plan de voyage pour {destination}',
+  'view.document': 'Voir le document de voyage complet',
+  'day.activities': { one: '{count} activité', other: '{count} activités' },
+  'day.total': 'Total du jour',
+  'day.totalUnpriced': { one: 'Total du jour ({count} sans prix)', other: 'Total du jour ({count} sans prix)' },
+  'places.categories': 'Catégories',
+  'places.allCategories': 'Toutes les catégories',
+  'places.cuisines': 'Cuisines',
+  'places.allCuisines': 'Toutes les cuisines',
+  'places.search': 'Rechercher...',
+  'places.searchLabel': 'Rechercher dans {title}',
+  'places.filterBy': 'Filtrer par {group}',
+  'places.sortBy': 'Trier par',
+  'places.sort.rating': 'Les mieux notés',
+  'places.sort.name': 'Nom',
+  'places.sort.cost': 'Prix',
+  'places.empty': 'Aucun résultat pour ces filtres.',
+
+  // Plan map (components/PlanMap)
+  'map.title': '🗺️ Carte',
+  'map.dayLabel': 'Itinéraire à afficher',
+  'map.allDays': 'Tous les jours',
+  'map.attractions': '🎯 Attractions',
+  'map.restaurants': '🍽️ Restaurants',
+  'map.attraction': 'Attraction : {name}',
+  'map.restaurant': 'Restaurant : {name}',
+  'map.activity': 'Jour {day}, étape {stop} : {name} ({location})',
+  'map.locating': 'Localisation des lieux...',
+  'map.label': 'Carte de {destination}',
+  'map.yourTrip': 'votre voyage',
+  'map.routes': 'Itinéraires',
+  'map.approximate': 'Les positions sont approximatives.',
+  'map.notFound': 'Introuvable sur la carte : {places}',
+
+  // Refinement changes (components/PlanDiff)
+  'diff.unchanged': 'Le plan révisé est identique au précédent.',
+  'diff.title': 'Ce qui a changé',
+  'diff.total': 'Total estimé :',
+  'diff.notGiven': 'non indiqué',
+  'diff.status.added': 'ajouté',
+  'diff.status.removed': 'supprimé',
+  'diff.field.Time': 'heure',
+  'diff.field.Description': 'description',
+  'diff.field.Location': 'lieu',
+  'diff.field.EstimatedCost': 'coût',
+  'diff.attractions': 'Attractions',
+  'diff.restaurants': 'Restaurants',
+  'diff.insiderTips': 'Les conseils d’initiés ont été mis à jour.',
+
+  // Destination choice (components/DestinationComparison)
+  'destinations.choose': 'Choisissez votre destination',
+  'destinations.recommended': 'Destinations recommandées',
+  'destinations.hint': 'Choisissez la destination de votre itinéraire. Sans choix de votre part, la meilleure correspondance est retenue.',
+  'destinations.scoreTitle': 'Correspondance {score}/100',
+  'destinations.score': '{score} % de correspondance',
+  'destinations.why': 'Pourquoi :',
+  'destinations.planTrip': 'Planifier ce voyage',
+  'destinations.planTripTo': 'Planifier ce voyage à {destination}',
+  'destinations.chosen': '✓ La destination de votre itinéraire',
+
+  // Approval (components/ApprovalPanel, ApprovalCountdown, BudgetSummary, utils/approval)
+  'approval.title': 'Approuvez-vous ce plan de voyage ?',
+  'approval.text': 'Si vous l’approuvez, nous réserverons votre voyage selon ce plan.',
+  'approval.leaveOut': 'Retirer des éléments',
+  'approval.removed': { one: '({count} retiré)', other: '({count} retirés)' },
+  'approval.group.activity': 'Activités de l\'itinéraire',
+  'approval.group.attraction': 'Attractions',
+  'approval.group.restaurant': 'Restaurants',
+  'approval.total': 'Total du voyage à réserver : environ {amount}',
+  'approval.cap': 'Plafond de dépenses ({currency}, facultatif)',
+  'approval.capPlaceholder': 'ex. : {amount}',
+  'approval.capInvalid': 'Indiquez le plafond sous forme de montant positif.',
+  'approval.overCap': 'Le voyage approuvé coûte environ {amount} : retirez-en davantage ou relevez le plafond pour réserver.',
+  'approval.comments': 'Commentaires pour la réservation (facultatif)',
+  'approval.commentsPlaceholder': 'ex. : Merci de réserver une chambre avec vue sur la mer.',
+  'approval.approve': 'Oui, réservez mon voyage !',
+  'approval.requestChanges': 'Non, j\'ai besoin de changements',
+  'approval.shortcuts': 'Raccourcis : {approve} pour approuver, {requestChanges} pour demander des modifications',
+  'approval.type.activity': 'Activité',
+  'approval.type.attraction': 'Attraction',
+  'approval.type.restaurant': 'Restaurant',
+  'approval.summary.title': '✅ **J’ai approuvé le plan de voyage !** Vous pouvez procéder à la réservation.',
+  'approval.summary.cost': '* **Coût estimé** : {amount}',
+  'approval.summary.cap': '* **Plafond de dépenses** : {amount}',
+  'approval.summary.leftOut': '* **Retiré** : {items}',
+  'approval.summary.item': '{type} : {name}',
+  'approval.summary.itemOnDay': '{type} : {name} (jour {day})',
+  'approval.summary.comments': '* **Commentaires** : {comments}',
+  'countdown.underAMinute': 'moins d’une minute',
+  'countdown.hours': '{hours} h {minutes} min',
+  'countdown.minutes': '{minutes} min',
+  'countdown.left': '⏳ Il reste {remaining} pour approuver (jusqu’à {time}).',
+  'countdown.warning': '⚠️ Plus que {remaining} pour approuver (jusqu’à {time}). Ensuite le plan expire et devra être régénéré.',
+  'countdown.closed': '⌛ Le délai d’approbation s’est terminé à {time}.',
+  'budget.estimated': 'Coût estimé : {amount}',
+  'budget.showIn': 'Afficher en',
+  'budget.over': '⚠️ Environ {difference} au-dessus de votre budget de {budget}.',
+  'budget.near': 'Proche de votre budget : il reste {difference} sur {budget}.',
+  'budget.under': '✅ Dans votre budget, avec environ {difference} de marge.',
+  'budget.unknown': 'Ajoutez un montant à votre budget (ex. « environ 3000 € ») pour le comparer à ce plan.',
+  'budget.perDay': 'Par jour',
+  'budget.perCategory': 'Par catégorie',
+  'budget.unpriced': { one: '+ {count} sans prix', other: '+ {count} sans prix' },
+  'budget.category.activities': 'Activités de l\'itinéraire',
+  'budget.category.attractions': 'Attractions facultatives',
+  'budget.category.dining': 'Repas (un par restaurant)',
+  'budget.statedTotal': 'L’estimation du planificateur pour ce voyage est de {amount}. Les conversions utilisent des taux fixes approximatifs.',
+
+  // Booking confirmation (components/BookingConfirmation)
+  'booking.title': '🎉 Votre voyage est réservé !',
+  'booking.checkEmail': 'Consultez vos e-mails pour la confirmation et les documents de voyage.',
+  'booking.bookingId': 'Numéro de réservation',
+  'booking.copy': '📋 Copier',
+  'booking.copied': 'Numéro de réservation copié.',
+  'booking.copyFailed': 'La copie n’est pas disponible ici : sélectionnez le numéro de réservation pour le copier.',
+  'booking.popupsBlocked': 'Autorisez les fenêtres pop-up pour ce site afin d’imprimer le reçu.',
+  'booking.destination': 'Destination',
+  'booking.travelDates': 'Dates du voyage',
+  'booking.totalCost': 'Coût total',
+  'booking.confirmationNumber': 'Numéro de confirmation',
+  'booking.bookedOn': 'Réservé le',
+  'booking.nextSteps': 'Prochaines étapes',
+  'booking.print': '🖨️ Imprimer le reçu',
+  'booking.planAnother': 'Planifier un autre voyage',
+
+  // Plan export (components/PlanExportMenu)
+  'export.label': 'Exporter le plan :',
+  'export.calendar': '📅 Calendrier (.ics)',
+  'export.print': '🖨️ Imprimer / PDF',
+  'export.noEvents': 'Aucune activité avec une date et une heure à ajouter à un calendrier.',
+  'export.saved': { one: 'Calendrier enregistré avec {count} événement.', other: 'Calendrier enregistré avec {count} événements.' },
+  'export.skipped': { one: '{count} activité n’avait pas de date ou d’heure exploitable.', other: '{count} activités n’avaient pas de date ou d’heure exploitable.' },
+  'export.popupsBlocked': 'Autorisez les fenêtres pop-up pour ce site afin d’imprimer l’itinéraire.',
+
+  // Printable itinerary and booking receipt (utils/planExport)
+  'print.title': 'Plan de voyage - {destination}',
+  'print.heading': 'Plan de voyage : {destination}',
+  'print.dates': 'Dates :',
+  'print.estimatedCost': 'Coût estimé :',
+  'print.time': 'Heure',
+  'print.activity': 'Activité',
+  'print.location': 'Lieu',
+  'print.cost': 'Coût',
+  'print.attractions': 'Attractions',
+  'print.restaurants': 'Restaurants',
+  'print.insiderTips': 'Conseils d’initiés',
+  'print.receipt': 'Reçu de réservation',
+  'print.traveller': 'Voyageur',
+
+  // Plan list (components/PlanDashboard)
+  'dashboard.title': 'Vos plans',
+  'dashboard.newPlan': 'Nouveau plan',
+  'dashboard.filterLabel': 'Filtrer les plans par statut',
+  'dashboard.filter.all': 'Tous',
+  'dashboard.filter.active': 'En cours',
+  'dashboard.filter.approval': 'Attend votre réponse',
+  'dashboard.filter.booked': 'Réservés',
+  'dashboard.filter.closed': 'Non réservés',
+  'dashboard.empty': 'Les plans que vous lancez apparaîtront ici.',
+  'dashboard.noMatch': 'Aucun plan ne correspond à ce filtre.',
+  'dashboard.gone': 'Ce plan n’existe plus sur le serveur.',
+  'dashboard.destinationPending': 'Destination à venir',
+  'dashboard.justNow': 'à l\'instant',
+  'dashboard.minutesAgo': { one: 'il y a {count} min', other: 'il y a {count} min' },
+  'dashboard.hoursAgo': { one: 'il y a {count} h', other: 'il y a {count} h' },
+  'dashboard.daysAgo': { one: 'il y a {count} j', other: 'il y a {count} j' },
+  'dashboard.remove': 'Retirer de cette liste',
+  'dashboard.removeLabel': 'Retirer le plan pour {destination}',
+  // Progress tracker
+  'progress.GettingDestinations': '🌍 Recherche des destinations idéales...',
+  'progress.ChoosingDestination': '🧭 Choisissez votre destination',
+  'progress.CreatingItinerary': '📅 Création de votre itinéraire...',
+  'progress.GettingLocalRecommendations': '🍽️ Recherche de recommandations locales...',
+  'progress.WaitingForApproval': '✅ Plan prêt pour votre approbation !',
+  'progress.RefiningPlan': '✏️ Révision de votre plan...',
+  'progress.BookingTrip': '🎯 Réservation de votre voyage...',
+  'progress.Completed': '🎉 Voyage réservé !',
+  'progress.Expired': '⌛ Le délai d’approbation a expiré',
+  'progress.Rejected': '🚫 Plan refusé',
+  'progress.Error': '⚠️ Un problème est survenu pendant la planification',
+  'progress.Failed': '⚠️ Un problème est survenu pendant la planification',
+  'progress.Starting': '🚀 Démarrage de votre plan de voyage...',
+  'progress.destination': 'Destination :',
+  'progress.document': 'Voir le document du plan de voyage',
+  'progress.steps': 'Étapes de la planification',
+  'progress.label': 'Avancement de la planification',
+  'progress.untimed': 'terminé avant l’ouverture de cette page',
+  'timeline.GettingDestinations': 'Recherche des destinations',
+  'timeline.ChoosingDestination': 'Choix d’une destination',
+  'timeline.CreatingItinerary': 'Création de l’itinéraire',
+  'timeline.GettingLocalRecommendations': 'Recommandations locales',
+  'timeline.WaitingForApproval': 'En attente de votre approbation',
+  'timeline.RefiningPlan': 'Révision du plan',
+  'timeline.BookingTrip': 'Réservation du voyage',
+  'timeline.Completed': 'Voyage réservé',
+  'timeline.Rejected': 'Plan refusé',
+  'timeline.Expired': 'Délai d’approbation expiré',
+  'timeline.Error': 'La planification a échoué',
+  'timeline.Failed': 'La planification a échoué',
+
+  // Browser notifications (services/notifications, components/NotificationToggle)
+  'notify.label': 'Notifications',
+  'notify.turnOn': "M'avertir quand un plan doit être approuvé ou est réservé",
+  'notify.turnOff': 'Désactiver les notifications',
+  'notify.badgeOnly': "Les notifications sont bloquées dans ce navigateur ; le titre de l'onglet affiche les mises à jour",
+  'notify.WaitingForApproval': '✅ Votre plan de voyage est prêt à être approuvé',
+  'notify.BookingTrip': '🎯 Réservation de votre voyage',
+  'notify.Completed': '🎉 Votre voyage est réservé',
+  'notify.Error': '⚠️ La planification du voyage a échoué',
+  'notify.Failed': '⚠️ La planification du voyage a échoué',
+
+  // How this plan was made (components/AgentRunsPanel)
+  'agents.title': '🔍 Comment ce plan a été construit',
+  'agents.total': { one: "{count} appel d'agent, {time}", other: "{count} appels d'agents, {time}" },
+  'agents.loading': 'Chargement des appels aux agents...',
+  'agents.loadFailed': 'Les appels aux agents n’ont pas pu être chargés.',
+  'agents.retry': 'Réessayer',
+  'agents.none': 'Aucun appel aux agents n’a été enregistré pour ce plan.',
+  'agents.revision': 'révision {revision}',
+  'agents.destination': 'Destination',
+  'agents.matchScore': 'Correspondance',
+  'agents.reasoning': 'Pourquoi elle correspond',
+  'agents.chosen': '(choisie)',
+  'agents.inputs': 'Données de votre demande',
+  'agents.prompt': 'Instruction',
+  'agents.output': 'Résultat structuré',
+  'agents.rawResponse': 'Réponse brute',
+  'agents.unparsed': "La réponse n'a pas pu être lue comme un résultat structuré ; voir la réponse brute ci-dessous.",
+  'agents.summary.destinations': { one: '{count} destination recommandée', other: '{count} destinations recommandées' },
+  'agents.summary.itinerary': { one: '{count} jour planifié avec {activities} activités, environ {cost}', other: '{count} jours planifiés avec {activities} activités, environ {cost}' },
+  'agents.summary.local': '{count} attractions et {restaurants} restaurants suggérés',
+  'agents.copy': 'Copier les détails',
+  'agents.copied': "Détails copiés : collez-les dans votre demande d'assistance.",
+  'agents.copyFailed': "La copie n'est pas disponible ici.",
+
+  // Confirmation dialog (components/ConfirmDialog)
+  'confirm.cancel': 'Annuler',
+  'confirm.working': 'En cours...',
+
+  // Admin console (components/AdminConsole)
+  'admin.link': 'Administration',
+  'admin.title': 'Instances d\'orchestration',
+  'admin.back': 'Retour au planificateur',
+  'admin.forbidden': 'La console d\'administration nécessite le rôle {role}. Connectez-vous avec un compte administrateur pour l\'utiliser.',
+  'admin.failed': 'La requête a échoué : {error}',
+  'admin.filter': 'Statut d\'exécution',
+  'admin.allStatuses': 'Tous',
+  'admin.refresh': 'Actualiser',
+  'admin.empty': 'Aucune instance ne correspond à ce filtre.',
+  'admin.instance': 'Instance',
+  'admin.runtimeStatus': 'Statut d\'exécution',
+  'admin.step': 'Étape',
+  'admin.traveller': 'Voyageur',
+  'admin.created': 'Créée',
+  'admin.updated': 'Dernière mise à jour',
+  'admin.name': 'Orchestration',
+  'admin.details': 'Détails de l\'instance',
+  'admin.select': 'Sélectionnez une instance pour voir son état brut et ses actions.',
+  'admin.customStatus': 'Statut personnalisé',
+  'admin.input': 'Entrée',
+  'admin.output': 'Sortie',
+  'admin.failure': 'Détails de l\'échec',
+  'admin.comments': 'Commentaires pour le voyageur (facultatif)',
+  'admin.reason': 'Motif, pour les journaux (facultatif)',
+  'admin.action.approve': 'Approuver le plan',
+  'admin.action.reject': 'Refuser le plan',
+  'admin.action.suspend': 'Suspendre',
+  'admin.action.resume': 'Reprendre',
+  'admin.action.terminate': 'Terminer',
+  'admin.action.purge': 'Purger',
+  'admin.confirm.approve': 'Approuver le plan de l\'instance {id} au nom du voyageur ? Le voyage sera réservé.',
+  'admin.confirm.reject': 'Refuser le plan de l\'instance {id} au nom du voyageur ? La planification s\'arrête et rien n\'est réservé.',
+  'admin.confirm.suspend': 'Suspendre l\'instance {id} ? Elle s\'arrête à son étape actuelle jusqu\'à sa reprise.',
+  'admin.confirm.resume': 'Reprendre l\'instance {id} ? Elle continue là où elle a été suspendue.',
+  'admin.confirm.terminate': 'Terminer l\'instance {id} ? Elle s\'arrête définitivement et ne peut pas être reprise.',
+  'admin.confirm.purge': 'Purger l\'instance {id} ? Son historique est supprimé et le lien du voyageur vers le plan ne fonctionne plus. Action irréversible.',
+  'admin.done.approve': 'Plan de {id} approuvé.',
+  'admin.done.reject': 'Plan de {id} refusé.',
+  'admin.done.suspend': '{id} suspendue.',
+  'admin.done.resume': '{id} reprise.',
+  'admin.done.terminate': '{id} terminée.',
+  'admin.done.purge': '{id} purgée.'
+};
+
+export default fr;
@@ -3,6 +3,12 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { applyBranding } from './services/runtimeConfig';
+import { startDecisionSync } from './services/decisionQueue';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+
+applyBranding();
+startDecisionSync();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -11,6 +17,9 @@ root.render(
   </React.StrictMode>
 );
 
+// Cache the app shell so saved plans can be opened offline
+serviceWorkerRegistration.register();
+
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
 // or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
@@ -0,0 +1,19 @@
+// Registers public/service-worker.js, which keeps the app shell available
+// offline. Only in production builds - in development the worker would serve
+// stale bundles over the dev server's hot reloading.
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(error => console.error('Service worker registration failed:', error));
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then(registration => registration.unregister())
+    .catch(error => console.error('Service worker unregistration failed:', error));
+};
@@ -0,0 +1,286 @@
+import axios from 'axios';
+import { getRuntimeConfig } from './runtimeConfig';
+
+// Sign-in with OpenID Connect: the authorization code flow with PKCE against
+// the issuer in the runtime config (AUTH_MODE=oidc, AUTH_ISSUER, AUTH_CLIENT_ID).
+// The session lives in sessionStorage, so closing the tab signs the user out.
+// `npm run mock-issuer` starts a local issuer for development.
+
+const SESSION_KEY = 'travel-planner:auth';
+const PENDING_KEY = 'travel-planner:auth-pending';
+
+// Where the issuer sends the browser back to; nginx serves the app for any path
+export const CALLBACK_PATH = '/auth/callback';
+
+// Tokens this close to their expiry are treated as expired
+const EXPIRY_MARGIN_MS = 30 * 1000;
+
+// Sign-in could not be completed (issuer error, mismatched state, token request failed)
+export class AuthError extends Error {
+  constructor(message, { cause = null } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.cause = cause;
+  }
+}
+
+export const isAuthEnabled = () => getRuntimeConfig().auth.mode === 'oidc';
+
+// sessionStorage can be disabled too - treat that as signed out
+const readJson = (key) => {
+  try {
+    const raw = window.sessionStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn(`Could not read ${key} from sessionStorage:`, error);
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    if (value === null) {
+      window.sessionStorage.removeItem(key);
+    } else {
+      window.sessionStorage.setItem(key, JSON.stringify(value));
+    }
+  } catch (error) {
+    console.warn(`Could not write ${key} to sessionStorage:`, error);
+  }
+};
+
+const base64UrlEncode = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const randomString = (byteCount) => base64UrlEncode(window.crypto.getRandomValues(new Uint8Array(byteCount)));
+
+// S256 code challenge for a PKCE code verifier
+export const pkceChallenge = async (verifier) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+  return base64UrlEncode(new Uint8Array(digest));
+};
+
+// Claims from a JWT's payload, or {} for anything that isn't one. The signature
+// is not checked here, so the claims are only for display - the API verifies
+// the token itself (admin_auth.py) before serving anything.
+export const decodeJwtClaims = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Uint8Array.from(atob(payload), char => char.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    return {};
+  }
+};
+
+// Display name from ID token claims
+export const userNameFromClaims = (claims = {}) => (
+  claims.name
+  || [claims.given_name, claims.family_name].filter(Boolean).join(' ')
+  || claims.preferred_username
+  || claims.email
+  || ''
+);
+
+// Roles in `claim` of a token's claims: a list, or a space-separated string.
+// Nested claims are dotted, e.g. realm_access.roles
+export const rolesFromClaims = (claims = {}, claim = 'roles') => {
+  const value = claim.split('.').reduce((current, part) => (current && typeof current === 'object' ? current[part] : undefined), claims);
+  if (typeof value === 'string') return value.split(' ').filter(Boolean);
+  return Array.isArray(value) ? value.map(String) : [];
+};
+
+let metadataPromise = null;
+
+// The issuer's endpoints, from its discovery document (fetched once)
+const discover = () => {
+  if (!metadataPromise) {
+    const issuer = getRuntimeConfig().auth.issuer.replace(/\/$/, '');
+    metadataPromise = axios.get(`${issuer}/.well-known/openid-configuration`)
+      .then(response => response.data)
+      .catch(error => {
+        metadataPromise = null;
+        throw new AuthError(`Could not reach the sign-in service at ${issuer}`, { cause: error });
+      });
+  }
+  return metadataPromise;
+};
+
+const redirectUri = () => `${window.location.origin}${CALLBACK_PATH}`;
+
+const hasExpired = (session) => Boolean(session.expiresAt) && Date.now() > session.expiresAt - EXPIRY_MARGIN_MS;
+
+// The signed-in session ({ accessToken, idToken, expiresAt, claims }), or null
+// when signed out or the tokens have expired. An expired session is kept until
+// the next sign-in or sign-out, see getSessionOwner.
+export const getSession = () => {
+  const session = readJson(SESSION_KEY);
+  return session && !hasExpired(session) ? session : null;
+};
+
+// ID of the user the session belongs to, even once its tokens have expired:
+// what they save while asked to sign in again is still theirs. Null when
+// signed out.
+export const getSessionOwner = () => {
+  const session = readJson(SESSION_KEY);
+  return session && session.claims ? session.claims.sub || null : null;
+};
+
+// Call `listener` once the session's tokens expire. Timers are throttled in
+// background tabs, so the session is checked again whenever the tab is shown.
+// Returns a stop function.
+export const subscribeToSessionExpiry = (listener) => {
+  const session = getSession();
+  if (!session || !session.expiresAt) return () => {};
+
+  let timer = null;
+  const check = () => {
+    if (getSession()) return;
+    stop();
+    listener();
+  };
+  const stop = () => {
+    clearTimeout(timer);
+    document.removeEventListener('visibilitychange', check);
+  };
+  // A second past the margin, so the check finds the session expired
+  timer = setTimeout(check, session.expiresAt - EXPIRY_MARGIN_MS - Date.now() + 1000);
+  document.addEventListener('visibilitychange', check);
+  return stop;
+};
+
+export const getAccessToken = () => {
+  const session = getSession();
+  return session ? session.accessToken : null;
+};
+
+// { id, name, email } of the signed-in user, or null
+export const getUser = () => {
+  const session = getSession();
+  if (!session) return null;
+  return {
+    id: session.claims.sub || null,
+    name: userNameFromClaims(session.claims),
+    email: session.claims.email || null
+  };
+};
+
+// Whether the signed-in user has the admin role. Only decides whether the
+// admin console is offered - the API checks the role on every admin request.
+export const isAdmin = () => {
+  const session = getSession();
+  if (!session) return false;
+  const { rolesClaim, adminRole } = getRuntimeConfig().auth;
+  const roles = [
+    ...rolesFromClaims(decodeJwtClaims(session.accessToken), rolesClaim),
+    ...rolesFromClaims(session.claims, rolesClaim)
+  ];
+  return roles.includes(adminRole);
+};
+
+let redirecting = false;
+
+// Send the browser to the issuer's sign-in page. `returnTo` is the path to
+// come back to afterwards (the current one by default).
+export const login = async ({ returnTo } = {}) => {
+  if (redirecting) return;
+  redirecting = true;
+  try {
+    const { clientId, scope, audience } = getRuntimeConfig().auth;
+    const metadata = await discover();
+    const verifier = randomString(48);
+    const state = randomString(16);
+    writeJson(PENDING_KEY, {
+      verifier,
+      state,
+      returnTo: returnTo || `${window.location.pathname}${window.location.search}`
+    });
+
+    const params = new URLSearchParams({
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri(),
+      scope,
+      state,
+      code_challenge: await pkceChallenge(verifier),
+      code_challenge_method: 'S256'
+    });
+    if (audience) params.set('audience', audience);
+    window.location.assign(`${metadata.authorization_endpoint}?${params}`);
+  } catch (error) {
+    redirecting = false;
+    throw error;
+  }
+};
+
+export const isLoginCallback = () => window.location.pathname === CALLBACK_PATH;
+
+const exchangeCode = async () => {
+  const params = new URLSearchParams(window.location.search);
+  const pending = readJson(PENDING_KEY);
+  writeJson(PENDING_KEY, null);
+
+  if (params.get('error')) {
+    throw new AuthError(params.get('error_description') || params.get('error'));
+  }
+  if (!pending || !params.get('code') || params.get('state') !== pending.state) {
+    throw new AuthError('The sign-in response did not match this browser session. Please sign in again.');
+  }
+
+  const metadata = await discover();
+  let tokens;
+  try {
+    const response = await axios.post(metadata.token_endpoint, new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: params.get('code'),
+      redirect_uri: redirectUri(),
+      client_id: getRuntimeConfig().auth.clientId,
+      code_verifier: pending.verifier
+    }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    tokens = response.data;
+  } catch (error) {
+    throw new AuthError('The sign-in service did not issue a token. Please sign in again.', { cause: error });
+  }
+
+  writeJson(SESSION_KEY, {
+    accessToken: tokens.access_token,
+    idToken: tokens.id_token || null,
+    expiresAt: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+    claims: decodeJwtClaims(tokens.id_token || tokens.access_token)
+  });
+  window.history.replaceState(null, '', pending.returnTo || '/');
+};
+
+let completion = null;
+
+// Finish sign-in on the callback page: check the state, exchange the code for
+// tokens and go back to where login() was called from. Safe to call repeatedly;
+// the code is only exchanged once.
+export const completeLogin = () => {
+  if (!completion) completion = exchangeCode();
+  return completion;
+};
+
+// Forget the session, and end it at the issuer when it supports that
+export const logout = async () => {
+  const session = readJson(SESSION_KEY);
+  writeJson(SESSION_KEY, null);
+  let endSessionEndpoint = null;
+  try {
+    endSessionEndpoint = (await discover()).end_session_endpoint;
+  } catch (error) {
+    console.warn('Could not load the sign-in service metadata:', error);
+  }
+  if (!endSessionEndpoint) {
+    window.location.assign('/');
+    return;
+  }
+  const params = new URLSearchParams({
+    client_id: getRuntimeConfig().auth.clientId,
+    post_logout_redirect_uri: `${window.location.origin}/`
+  });
+  if (session && session.idToken) params.set('id_token_hint', session.idToken);
+  window.location.assign(`${endSessionEndpoint}?${params}`);
+};
@@ -0,0 +1,122 @@
+// Approve/reject decisions made while offline. They are kept in localStorage and
+// sent when the connection returns - but only if the plan is still waiting for
+// approval. A plan that has moved on (expired, or decided in another tab) is a
+// conflict: the queued decision is dropped and the UI is told why. Decisions
+// belong to the account that made them and are only sent with its session.
+import travelPlannerClient, { NetworkError, RequestTimeoutError, UnauthorizedError } from './travelPlannerClient';
+import { getSessionOwner } from './auth';
+import { loadPlan, savePlan } from './planStorage';
+
+const QUEUE_KEY = 'travel-planner:queued-decisions';
+
+// Fired on window with { detail: result } for every decision replayed
+const REPLAYED_EVENT = 'travel-planner:decision-replayed';
+
+const readAll = () => {
+  try {
+    return JSON.parse(window.localStorage.getItem(QUEUE_KEY)) || [];
+  } catch (error) {
+    console.warn(`Could not read ${QUEUE_KEY} from localStorage:`, error);
+    return [];
+  }
+};
+
+const isOwnDecision = (item) => (item.owner || null) === getSessionOwner();
+
+// The current user's decisions
+const readQueue = () => readAll().filter(isOwnDecision);
+
+// Replace the current user's decisions, leaving other accounts' ones queued
+const writeQueue = (queue) => {
+  try {
+    const others = readAll().filter(item => !isOwnDecision(item));
+    window.localStorage.setItem(QUEUE_KEY, JSON.stringify([...others, ...queue]));
+  } catch (error) {
+    console.warn(`Could not write ${QUEUE_KEY} to localStorage:`, error);
+  }
+};
+
+// Failures that mean "still offline", as opposed to the API refusing the request
+const isOfflineError = (error) => error instanceof NetworkError || error instanceof RequestTimeoutError;
+
+// Queued decision for a plan ({ instanceId, owner, action, payload, queuedAt }), or null
+export const getQueuedDecision = (instanceId) => readQueue().find(item => item.instanceId === instanceId) || null;
+
+// Queue `action` ('approve' or 'reject') with the body the client would have
+// sent; replaces an earlier decision for the same plan
+export const queueDecision = (instanceId, action, payload) => {
+  const queue = readQueue().filter(item => item.instanceId !== instanceId);
+  writeQueue([...queue, { instanceId, owner: getSessionOwner(), action, payload, queuedAt: new Date().toISOString() }]);
+};
+
+export const removeQueuedDecision = (instanceId) => {
+  writeQueue(readQueue().filter(item => item.instanceId !== instanceId));
+};
+
+// Send one decision. Resolves to { instanceId, action, outcome, step }, where
+// outcome is 'sent', 'conflict' (the plan is no longer waiting - `step` says
+// where it is), 'offline' (still queued), 'signedOut' (the session expired -
+// still queued until the user signs in again) or 'failed' (the API refused it).
+const replayDecision = async (item, client) => {
+  const result = { instanceId: item.instanceId, action: item.action };
+  try {
+    const status = await client.getStatus(item.instanceId);
+    if (status.step !== 'WaitingForApproval') {
+      removeQueuedDecision(item.instanceId);
+      return { ...result, outcome: 'conflict', step: status.step };
+    }
+    await (item.action === 'approve'
+      ? client.approve(item.instanceId, item.payload)
+      : client.reject(item.instanceId, item.payload));
+    removeQueuedDecision(item.instanceId);
+    // Also recorded with the plan, for a tab that reopens it later
+    if (loadPlan(item.instanceId)) savePlan(item.instanceId, { decisionSent: true });
+    return { ...result, outcome: 'sent', step: status.step };
+  } catch (error) {
+    if (isOfflineError(error)) return { ...result, outcome: 'offline' };
+    if (error instanceof UnauthorizedError) return { ...result, outcome: 'signedOut' };
+    console.error(`Queued ${item.action} for ${item.instanceId} failed:`, error);
+    removeQueuedDecision(item.instanceId);
+    return { ...result, outcome: 'failed', error: error.message };
+  }
+};
+
+let replaying = null;
+
+// Send every queued decision, one at a time. Resolves to the results.
+export const replayQueuedDecisions = (client = travelPlannerClient) => {
+  if (!replaying) {
+    replaying = (async () => {
+      const results = [];
+      for (const item of readQueue()) {
+        const result = await replayDecision(item, client);
+        results.push(result);
+        if (result.outcome !== 'offline' && result.outcome !== 'signedOut') {
+          window.dispatchEvent(new CustomEvent(REPLAYED_EVENT, { detail: result }));
+        }
+      }
+      return results;
+    })().finally(() => {
+      replaying = null;
+    });
+  }
+  return replaying;
+};
+
+// Call `listener` with the result of each decision that was sent, dropped or
+// refused. Returns an unsubscribe function.
+export const subscribeToReplays = (listener) => {
+  const handleReplay = (event) => listener(event.detail);
+  window.addEventListener(REPLAYED_EVENT, handleReplay);
+  return () => window.removeEventListener(REPLAYED_EVENT, handleReplay);
+};
+
+// Replay now and whenever the browser comes back online. Returns a stop function.
+export const startDecisionSync = (client = travelPlannerClient) => {
+  const replay = () => {
+    replayQueuedDecisions(client).catch(error => console.error('Could not replay queued decisions:', error));
+  };
+  window.addEventListener('online', replay);
+  replay();
+  return () => window.removeEventListener('online', replay);
+};
@@ -0,0 +1,48 @@
+import { getQueuedDecision, queueDecision, removeQueuedDecision, replayQueuedDecisions } from './decisionQueue';
+import { UnauthorizedError } from './travelPlannerClient';
+
+const SESSION_KEY = 'travel-planner:auth';
+
+// Store a session for `sub` whose tokens expire `expiresInMs` from now
+const signInAs = (sub, expiresInMs = 60 * 60 * 1000) => {
+  window.sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+    accessToken: `token-${sub}`,
+    idToken: null,
+    expiresAt: Date.now() + expiresInMs,
+    claims: { sub }
+  }));
+};
+
+describe('decision queue', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+  });
+
+  it('keeps each account\'s decisions apart', () => {
+    signInAs('ana');
+    queueDecision('plan-1', 'approve', { approved: true });
+
+    signInAs('bob');
+    expect(getQueuedDecision('plan-1')).toBeNull();
+    queueDecision('plan-2', 'reject', 'Too expensive');
+    removeQueuedDecision('plan-1');
+
+    signInAs('ana');
+    expect(getQueuedDecision('plan-1')).toMatchObject({ owner: 'ana', action: 'approve' });
+    expect(getQueuedDecision('plan-2')).toBeNull();
+  });
+
+  it('keeps a decision queued while the session is refused', async () => {
+    signInAs('ana', -60 * 1000);
+    queueDecision('plan-1', 'approve', { approved: true });
+    const client = {
+      getStatus: jest.fn().mockRejectedValue(new UnauthorizedError('Sign in again')),
+      approve: jest.fn()
+    };
+
+    expect(await replayQueuedDecisions(client)).toEqual([{ instanceId: 'plan-1', action: 'approve', outcome: 'signedOut' }]);
+    expect(client.approve).not.toHaveBeenCalled();
+    expect(getQueuedDecision('plan-1')).not.toBeNull();
+  });
+});
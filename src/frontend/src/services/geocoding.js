@@ -0,0 +1,165 @@
+import axios from 'axios';
+import { getRuntimeConfig } from './runtimeConfig';
+
+// Geocoding for the plan map. A geocoder is any object with
+//
+//   name: string
+//   geocode(query): Promise<{ lat, lng, approximate? } | null>
+//
+// where null means "not found" and a rejection means the lookup failed. The
+// deployment picks one with GEOCODER (runtime config); components take one as
+// a prop so tests can pass the static one.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalize = (text) => String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Destinations the static geocoder knows; keys are normalized names
+export const STATIC_PLACES = {
+  amsterdam: { lat: 52.3676, lng: 4.9041 },
+  bangkok: { lat: 13.7563, lng: 100.5018 },
+  barcelona: { lat: 41.3874, lng: 2.1686 },
+  berlin: { lat: 52.52, lng: 13.405 },
+  dubai: { lat: 25.2048, lng: 55.2708 },
+  lisbon: { lat: 38.7223, lng: -9.1393 },
+  london: { lat: 51.5074, lng: -0.1278 },
+  madrid: { lat: 40.4168, lng: -3.7038 },
+  'new york': { lat: 40.7128, lng: -74.006 },
+  paris: { lat: 48.8566, lng: 2.3522 },
+  porto: { lat: 41.1579, lng: -8.6291 },
+  prague: { lat: 50.0755, lng: 14.4378 },
+  rome: { lat: 41.9028, lng: 12.4964 },
+  seville: { lat: 37.3891, lng: -5.9845 },
+  sydney: { lat: -33.8688, lng: 151.2093 },
+  tokyo: { lat: 35.6762, lng: 139.6503 }
+};
+
+// 32-bit FNV-1a: the same text always lands on the same spot
+const hash = (text, seed = 0x811c9dc5) => {
+  let value = seed;
+  for (let i = 0; i < text.length; i += 1) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value / 0x100000000;
+};
+
+// A stable point within `radiusKm` of `center`, picked from `text`
+const scatter = (center, text, radiusKm) => {
+  const angle = hash(text) * 2 * Math.PI;
+  const distance = Math.sqrt(hash(text, 0x1234567)) * radiusKm;
+  const kmPerDegree = 111.32;
+  return {
+    lat: center.lat + (distance * Math.sin(angle)) / kmPerDegree,
+    lng: center.lng + (distance * Math.cos(angle)) / (kmPerDegree * Math.cos((center.lat * Math.PI) / 180))
+  };
+};
+
+// Offline stand-in, for tests, the mock API and deployments without a geocoding
+// service. Queries found in `places` are exact. Anything else in a known city is
+// "somewhere in it": "Old Town, Lisbon" lands at a stable spot within `radiusKm`
+// of Lisbon - good enough to draw a plan's route, and flagged as approximate.
+// Places in a city it doesn't know are not found.
+export const createStaticGeocoder = ({ places = STATIC_PLACES, radiusKm = 3 } = {}) => {
+  const table = {};
+  Object.entries(places).forEach(([name, point]) => {
+    table[normalize(name)] = point;
+  });
+
+  const geocode = async (query) => {
+    const key = normalize(query);
+    if (!key) return null;
+    if (table[key]) return { ...table[key] };
+
+    const parts = key.split(',').map(part => part.trim()).filter(Boolean);
+    const city = parts[parts.length - 1];
+    const anchor = table[city];
+    if (!anchor) return null;
+    return { ...scatter(anchor, key, radiusKm), approximate: true };
+  };
+
+  return { name: 'static', geocode };
+};
+
+// OpenStreetMap Nominatim (https://nominatim.org), or a self-hosted instance at
+// `url`. The public instance allows one request per second, so lookups are
+// sent one after another with `minIntervalMs` between them.
+export const createNominatimGeocoder = ({
+  url = 'https://nominatim.openstreetmap.org',
+  minIntervalMs = 1000,
+  http = axios
+} = {}) => {
+  let queue = Promise.resolve();
+
+  const geocode = (query) => {
+    const lookup = queue.then(async () => {
+      const response = await http.get(`${url.replace(/\/$/, '')}/search`, {
+        params: { q: query, format: 'jsonv2', limit: 1 }
+      });
+      const [match] = Array.isArray(response.data) ? response.data : [];
+      return match ? { lat: Number(match.lat), lng: Number(match.lon) } : null;
+    });
+    queue = lookup.catch(() => null).then(() => sleep(minIntervalMs));
+    return lookup;
+  };
+
+  return { name: 'nominatim', geocode };
+};
+
+// Provider name (GEOCODER) -> factory taking { url }
+export const GEOCODERS = {
+  static: () => createStaticGeocoder(),
+  nominatim: ({ url }) => createNominatimGeocoder(url ? { url } : {})
+};
+
+// Remember answers per query, so plans re-rendered in the chat (revisions,
+// reloads) don't look the same places up again. Failures are retried next time.
+export const withCache = (geocoder) => {
+  const answers = new Map();
+  const geocode = (query) => {
+    const key = normalize(query);
+    if (!answers.has(key)) {
+      answers.set(key, geocoder.geocode(query).catch(error => {
+        answers.delete(key);
+        throw error;
+      }));
+    }
+    return answers.get(key);
+  };
+  return { name: geocoder.name, geocode };
+};
+
+let sharedGeocoder = null;
+
+// The deployment's geocoder, created once from the runtime config
+export const getGeocoder = () => {
+  if (!sharedGeocoder) {
+    const { provider, url } = getRuntimeConfig().geocoder;
+    sharedGeocoder = withCache(GEOCODERS[provider]({ url }));
+  }
+  return sharedGeocoder;
+};
+
+// Look up every place's `query`. Resolves to the places with lat/lng (null when
+// not found or the lookup failed) and `approximate` set.
+export const locatePlaces = async (places, geocoder = getGeocoder()) => {
+  const queries = [...new Set(places.map(place => place.query).filter(Boolean))];
+  const answers = {};
+  await Promise.all(queries.map(async (query) => {
+    try {
+      answers[query] = await geocoder.geocode(query);
+    } catch (error) {
+      console.warn(`Could not geocode "${query}" with ${geocoder.name}:`, error);
+      answers[query] = null;
+    }
+  }));
+  return places.map(place => {
+    const answer = answers[place.query];
+    return {
+      ...place,
+      lat: answer ? answer.lat : null,
+      lng: answer ? answer.lng : null,
+      approximate: Boolean(answer && answer.approximate)
+    };
+  });
+};
@@ -0,0 +1,23 @@
+import { createStaticGeocoder } from './geocoding';
+
+describe('createStaticGeocoder', () => {
+  const geocoder = createStaticGeocoder();
+
+  it('finds known cities exactly', async () => {
+    expect(await geocoder.geocode('Lisbon')).toEqual({ lat: 38.7223, lng: -9.1393 });
+  });
+
+  it('places spots in a known city near it, flagged as approximate', async () => {
+    const spot = await geocoder.geocode('Old Town, Lisbon');
+    expect(spot.approximate).toBe(true);
+    expect(Math.abs(spot.lat - 38.7223)).toBeLessThan(0.05);
+    expect(Math.abs(spot.lng + 9.1393)).toBeLessThan(0.05);
+    expect(await geocoder.geocode('old town,  lisbon')).toEqual(spot);
+  });
+
+  it('does not find places in cities it does not know', async () => {
+    expect(await geocoder.geocode('Reykjavik')).toBeNull();
+    expect(await geocoder.geocode('Old Town, Reykjavik')).toBeNull();
+    expect(await geocoder.geocode('')).toBeNull();
+  });
+});
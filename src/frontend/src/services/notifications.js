@@ -0,0 +1,163 @@
+// Browser notifications for plan milestones (ready for approval, booking,
+// booked, failed). They are opt-in per browser and only shown while the tab is
+// in the background - in the foreground the chat already says it. Where the
+// Notification API is missing or blocked, a background tab gets a badge
+// instead: a count in the title and a dot on the favicon, cleared when the
+// tab is looked at again.
+
+const PREFERENCE_KEY = 'travel-planner:notifications';
+
+// Steps worth interrupting the user for
+export const NOTIFIED_STEPS = ['WaitingForApproval', 'BookingTrip', 'Completed', 'Error', 'Failed'];
+
+export const isNotificationSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted', 'denied', 'default' (not asked yet) or 'unsupported'
+export const getNotificationPermission = () =>
+  (isNotificationSupported() ? window.Notification.permission : 'unsupported');
+
+export const areNotificationsEnabled = () => {
+  try {
+    return localStorage.getItem(PREFERENCE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Turn notifications on or off for this browser, asking for permission the
+// first time they are turned on. Resolves to the permission afterwards; when
+// it is not 'granted' the badge is used.
+export const setNotificationsEnabled = async (enabled) => {
+  try {
+    if (enabled) {
+      localStorage.setItem(PREFERENCE_KEY, 'on');
+    } else {
+      localStorage.removeItem(PREFERENCE_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save the notification preference:', error);
+  }
+  if (enabled && getNotificationPermission() === 'default') {
+    try {
+      await window.Notification.requestPermission();
+    } catch (error) {
+      console.warn('Could not ask for notification permission:', error);
+    }
+  }
+  return getNotificationPermission();
+};
+
+let unseen = 0;
+let originalTitle = null;
+let favicon = null;
+let originalFavicon = null;
+
+const iconLink = () => document.querySelector('link[rel~="icon"]');
+
+// The page's icon with a red dot in the corner. Drawn on a canvas so it works
+// with any icon; a missing icon leaves just the dot.
+const drawBadgedIcon = (href) => new Promise(resolve => {
+  const size = 64;
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext && canvas.getContext('2d');
+  if (!context) {
+    resolve(null);
+    return;
+  }
+  const finish = () => {
+    context.fillStyle = '#dc2626';
+    context.beginPath();
+    context.arc(size * 0.72, size * 0.28, size * 0.24, 0, 2 * Math.PI);
+    context.fill();
+    resolve(canvas.toDataURL('image/png'));
+  };
+  const image = new Image();
+  image.onload = () => {
+    context.drawImage(image, 0, 0, size, size);
+    finish();
+  };
+  image.onerror = finish;
+  image.src = href;
+});
+
+const clearBadge = () => {
+  if (originalTitle !== null) document.title = originalTitle;
+  if (favicon) {
+    if (originalFavicon === null) {
+      favicon.remove();
+    } else {
+      favicon.href = originalFavicon;
+    }
+  }
+  unseen = 0;
+  originalTitle = null;
+  favicon = null;
+  originalFavicon = null;
+};
+
+const showBadge = () => {
+  if (unseen === 0) {
+    originalTitle = document.title;
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) clearBadge();
+    }, { once: true });
+  }
+  unseen += 1;
+  document.title = `(${unseen}) ${originalTitle}`;
+
+  if (unseen > 1) return;
+  favicon = iconLink();
+  originalFavicon = favicon ? favicon.href : null;
+  if (!favicon) {
+    favicon = document.createElement('link');
+    favicon.rel = 'icon';
+    document.head.appendChild(favicon);
+  }
+  drawBadgedIcon(originalFavicon || `${process.env.PUBLIC_URL}/icon-192.png`).then(badged => {
+    // The tab may have been looked at while the icon was drawn
+    if (badged && favicon && unseen > 0) favicon.href = badged;
+  });
+};
+
+// Mobile browsers only allow notifications from the service worker
+const showFromServiceWorker = async (title, options) => {
+  if (!('serviceWorker' in navigator) || !navigator.serviceWorker.controller) return false;
+  const registration = await navigator.serviceWorker.ready;
+  await registration.showNotification(title, options);
+  return true;
+};
+
+// Tell the user about a milestone of plan `instanceId` while the tab is in the
+// background. A newer notification for the same plan replaces the older one;
+// clicking it brings the tab (or the plan's page, from the service worker)
+// back.
+export const notifyMilestone = async ({ instanceId, title, body }) => {
+  if (!areNotificationsEnabled() || !document.hidden) return;
+
+  if (getNotificationPermission() === 'granted') {
+    const options = {
+      body,
+      tag: `travel-plan-${instanceId}`,
+      icon: `${process.env.PUBLIC_URL}/icon-192.png`,
+      data: { url: `${window.location.origin}${process.env.PUBLIC_URL}/plan/${encodeURIComponent(instanceId)}` }
+    };
+    try {
+      const notification = new window.Notification(title, options);
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+      return;
+    } catch (error) {
+      try {
+        if (await showFromServiceWorker(title, options)) return;
+      } catch (swError) {
+        console.warn('Could not show a notification:', swError);
+      }
+    }
+  }
+
+  showBadge();
+};
@@ -0,0 +1,124 @@
+import { getSessionOwner } from './auth';
+
+// Local persistence for in-flight travel plans, so a reload (or a plan left
+// waiting for approval overnight) can pick up where it left off. With sign-in
+// enabled each plan records its owner, and only the signed-in user's plans are
+// listed or loaded.
+
+const PLANS_KEY = 'travel-planner:plans';
+const ACTIVE_PLAN_KEY = 'travel-planner:active-plan';
+
+// Fired on window whenever stored plans change in this tab; other tabs get the
+// native `storage` event (see subscribeToPlans)
+const PLANS_CHANGED_EVENT = 'travel-planner:plans-changed';
+
+// Path of the shareable deep link for a plan
+const PLAN_PATH = /^\/plan\/([A-Za-z0-9_-]+)\/?$/;
+
+// localStorage can be disabled (private mode, quota) - never let that break the UI
+const readJson = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : fallback;
+  } catch (error) {
+    console.warn(`Could not read ${key} from localStorage:`, error);
+    return fallback;
+  }
+};
+
+const notifyChange = () => window.dispatchEvent(new Event(PLANS_CHANGED_EVENT));
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.warn(`Could not write ${key} to localStorage:`, error);
+  }
+  notifyChange();
+};
+
+const readPlans = () => readJson(PLANS_KEY, {});
+
+// ID of the signed-in user (null when signed out or sign-in is disabled). Still
+// set while an expired session waits for the user to sign in again, so their
+// plans stay listed and keep being saved meanwhile.
+const currentOwner = () => getSessionOwner();
+
+const isOwnPlan = (plan) => (plan.owner || null) === currentOwner();
+
+// Stored record for one plan: { instanceId, owner, travelForm, travelRequest, messages,
+// planDisplayed, decisionSent, lastStatus, cachedStatus, stepHistory, createdAt, updatedAt }.
+// cachedStatus is the full status of a plan ready for approval or booked, for offline reading.
+export const loadPlan = (instanceId) => {
+  const plan = readPlans()[instanceId];
+  return plan && isOwnPlan(plan) ? plan : null;
+};
+
+// Every plan the current user started in this browser, newest first
+export const listPlans = () => Object.values(readPlans())
+  .filter(isOwnPlan)
+  .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+// Merge `changes` into the stored record for a plan
+export const savePlan = (instanceId, changes) => {
+  const plans = readPlans();
+  const now = new Date().toISOString();
+  // Another user's plan (e.g. opened through a shared link) is left as it is
+  if (plans[instanceId] && !isOwnPlan(plans[instanceId])) return null;
+  const existing = plans[instanceId] || { instanceId, owner: currentOwner(), createdAt: now };
+  plans[instanceId] = { ...existing, ...changes, instanceId, updatedAt: now };
+  writeJson(PLANS_KEY, plans);
+  return plans[instanceId];
+};
+
+export const removePlan = (instanceId) => {
+  const plans = readPlans();
+  delete plans[instanceId];
+  writeJson(PLANS_KEY, plans);
+  if (getActivePlanId() === instanceId) {
+    clearActivePlanId();
+  }
+};
+
+// The plan that was open when the page was last left
+export const getActivePlanId = () => readJson(ACTIVE_PLAN_KEY, null);
+
+export const setActivePlanId = (instanceId) => writeJson(ACTIVE_PLAN_KEY, instanceId);
+
+export const clearActivePlanId = () => {
+  try {
+    window.localStorage.removeItem(ACTIVE_PLAN_KEY);
+  } catch (error) {
+    console.warn(`Could not clear ${ACTIVE_PLAN_KEY} from localStorage:`, error);
+  }
+  notifyChange();
+};
+
+// Call `listener` whenever stored plans change, in this tab or another one.
+// Returns an unsubscribe function.
+export const subscribeToPlans = (listener) => {
+  const handleStorage = (event) => {
+    if (event.key === PLANS_KEY || event.key === ACTIVE_PLAN_KEY) listener();
+  };
+  window.addEventListener(PLANS_CHANGED_EVENT, listener);
+  window.addEventListener('storage', handleStorage);
+  return () => {
+    window.removeEventListener(PLANS_CHANGED_EVENT, listener);
+    window.removeEventListener('storage', handleStorage);
+  };
+};
+
+// Instance ID from a /plan/{instanceId} URL, or null
+export const getPlanIdFromPath = (pathname = window.location.pathname) => {
+  const match = pathname.match(PLAN_PATH);
+  return match ? match[1] : null;
+};
+
+// Keep the address bar on the shareable link of the open plan (or / without one).
+// replaceState keeps the back button from stepping through plan IDs.
+export const syncPlanPath = (instanceId) => {
+  const path = instanceId ? `/plan/${instanceId}` : '/';
+  if (window.location.pathname !== path) {
+    window.history.replaceState(null, '', path);
+  }
+};
@@ -0,0 +1,40 @@
+import { listPlans, loadPlan, savePlan } from './planStorage';
+
+const SESSION_KEY = 'travel-planner:auth';
+
+// Store a session for `sub` whose tokens expire `expiresInMs` from now
+const signInAs = (sub, expiresInMs = 60 * 60 * 1000) => {
+  window.sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+    accessToken: `token-${sub}`,
+    idToken: null,
+    expiresAt: Date.now() + expiresInMs,
+    claims: { sub }
+  }));
+};
+
+describe('plan ownership', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+    window.sessionStorage.clear();
+  });
+
+  it('keeps saving and listing the plans of a session that expired', () => {
+    signInAs('ana');
+    savePlan('plan-1', { lastStatus: 'WaitingForApproval' });
+
+    signInAs('ana', -60 * 1000);
+    expect(savePlan('plan-1', { decisionSent: true })).toMatchObject({ owner: 'ana', decisionSent: true });
+    expect(savePlan('plan-2', {})).toMatchObject({ owner: 'ana' });
+    expect(listPlans().map(plan => plan.instanceId).sort()).toEqual(['plan-1', 'plan-2']);
+  });
+
+  it('hides plans from another account', () => {
+    signInAs('ana');
+    savePlan('plan-1', {});
+
+    signInAs('bob');
+    expect(listPlans()).toEqual([]);
+    expect(loadPlan('plan-1')).toBeNull();
+    expect(savePlan('plan-1', { decisionSent: true })).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+// Named travel request presets ("Family summer trip") the user can reload into
+// the form. Dates are left out - they are rarely right for the next trip.
+
+const PRESETS_KEY = 'travel-planner:request-presets';
+
+const readPresets = () => {
+  try {
+    const raw = window.localStorage.getItem(PRESETS_KEY);
+    return raw ? JSON.parse(raw) : [];
+  } catch (error) {
+    console.warn(`Could not read ${PRESETS_KEY} from localStorage:`, error);
+    return [];
+  }
+};
+
+const writePresets = (presets) => {
+  try {
+    window.localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+  } catch (error) {
+    console.warn(`Could not write ${PRESETS_KEY} to localStorage:`, error);
+  }
+  return presets;
+};
+
+// Saved presets as { name, form, savedAt }, sorted by name
+export const listPresets = () => readPresets()
+  .sort((a, b) => a.name.localeCompare(b.name));
+
+// Save the form under `name`, replacing a preset with the same name.
+// Returns the updated list.
+export const savePreset = (name, form) => {
+  const { startDate, endDate, ...rest } = form;
+  const presets = readPresets().filter(preset => preset.name !== name);
+  presets.push({ name, form: rest, savedAt: new Date().toISOString() });
+  writePresets(presets);
+  return listPresets();
+};
+
+export const removePreset = (name) => {
+  writePresets(readPresets().filter(preset => preset.name !== name));
+  return listPresets();
+};
@@ -0,0 +1,168 @@
+import { SUPPORTED_CURRENCIES } from '../utils/costs';
+
+// Runtime configuration. public/config.js sets window.RUNTIME_CONFIG, and the
+// container rewrites it from environment variables at startup (inject-config.sh),
+// so one image can serve several deployments. Every key is optional: missing
+// or empty values use the default, malformed ones are reported in the console
+// and replaced by the default.
+
+export const AUTH_MODES = ['none', 'oidc'];
+
+// Geocoding providers for the plan map (see services/geocoding)
+export const GEOCODER_PROVIDERS = ['static', 'nominatim'];
+
+// Key -> { type, default, ...constraints }. The keys match the environment
+// variables read by inject-config.sh.
+export const CONFIG_SCHEMA = {
+  API_URL: { type: 'url', default: process.env.REACT_APP_API_URL || 'http://localhost:8000' },
+  POLL_INTERVAL_MS: { type: 'integer', min: 500, max: 60000, default: 2000 },
+  APPROVAL_WARNING_MINUTES: { type: 'integer', min: 0, max: 24 * 60, default: 60 },
+  SHOW_APPROVAL_COUNTDOWN: { type: 'boolean', default: true },
+  ENABLE_DESTINATION_PICKER: { type: 'boolean', default: true },
+  ENABLE_CHAT_REFINEMENT: { type: 'boolean', default: true },
+  ENABLE_EXPORTS: { type: 'boolean', default: true },
+  ENABLE_MAP: { type: 'boolean', default: true },
+  ENABLE_TEAM_NOTIFICATIONS: { type: 'boolean', default: false },
+  ENABLE_AGENT_DETAILS: { type: 'boolean', default: true },
+  BRAND_TITLE: { type: 'string', default: '' },
+  BRAND_LOGO_URL: { type: 'url', default: '' },
+  BRAND_PRIMARY_COLOR: { type: 'color', default: '' },
+  BRAND_ACCENT_COLOR: { type: 'color', default: '' },
+  DEFAULT_CURRENCY: { type: 'enum', values: SUPPORTED_CURRENCIES, default: '' },
+  AUTH_MODE: { type: 'enum', values: AUTH_MODES, default: 'none' },
+  AUTH_ISSUER: { type: 'url', default: '' },
+  AUTH_CLIENT_ID: { type: 'string', default: '' },
+  AUTH_SCOPE: { type: 'string', default: 'openid profile email' },
+  AUTH_AUDIENCE: { type: 'string', default: '' },
+  AUTH_ROLES_CLAIM: { type: 'string', default: 'roles' },
+  ADMIN_ROLE: { type: 'string', default: 'admin' },
+  GEOCODER: { type: 'enum', values: GEOCODER_PROVIDERS, default: 'static' },
+  GEOCODER_URL: { type: 'url', default: '' }
+};
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+// Parsers return { value } or { error } describing what was expected. Values
+// arrive as strings from inject-config.sh, or as JSON types when config.js is
+// edited by hand.
+const PARSERS = {
+  string: (raw) => ({ value: String(raw).trim() }),
+  url: (raw) => {
+    const value = String(raw).trim();
+    if (value.startsWith('/')) return { value };
+    try {
+      const url = new URL(value);
+      if (url.protocol === 'http:' || url.protocol === 'https:') return { value };
+    } catch (error) {
+      // reported below
+    }
+    return { error: 'expected an http(s) URL or a path starting with /' };
+  },
+  integer: (raw, { min, max }) => {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `expected a whole number from ${min} to ${max}` };
+    }
+    return { value };
+  },
+  boolean: (raw) => {
+    if (typeof raw === 'boolean') return { value: raw };
+    const text = String(raw).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+    return { error: 'expected true or false' };
+  },
+  color: (raw) => {
+    const value = String(raw).trim();
+    return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+      ? { value }
+      : { error: 'expected a hex colour such as #1e40af' };
+  },
+  enum: (raw, { values }) => {
+    const value = String(raw).trim();
+    return values.includes(value) ? { value } : { error: `expected one of ${values.join(', ')}` };
+  }
+};
+
+// Unset: missing, empty, or still the __KEY__ placeholder from public/config.js
+const isUnset = (raw) => raw === undefined || raw === null || raw === '' || /^__\w+__$/.test(String(raw));
+
+// Validated config from a raw RUNTIME_CONFIG object. `onError` receives one
+// message per malformed or unknown key.
+export const parseRuntimeConfig = (raw = {}, { onError = console.error } = {}) => {
+  const values = {};
+  Object.entries(CONFIG_SCHEMA).forEach(([key, field]) => {
+    values[key] = field.default;
+    if (isUnset(raw[key])) return;
+    const result = PARSERS[field.type](raw[key], field);
+    if (result.error) {
+      onError(`Runtime config ${key}=${JSON.stringify(raw[key])} is invalid (${result.error}); using ${JSON.stringify(field.default)}.`);
+    } else {
+      values[key] = result.value;
+    }
+  });
+  Object.keys(raw)
+    .filter(key => !CONFIG_SCHEMA[key])
+    .forEach(key => onError(`Runtime config ${key} is not a known setting and is ignored.`));
+  if (values.AUTH_MODE === 'oidc' && (!values.AUTH_ISSUER || !values.AUTH_CLIENT_ID)) {
+    onError('Runtime config AUTH_MODE=oidc needs AUTH_ISSUER and AUTH_CLIENT_ID; sign-in is disabled.');
+    values.AUTH_MODE = 'none';
+  }
+
+  return {
+    apiUrl: values.API_URL,
+    pollIntervalMs: values.POLL_INTERVAL_MS,
+    approvalWarningMinutes: values.APPROVAL_WARNING_MINUTES,
+    showApprovalCountdown: values.SHOW_APPROVAL_COUNTDOWN,
+    features: {
+      destinationPicker: values.ENABLE_DESTINATION_PICKER,
+      chatRefinement: values.ENABLE_CHAT_REFINEMENT,
+      exports: values.ENABLE_EXPORTS,
+      map: values.ENABLE_MAP,
+      teamNotifications: values.ENABLE_TEAM_NOTIFICATIONS,
+      agentDetails: values.ENABLE_AGENT_DETAILS
+    },
+    branding: {
+      title: values.BRAND_TITLE,
+      logoUrl: values.BRAND_LOGO_URL,
+      primaryColor: values.BRAND_PRIMARY_COLOR,
+      accentColor: values.BRAND_ACCENT_COLOR
+    },
+    // '' keeps each plan in its own currency
+    defaultCurrency: values.DEFAULT_CURRENCY,
+    auth: {
+      mode: values.AUTH_MODE,
+      issuer: values.AUTH_ISSUER,
+      clientId: values.AUTH_CLIENT_ID,
+      scope: values.AUTH_SCOPE,
+      audience: values.AUTH_AUDIENCE,
+      // Dotted for nested claims, e.g. realm_access.roles
+      rolesClaim: values.AUTH_ROLES_CLAIM,
+      adminRole: values.ADMIN_ROLE
+    },
+    // '' uses the provider's public endpoint
+    geocoder: {
+      provider: values.GEOCODER,
+      url: values.GEOCODER_URL
+    }
+  };
+};
+
+let cachedConfig = null;
+
+// The deployment's config, parsed once from window.RUNTIME_CONFIG
+export const getRuntimeConfig = () => {
+  if (!cachedConfig) {
+    cachedConfig = parseRuntimeConfig(window.RUNTIME_CONFIG || {});
+  }
+  return cachedConfig;
+};
+
+// Brand colours and the page title, applied once at startup
+export const applyBranding = ({ branding } = getRuntimeConfig()) => {
+  const root = document.documentElement;
+  if (branding.primaryColor) root.style.setProperty('--brand-primary', branding.primaryColor);
+  if (branding.accentColor) root.style.setProperty('--brand-accent', branding.accentColor);
+  if (branding.title) document.title = branding.title;
+};
@@ -0,0 +1,165 @@
+import travelPlannerClient, {
+  InstanceNotFoundError,
+  UnauthorizedError,
+  ForbiddenError,
+  normalizeStatus
+} from './travelPlannerClient';
+import { getRuntimeConfig } from './runtimeConfig';
+
+// Fallback polling settings: start fast, slow down while nothing changes
+export const DEFAULT_POLLING = {
+  initialDelay: 2000,
+  maxDelay: 60000,
+  multiplier: 1.6,
+  jitter: 0.3
+};
+
+// Next polling delay: exponential growth capped at maxDelay, +/- jitter so
+// many open tabs don't hit the API in lockstep
+export const nextPollDelay = (attempt, options = DEFAULT_POLLING, random = Math.random) => {
+  const { initialDelay, maxDelay, multiplier, jitter } = { ...DEFAULT_POLLING, ...options };
+  const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt));
+  const spread = base * jitter;
+  return Math.round(base - spread + random() * spread * 2);
+};
+
+// Subscribe to status updates for one orchestration instance.
+//
+// Uses the server-sent status stream when the browser and API support it and
+// nobody is signed in, otherwise (or when the stream fails before delivering
+// anything) falls back to polling with exponential back-off that pauses while
+// the tab is hidden.
+// Stops by itself once a terminal step arrives.
+//
+// Returns an unsubscribe function.
+export const subscribeToStatus = (instanceId, {
+  onStatus,
+  onError,
+  client = travelPlannerClient,
+  polling = { ...DEFAULT_POLLING, initialDelay: getRuntimeConfig().pollIntervalMs },
+  useStream = true
+} = {}) => {
+  let stopped = false;
+  let eventSource = null;
+  let pollTimer = null;
+  let pollAttempt = 0;
+  let lastFingerprint = null;
+
+  const stop = () => {
+    stopped = true;
+    if (eventSource) {
+      eventSource.close();
+      eventSource = null;
+    }
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+
+  // Deliver a status; returns true when it differs from the previous one
+  const deliver = (status) => {
+    const fingerprint = JSON.stringify(status);
+    const changed = fingerprint !== lastFingerprint;
+    lastFingerprint = fingerprint;
+    if (changed && onStatus) onStatus(status);
+    if (status.isTerminal) stop();
+    return changed;
+  };
+
+  const schedulePoll = (delay) => {
+    if (stopped || document.hidden) return;
+    pollTimer = setTimeout(poll, delay);
+  };
+
+  const poll = async () => {
+    pollTimer = null;
+    if (stopped) return;
+    try {
+      const status = await client.getStatus(instanceId);
+      if (stopped) return;
+      // Any change means the orchestration is busy again - go back to fast polling
+      pollAttempt = deliver(status) ? 0 : pollAttempt + 1;
+    } catch (error) {
+      if (stopped) return;
+      if (onError) onError(error);
+      // Asking again will not change these answers
+      if (error instanceof InstanceNotFoundError || error instanceof UnauthorizedError || error instanceof ForbiddenError) {
+        stop();
+        return;
+      }
+      pollAttempt += 1;
+    }
+    schedulePoll(nextPollDelay(pollAttempt, polling));
+  };
+
+  // Hidden tabs don't poll; a tab coming back checks right away
+  function handleVisibilityChange() {
+    if (stopped || eventSource) return;
+    if (document.hidden) {
+      if (pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+      }
+    } else if (!pollTimer) {
+      pollAttempt = 0;
+      poll();
+    }
+  }
+
+  const startPolling = () => {
+    if (stopped) return;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    if (!document.hidden) poll();
+  };
+
+  const startStream = (url) => {
+    let received = false;
+    eventSource = new EventSource(url);
+
+    eventSource.addEventListener('status', (event) => {
+      received = true;
+      try {
+        deliver(normalizeStatus(JSON.parse(event.data)));
+      } catch (error) {
+        console.error('Malformed status event:', error);
+      }
+    });
+
+    // One handler for both kinds of failure. Errors the server reports itself
+    // (e.g. unknown instance) carry a JSON body with a `detail`; the server
+    // ends the stream after them, so report the error and carry on by polling.
+    // A connection-level failure has no data: if the stream never delivered
+    // anything it is probably not available (old API, proxy buffering) - switch
+    // to polling. Otherwise let EventSource reconnect on its own.
+    eventSource.onerror = (event) => {
+      if (stopped) return;
+      if (event.data) {
+        let detail = event.data;
+        try {
+          detail = JSON.parse(event.data).detail || detail;
+        } catch (error) {
+          // Not JSON - report the text as it is
+        }
+        if (onError) onError(new Error(detail));
+      }
+      if (event.data || !received || eventSource.readyState === EventSource.CLOSED) {
+        eventSource.close();
+        eventSource = null;
+        startPolling();
+      }
+    };
+  };
+
+  // No stream URL while signed in (see statusStreamUrl)
+  const streamUrl = useStream && typeof window.EventSource === 'function'
+    && client.statusStreamUrl && client.statusStreamUrl(instanceId);
+  if (streamUrl) {
+    startStream(streamUrl);
+  } else {
+    startPolling();
+  }
+
+  return stop;
+};
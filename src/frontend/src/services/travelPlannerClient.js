@@ -0,0 +1,348 @@
+import axios from 'axios';
+import { getRuntimeConfig } from './runtimeConfig';
+import { getAccessToken, isAuthEnabled, login } from './auth';
+
+// API URL from the runtime config (injected at container startup), else env/localhost
+export const getApiUrl = () => getRuntimeConfig().apiUrl;
+
+// Steps after which the orchestration will not change any more
+export const TERMINAL_STEPS = ['Completed', 'Rejected', 'Expired', 'Error', 'Failed'];
+
+export const isTerminalStep = (step) => TERMINAL_STEPS.includes(step);
+
+// Base class for every error raised by the client
+export class TravelPlannerError extends Error {
+  constructor(message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'TravelPlannerError';
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// The API does not know the requested orchestration instance (HTTP 404)
+export class InstanceNotFoundError extends TravelPlannerError {
+  constructor(instanceId, options) {
+    super(`Travel plan ${instanceId} was not found`, { status: 404, ...options });
+    this.name = 'InstanceNotFoundError';
+    this.instanceId = instanceId;
+  }
+}
+
+// The API needs a (new) sign-in (HTTP 401)
+export class UnauthorizedError extends TravelPlannerError {
+  constructor(message, options) {
+    super(message, { status: 401, ...options });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+// The signed-in user may not see or act on this plan (HTTP 403)
+export class ForbiddenError extends TravelPlannerError {
+  constructor(message, options) {
+    super(message, { status: 403, ...options });
+    this.name = 'ForbiddenError';
+  }
+}
+
+// The API answered with a 5xx status
+export class ServerError extends TravelPlannerError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'ServerError';
+  }
+}
+
+// The request never got an answer (offline, DNS, CORS, connection reset)
+export class NetworkError extends TravelPlannerError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+}
+
+// The request, or a waitForStep call, ran out of time
+export class RequestTimeoutError extends TravelPlannerError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'RequestTimeoutError';
+  }
+}
+
+// Map an axios error to one of the typed errors above
+const toTravelPlannerError = (error, instanceId) => {
+  if (error instanceof TravelPlannerError) return error;
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new RequestTimeoutError('The travel planner API did not respond in time', { cause: error });
+  }
+
+  const response = error.response;
+  if (!response) {
+    return new NetworkError('Could not reach the travel planner API', { cause: error });
+  }
+
+  const detail = (response.data && response.data.detail) || error.message;
+  if (response.status === 401) {
+    return new UnauthorizedError(detail, { cause: error });
+  }
+  if (response.status === 403) {
+    return new ForbiddenError(detail, { cause: error });
+  }
+  if (response.status === 404 && instanceId) {
+    return new InstanceNotFoundError(instanceId, { cause: error });
+  }
+  if (response.status >= 500) {
+    return new ServerError(detail, { status: response.status, cause: error });
+  }
+  return new TravelPlannerError(detail, { status: response.status, cause: error });
+};
+
+// Only transient failures are worth another attempt
+const isRetryable = (error) => error instanceof NetworkError
+  || error instanceof ServerError
+  || error instanceof RequestTimeoutError;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Final output of an orchestration whose approval timer won
+const TIMED_OUT_PATTERN = /timed out waiting for approval/i;
+
+// Booking details of a completed plan. Backends that only report the booking
+// ID (custom status `booking_id`) get a record with just that.
+export const normalizeBooking = (data = {}) => {
+  const booking = data.booking || null;
+  const bookingId = (booking && booking.bookingId) || data.bookingId || data.booking_id || null;
+  if (!booking && !bookingId) return null;
+  return {
+    bookingId,
+    confirmationNumber: (booking && booking.confirmationNumber) || bookingId,
+    destination: (booking && booking.destination) || data.destination || null,
+    travelDates: (booking && booking.travelDates) || null,
+    totalCost: (booking && booking.totalCost) || null,
+    bookingDate: (booking && booking.bookingDate) || null,
+    message: (booking && booking.message) || null,
+    nextSteps: (booking && booking.nextSteps) || null
+  };
+};
+
+// The status endpoint returns step, message, progress etc. as flat fields;
+// collect them into one status object the UI can rely on. A "Completed" run
+// that timed out waiting for approval (older backends don't report "Expired")
+// is reported as Expired.
+export const normalizeStatus = (data = {}) => {
+  const timedOut = data.step === 'Completed' && TIMED_OUT_PATTERN.test(data.finalPlan || '');
+  const step = timedOut ? 'Expired' : data.step || 'Starting';
+  return {
+    id: data.id || null,
+    step,
+    message: data.message || null,
+    progress: data.progress ?? null,
+    destination: data.destination || null,
+    itinerary: data.itinerary || null,
+    travelPlan: data.travelPlan || null,
+    documentUrl: data.documentUrl || null,
+    finalPlan: data.finalPlan || null,
+    feedback: data.feedback || null,
+    approvalDeadline: data.approvalDeadline || null,
+    destinations: data.destinations || null,
+    choiceDeadline: data.choiceDeadline || null,
+    revision: data.revision ?? null,
+    refinements: data.refinements || null,
+    stepHistory: data.stepHistory || null,
+    booking: normalizeBooking(data),
+    isTerminal: isTerminalStep(step)
+  };
+};
+
+// `getAccessToken` supplies the bearer token sent with every call (none when it
+// returns null); `onUnauthorized` is called when the API answers 401.
+export const createTravelPlannerClient = ({
+  baseUrl = getApiUrl(),
+  timeout = 15000,
+  retries = 2,
+  retryDelay = 500,
+  getAccessToken: accessToken = () => null,
+  onUnauthorized = null
+} = {}) => {
+  const http = axios.create({
+    baseURL: baseUrl,
+    timeout,
+    headers: {
+      'Content-Type': 'application/json'
+    }
+  });
+
+  http.interceptors.request.use(config => {
+    const token = accessToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+
+  // Run a request, retrying transient failures with a linear back-off.
+  // Only idempotent calls pass attempts > 1 - resending a POST could start a second plan.
+  const send = async (request, { instanceId, attempts = 1 } = {}) => {
+    let lastError;
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        const response = await request();
+        return response.data;
+      } catch (error) {
+        lastError = toTravelPlannerError(error, instanceId);
+        if (lastError instanceof UnauthorizedError && onUnauthorized) onUnauthorized(lastError);
+        if (attempt === attempts || !isRetryable(lastError)) break;
+        await sleep(retryDelay * attempt);
+      }
+    }
+    throw lastError;
+  };
+
+  // Start a new travel planning orchestration; resolves to { id, status, message }
+  const startPlan = (travelRequest) =>
+    send(() => http.post('/travel-planner', travelRequest));
+
+  // Fetch and normalize the current status of an orchestration
+  const getStatus = async (instanceId) => {
+    const data = await send(
+      () => http.get(`/travel-planner/status/${instanceId}`),
+      { instanceId, attempts: retries + 1 }
+    );
+    return normalizeStatus(data);
+  };
+
+  // Pick which of the recommended destinations the itinerary is built for
+  const chooseDestination = (instanceId, destinationName) =>
+    send(
+      () => http.post(`/travel-planner/choose-destination/${instanceId}`, { destinationName }),
+      { instanceId }
+    );
+
+  // Ask for changes to a plan that is waiting for approval
+  const refine = (instanceId, message) =>
+    send(
+      () => http.post(`/travel-planner/refine/${instanceId}`, { message }),
+      { instanceId }
+    );
+
+  // `approval` is a comments string, or the structured payload from utils/approval
+  const approve = (instanceId, approval = '') => {
+    const body = typeof approval === 'string' ? { comments: approval } : approval;
+    return send(
+      () => http.post(`/travel-planner/approve/${instanceId}`, { approved: true, ...body }),
+      { instanceId }
+    );
+  };
+
+  const reject = (instanceId, comments = '') =>
+    send(
+      () => http.post(`/travel-planner/reject/${instanceId}`, { approved: false, comments }),
+      { instanceId }
+    );
+
+  // The agent calls behind a plan (see utils/agentRuns). Only available once
+  // planning has finished - the API answers 409 before that.
+  const getAgentRuns = async (instanceId) => {
+    const data = await send(
+      () => http.get(`/travel-planner/agent-runs/${instanceId}`),
+      { instanceId, attempts: retries + 1 }
+    );
+    return data.agentRuns || [];
+  };
+
+  // Poll until the orchestration reaches one of `steps` (or any terminal step).
+  // Resolves to the matching status; rejects with RequestTimeoutError after `timeout` ms.
+  const waitForStep = async (instanceId, steps, {
+    interval = 2000,
+    timeout: waitTimeout = 10 * 60 * 1000,
+    onStatus
+  } = {}) => {
+    const wanted = Array.isArray(steps) ? steps : [steps];
+    const deadline = Date.now() + waitTimeout;
+
+    while (true) {
+      const status = await getStatus(instanceId);
+      if (onStatus) onStatus(status);
+      if (wanted.includes(status.step) || status.isTerminal) {
+        return status;
+      }
+      if (Date.now() + interval > deadline) {
+        throw new RequestTimeoutError(
+          `Travel plan ${instanceId} did not reach ${wanted.join('/')} in time`
+        );
+      }
+      await sleep(interval);
+    }
+  };
+
+  // Admin API (needs the admin role; see AdminConsole). Instances are
+  // { instanceId, name, runtimeStatus, createdAt, lastUpdatedAt, step, userName };
+  // `runtimeStatus` filters by one OrchestrationStatus, e.g. RUNNING.
+  const listInstances = async ({ runtimeStatus = '', limit = 100 } = {}) => {
+    const params = runtimeStatus ? { runtime_status: runtimeStatus, limit } : { limit };
+    const data = await send(() => http.get('/admin/instances', { params }), { attempts: retries + 1 });
+    return data.instances || [];
+  };
+
+  // An instance with its raw input, customStatus, output and failureDetails
+  const getInstance = (instanceId) =>
+    send(() => http.get(`/admin/instances/${instanceId}`), { instanceId, attempts: retries + 1 });
+
+  // Approve or reject on the traveller's behalf
+  const raiseApprovalEvent = (instanceId, approved, comments = '') =>
+    send(
+      () => http.post(`/admin/instances/${instanceId}/approval-event`, { approved, comments }),
+      { instanceId }
+    );
+
+  const terminateInstance = (instanceId, reason = '') =>
+    send(() => http.post(`/admin/instances/${instanceId}/terminate`, { reason }), { instanceId });
+
+  const suspendInstance = (instanceId, reason = '') =>
+    send(() => http.post(`/admin/instances/${instanceId}/suspend`, { reason }), { instanceId });
+
+  const resumeInstance = (instanceId, reason = '') =>
+    send(() => http.post(`/admin/instances/${instanceId}/resume`, { reason }), { instanceId });
+
+  // Delete a finished instance and its history
+  const purgeInstance = (instanceId) =>
+    send(() => http.delete(`/admin/instances/${instanceId}`), { instanceId });
+
+  // URL of the server-sent status stream (see statusStream.js), or null when
+  // signed in: EventSource cannot send the token in a header, and in the query
+  // string it would end up in access logs, so signed-in users poll instead
+  const statusStreamUrl = (instanceId) => (accessToken()
+    ? null
+    : `${baseUrl.replace(/\/$/, '')}/travel-planner/stream/${instanceId}`);
+
+  return {
+    startPlan,
+    getStatus,
+    chooseDestination,
+    refine,
+    approve,
+    reject,
+    getAgentRuns,
+    waitForStep,
+    statusStreamUrl,
+    listInstances,
+    getInstance,
+    raiseApprovalEvent,
+    terminateInstance,
+    suspendInstance,
+    resumeInstance,
+    purgeInstance
+  };
+};
+
+// Shared client for the app, configured from the runtime config. With sign-in
+// enabled it sends the user's token and goes back to sign-in when it is refused.
+const travelPlannerClient = createTravelPlannerClient({
+  getAccessToken,
+  onUnauthorized: () => {
+    if (isAuthEnabled()) {
+      login().catch(error => console.error('Could not start sign-in:', error));
+    }
+  }
+});
+
+export default travelPlannerClient;
@@ -3,3 +3,12 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { toHaveNoViolations } from 'jest-axe';
+
+// jsdom (jest 27) has no TextEncoder/TextDecoder; the exports and auth use them
+import { TextEncoder, TextDecoder } from 'util';
+
+Object.assign(global, { TextEncoder, TextDecoder });
+
+// expect(await axe(container)).toHaveNoViolations() for the accessibility checks
+expect.extend(toHaveNoViolations);
@@ -0,0 +1,182 @@
+// In-memory travel planner API for component tests. Answers the requests the
+// mocked axios (src/__mocks__/axios.js) receives, and walks each new plan
+// through the scenarios scripts/mock-api.js runs (scripts/mock-scenarios.js)
+// on timers - tests drive it with jest's fake timers. Only the traveller
+// routes are served.
+import { setRequestHandler } from 'axios';
+import {
+  SCENARIOS,
+  SAMPLE_PLAN,
+  DESTINATIONS,
+  REJECTION_FEEDBACK,
+  ERROR_MESSAGE,
+  isoSeconds,
+  startedStatus,
+  choosingStatus,
+  planningSteps,
+  rejectedStatus,
+  expiredStatus,
+  bookingStatus,
+  completedStatus,
+  flakyFailure
+} from '../../scripts/mock-scenarios';
+
+export { SCENARIOS, SAMPLE_PLAN, DESTINATIONS, REJECTION_FEEDBACK, ERROR_MESSAGE };
+
+// Time between two orchestration steps
+export const STEP_MS = 3000;
+
+// How long the rejection and timeout scenarios leave a plan waiting for
+// approval: longer than a polling gap, so the chat always gets to show it
+export const REVIEW_MS = 30000;
+
+// SAMPLE_PLAN the way the chat hands it to TravelPlanView and ApprovalPanel
+export const SAMPLE_VIEW_PLAN = {
+  Plan: {
+    itinerary: {
+      destinationName: 'Lisbon',
+      travelDates: SAMPLE_PLAN.dates,
+      estimatedTotalCost: SAMPLE_PLAN.cost,
+      dailyPlan: SAMPLE_PLAN.dailyPlan
+    },
+    attractions: SAMPLE_PLAN.attractions,
+    restaurants: SAMPLE_PLAN.restaurants,
+    insiderTips: SAMPLE_PLAN.insiderTips
+  }
+};
+
+const json = (status, data) => ({ status, data });
+
+// Plan IDs stay unique across installs: the chat remembers which plan it has shown
+let nextId = 1;
+
+// Install a fake API answering every plan with `scenario`. Returns the API's
+// state for assertions: `requests` made, `instances` by id, `failedRequests`
+// (status requests the flaky scenario failed on purpose) and `lastPlanId()`.
+export const installFakeTravelPlannerApi = ({ scenario = 'happy' } = {}) => {
+  if (!SCENARIOS[scenario]) throw new Error(`Unknown scenario ${scenario}`);
+  const api = {
+    requests: [],
+    instances: new Map(),
+    failedRequests: 0,
+    lastPlanId: () => [...api.instances.keys()].pop() || null
+  };
+
+  const setStatus = (instance, status) => {
+    if (!instance.status || instance.status.step !== status.step) {
+      instance.stepHistory = [...instance.stepHistory, { step: status.step, startedAt: isoSeconds(Date.now()) }];
+    }
+    instance.status = { ...status, stepHistory: instance.stepHistory };
+  };
+
+  // Like the orchestration's approval timer, a plan nobody decides on expires -
+  // reported a step after its deadline, as the timer and status update take a moment
+  const continuePlanning = (instance, destination) => {
+    planningSteps(destination, scenario).forEach((status, index) => {
+      setTimeout(() => {
+        if (status.step !== 'WaitingForApproval') {
+          setStatus(instance, status);
+          return;
+        }
+        const approvalTimeout = scenario === 'timeout' ? REVIEW_MS : 24 * 60 * 60 * 1000;
+        const approvalDeadline = isoSeconds(Date.now() + approvalTimeout);
+        setStatus(instance, { ...status, approvalDeadline, revision: 0, refinements: [] });
+        if (scenario === 'rejection') {
+          setTimeout(() => {
+            if (instance.status.step !== 'WaitingForApproval') return;
+            setStatus(instance, rejectedStatus(destination, REJECTION_FEEDBACK));
+          }, REVIEW_MS);
+        }
+        setTimeout(() => {
+          if (instance.status.step !== 'WaitingForApproval') return;
+          setStatus(instance, expiredStatus(destination, approvalDeadline));
+        }, approvalTimeout + STEP_MS);
+      }, index * STEP_MS);
+    });
+  };
+
+  const createInstance = (request) => {
+    const instance = { id: `plan-${nextId++}`, request, status: null, stepHistory: [], statusRequests: 0 };
+    api.instances.set(instance.id, instance);
+    setStatus(instance, startedStatus());
+    setTimeout(() => {
+      if (!request.chooseDestination) {
+        continuePlanning(instance, DESTINATIONS[0].DestinationName);
+        return;
+      }
+      setStatus(instance, choosingStatus());
+    }, STEP_MS);
+    return instance;
+  };
+
+  // Status requests of a flaky plan fail now and then (see flakyFailure);
+  // `not-found` plans are never found
+  const failStatusRequest = (instance) => {
+    if (scenario === 'not-found') return json(404, { detail: `Orchestration ${instance.id} not found` });
+    if (scenario !== 'flaky') return null;
+    instance.statusRequests += 1;
+    const failure = flakyFailure(instance.statusRequests);
+    if (!failure) return null;
+    api.failedRequests += 1;
+    if (failure === 'dropped') throw new Error('Connection reset');
+    return json(503, { detail: 'Service temporarily unavailable' });
+  };
+
+  const approve = (instance) => {
+    const { destination } = instance.status;
+    const bookingId = 'TRV-123456';
+    setStatus(instance, bookingStatus(destination));
+    setTimeout(() => setStatus(instance, completedStatus({
+      destination,
+      bookingId,
+      travelDates: SAMPLE_PLAN.dates,
+      totalCost: SAMPLE_PLAN.cost,
+      bookingDate: '2025-06-01'
+    })), STEP_MS);
+  };
+
+  const routes = [
+    ['post', /^\/travel-planner$/, (config) => {
+      const instance = createInstance(config.data || {});
+      return json(200, { id: instance.id, status: 'scheduled', message: 'Travel planning workflow has been started.' });
+    }],
+    ['get', /^\/travel-planner\/status\/([^/]+)$/, (config, instance) => (
+      failStatusRequest(instance) || json(200, { id: instance.id, ...instance.status })
+    )],
+    ['post', /^\/travel-planner\/choose-destination\/([^/]+)$/, ({ data }, instance) => {
+      if (instance.status.step !== 'ChoosingDestination') {
+        return json(409, { detail: `Orchestration ${instance.id} is not waiting for a destination choice` });
+      }
+      if (!DESTINATIONS.some(d => d.DestinationName === data.destinationName)) {
+        return json(400, { detail: `${data.destinationName} is not one of the offered destinations` });
+      }
+      continuePlanning(instance, data.destinationName);
+      return json(200, { id: instance.id, action: 'destination_chosen' });
+    }],
+    ['post', /^\/travel-planner\/approve\/([^/]+)$/, (config, instance) => {
+      approve(instance);
+      return json(200, { id: instance.id, action: 'approved' });
+    }],
+    ['post', /^\/travel-planner\/reject\/([^/]+)$/, ({ data }, instance) => {
+      setStatus(instance, rejectedStatus(instance.status.destination, data.comments || ''));
+      return json(200, { id: instance.id, action: 'rejected' });
+    }]
+  ];
+
+  setRequestHandler(async (config) => {
+    api.requests.push({ method: config.method, url: config.url, data: config.data });
+    for (const [method, pattern, handler] of routes) {
+      const match = config.method === method && config.url.match(pattern);
+      if (!match) continue;
+      if (!match[1]) return handler(config);
+      const instance = api.instances.get(match[1]);
+      return instance ? handler(config, instance) : json(404, { detail: `Orchestration ${match[1]} not found` });
+    }
+    return json(404, { detail: 'Not Found' });
+  });
+
+  return api;
+};
+
+// Remove the fake API; requests fail like a dropped connection again
+export const uninstallFakeTravelPlannerApi = () => setRequestHandler(null);
@@ -0,0 +1,50 @@
+// The agent calls behind a finished plan, from GET /travel-planner/agent-runs/{id}
+// (travelPlannerClient.getAgentRuns): one entry per call, as { agent, step, revision, inputs, prompt, output, rawResponse?,
+// startedAt, finishedAt, durationSeconds } (see agent_run_record in
+// src/api/worker.py). `output` is null, and `rawResponse` set, when the
+// agent's answer could not be parsed.
+
+// Recommendations of a DestinationRecommenderAgent run, best match first
+export const rankedDestinations = (run) => {
+  const recommendations = (run.output && run.output.Recommendations) || [];
+  return [...recommendations].sort((a, b) => (b.MatchScore || 0) - (a.MatchScore || 0));
+};
+
+// What a run produced, as an i18n key and its params; null when there is no
+// output to summarize
+export const summarizeAgentRun = (run) => {
+  const output = run.output;
+  if (!output) return null;
+  if (Array.isArray(output.Recommendations)) {
+    return { key: 'agents.summary.destinations', params: { count: output.Recommendations.length } };
+  }
+  if (Array.isArray(output.DailyPlan)) {
+    const activities = output.DailyPlan.reduce((total, day) => total + (day.Activities || []).length, 0);
+    return {
+      key: 'agents.summary.itinerary',
+      params: { count: output.DailyPlan.length, activities, cost: output.EstimatedTotalCost || '—' }
+    };
+  }
+  if (Array.isArray(output.Attractions) || Array.isArray(output.Restaurants)) {
+    return {
+      key: 'agents.summary.local',
+      params: { count: (output.Attractions || []).length, restaurants: (output.Restaurants || []).length }
+    };
+  }
+  return null;
+};
+
+// Seconds the agents spent on the plan altogether
+export const totalAgentSeconds = (runs) =>
+  Math.round(runs.reduce((total, run) => total + (Number(run.durationSeconds) || 0), 0) * 10) / 10;
+
+// Everything about how plan `instanceId` was made - its `status` and agent
+// `runs` - as JSON to paste into a support ticket
+export const agentRunsReport = (instanceId, status, runs) => JSON.stringify({
+  instanceId,
+  step: status.step,
+  destination: status.destination,
+  revision: status.revision,
+  refinements: status.refinements,
+  agentRuns: runs
+}, null, 2);
@@ -0,0 +1,125 @@
+// Approval decisions: the plan items a reviewer can drop, the structured payload
+// sent to POST /travel-planner/approve/{id}, and a readable summary of it.
+import { analyzePlanCosts, detectPlanCurrency, formatMoney } from './costs';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+const planSection = (plan) => (plan && plan.Plan) || {};
+
+// Every item of a plan that can be dropped, as { key, type, name, day, index, cost }.
+// An item is identified by its position: `index` in its day's activities, or in
+// the attractions or restaurants - the way apply_removed_items in src/api/worker.py
+// finds it, so two items with the same name are never confused.
+export const listPlanItems = (plan) => {
+  const section = planSection(plan);
+  const activities = ((section.itinerary && section.itinerary.dailyPlan) || []).flatMap(day =>
+    (day.Activities || []).map((activity, index) => ({
+      key: `activity:${day.Day}:${index}`,
+      type: 'activity',
+      name: activity.ActivityName,
+      day: day.Day,
+      index,
+      cost: activity.EstimatedCost
+    })));
+  const attractions = (section.attractions || []).map((attraction, index) => ({
+    key: `attraction:${index}`,
+    type: 'attraction',
+    name: attraction.Name,
+    day: null,
+    index,
+    cost: attraction.EstimatedCost
+  }));
+  const restaurants = (section.restaurants || []).map((restaurant, index) => ({
+    key: `restaurant:${index}`,
+    type: 'restaurant',
+    name: restaurant.Name,
+    day: null,
+    index,
+    cost: restaurant.PriceRange
+  }));
+  return [...activities, ...attractions, ...restaurants];
+};
+
+// Copy of the plan without the items whose keys are in `removedKeys`
+export const applyRemovedItems = (plan, removedKeys) => {
+  if (!plan || removedKeys.length === 0) return plan;
+  const removed = new Set(removedKeys);
+  const section = planSection(plan);
+  const itinerary = section.itinerary || {};
+
+  return {
+    ...plan,
+    Plan: {
+      ...section,
+      itinerary: {
+        ...itinerary,
+        dailyPlan: (itinerary.dailyPlan || []).map(day => ({
+          ...day,
+          Activities: (day.Activities || []).filter((_, index) => !removed.has(`activity:${day.Day}:${index}`))
+        }))
+      },
+      attractions: (section.attractions || []).filter((_, index) => !removed.has(`attraction:${index}`)),
+      restaurants: (section.restaurants || []).filter((_, index) => !removed.has(`restaurant:${index}`))
+    }
+  };
+};
+
+// Cost of the trip as approved, in `currency`: the planner's own total (lodging
+// and transport included) less the activities left out, or the activities kept
+// when the planner gave no total. book_trip in src/api/worker.py checks the
+// spending cap against the same figure.
+export const approvedTotal = (plan, removedKeys, { currency } = {}) => {
+  const costs = analyzePlanCosts(plan, { currency });
+  const kept = analyzePlanCosts(applyRemovedItems(plan, removedKeys), {
+    currency: costs.currency,
+    planCurrency: detectPlanCurrency(plan, costs.currency)
+  });
+  const total = costs.statedTotal === null
+    ? kept.total
+    : costs.statedTotal - (costs.categories.activities.total - kept.categories.activities.total);
+  return { currency: costs.currency, total: Math.round(total * 100) / 100 };
+};
+
+// Structured approval for the approve endpoint (see ApprovalRequest in src/api/app.py).
+// `estimatedTotal` is the approvedTotal of the plan, in `currency`.
+export const buildApprovalPayload = (plan, { comments = '', removedKeys = [], spendingCap = null, currency }) => {
+  const removed = new Set(removedKeys);
+  const approved = approvedTotal(plan, removedKeys, { currency });
+
+  return {
+    comments: comments.trim(),
+    removedItems: listPlanItems(plan)
+      .filter(item => removed.has(item.key))
+      .map(({ type, name, day, index }) => ({ type, name, day, index })),
+    spendingCap,
+    currency: approved.currency,
+    estimatedTotal: approved.total
+  };
+};
+
+// Markdown summary of an approval payload for the chat, in the language of `t`
+// (the i18n translate function, English by default) and money in `locale`
+export const summarizeApproval = (payload, {
+  locale = DEFAULT_LOCALE,
+  t = (key, params) => translate(DEFAULT_LOCALE, key, params)
+} = {}) => {
+  const money = (amount) => formatMoney(amount, payload.currency, locale);
+  const lines = [t('approval.summary.title'), ''];
+  lines.push(t('approval.summary.cost', { amount: money(payload.estimatedTotal) }));
+  if (payload.spendingCap !== null) {
+    lines.push(t('approval.summary.cap', { amount: money(payload.spendingCap) }));
+  }
+  if (payload.removedItems.length > 0) {
+    const dropped = payload.removedItems
+      .map(item => t(item.day ? 'approval.summary.itemOnDay' : 'approval.summary.item', {
+        type: t(`approval.type.${item.type}`),
+        name: item.name,
+        day: item.day
+      }))
+      .join('; ');
+    lines.push(t('approval.summary.leftOut', { items: dropped }));
+  }
+  if (payload.comments) {
+    lines.push(t('approval.summary.comments', { comments: payload.comments }));
+  }
+  return lines.join('\n');
+};
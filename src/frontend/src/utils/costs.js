@@ -0,0 +1,309 @@
+// Cost parsing for the free-text costs the agents return ("25 EUR (27 USD)",
+// "$45 per person", "Free", "$$") and the user's free-text budget
+// ("Luxury, around $10000 total"), plus conversion between currencies.
+
+// Units per USD. Mirrors _FALLBACK_RATES in src/api/tools/currency_converter.py,
+// so client-side conversions agree with what the itinerary agent used.
+export const FALLBACK_RATES = {
+  USD: 1.0,
+  EUR: 0.92,
+  GBP: 0.79,
+  JPY: 149.50,
+  CAD: 1.36,
+  AUD: 1.53,
+  CHF: 0.88,
+  CNY: 7.24,
+  INR: 83.12,
+  MXN: 17.15,
+  BRL: 4.97,
+  KRW: 1320.0,
+  SGD: 1.34,
+  HKD: 7.82,
+  NOK: 10.85,
+  SEK: 10.42,
+  DKK: 6.87,
+  NZD: 1.64,
+  ZAR: 18.65,
+  THB: 35.50
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(FALLBACK_RATES);
+
+// Symbols the agents use in place of a currency code. Multi-character symbols
+// come first so "C$" is not read as "$".
+const CURRENCY_SYMBOLS = [
+  ['C$', 'CAD'],
+  ['A$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['S$', 'SGD'],
+  ['MX$', 'MXN'],
+  ['R$', 'BRL'],
+  ['$', 'USD'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['฿', 'THB']
+];
+
+const CURRENCY_WORDS = {
+  dollar: 'USD',
+  dollars: 'USD',
+  dólar: 'USD',
+  dólares: 'USD',
+  euro: 'EUR',
+  euros: 'EUR',
+  pound: 'GBP',
+  pounds: 'GBP',
+  libra: 'GBP',
+  libras: 'GBP',
+  livre: 'GBP',
+  livres: 'GBP',
+  yen: 'JPY',
+  yens: 'JPY'
+};
+
+// Rough per-person meal price for "$" .. "$$$$" price ranges, in USD
+const PRICE_LEVEL_USD = [0, 15, 35, 70, 120];
+
+// Budget tiers and the words that signal them
+const BUDGET_TIERS = [
+  ['luxury', /luxur|premium|high[- ]end|splurge/i],
+  ['mid-range', /mid[- ]?range|moderate|comfortable|standard/i],
+  ['budget', /budget|cheap|economy|backpack|low[- ]cost|affordable/i]
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const SYMBOL_PATTERN = CURRENCY_SYMBOLS.map(([symbol]) => escapeRegExp(symbol)).join('|');
+
+// A number with English ("1,500.50") or European ("1.500,50", "1 500") separators
+const NUMBER = '\\d{1,3}(?:[.,\\u00a0\\u202f ]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d+(?:[.,]\\d+)?';
+
+// Symbol or ISO code before the amount ("$40", "USD 40"), optional "k", optional
+// range end, and a code, word or symbol after it ("40 USD", "40 euros", "15€").
+// A symbol followed by another number belongs to that one ("Day 1 $20").
+const AMOUNT_PATTERN = new RegExp(
+  `(?:(${SYMBOL_PATTERN})|\\b([A-Z]{3})\\s)?\\s*(${NUMBER})(\\s*k\\b)?` +
+  `(?:\\s*(?:-|–|to)\\s*(?:${SYMBOL_PATTERN}|[A-Z]{3}\\s)?\\s*(${NUMBER})(\\s*k\\b)?)?` +
+  `\\s*(?:(${SYMBOL_PATTERN})(?!\\s*\\d)|([A-Z]{3}\\b|\\p{L}+))?`,
+  'gu'
+);
+
+// "1,500" and "1.500" are thousands; "12,50" and "1.5" are decimals. With both
+// separators the last one is the decimal point.
+const toNumber = (digits, thousands) => {
+  const compact = digits.replace(/[\u00a0\u202f ]/g, '');
+  const separators = compact.match(/[.,]/g) || [];
+  let normalized;
+  if (new Set(separators).size > 1) {
+    const decimal = compact.lastIndexOf('.') > compact.lastIndexOf(',') ? '.' : ',';
+    normalized = compact.replace(decimal === '.' ? /,/g : /\./g, '').replace(',', '.');
+  } else if (separators.length > 1 || /^\d{1,3}[.,]\d{3}$/.test(compact)) {
+    normalized = compact.replace(/[.,]/g, '');
+  } else {
+    normalized = compact.replace(',', '.');
+  }
+  return parseFloat(normalized) * (thousands ? 1000 : 1);
+};
+
+const symbolCurrency = (symbol) => {
+  const entry = CURRENCY_SYMBOLS.find(([s]) => s === symbol);
+  return entry ? entry[1] : null;
+};
+
+// Every amount in a string, in order, as { amount, currency, isRange }.
+// Ranges ("10-20 EUR") count as their midpoint.
+export const parseAmounts = (text) => {
+  if (text === null || text === undefined) return [];
+  if (typeof text === 'number') return [{ amount: text, currency: null, isRange: false }];
+
+  const results = [];
+  for (const match of String(text).matchAll(AMOUNT_PATTERN)) {
+    const [, symbol, prefixCode, low, lowK, high, highK, suffixSymbol, suffix] = match;
+    const from = toNumber(low, lowK);
+    const to = high ? toNumber(high, highK || lowK) : null;
+    const suffixCode = suffix && (FALLBACK_RATES[suffix] ? suffix : CURRENCY_WORDS[suffix.toLowerCase()]);
+    results.push({
+      amount: to !== null ? (from + to) / 2 : from,
+      currency: suffixCode
+        || symbolCurrency(suffixSymbol)
+        || symbolCurrency(symbol)
+        || (FALLBACK_RATES[prefixCode] ? prefixCode : null),
+      isRange: to !== null
+    });
+  }
+  return results;
+};
+
+// Parse one cost string into
+//   { amount, currency, perPerson, isFree, isEstimate }
+// or null when it holds no amount ("Varies", "TBD").
+// "25 EUR (27 USD)" gives the first (local) amount. Price ranges like "$$"
+// become an estimated per-person meal price in USD.
+export const parseCost = (text) => {
+  if (text === null || text === undefined || text === '') return null;
+  const value = String(text).trim();
+
+  if (/^(free|no charge|included)\b/i.test(value)) {
+    return { amount: 0, currency: null, perPerson: false, isFree: true, isEstimate: false };
+  }
+
+  const priceLevel = value.match(/^([$€£¥])\1{0,3}$/);
+  if (priceLevel) {
+    return {
+      amount: PRICE_LEVEL_USD[value.length],
+      currency: 'USD',
+      perPerson: true,
+      isFree: false,
+      isEstimate: true
+    };
+  }
+
+  const [first] = parseAmounts(value);
+  if (!first) return null;
+  return {
+    amount: first.amount,
+    currency: first.currency,
+    perPerson: /per person|\bpp\b|\/person|each|per head/i.test(value),
+    isFree: false,
+    isEstimate: first.isRange || /approx|around|about|~|estimate/i.test(value)
+  };
+};
+
+// First amount in a cost string as { amount, currency }, or null
+export const parseAmount = (text) => {
+  const cost = parseCost(text);
+  return cost ? { amount: cost.amount, currency: cost.currency } : null;
+};
+
+// Parse the user's budget, e.g. "Luxury, around $10000 total" ->
+//   { amount: 10000, currency: 'USD', tier: 'luxury' }
+// amount and currency are null when the budget is only a tier. An amount with
+// a currency wins over bare numbers ("Mid-range, 2 people, €3000" is 3000 EUR).
+export const parseBudget = (text) => {
+  if (!text) return null;
+  const value = String(text);
+  const tierEntry = BUDGET_TIERS.find(([, pattern]) => pattern.test(value));
+  const amounts = parseAmounts(value);
+  const best = amounts.find(amount => amount.currency) || amounts[0];
+  if (!best && !tierEntry) return null;
+  return {
+    amount: best ? best.amount : null,
+    currency: best ? best.currency || 'USD' : null,
+    tier: tierEntry ? tierEntry[0] : null
+  };
+};
+
+// Convert between supported currencies through USD, like the backend tool.
+// Unknown currencies are returned unchanged (rate 1), also like the backend.
+export const convertAmount = (amount, from, to) => {
+  if (!from || !to || from === to) return amount;
+  if (!FALLBACK_RATES[from] || !FALLBACK_RATES[to]) return amount;
+  return amount * (FALLBACK_RATES[to] / FALLBACK_RATES[from]);
+};
+
+// Format an amount with its currency code, e.g. "145 EUR"
+export const formatAmount = (amount, currency) => {
+  const rounded = Math.round(amount * 100) / 100;
+  return currency ? `${rounded} ${currency}` : `${rounded}`;
+};
+
+// Locale-aware money formatting, e.g. "$1,250.00" or "¥18,000"
+export const formatMoney = (amount, currency, locale) => {
+  if (!currency) return formatAmount(amount, currency);
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency }).format(amount);
+  } catch (error) {
+    return formatAmount(amount, currency);
+  }
+};
+
+// Currency the plan is mostly priced in - the first currency found in its activity costs
+export const detectPlanCurrency = (plan, fallback = 'USD') => {
+  const itinerary = (plan && plan.Plan && plan.Plan.itinerary) || {};
+  for (const day of itinerary.dailyPlan || []) {
+    for (const activity of day.Activities || []) {
+      const cost = parseCost(activity.EstimatedCost);
+      if (cost && cost.currency) return cost.currency;
+    }
+  }
+  const total = parseCost(itinerary.estimatedTotalCost);
+  return (total && total.currency) || fallback;
+};
+
+// Sum the plan's costs in `currency`:
+//   days        - per itinerary day: { day, date, total, priced, unpriced }
+//   categories  - activities (the itinerary, counted in the total), attractions
+//                 (optional extras) and dining (one meal at each recommended restaurant)
+//   total       - itinerary activities, per person costs multiplied by `travellers`
+//   statedTotal - the agent's own estimatedTotalCost, converted
+// Costs without a currency are in `planCurrency`, detected from the plan when not given.
+export const analyzePlanCosts = (plan, { currency, travellers = 1, planCurrency: givenPlanCurrency } = {}) => {
+  const itinerary = (plan && plan.Plan && plan.Plan.itinerary) || {};
+  const attractions = (plan && plan.Plan && plan.Plan.attractions) || [];
+  const restaurants = (plan && plan.Plan && plan.Plan.restaurants) || [];
+  const target = currency || detectPlanCurrency(plan);
+  const planCurrency = givenPlanCurrency || detectPlanCurrency(plan, target);
+
+  // Amount in the target currency; costs without a currency are in the plan's currency
+  const toTarget = (cost, people = 1) =>
+    convertAmount(cost.amount, cost.currency || planCurrency, target) * (cost.perPerson ? people : 1);
+
+  const sumCosts = (values, people) => values.reduce((sum, text) => {
+    const cost = parseCost(text);
+    if (!cost) {
+      sum.unpriced += 1;
+      return sum;
+    }
+    sum.total += toTarget(cost, people);
+    sum.priced += 1;
+    return sum;
+  }, { total: 0, priced: 0, unpriced: 0 });
+
+  const days = (itinerary.dailyPlan || []).map(day => ({
+    day: day.Day,
+    date: day.Date,
+    ...sumCosts((day.Activities || []).map(activity => activity.EstimatedCost), travellers)
+  }));
+
+  const activities = days.reduce((sum, day) => ({
+    total: sum.total + day.total,
+    priced: sum.priced + day.priced,
+    unpriced: sum.unpriced + day.unpriced
+  }), { total: 0, priced: 0, unpriced: 0 });
+
+  const stated = parseCost(itinerary.estimatedTotalCost);
+
+  return {
+    currency: target,
+    days,
+    categories: {
+      activities,
+      attractions: sumCosts(attractions.map(attraction => attraction.EstimatedCost), travellers),
+      dining: sumCosts(restaurants.map(restaurant => restaurant.PriceRange), travellers)
+    },
+    total: activities.total,
+    statedTotal: stated ? toTarget(stated) : null
+  };
+};
+
+// How a plan's cost compares with the budget:
+//   { status: 'over' | 'near' | 'under' | 'unknown', budget, difference, ratio }
+// `near` means within 10% below the budget. Amounts are in `currency`.
+export const compareWithBudget = (total, budgetText, currency) => {
+  const budget = parseBudget(budgetText);
+  if (!budget || budget.amount === null || !total) {
+    return { status: 'unknown', budget: null, difference: null, ratio: null };
+  }
+  const budgetAmount = convertAmount(budget.amount, budget.currency, currency);
+  const ratio = total / budgetAmount;
+  return {
+    status: ratio > 1 ? 'over' : ratio >= 0.9 ? 'near' : 'under',
+    budget: budgetAmount,
+    difference: total - budgetAmount,
+    ratio
+  };
+};
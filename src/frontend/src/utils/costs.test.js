@@ -0,0 +1,56 @@
+import { parseAmounts, parseBudget, parseCost } from './costs';
+
+describe('parseAmounts', () => {
+  it.each([
+    ['25 EUR (27 USD)', [{ amount: 25, currency: 'EUR' }, { amount: 27, currency: 'USD' }]],
+    ['$45 per person', [{ amount: 45, currency: 'USD' }]],
+    ['15€', [{ amount: 15, currency: 'EUR' }]],
+    ['1.500 €', [{ amount: 1500, currency: 'EUR' }]],
+    ['1 500 €', [{ amount: 1500, currency: 'EUR' }]],
+    ['12,50 €', [{ amount: 12.5, currency: 'EUR' }]],
+    ['1.234,56 EUR', [{ amount: 1234.56, currency: 'EUR' }]],
+    ['1,234.56 USD', [{ amount: 1234.56, currency: 'USD' }]],
+    ['$1,500', [{ amount: 1500, currency: 'USD' }]],
+    ['USD 40', [{ amount: 40, currency: 'USD' }]],
+    ['EUR 1.500', [{ amount: 1500, currency: 'EUR' }]],
+    ['20 euros', [{ amount: 20, currency: 'EUR' }]],
+    ['30 dólares', [{ amount: 30, currency: 'USD' }]],
+    ['C$30', [{ amount: 30, currency: 'CAD' }]],
+    ['$10k', [{ amount: 10000, currency: 'USD' }]],
+    ['Day 1 $20', [{ amount: 1, currency: null }, { amount: 20, currency: 'USD' }]]
+  ])('reads %p', (text, expected) => {
+    expect(parseAmounts(text).map(({ amount, currency }) => ({ amount, currency }))).toEqual(expected);
+  });
+
+  it('reads ranges as their midpoint', () => {
+    expect(parseAmounts('10-20 €')).toEqual([{ amount: 15, currency: 'EUR', isRange: true }]);
+    expect(parseAmounts('$10 - $20')).toEqual([{ amount: 15, currency: 'USD', isRange: true }]);
+  });
+});
+
+describe('parseCost', () => {
+  it('marks free, per person and estimated costs', () => {
+    expect(parseCost('Free')).toMatchObject({ amount: 0, isFree: true });
+    expect(parseCost('15 € par personne')).toMatchObject({ amount: 15, currency: 'EUR' });
+    expect(parseCost('about 40 EUR per person')).toMatchObject({ amount: 40, perPerson: true, isEstimate: true });
+    expect(parseCost('$$')).toMatchObject({ amount: 35, currency: 'USD', isEstimate: true });
+    expect(parseCost('Varies')).toBeNull();
+  });
+});
+
+describe('parseBudget', () => {
+  it.each([
+    ['Luxury, around $10000 total', { amount: 10000, currency: 'USD', tier: 'luxury' }],
+    ['Mid-range, 2 people, €3000', { amount: 3000, currency: 'EUR', tier: 'mid-range' }],
+    ['3000 for 2 people', { amount: 3000, currency: 'USD', tier: null }],
+    ['Presupuesto de 2.500 €', { amount: 2500, currency: 'EUR', tier: null }],
+    ['Budget', { amount: null, currency: null, tier: 'budget' }]
+  ])('reads %p', (text, expected) => {
+    expect(parseBudget(text)).toEqual(expected);
+  });
+
+  it('returns null without an amount or a tier', () => {
+    expect(parseBudget('')).toBeNull();
+    expect(parseBudget('whatever works')).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+// Differences between two versions of a travel plan (the `completePlan` shape
+// built in ChatInterface), for showing what a refinement changed.
+
+const ACTIVITY_FIELDS = ['Time', 'Description', 'Location', 'EstimatedCost'];
+
+const section = (plan) => (plan && plan.Plan) || {};
+
+const days = (plan) => (section(plan).itinerary && section(plan).itinerary.dailyPlan) || [];
+
+// Items present in only one of the lists, compared by `nameOf`
+const compareByName = (before, after, nameOf) => {
+  const beforeNames = new Set(before.map(nameOf));
+  const afterNames = new Set(after.map(nameOf));
+  return {
+    added: after.map(nameOf).filter(name => !beforeNames.has(name)),
+    removed: before.map(nameOf).filter(name => !afterNames.has(name))
+  };
+};
+
+const diffDay = (before, after) => {
+  const beforeActivities = (before && before.Activities) || [];
+  const afterActivities = (after && after.Activities) || [];
+  const { added, removed } = compareByName(beforeActivities, afterActivities, a => a.ActivityName);
+
+  const changed = afterActivities.flatMap(activity => {
+    const previous = beforeActivities.find(a => a.ActivityName === activity.ActivityName);
+    if (!previous) return [];
+    const changes = ACTIVITY_FIELDS
+      .filter(field => (previous[field] || '') !== (activity[field] || ''))
+      .map(field => ({ field, from: previous[field] || '', to: activity[field] || '' }));
+    return changes.length > 0 ? [{ name: activity.ActivityName, changes }] : [];
+  });
+
+  return { added, removed, changed };
+};
+
+// What changed from `before` to `after`:
+//   { days: [{ day, date, status: 'added' | 'removed' | 'changed', added, removed, changed }],
+//     attractions: { added, removed }, restaurants: { added, removed },
+//     cost: { from, to } | null, insiderTips: { from, to } | null, hasChanges }
+export const diffPlans = (before, after) => {
+  const dayNumbers = [...new Set([...days(before), ...days(after)].map(day => day.Day))]
+    .sort((a, b) => a - b);
+
+  const dayDiffs = dayNumbers.flatMap(dayNumber => {
+    const previous = days(before).find(day => day.Day === dayNumber);
+    const next = days(after).find(day => day.Day === dayNumber);
+    const diff = diffDay(previous, next);
+    const status = !previous ? 'added' : !next ? 'removed' : 'changed';
+    if (status === 'changed' && !diff.added.length && !diff.removed.length && !diff.changed.length) {
+      return [];
+    }
+    return [{ day: dayNumber, date: (next || previous).Date, status, ...diff }];
+  });
+
+  const attractions = compareByName(section(before).attractions || [], section(after).attractions || [], a => a.Name);
+  const restaurants = compareByName(section(before).restaurants || [], section(after).restaurants || [], r => r.Name);
+
+  const beforeCost = (section(before).itinerary || {}).estimatedTotalCost || '';
+  const afterCost = (section(after).itinerary || {}).estimatedTotalCost || '';
+  const cost = beforeCost !== afterCost ? { from: beforeCost, to: afterCost } : null;
+
+  const beforeTips = section(before).insiderTips || '';
+  const afterTips = section(after).insiderTips || '';
+  const insiderTips = beforeTips !== afterTips ? { from: beforeTips, to: afterTips } : null;
+
+  const hasChanges = dayDiffs.length > 0
+    || attractions.added.length > 0 || attractions.removed.length > 0
+    || restaurants.added.length > 0 || restaurants.removed.length > 0
+    || cost !== null || insiderTips !== null;
+
+  return { days: dayDiffs, attractions, restaurants, cost, insiderTips, hasChanges };
+};
@@ -0,0 +1,386 @@
+// Client-side exports of a travel plan (the `completePlan` shape built in ChatInterface):
+// iCalendar, printable HTML and raw JSON.
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+// Month names the agents write dates with (plans are written in en, es or fr),
+// without accents. English months also match by their first three letters.
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAMES = {
+  enero: 1, febrero: 2, marzo: 3, abril: 4, mayo: 5, junio: 6,
+  julio: 7, agosto: 8, septiembre: 9, setiembre: 9, octubre: 10, noviembre: 11, diciembre: 12,
+  ene: 1, abr: 4, ago: 8, set: 9, dic: 12,
+  janvier: 1, janv: 1, fevrier: 2, fevr: 2, mars: 3, avril: 4, avr: 4, mai: 5, juin: 6,
+  juillet: 7, juil: 7, aout: 8, septembre: 9, sept: 9, octobre: 10, novembre: 11, decembre: 12
+};
+
+const withoutAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// 1-12 for a month name, or 0
+const monthNumber = (name) => {
+  const key = withoutAccents(name).toLowerCase();
+  return MONTH_NAMES[key] || MONTHS.indexOf(key.slice(0, 3)) + 1;
+};
+
+// Rough start hours for activities the agent labels with a time of day
+const TIME_OF_DAY = {
+  morning: 9,
+  noon: 12,
+  midday: 12,
+  lunch: 12,
+  afternoon: 14,
+  evening: 19,
+  dinner: 19,
+  night: 21,
+  manana: 9,
+  mediodia: 12,
+  almuerzo: 12,
+  tarde: 15,
+  cena: 20,
+  noche: 21,
+  matin: 9,
+  matinee: 9,
+  midi: 12,
+  dejeuner: 12,
+  'apres-midi': 14,
+  soir: 19,
+  soiree: 19,
+  diner: 19,
+  nuit: 21
+};
+
+// Clock times at the start of a word: "9:30", "9am", "2 p.m.", "14h", "14h30", "9 h 30"
+const CLOCK_PATTERNS = [
+  /\b(\d{1,2}):(\d{2})\s*(am|pm|a\.m\.|p\.m\.)?(?![a-z])/,
+  /\b(\d{1,2})()\s*(am|pm|a\.m\.|p\.m\.)(?![a-z])/,
+  /\b(\d{1,2})\s*h\s*(\d{2})?(?![a-z])()/
+];
+
+// Used when the next activity's start doesn't give an end time
+const DEFAULT_DURATION_MINUTES = 90;
+const MAX_DURATION_MINUTES = 4 * 60;
+
+// Date of a day in the plan as { year, month, day } (month 1-12), or null.
+// Understands "2025-07-01", "July 1, 2025", "July 1-11, 2025", "1 July 2025",
+// "Mon, Jul 1 2025", "1er juillet 2025", "du 2 au 11 juillet 2025" and "2 de julio de 2025".
+export const parsePlanDate = (text) => {
+  if (!text) return null;
+  const value = String(text).trim();
+
+  const iso = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) return { year: +iso[1], month: +iso[2], day: +iso[3] };
+
+  // Ranges such as "July 1-11, 2025" give their first day
+  const monthFirst = value.match(/(\p{L}{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s*[-–]\s*\d{1,2})?,?\s+(\d{4})/u);
+  const dayFirst = value.match(
+    /(\d{1,2})(?:st|nd|rd|th|er|º)?(?:\s*(?:[-–]|au|al|to)\s*\d{1,2}(?:st|nd|rd|th)?)?\s+(?:de\s+)?(\p{L}{3,})\.?,?\s+(?:de\s+)?(\d{4})/u
+  );
+  const candidates = [
+    monthFirst && [monthFirst[1], monthFirst[2], monthFirst[3]],
+    dayFirst && [dayFirst[2], dayFirst[1], dayFirst[3]]
+  ].filter(Boolean);
+  for (const [monthName, day, year] of candidates) {
+    const month = monthNumber(monthName);
+    if (month > 0) return { year: +year, month, day: +day };
+  }
+
+  return null;
+};
+
+// Start time of an activity as { hour, minute }, or null.
+// Understands "9AM", "9:30 am", "14:00", "14h30", "2 PM - 4 PM" and "Morning" (also
+// in Spanish and French). A time of day wins over numbers, and only clock times
+// count as numbers - "Afternoon (2 hrs)" starts at 14:00, "2 hours" has no time.
+export const parseActivityTime = (text) => {
+  if (!text) return null;
+  const value = withoutAccents(String(text).trim().toLowerCase());
+
+  // Whole words only: "afternoon" is not "noon", "mediodia" is not "dia"
+  const words = value.match(/\p{L}+(?:-\p{L}+)*/gu) || [];
+  const named = words.flatMap(word => [word, ...word.split('-')]).find(word => word in TIME_OF_DAY);
+  if (named) return { hour: TIME_OF_DAY[named], minute: 0 };
+
+  for (const pattern of CLOCK_PATTERNS) {
+    const clock = value.match(pattern);
+    if (!clock) continue;
+    let hour = +clock[1];
+    const minute = clock[2] ? +clock[2] : 0;
+    const meridiem = clock[3] ? clock[3][0] : null;
+    if (meridiem && hour > 12) continue;
+    if (meridiem === 'p' && hour < 12) hour += 12;
+    if (meridiem === 'a' && hour === 12) hour = 0;
+    if (hour < 24 && minute < 60) return { hour, minute };
+  }
+  return null;
+};
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+// Date of day N: its own Date field, else counted on from the first day or the trip dates
+const resolveDayDate = (day, index, firstDate) => {
+  const own = parsePlanDate(day.Date);
+  if (own) return own;
+  if (!firstDate) return null;
+  const offset = (Number(day.Day) || index + 1) - 1;
+  const date = new Date(Date.UTC(firstDate.year, firstDate.month - 1, firstDate.day + offset));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Floating local date-time (no time zone - the itinerary is in destination time)
+const formatLocalDateTime = (date, minutesOfDay) => {
+  const stamp = new Date(Date.UTC(date.year, date.month - 1, date.day, 0, minutesOfDay));
+  return `${stamp.getUTCFullYear()}${pad(stamp.getUTCMonth() + 1)}${pad(stamp.getUTCDate())}` +
+    `T${pad(stamp.getUTCHours())}${pad(stamp.getUTCMinutes())}00`;
+};
+
+const formatUtcDateTime = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+// RFC 5545 text escaping
+export const escapeICalText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// RFC 5545 line folding: lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// One VEVENT per dailyPlan activity. Activities without a usable date or time are
+// skipped; `skipped` in the result counts them.
+export const buildICalendar = (plan, { instanceId = 'plan', now = new Date() } = {}) => {
+  const itinerary = (plan && plan.Plan && plan.Plan.itinerary) || {};
+  const dailyPlan = itinerary.dailyPlan || [];
+  const destination = itinerary.destinationName || 'Trip';
+  const firstDate = dailyPlan.map(day => parsePlanDate(day.Date)).find(Boolean)
+    || parsePlanDate(itinerary.travelDates);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AI Travel Planner//Itinerary Export//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(`Trip to ${destination}`)}`
+  ];
+  let events = 0;
+  let skipped = 0;
+
+  dailyPlan.forEach((day, dayIndex) => {
+    const date = resolveDayDate(day, dayIndex, firstDate);
+    const activities = day.Activities || [];
+
+    activities.forEach((activity, activityIndex) => {
+      const start = parseActivityTime(activity.Time);
+      if (!date || !start) {
+        skipped += 1;
+        return;
+      }
+      const startMinutes = start.hour * 60 + start.minute;
+      const next = activities.slice(activityIndex + 1).map(a => parseActivityTime(a.Time)).find(Boolean);
+      const nextMinutes = next ? next.hour * 60 + next.minute : null;
+      const endMinutes = nextMinutes && nextMinutes > startMinutes
+        ? Math.min(nextMinutes, startMinutes + MAX_DURATION_MINUTES)
+        : startMinutes + DEFAULT_DURATION_MINUTES;
+
+      const description = [
+        activity.Description,
+        activity.EstimatedCost ? `Estimated cost: ${activity.EstimatedCost}` : ''
+      ].filter(Boolean).join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${instanceId}-day${day.Day || dayIndex + 1}-${activityIndex + 1}@travel-planner`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+        `DTSTART:${formatLocalDateTime(date, startMinutes)}`,
+        `DTEND:${formatLocalDateTime(date, endMinutes)}`,
+        `SUMMARY:${escapeICalText(activity.ActivityName || 'Activity')}`
+      );
+      if (description) lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+      if (activity.Location) lines.push(`LOCATION:${escapeICalText(activity.Location)}`);
+      lines.push('END:VEVENT');
+      events += 1;
+    });
+  });
+
+  lines.push('END:VCALENDAR');
+  return {
+    content: lines.map(foldLine).join('\r\n') + '\r\n',
+    events,
+    skipped
+  };
+};
+
+// Raw plan JSON, pretty printed
+export const buildPlanJson = (plan, { instanceId } = {}) =>
+  JSON.stringify({ instanceId, exportedAt: new Date().toISOString(), ...plan }, null, 2);
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Standalone print-optimized itinerary document, labelled in the language of `t`
+// (the i18n translate function, English by default) and marked up as `locale`
+export const buildPrintableHtml = (plan, {
+  locale = DEFAULT_LOCALE,
+  t = (key, params) => translate(DEFAULT_LOCALE, key, params)
+} = {}) => {
+  const itinerary = (plan && plan.Plan && plan.Plan.itinerary) || {};
+  const attractions = (plan && plan.Plan && plan.Plan.attractions) || [];
+  const restaurants = (plan && plan.Plan && plan.Plan.restaurants) || [];
+  const insiderTips = (plan && plan.Plan && plan.Plan.insiderTips) || '';
+  const destination = itinerary.destinationName || t('plan.yourDestination');
+
+  const days = (itinerary.dailyPlan || []).map(day => `
+    <section class="day">
+      <h2>${escapeHtml(t('plan.day', { day: day.Day }))}${day.Date ? ` &middot; ${escapeHtml(day.Date)}` : ''}</h2>
+      <table>
+        <thead><tr>${['print.time', 'print.activity', 'print.location', 'print.cost'].map(key => `<th>${escapeHtml(t(key))}</th>`).join('')}</tr></thead>
+        <tbody>
+          ${(day.Activities || []).map(activity => `
+          <tr>
+            <td>${escapeHtml(activity.Time)}</td>
+            <td><strong>${escapeHtml(activity.ActivityName)}</strong><br>${escapeHtml(activity.Description)}</td>
+            <td>${escapeHtml(activity.Location)}</td>
+            <td>${escapeHtml(activity.EstimatedCost || t('plan.free'))}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </section>`).join('');
+
+  const placeList = (title, places, detail) => places.length === 0 ? '' : `
+    <section>
+      <h2>${escapeHtml(title)}</h2>
+      <ul>
+        ${places.map(place => `<li><strong>${escapeHtml(place.Name)}</strong> (${escapeHtml(detail(place))}): ${escapeHtml(place.Description)}</li>`).join('')}
+      </ul>
+    </section>`;
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('print.title', { destination }))}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 800px; margin: 2em auto; padding: 0 1em; }
+  h1 { border-bottom: 2px solid #111; padding-bottom: 0.3em; }
+  h2 { margin-top: 1.5em; font-size: 1.2em; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.95em; }
+  th, td { border-bottom: 1px solid #ccc; padding: 0.4em; text-align: left; vertical-align: top; }
+  .summary { display: flex; gap: 2em; }
+  .day { page-break-inside: avoid; }
+  @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(t('print.heading', { destination }))}</h1>
+  <p class="summary">
+    ${itinerary.travelDates ? `<span><strong>${escapeHtml(t('print.dates'))}</strong> ${escapeHtml(itinerary.travelDates)}</span>` : ''}
+    ${itinerary.estimatedTotalCost ? `<span><strong>${escapeHtml(t('print.estimatedCost'))}</strong> ${escapeHtml(itinerary.estimatedTotalCost)}</span>` : ''}
+  </p>
+  ${days}
+  ${placeList(t('print.attractions'), attractions, place => place.Category || place.EstimatedCost || '')}
+  ${placeList(t('print.restaurants'), restaurants, place => [place.Cuisine, place.PriceRange].filter(Boolean).join(', '))}
+  ${insiderTips ? `<section><h2>${escapeHtml(t('print.insiderTips'))}</h2><p>${escapeHtml(insiderTips)}</p></section>` : ''}
+</body>
+</html>`;
+};
+
+// File name stem for a plan, e.g. "travel-plan-lisbon"
+export const planFileName = (plan) => {
+  const destination = (plan && plan.Plan && plan.Plan.itinerary && plan.Plan.itinerary.destinationName) || 'trip';
+  const slug = destination.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `travel-plan-${slug || 'trip'}`;
+};
+
+// Save `content` as a file through a temporary link
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Booking receipt for a confirmed trip; `booking` is the status' booking details
+// (see normalizeBooking in services/travelPlannerClient). Labelled and marked
+// up like buildPrintableHtml.
+export const buildReceiptHtml = (booking, {
+  travellerName = '',
+  locale = DEFAULT_LOCALE,
+  t = (key, params) => translate(DEFAULT_LOCALE, key, params)
+} = {}) => {
+  const rows = [
+    [t('booking.bookingId'), booking.bookingId],
+    [t('booking.confirmationNumber'), booking.confirmationNumber !== booking.bookingId ? booking.confirmationNumber : ''],
+    [t('print.traveller'), travellerName],
+    [t('booking.destination'), booking.destination],
+    [t('booking.travelDates'), booking.travelDates],
+    [t('booking.totalCost'), booking.totalCost],
+    [t('booking.bookedOn'), booking.bookingDate]
+  ].filter(([, value]) => value);
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(t('print.receipt'))}${booking.bookingId ? ` - ${escapeHtml(booking.bookingId)}` : ''}</title>
+<style>
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 600px; margin: 2em auto; padding: 0 1em; }
+  h1 { border-bottom: 2px solid #111; padding-bottom: 0.3em; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border-bottom: 1px solid #ccc; padding: 0.5em 0.4em; text-align: left; vertical-align: top; }
+  th { width: 40%; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(t('print.receipt'))}</h1>
+  ${booking.message ? `<p>${escapeHtml(booking.message)}</p>` : ''}
+  <table>
+    <tbody>
+      ${rows.map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`).join('')}
+    </tbody>
+  </table>
+  ${booking.nextSteps ? `<h2>${escapeHtml(t('booking.nextSteps'))}</h2><p>${escapeHtml(booking.nextSteps)}</p>` : ''}
+</body>
+</html>`;
+};
+
+// Open `html` in a new window and bring up the print dialog (which is also how
+// users save it as PDF). Returns false if pop-ups are blocked.
+const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.open();
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
+
+export const printPlan = (plan, options) => printHtml(buildPrintableHtml(plan, options));
+
+export const printReceipt = (booking, options) => printHtml(buildReceiptHtml(booking, options));
@@ -0,0 +1,205 @@
+import {
+  buildICalendar,
+  buildPrintableHtml,
+  buildReceiptHtml,
+  parseActivityTime,
+  parsePlanDate
+} from './planExport';
+import { translate } from '../i18n';
+
+// Events of an .ics file as { NAME: value } objects: unfolds continuation
+// lines and undoes the text escaping, so they compare with the plan as written
+const parseICalendar = (content) => {
+  const unescape = (text) => text.replace(/\\n/g, '\n').replace(/\\([,;\\])/g, '$1');
+  const lines = content.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+  const events = [];
+  let current = null;
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+    } else if (line === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (current) {
+      const colon = line.indexOf(':');
+      current[line.slice(0, colon)] = unescape(line.slice(colon + 1));
+    }
+  });
+  return { lines, events };
+};
+
+const planWith = (dailyPlan, travelDates = 'July 1-3, 2025') => ({
+  Plan: { itinerary: { destinationName: 'Lisbon', travelDates, dailyPlan } }
+});
+
+describe('parseActivityTime', () => {
+  it.each([
+    ['9AM', { hour: 9, minute: 0 }],
+    ['9:30 am', { hour: 9, minute: 30 }],
+    ['2 PM - 4 PM', { hour: 14, minute: 0 }],
+    ['12 a.m.', { hour: 0, minute: 0 }],
+    ['14:00', { hour: 14, minute: 0 }],
+    ['14h30', { hour: 14, minute: 30 }],
+    ['9 h', { hour: 9, minute: 0 }],
+    ['Morning', { hour: 9, minute: 0 }],
+    ['Afternoon (2 hrs)', { hour: 14, minute: 0 }],
+    ['Late afternoon', { hour: 14, minute: 0 }],
+    ['Noon', { hour: 12, minute: 0 }],
+    ['Après-midi', { hour: 14, minute: 0 }],
+    ['Soirée', { hour: 19, minute: 0 }],
+    ['Mañana', { hour: 9, minute: 0 }],
+    ['Mediodía', { hour: 12, minute: 0 }]
+  ])('reads %p', (text, expected) => {
+    expect(parseActivityTime(text)).toEqual(expected);
+  });
+
+  it.each(['2 hours', 'Day 3', 'Flexible', '', null, '25:00', '1.5 hrs'])('finds no time in %p', (text) => {
+    expect(parseActivityTime(text)).toBeNull();
+  });
+});
+
+describe('parsePlanDate', () => {
+  it.each([
+    ['2025-07-01', { year: 2025, month: 7, day: 1 }],
+    ['July 1, 2025', { year: 2025, month: 7, day: 1 }],
+    ['July 1-11, 2025', { year: 2025, month: 7, day: 1 }],
+    ['Mon, Jul 1 2025', { year: 2025, month: 7, day: 1 }],
+    ['1st July 2025', { year: 2025, month: 7, day: 1 }],
+    ['2 juillet 2025', { year: 2025, month: 7, day: 2 }],
+    ['1er août 2025', { year: 2025, month: 8, day: 1 }],
+    ['du 2 au 11 juillet 2025', { year: 2025, month: 7, day: 2 }],
+    ['févr. 3, 2026', { year: 2026, month: 2, day: 3 }],
+    ['2 de julio de 2025', { year: 2025, month: 7, day: 2 }],
+    ['del 2 al 11 de diciembre de 2025', { year: 2025, month: 12, day: 2 }]
+  ])('reads %p', (text, expected) => {
+    expect(parsePlanDate(text)).toEqual(expected);
+  });
+
+  it.each(['next summer', 'Day 2', '', null])('finds no date in %p', (text) => {
+    expect(parsePlanDate(text)).toBeNull();
+  });
+});
+
+describe('buildICalendar', () => {
+  const now = new Date(Date.UTC(2025, 5, 1, 8, 0, 0));
+
+  it('exports every timed activity and reads back the same plan', () => {
+    const dailyPlan = [
+      {
+        Day: 1,
+        Date: '2025-07-01',
+        Activities: [
+          { Time: '9:00 AM', ActivityName: 'Belém Tower', Description: 'Manueline fortress; go early, before the queues', Location: 'Belém', EstimatedCost: '10 EUR' },
+          { Time: 'Afternoon (2 hrs)', ActivityName: 'Tram 28', Description: 'Ride through Alfama\nand Graça', Location: 'Martim Moniz' }
+        ]
+      },
+      {
+        Day: 2,
+        Activities: [
+          { Time: '19:30', ActivityName: 'Fado dinner', Description: 'A long evening of fado, with a set menu of Portuguese classics and local wine pairings', Location: 'Alfama' }
+        ]
+      }
+    ];
+
+    const { content, events, skipped } = buildICalendar(planWith(dailyPlan), { instanceId: 'abc', now });
+    const parsed = parseICalendar(content);
+
+    expect(events).toBe(3);
+    expect(skipped).toBe(0);
+    expect(parsed.events).toEqual([
+      {
+        UID: 'abc-day1-1@travel-planner',
+        DTSTAMP: '20250601T080000Z',
+        DTSTART: '20250701T090000',
+        DTEND: '20250701T130000',
+        SUMMARY: 'Belém Tower',
+        DESCRIPTION: 'Manueline fortress; go early, before the queues\nEstimated cost: 10 EUR',
+        LOCATION: 'Belém'
+      },
+      {
+        UID: 'abc-day1-2@travel-planner',
+        DTSTAMP: '20250601T080000Z',
+        DTSTART: '20250701T140000',
+        DTEND: '20250701T153000',
+        SUMMARY: 'Tram 28',
+        DESCRIPTION: 'Ride through Alfama\nand Graça',
+        LOCATION: 'Martim Moniz'
+      },
+      {
+        UID: 'abc-day2-1@travel-planner',
+        DTSTAMP: '20250601T080000Z',
+        DTSTART: '20250702T193000',
+        DTEND: '20250702T210000',
+        SUMMARY: 'Fado dinner',
+        DESCRIPTION: 'A long evening of fado, with a set menu of Portuguese classics and local wine pairings',
+        LOCATION: 'Alfama'
+      }
+    ]);
+  });
+
+  it('folds long lines at 75 octets', () => {
+    const dailyPlan = [{
+      Day: 1,
+      Activities: [{ Time: '10:00', ActivityName: 'Miradouro da Senhora do Monte, Miradouro da Graça e São Pedro de Alcântara' }]
+    }];
+    const { content } = buildICalendar(planWith(dailyPlan), { now });
+    content.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+    expect(parseICalendar(content).events[0].SUMMARY)
+      .toBe('Miradouro da Senhora do Monte, Miradouro da Graça e São Pedro de Alcântara');
+  });
+
+  it('dates the days of plans written in French and Spanish', () => {
+    const dailyPlan = [
+      { Day: 1, Activities: [{ Time: 'Matin', ActivityName: 'Musée' }] },
+      { Day: 2, Activities: [{ Time: '14h30', ActivityName: 'Marché' }] }
+    ];
+    const french = parseICalendar(buildICalendar(planWith(dailyPlan, 'du 2 au 4 juillet 2025'), { now }).content);
+    expect(french.events.map(event => event.DTSTART)).toEqual(['20250702T090000', '20250703T143000']);
+
+    const spanish = parseICalendar(buildICalendar(planWith(dailyPlan, '2 de julio de 2025'), { now }).content);
+    expect(spanish.events.map(event => event.DTSTART)).toEqual(['20250702T090000', '20250703T143000']);
+  });
+
+  it('skips activities without a usable time', () => {
+    const dailyPlan = [{ Day: 1, Date: '2025-07-01', Activities: [{ Time: 'Flexible', ActivityName: 'Shopping' }] }];
+    const { events, skipped } = buildICalendar(planWith(dailyPlan), { now });
+    expect(events).toBe(0);
+    expect(skipped).toBe(1);
+  });
+});
+
+describe('printable documents', () => {
+  const inFrench = { locale: 'fr', t: (key, params) => translate('fr', key, params) };
+
+  it('labels the itinerary in the active language', () => {
+    const html = buildPrintableHtml(planWith([
+      { Day: 1, Activities: [{ Time: '9AM', ActivityName: 'Old Town walk', Location: 'Alfama' }] }
+    ]), inFrench);
+
+    expect(html).toContain('<html lang="fr">');
+    expect(html).toContain('<h1>Plan de voyage : Lisbon</h1>');
+    expect(html).toContain('<strong>Dates :</strong> July 1-3, 2025');
+    expect(html).toContain('<th>Heure</th><th>Activité</th><th>Lieu</th><th>Coût</th>');
+    expect(html).toContain('<td>Gratuit</td>');
+  });
+
+  it('labels the receipt in the active language', () => {
+    const html = buildReceiptHtml(
+      { bookingId: 'TRV-123456', confirmationNumber: 'TRV-123456', destination: 'Lisbon', nextSteps: 'Check your email.' },
+      { travellerName: 'Ana', ...inFrench }
+    );
+
+    expect(html).toContain('<html lang="fr">');
+    expect(html).toContain('<h1>Reçu de réservation</h1>');
+    expect(html).toContain('<tr><th>Voyageur</th><td>Ana</td></tr>');
+    expect(html).not.toContain('Booking');
+  });
+
+  it('defaults to English', () => {
+    const html = buildReceiptHtml({ bookingId: 'TRV-123456' });
+    expect(html).toContain('<html lang="en">');
+    expect(html).toContain('<h1>Booking Receipt</h1>');
+  });
+});
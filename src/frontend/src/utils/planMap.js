@@ -0,0 +1,110 @@
+// Places of a travel plan for the map: each day's activities as a numbered
+// route, plus the attractions and restaurants. Coordinates come from a
+// geocoder (services/geocoding); this module only decides what to look up and
+// how to draw it.
+
+// Route colours, one per day (cycling for longer trips)
+const DAY_COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706', '#7c3aed', '#db2777', '#0891b2'];
+
+export const dayColor = (day) => DAY_COLORS[(Math.max(1, Number(day) || 1) - 1) % DAY_COLORS.length];
+
+// Number of an itinerary day, for days the planner left unnumbered
+export const dayNumberOf = (day, index) => day.Day || index + 1;
+
+// Stable ID shared by a list item and its marker. Activities are numbered
+// within their day, attractions and restaurants by their position in the plan.
+export const placeId = (kind, index, day = null) => (kind === 'activity' ? `day-${day}-${index}` : `${kind}-${index}`);
+
+// What to geocode for a place: its Location, qualified with the destination so
+// that "Old Town" is looked up in the right city
+export const placeQuery = (location, destination) => {
+  const text = String(location || '').trim();
+  if (!text) return '';
+  if (!destination || text.toLowerCase().includes(destination.toLowerCase())) return text;
+  return `${text}, ${destination}`;
+};
+
+// Everything in the plan that can go on the map:
+// [{ id, kind, name, location, query, day, stop }]. Activities without a
+// Location are left out (their name is rarely a place); attractions and
+// restaurants fall back to their name.
+export const planPlaces = (plan) => {
+  if (!plan || !plan.Plan) return [];
+  const itinerary = plan.Plan.itinerary || {};
+  const destination = itinerary.destinationName || '';
+  const places = [];
+
+  (itinerary.dailyPlan || []).forEach((day, dayIndex) => {
+    const dayNumber = dayNumberOf(day, dayIndex);
+    let stop = 0;
+    (day.Activities || []).forEach((activity, index) => {
+      if (!activity.Location) return;
+      stop += 1;
+      places.push({
+        id: placeId('activity', index, dayNumber),
+        kind: 'activity',
+        name: activity.ActivityName || activity.Location,
+        location: activity.Location,
+        query: placeQuery(activity.Location, destination),
+        day: dayNumber,
+        stop
+      });
+    });
+  });
+
+  [['attraction', plan.Plan.attractions], ['restaurant', plan.Plan.restaurants]].forEach(([kind, list]) => {
+    (list || []).forEach((place, index) => {
+      const location = place.Location || place.Name;
+      if (!location) return;
+      places.push({
+        id: placeId(kind, index),
+        kind,
+        name: place.Name || place.Location,
+        location,
+        query: placeQuery(location, destination),
+        day: null,
+        stop: null
+      });
+    });
+  });
+
+  return places;
+};
+
+// Web Mercator, scaled to 0..1 for x and growing downwards for y
+const mercator = ({ lat, lng }) => {
+  const clamped = Math.max(-85, Math.min(85, lat));
+  const sin = Math.sin((clamped * Math.PI) / 180);
+  return {
+    x: (lng + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+};
+
+// Screen positions for located places ({ lat, lng }), fitted into a
+// width x height box with `padding` on every side and the aspect ratio kept.
+// Places without coordinates are dropped.
+export const projectPlaces = (places, { width, height, padding = 30 }) => {
+  const located = places.filter(place => Number.isFinite(place.lat) && Number.isFinite(place.lng));
+  if (located.length === 0) return [];
+
+  const points = located.map(mercator);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const innerWidth = width - padding * 2;
+  const innerHeight = height - padding * 2;
+  // A single place (or several at one spot) sits in the middle
+  const scale = spanX || spanY ? Math.min(innerWidth / (spanX || Infinity), innerHeight / (spanY || Infinity)) : 0;
+  const offsetX = padding + (innerWidth - spanX * scale) / 2;
+  const offsetY = padding + (innerHeight - spanY * scale) / 2;
+
+  return located.map((place, index) => ({
+    ...place,
+    x: offsetX + (points[index].x - minX) * scale,
+    y: offsetY + (points[index].y - minY) * scale
+  }));
+};
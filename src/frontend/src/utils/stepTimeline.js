@@ -0,0 +1,124 @@
+// Step-by-step timeline of an orchestration. The status reports when each step
+// started (`stepHistory`); each step ends when the next one starts. Backends
+// without it only report the current step, so the client records the time
+// each step was first seen instead.
+
+// Steps every plan goes through, in order. ChoosingDestination and RefiningPlan
+// only appear when the user picks a destination or asks for changes.
+const STEPS = [
+  { step: 'GettingDestinations' },
+  { step: 'ChoosingDestination', optional: true },
+  { step: 'CreatingItinerary' },
+  { step: 'GettingLocalRecommendations' },
+  { step: 'WaitingForApproval' },
+  { step: 'RefiningPlan', optional: true },
+  { step: 'BookingTrip' }
+];
+
+// Where a plan can end, with the state shown for it; only the one that was
+// reached is shown
+const OUTCOMES = {
+  Completed: 'done',
+  Rejected: 'failed',
+  Expired: 'failed',
+  Error: 'failed',
+  Failed: 'failed'
+};
+
+const stepIndex = (step) => STEPS.findIndex(entry => entry.step === step);
+
+// Append `step` to a history of `{ step, startedAt, endedAt }` entries, closing
+// the previous entry. Returns the same array when the step hasn't changed.
+export const recordStep = (history = [], step, at = new Date().toISOString()) => {
+  if (!step || step === 'Starting') return history;
+  const last = history[history.length - 1];
+  if (last && last.step === step) return history;
+  const closed = last && !last.endedAt ? [...history.slice(0, -1), { ...last, endedAt: at }] : history;
+  const isOutcome = Boolean(OUTCOMES[step]);
+  return [...closed, { step, startedAt: at, endedAt: isOutcome ? at : null }];
+};
+
+// History entries from the status's `stepHistory` ({ step, startedAt } in
+// order), so the timeline keeps the real times after a reload
+export const historyFromStatus = (stepHistory = []) =>
+  stepHistory.reduce((history, entry) => recordStep(history, entry.step, entry.startedAt), []);
+
+const elapsedBetween = (startedAt, endedAt) => {
+  if (!startedAt || !endedAt) return null;
+  return Math.max(0, new Date(endedAt) - new Date(startedAt));
+};
+
+// Rows for the timeline, one per step: `{ step, state, startedAt, endedAt,
+// elapsedMs, visits }`. `state` is 'pending', 'active', 'done' or 'failed'.
+// Steps passed before the history started (e.g. a plan reopened from a link)
+// are 'done' without timestamps. A step seen more than once (the approval step
+// around refinements) spans its first start to its last end.
+export const buildTimeline = (history = [], currentStep, now = new Date()) => {
+  const outcome = OUTCOMES[currentStep] ? currentStep : null;
+  const reached = history.map(entry => stepIndex(entry.step)).filter(index => index >= 0);
+  const lastReached = outcome
+    ? Math.max(-1, ...reached)
+    : Math.max(-1, stepIndex(currentStep), ...reached);
+  // On an error, the step that was running when it happened is the one that failed
+  const failedStep = outcome === 'Error' || outcome === 'Failed'
+    ? [...history].reverse().find(entry => !OUTCOMES[entry.step])
+    : null;
+
+  const rows = STEPS.flatMap((entry, index) => {
+    const visits = history.filter(item => item.step === entry.step);
+    if (entry.optional && visits.length === 0) return [];
+
+    const isActive = !outcome && entry.step === currentStep;
+    let state = 'pending';
+    if (isActive) {
+      state = 'active';
+    } else if (failedStep && failedStep.step === entry.step) {
+      state = 'failed';
+    } else if (visits.length > 0 || index <= lastReached) {
+      state = 'done';
+    }
+
+    const startedAt = visits.length > 0 ? visits[0].startedAt : null;
+    const lastVisit = visits[visits.length - 1];
+    const endedAt = isActive ? null : (lastVisit && lastVisit.endedAt) || null;
+    const elapsedMs = isActive
+      ? elapsedBetween(startedAt, now.toISOString())
+      : elapsedBetween(startedAt, endedAt);
+
+    return [{ step: entry.step, state, startedAt, endedAt, elapsedMs, visits: visits.length }];
+  });
+
+  const outcomeEntry = outcome ? history.find(item => item.step === outcome) : null;
+  rows.push(outcome
+    ? {
+      step: outcome,
+      state: OUTCOMES[outcome],
+      startedAt: outcomeEntry ? outcomeEntry.startedAt : null,
+      endedAt: outcomeEntry ? outcomeEntry.endedAt : null,
+      elapsedMs: null,
+      visits: outcomeEntry ? 1 : 0
+    }
+    : { step: 'Completed', state: 'pending', startedAt: null, endedAt: null, elapsedMs: null, visits: 0 });
+
+  return rows;
+};
+
+// Share of the main steps that are done, for the progress bar
+export const timelineProgress = (rows) => {
+  if (!rows.length) return 0;
+  const finished = rows.filter(row => row.state === 'done' || row.state === 'failed').length;
+  const active = rows.some(row => row.state === 'active') ? 0.5 : 0;
+  return Math.round(((finished + active) / rows.length) * 100);
+};
+
+// "45s", "3m 05s", "1h 12m"
+export const formatElapsed = (ms) => {
+  if (ms === null || ms === undefined) return '';
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+  return `${seconds}s`;
+};
@@ -0,0 +1,229 @@
+// Structured travel request form: its state, validation, and serialization to
+// the TravelRequest shape the API expects (see TravelRequest in src/api/app.py).
+import { parseBudget } from './costs';
+import { parsePlanDate } from './planExport';
+import { DEFAULT_LOCALE, translate } from '../i18n';
+
+export const MIN_DURATION_DAYS = 1;
+export const MAX_DURATION_DAYS = 30;
+export const MAX_ADULTS = 20;
+export const MAX_CHILD_AGE = 17;
+
+export const BUDGET_TIERS = [
+  { id: 'budget', label: 'Budget' },
+  { id: 'mid-range', label: 'Mid-range' },
+  { id: 'luxury', label: 'Luxury' }
+];
+
+export const DIETARY_OPTIONS = [
+  'Vegetarian',
+  'Vegan',
+  'Gluten-free',
+  'Dairy-free',
+  'Halal',
+  'Kosher',
+  'Nut allergy'
+];
+
+export const ACCESSIBILITY_OPTIONS = [
+  'Wheelchair access',
+  'Step-free rooms',
+  'Limited walking',
+  'Hearing assistance',
+  'Visual assistance'
+];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Dates are kept as the "YYYY-MM-DD" strings of <input type="date">
+export const emptyTravelForm = {
+  userName: '',
+  preferences: '',
+  startDate: '',
+  endDate: '',
+  durationInDays: 7, // used when no dates are chosen
+  budgetAmount: '',
+  budgetCurrency: 'USD',
+  budgetTier: '',
+  adults: 1,
+  childAges: [],
+  dietary: [],
+  accessibility: [],
+  otherRequirements: '',
+  notifyTeam: false // post milestones to the team webhook
+};
+
+const parseIsoDate = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  return match ? { year: +match[1], month: +match[2], day: +match[3] } : null;
+};
+
+const toUtc = ({ year, month, day }) => Date.UTC(year, month - 1, day);
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// Today as "YYYY-MM-DD" in the user's time zone
+export const todayIsoDate = (now = new Date()) =>
+  toIsoDate({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+
+// Number of days from start to end, both included, or null without two valid dates
+export const durationFromDates = (startDate, endDate) => {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  if (!start || !end) return null;
+  return Math.round((toUtc(end) - toUtc(start)) / 86400000) + 1;
+};
+
+// "July 1-11, 2025", "July 28 - August 3, 2025" or "December 28, 2025 - January 3, 2026".
+// Always English - this is what the agents get in the TravelRequest.
+export const formatDateRange = (startDate, endDate) => {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  if (!start || !end) return '';
+  const startMonth = MONTH_NAMES[start.month - 1];
+  const endMonth = MONTH_NAMES[end.month - 1];
+  if (start.year !== end.year) {
+    return `${startMonth} ${start.day}, ${start.year} - ${endMonth} ${end.day}, ${end.year}`;
+  }
+  if (start.month !== end.month) {
+    return `${startMonth} ${start.day} - ${endMonth} ${end.day}, ${end.year}`;
+  }
+  if (start.day === end.day) {
+    return `${startMonth} ${start.day}, ${start.year}`;
+  }
+  return `${startMonth} ${start.day}-${end.day}, ${end.year}`;
+};
+
+// The same range for display in `locale`, e.g. "1–11 juil. 2025"
+export const formatLocalDateRange = (startDate, endDate, locale) => {
+  const start = parseIsoDate(startDate);
+  const end = parseIsoDate(endDate);
+  if (!start || !end) return '';
+  const format = new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+  return format.formatRange(new Date(toUtc(start)), new Date(toUtc(end)));
+};
+
+const isWholeNumber = (value) => /^\d+$/.test(String(value).trim());
+
+// Field name -> error message for every invalid field; empty when the form can be sent.
+// Child ages are reported as `childAges.{index}`. Messages come from `t` (the
+// i18n translate function), English by default.
+export const validateTravelForm = (form, {
+  today = todayIsoDate(),
+  t = (key, params) => translate(DEFAULT_LOCALE, key, params)
+} = {}) => {
+  const errors = {};
+
+  if (!form.userName.trim()) {
+    errors.userName = t('validation.userName');
+  }
+  if (!form.preferences.trim()) {
+    errors.preferences = t('validation.preferences');
+  }
+
+  if (form.startDate || form.endDate) {
+    if (!parseIsoDate(form.startDate)) {
+      errors.startDate = t('validation.startDate');
+    } else if (form.startDate < today) {
+      errors.startDate = t('validation.startInPast');
+    }
+    if (!parseIsoDate(form.endDate)) {
+      errors.endDate = t('validation.endDate');
+    } else if (!errors.startDate) {
+      const days = durationFromDates(form.startDate, form.endDate);
+      if (days < MIN_DURATION_DAYS) {
+        errors.endDate = t('validation.endBeforeStart');
+      } else if (days > MAX_DURATION_DAYS) {
+        errors.endDate = t('validation.tooLong', { max: MAX_DURATION_DAYS });
+      }
+    }
+  } else if (!isWholeNumber(form.durationInDays) ||
+    +form.durationInDays < MIN_DURATION_DAYS || +form.durationInDays > MAX_DURATION_DAYS) {
+    errors.durationInDays = t('validation.duration', { min: MIN_DURATION_DAYS, max: MAX_DURATION_DAYS });
+  }
+
+  if (String(form.budgetAmount).trim() !== '') {
+    const amount = Number(form.budgetAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      errors.budgetAmount = t('validation.budgetAmount');
+    }
+  }
+
+  if (!isWholeNumber(form.adults) || +form.adults < 1 || +form.adults > MAX_ADULTS) {
+    errors.adults = t('validation.adults', { max: MAX_ADULTS });
+  }
+  form.childAges.forEach((age, index) => {
+    if (!isWholeNumber(age) || +age > MAX_CHILD_AGE) {
+      errors[`childAges.${index}`] = t('validation.childAge', { max: MAX_CHILD_AGE });
+    }
+  });
+
+  return errors;
+};
+
+const describeBudget = (form) => {
+  const tier = BUDGET_TIERS.find(t => t.id === form.budgetTier);
+  const amount = String(form.budgetAmount).trim();
+  const parts = [];
+  if (tier) parts.push(tier.label);
+  if (amount) parts.push(`around ${Number(amount)} ${form.budgetCurrency} total`);
+  return parts.join(', ');
+};
+
+const describeTravellers = (form) => {
+  const adults = `${+form.adults} adult${+form.adults === 1 ? '' : 's'}`;
+  if (form.childAges.length === 0) return `Travellers: ${adults}.`;
+  const children = `${form.childAges.length} child${form.childAges.length === 1 ? '' : 'ren'}`;
+  return `Travellers: ${adults}, ${children} (ages ${form.childAges.map(Number).join(', ')}).`;
+};
+
+// Serialize a valid form to the TravelRequest the API accepts. The request is
+// written in English; `locale` tells the agents which language to answer in.
+// With `chooseDestination` the orchestration waits for the user to pick one of
+// the recommended destinations instead of going on with the best match.
+export const toTravelRequest = (form, { locale = DEFAULT_LOCALE, chooseDestination = false } = {}) => {
+  const datedDuration = durationFromDates(form.startDate, form.endDate);
+  const requirements = [describeTravellers(form)];
+  if (form.dietary.length > 0) requirements.push(`Dietary: ${form.dietary.join(', ')}.`);
+  if (form.accessibility.length > 0) requirements.push(`Accessibility: ${form.accessibility.join(', ')}.`);
+  if (form.otherRequirements.trim()) requirements.push(form.otherRequirements.trim());
+
+  return {
+    userName: form.userName.trim(),
+    preferences: form.preferences.trim(),
+    durationInDays: datedDuration || +form.durationInDays,
+    budget: describeBudget(form),
+    travelDates: formatDateRange(form.startDate, form.endDate),
+    specialRequirements: requirements.join(' '),
+    locale,
+    notifyTeam: Boolean(form.notifyTeam),
+    chooseDestination
+  };
+};
+
+// Best-effort form for a TravelRequest saved before the form was structured.
+// Special requirements stay free text.
+export const fromTravelRequest = (request) => {
+  if (!request) return emptyTravelForm;
+  const budget = parseBudget(request.budget);
+  const duration = parseInt(request.durationInDays, 10) || emptyTravelForm.durationInDays;
+  const start = parsePlanDate(request.travelDates);
+  const end = start && new Date(toUtc(start) + (duration - 1) * 86400000);
+
+  return {
+    ...emptyTravelForm,
+    userName: request.userName || '',
+    preferences: request.preferences || '',
+    startDate: start ? toIsoDate(start) : '',
+    endDate: end ? end.toISOString().slice(0, 10) : '',
+    durationInDays: duration,
+    budgetAmount: budget && budget.amount !== null ? String(budget.amount) : '',
+    budgetCurrency: (budget && budget.currency) || emptyTravelForm.budgetCurrency,
+    budgetTier: (budget && budget.tier) || '',
+    otherRequirements: request.specialRequirements || '',
+    notifyTeam: Boolean(request.notifyTeam)
+  };
+};